@@ -0,0 +1,147 @@
+/**
+ * API Quota Accounting
+ *
+ * LinkedIn throttles per member and per app, per endpoint, and resets daily
+ * limits at midnight UTC. Calls are recorded per user and endpoint family by the
+ * LinkedIn client; this module turns them into quota status and breakdowns.
+ */
+
+const db = require('./database');
+
+const ENDPOINT_FAMILIES = ['posts', 'comments', 'reactions', 'socialActions', 'other'];
+
+// Which quota bucket an API path is charged to
+const FAMILY_PATTERNS = [
+  { pattern: /^\/(rest\/posts|v2\/shares|v2\/ugcPosts)/, family: 'posts' },
+  { pattern: /^\/rest\/comments/, family: 'comments' },
+  { pattern: /^\/rest\/reactions/, family: 'reactions' },
+  { pattern: /^\/(rest|v2)\/socialActions/, family: 'socialActions' }
+];
+
+/**
+ * Map an API path to its endpoint family
+ */
+function getEndpointFamily(path) {
+  const match = FAMILY_PATTERNS.find(({ pattern }) => pattern.test(path));
+  return match ? match.family : 'other';
+}
+
+/**
+ * Start of the current UTC day (unix seconds)
+ */
+function getUtcDayStart(now = Date.now()) {
+  return Math.floor(now / 86400000) * 86400;
+}
+
+/**
+ * Next UTC midnight (ms, like Date.getTime())
+ */
+function getNextUtcReset(now = Date.now()) {
+  return (getUtcDayStart(now) + 86400) * 1000;
+}
+
+/**
+ * Today's usage and limits for every endpoint family
+ */
+async function getQuotaStatus(userSub) {
+  const since = getUtcDayStart();
+
+  const [policies, memberUsage, appUsage] = await Promise.all([
+    db.getQuotaPolicies(userSub),
+    db.getApiUsageByFamily(userSub, since),
+    db.getApiUsageByFamily(null, since)
+  ]);
+
+  const countFor = (rows, family) => rows.find(row => row.endpoint_family === family)?.count || 0;
+  const resetAt = getNextUtcReset();
+
+  return ENDPOINT_FAMILIES.map(family => {
+    const defaults = policies.find(p => p.user_sub === '*' && p.endpoint_family === family);
+    const override = policies.find(p => p.user_sub === userSub && p.endpoint_family === family);
+
+    const limit = (override || defaults)?.member_daily_limit ?? 500;
+    const appLimit = defaults?.app_daily_limit ?? null;
+    const used = countFor(memberUsage, family);
+    const appUsed = countFor(appUsage, family);
+
+    return {
+      family,
+      used,
+      limit,
+      remaining: Math.max(0, limit - used),
+      appUsed,
+      appLimit,
+      appRemaining: appLimit === null ? null : Math.max(0, appLimit - appUsed),
+      customized: !!override,
+      resetAt
+    };
+  });
+}
+
+/**
+ * Quota status for a single endpoint family
+ */
+async function getFamilyQuota(userSub, family) {
+  const status = await getQuotaStatus(userSub);
+  return status.find(quota => quota.family === family);
+}
+
+/**
+ * Throw before a request when the member or app quota for its family is spent
+ */
+async function checkQuota(userSub, family) {
+  const quota = await getFamilyQuota(userSub, family);
+
+  const memberExhausted = quota.remaining <= 0;
+  const appExhausted = quota.appRemaining !== null && quota.appRemaining <= 0;
+
+  if (memberExhausted || appExhausted) {
+    const scope = memberExhausted ? 'member' : 'app';
+    const error = new Error(
+      `Daily ${scope} quota for ${family} exhausted, resets at ${new Date(quota.resetAt).toISOString()}`
+    );
+    error.code = 'QUOTA_EXCEEDED';
+    error.status = 429;
+    error.quota = quota;
+    throw error;
+  }
+
+  return quota;
+}
+
+/**
+ * Which feature consumed today's budget, per family and endpoint
+ */
+async function getUsageBreakdown(userSub) {
+  const since = getUtcDayStart();
+  const [families, calls] = await Promise.all([
+    getQuotaStatus(userSub),
+    db.getApiUsageBreakdown(userSub, since)
+  ]);
+
+  const byFeature = {};
+  for (const call of calls) {
+    byFeature[call.feature] = (byFeature[call.feature] || 0) + call.count;
+  }
+
+  return {
+    since: since * 1000,
+    resetAt: getNextUtcReset(),
+    families,
+    byFeature: Object.entries(byFeature)
+      .map(([feature, count]) => ({ feature, count }))
+      .sort((a, b) => b.count - a.count),
+    endpoints: calls
+  };
+}
+
+module.exports = {
+  ENDPOINT_FAMILIES,
+  getEndpointFamily,
+  getUtcDayStart,
+  getNextUtcReset,
+  getQuotaStatus,
+  getFamilyQuota,
+  checkQuota,
+  getUsageBreakdown
+};
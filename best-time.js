@@ -0,0 +1,218 @@
+/**
+ * Best Time to Post
+ *
+ * Scores each weekday/hour (in the user's time zone) from two signals:
+ * - performance of our own posts published in that slot (tracked_posts counts,
+ *   or their engagement events while the counts are not synced yet)
+ * - when engagers are active (engagement_events.happened_at)
+ *
+ * A score of 1 is average; 1.3 means 30% better than the user's average slot.
+ * Slots with few posts are pulled towards the average so one lucky post does
+ * not dominate. Without enough history, a business-hours default is used.
+ */
+
+const db = require('./database');
+const timezone = require('./timezone');
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Weighted engagement of a post: comments and shares say more than a reaction
+const WEIGHTS = { reaction: 1, comment: 2, share: 3 };
+// Share of the score coming from own post performance (rest: engager activity)
+const POST_WEIGHT = 0.6;
+// Pseudo-posts of average engagement added to every slot
+const PRIOR_POSTS = 2;
+// Activity bunched into a few hours would otherwise drown out post performance
+const MAX_ACTIVITY_INDEX = 3;
+// Minimum history before our own data replaces the default
+const MIN_POSTS = 5;
+const MIN_EVENTS = 30;
+// Chosen slots scoring below this get a warning
+const WARN_BELOW = 0.8;
+// Suggestions keep this distance from each other and from scheduled posts
+const SLOT_GAP_HOURS = 3;
+
+// LinkedIn timestamps (created.time) are milliseconds; ours are seconds
+function toSeconds(value) {
+  return value > 100000000000 ? Math.floor(value / 1000) : value;
+}
+
+function slotOf(seconds, zone) {
+  const { weekday, hour } = timezone.wallClock(seconds, zone);
+  return weekday * 24 + hour;
+}
+
+// Business-hours default for users without history: weekday mornings and lunch
+function defaultScore(weekday, hour) {
+  const workday = weekday >= 1 && weekday <= 5;
+  if (!workday) return hour >= 9 && hour <= 12 ? 0.7 : 0.4;
+  if (hour >= 8 && hour <= 10) return weekday >= 2 && weekday <= 4 ? 1.6 : 1.4;
+  if (hour >= 12 && hour <= 13) return 1.3;
+  if (hour >= 7 && hour <= 17) return 1.0;
+  return hour >= 6 && hour <= 21 ? 0.6 : 0.2;
+}
+
+/**
+ * Engagement heatmap by weekday/hour in the user's time zone
+ * @param {string} userSub
+ * @param {object} options - { timezone, days (history window, default 180) }
+ */
+async function getHeatmap(userSub, { timezone: zone, days = 180 } = {}) {
+  const since = Math.floor(Date.now() / 1000) - days * DAY;
+  const [posts, events] = await Promise.all([
+    db.getPostEngagementHistory(userSub, since),
+    db.getEngagementActivity(userSub, since)
+  ]);
+
+  const cells = Array.from({ length: 7 * 24 }, (_, slot) => ({
+    weekday: Math.floor(slot / 24),
+    weekday_name: WEEKDAY_NAMES[Math.floor(slot / 24)],
+    hour: slot % 24,
+    posts: 0,
+    engagement: 0,
+    activity: 0
+  }));
+
+  let totalEngagement = 0;
+  for (const post of posts) {
+    const counted = post.total_reactions * WEIGHTS.reaction +
+      post.total_comments * WEIGHTS.comment +
+      post.total_shares * WEIGHTS.share;
+    const engagement = counted || post.event_count;
+    const cell = cells[slotOf(toSeconds(post.posted_at), zone)];
+
+    cell.posts++;
+    cell.engagement += engagement;
+    totalEngagement += engagement;
+  }
+
+  for (const event of events) {
+    cells[slotOf(toSeconds(event.happened_at), zone)].activity++;
+  }
+
+  const insufficient = posts.length < MIN_POSTS && events.length < MIN_EVENTS;
+  const averageEngagement = posts.length ? totalEngagement / posts.length : 0;
+  const averageActivity = events.length / cells.length;
+
+  for (const [slot, cell] of cells.entries()) {
+    cell.avg_engagement = cell.posts ? Math.round(cell.engagement / cell.posts * 10) / 10 : null;
+
+    if (insufficient) {
+      cell.score = defaultScore(cell.weekday, cell.hour);
+      continue;
+    }
+
+    const postIndex = averageEngagement > 0
+      ? (cell.engagement + PRIOR_POSTS * averageEngagement) / (cell.posts + PRIOR_POSTS) / averageEngagement
+      : 1;
+
+    // Activity spills into neighbouring hours (people read posts a bit later)
+    const neighbour = offset => cells[(slot + offset + cells.length) % cells.length].activity;
+    const smoothed = 0.25 * neighbour(-1) + 0.5 * cell.activity + 0.25 * neighbour(1);
+    const activityIndex = averageActivity > 0 ? Math.min(MAX_ACTIVITY_INDEX, smoothed / averageActivity) : 1;
+
+    cell.score = posts.length >= MIN_POSTS && events.length >= MIN_EVENTS
+      ? POST_WEIGHT * postIndex + (1 - POST_WEIGHT) * activityIndex
+      : posts.length >= MIN_POSTS ? postIndex : activityIndex;
+  }
+
+  for (const cell of cells) {
+    cell.score = Math.round(cell.score * 100) / 100;
+    delete cell.engagement;
+  }
+
+  return {
+    timezone: zone,
+    utc_offset: timezone.formatOffset(timezone.offsetMinutes(Date.now() / 1000, zone)),
+    days,
+    source: insufficient ? 'default' : 'history',
+    sample: { posts: posts.length, events: events.length },
+    average_engagement: Math.round(averageEngagement * 10) / 10,
+    max_score: Math.max(...cells.map(cell => cell.score)),
+    cells
+  };
+}
+
+/**
+ * Next best publish slots (on the hour) within the coming week, away from
+ * posts already scheduled
+ * @param {object} options - { timezone, count (default 5), heatmap (reuse a computed one) }
+ */
+async function suggestSlots(userSub, { timezone: zone, count = 5, heatmap = null } = {}) {
+  const map = heatmap || await getHeatmap(userSub, { timezone: zone });
+  const now = Math.floor(Date.now() / 1000);
+  const pending = await db.getUpcomingPublishTimes(userSub);
+
+  // Start at the next full hour, at least 30 minutes out
+  const candidates = [];
+  for (let at = Math.ceil((now + 30 * 60) / HOUR) * HOUR; at < now + 7 * DAY; at += HOUR) {
+    const cell = map.cells[slotOf(at, zone)];
+    // Align to the hour in the user's zone (zones with :30/:45 offsets)
+    const { minute } = timezone.wallClock(at, zone);
+    const start = at - minute * 60;
+    if (start <= now) continue;
+    candidates.push({ at: start, cell });
+  }
+
+  candidates.sort((a, b) => b.cell.score - a.cell.score || a.at - b.at);
+
+  const chosen = [];
+  const taken = [...pending];
+  for (const candidate of candidates) {
+    if (chosen.length >= count) break;
+    if (taken.some(at => Math.abs(at - candidate.at) < SLOT_GAP_HOURS * HOUR)) continue;
+
+    taken.push(candidate.at);
+    chosen.push({
+      publish_at: candidate.at,
+      publish_at_local: timezone.toIsoString(candidate.at, zone),
+      weekday: candidate.cell.weekday_name,
+      hour: candidate.cell.hour,
+      score: candidate.cell.score
+    });
+  }
+
+  return {
+    source: map.source,
+    slots: chosen.sort((a, b) => a.publish_at - b.publish_at)
+  };
+}
+
+/**
+ * How a chosen publish time scored historically, with a warning when it underperforms
+ * @returns {Promise<{publish_at, publish_at_local, weekday, hour, score, source, warning: string|null}>}
+ */
+async function checkSlot(userSub, publishAt, { timezone: zone } = {}) {
+  const map = await getHeatmap(userSub, { timezone: zone });
+  const cell = map.cells[slotOf(publishAt, zone)];
+
+  let warning = null;
+  if (cell.score < WARN_BELOW) {
+    const percent = Math.round((1 - cell.score) * 100);
+    const slot = `${cell.weekday_name}s at ${String(cell.hour).padStart(2, '0')}:00`;
+    warning = map.source === 'default'
+      ? `${slot} are usually a quiet time on LinkedIn`
+      : cell.posts > 0
+        ? `${slot} have had ${percent}% less engagement than your average slot`
+        : `${slot} are a quiet time for your audience`;
+  }
+
+  return {
+    publish_at: publishAt,
+    publish_at_local: timezone.toIsoString(publishAt, zone),
+    weekday: cell.weekday_name,
+    hour: cell.hour,
+    score: cell.score,
+    source: map.source,
+    warning
+  };
+}
+
+module.exports = {
+  WEIGHTS,
+  getHeatmap,
+  suggestSlots,
+  checkSlot
+};
@@ -0,0 +1,203 @@
+/**
+ * Content Calendar
+ *
+ * Calendar events for scheduled, published and failed posts plus the upcoming
+ * occurrences of recurring series, and the per-user ICS feed built from them.
+ * Feed URLs carry a random token; only its SHA-256 hash is stored.
+ */
+
+const crypto = require('crypto');
+const db = require('./database');
+const recurrence = require('./recurrence');
+
+const DAY = 24 * 60 * 60;
+// Window served by the ICS feed
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 365;
+// Posts are instants; calendar apps get a short block so they stay visible
+const EVENT_DURATION_MINUTES = 15;
+const MAX_RANGE_DAYS = FEED_PAST_DAYS + FEED_FUTURE_DAYS;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create (or rotate) the feed token of a user
+ * @returns {Promise<string>} The new token, only available at this point
+ */
+async function createFeedToken(userSub) {
+  const token = crypto.randomBytes(24).toString('hex');
+  await db.saveCalendarFeed(userSub, hashToken(token));
+  return token;
+}
+
+/**
+ * User of a feed token, or null when the token is unknown
+ */
+async function resolveFeedToken(token) {
+  if (!/^[a-f0-9]{48}$/.test(token || '')) {
+    return null;
+  }
+
+  const feed = await db.getCalendarFeedByHash(hashToken(token));
+  if (!feed) {
+    return null;
+  }
+
+  await db.touchCalendarFeed(feed.user_sub);
+  return feed.user_sub;
+}
+
+/**
+ * Calendar events between two times (unix seconds)
+ * @returns {Promise<Array<{id, post_id, series_id, start, status, content, post_type, linkedin_post_id, error_message, draggable}>>}
+ */
+async function getEvents(userSub, from, to) {
+  if (to <= from || to - from > MAX_RANGE_DAYS * DAY) {
+    const error = new Error(`Calendar range must be positive and at most ${MAX_RANGE_DAYS} days`);
+    error.status = 400;
+    throw error;
+  }
+
+  const posts = await db.getCalendarPosts(userSub, from, to);
+  const events = posts.map(post => ({
+    id: `post-${post.id}`,
+    post_id: post.id,
+    series_id: post.series_id,
+    start: post.published_at || post.publish_at,
+    status: post.status,
+    content: post.content,
+    post_type: post.post_type,
+    linkedin_post_id: post.linkedin_post_id,
+    error_message: post.error_message,
+    draggable: post.status === 'pending'
+  }));
+
+  // Occurrences of active series that are not materialized yet
+  const seriesList = (await db.getPostSeriesList(userSub)).filter(series => series.status === 'active');
+  for (const series of seriesList) {
+    const rule = recurrence.parseRule(series.rrule, series.timezone);
+    const exceptions = await db.getSeriesExceptions(series.id);
+    const materialized = new Set(posts.filter(post => post.series_id === series.id).map(post => post.occurrence_at));
+    const pending = await db.getPendingSeriesPost(series.id);
+    const after = Math.max(from, pending ? pending.occurrence_at : 0);
+
+    for (const occurrence of recurrence.occurrences(rule, series.dtstart, series.timezone)) {
+      if (occurrence.at > to) break;
+      if (occurrence.at <= after || materialized.has(occurrence.at)) continue;
+
+      const exception = exceptions.find(e => e.occurrence_at === occurrence.at);
+      if (exception?.action === 'skip') continue;
+
+      events.push({
+        id: `series-${series.id}-${occurrence.at}`,
+        post_id: null,
+        series_id: series.id,
+        occurrence_at: occurrence.at,
+        start: exception?.publish_at || occurrence.at,
+        status: 'upcoming',
+        content: exception?.content || series.content,
+        post_type: series.post_type,
+        linkedin_post_id: null,
+        error_message: null,
+        draggable: false
+      });
+    }
+  }
+
+  return events.sort((a, b) => a.start - b.start);
+}
+
+// ICS text escaping (RFC 5545 section 3.3.11)
+function escapeText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function formatDate(seconds) {
+  return new Date(seconds * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Fold lines longer than 75 octets, continuation lines start with a space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function summary(event) {
+  const label = { pending: 'Scheduled', publishing: 'Publishing', published: 'Published', failed: 'FAILED', dead_letter: 'FAILED', upcoming: 'Recurring' }[event.status];
+  const firstLine = (event.content || '').split('\n')[0];
+  const text = firstLine.length > 60 ? `${firstLine.substring(0, 60)}...` : firstLine;
+  return `[${label}] ${text || '(no text)'}`;
+}
+
+/**
+ * ICS document for a user's calendar feed
+ * @param {string} userSub
+ * @param {string} calendarName
+ */
+async function buildFeed(userSub, calendarName = 'LinkedIn posts') {
+  const now = Math.floor(Date.now() / 1000);
+  const events = await getEvents(userSub, now - FEED_PAST_DAYS * DAY, now + FEED_FUTURE_DAYS * DAY);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//LinkedIn Automation//Content Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  for (const event of events) {
+    const description = event.error_message && event.status !== 'published'
+      ? `${event.content}\n\nError: ${event.error_message}`
+      : event.content;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.id}-${userSub}@linkedin-automation`,
+      `DTSTAMP:${formatDate(now)}`,
+      `DTSTART:${formatDate(event.start)}`,
+      `DTEND:${formatDate(event.start + EVENT_DURATION_MINUTES * 60)}`,
+      `SUMMARY:${escapeText(summary(event))}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      `STATUS:${event.status === 'published' ? 'CONFIRMED' : 'TENTATIVE'}`,
+      `CATEGORIES:${event.status.toUpperCase()}`
+    );
+
+    if (event.linkedin_post_id) {
+      lines.push(`URL:https://www.linkedin.com/feed/update/${event.linkedin_post_id}/`);
+    }
+
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  createFeedToken,
+  resolveFeedToken,
+  getEvents,
+  buildFeed
+};
@@ -0,0 +1,194 @@
+/**
+ * Comment Classifier
+ *
+ * Offline, rule-based classification of comments (no external service):
+ * - sentiment: a word/emoji lexicon score with negation ("not helpful") and
+ *   intensifiers ("really great"); >= 1 is positive, <= -1 negative. A negation
+ *   ends at clause punctuation or a contrast word ("not cheap, but great").
+ * - intents: question, lead (buying signals), spam, job_request, matched by
+ *   phrase rules. A comment can have several intents or none.
+ */
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const INTENTS = ['question', 'lead', 'spam', 'job_request'];
+
+const POSITIVE = [
+  'agree', 'amazing', 'appreciate', 'awesome', 'beautiful', 'best', 'brilliant', 'congrats',
+  'congratulations', 'cool', 'excellent', 'excited', 'fantastic', 'good', 'great', 'happy', 'helpful',
+  'impressive', 'incredible', 'insightful', 'inspiring', 'interesting', 'kudos', 'learned', 'love',
+  'loved', 'nice', 'perfect', 'powerful', 'solid', 'superb', 'thank', 'thanks', 'useful',
+  'valuable', 'wonderful', 'wow'
+];
+const NEGATIVE = [
+  'annoying', 'awful', 'bad', 'boring', 'broken', 'clickbait', 'confusing', 'disagree', 'disappointed',
+  'disappointing', 'fail', 'failed', 'fake', 'hate', 'horrible', 'misleading', 'nonsense', 'overrated',
+  'pointless', 'poor', 'ridiculous', 'sad', 'scam', 'terrible', 'ugly', 'useless', 'waste',
+  'worse', 'worst', 'wrong'
+];
+const POSITIVE_EMOJI = ['👍', '👏', '🙌', '🔥', '💯', '🎉', '❤', '😍', '🚀', '💪', '😊', '🙏', '👌', '✅'];
+const NEGATIVE_EMOJI = ['👎', '😡', '😠', '🤮', '😤', '🙄', '💩', '😞', '😢'];
+const NEGATIONS = ['not', 'no', 'never', "don't", 'dont', "doesn't", 'doesnt', "isn't", 'isnt', "wasn't",
+  "aren't", "can't", 'cannot', "won't", 'hardly', 'nothing', 'without'];
+const INTENSIFIERS = ['very', 'really', 'so', 'super', 'extremely', 'truly', 'absolutely', 'totally', 'incredibly'];
+// Negation words that negate nothing in these phrases ("no doubt, great post")
+const NEGATION_IDIOMS = ['no doubt', 'no wonder', 'nothing but', 'not only'];
+// Tokens that end a clause, and with it a negation
+const CLAUSE_BREAKS = [',', '.', ';', '!', '?', 'but', 'however', 'although', 'though', 'yet'];
+// Words after a negation that the negation still applies to
+const NEGATION_WINDOW = 3;
+
+const WORD_SCORES = new Map([
+  ...POSITIVE.map(word => [word, 1]),
+  ...NEGATIVE.map(word => [word, -1])
+]);
+
+const INTENT_RULES = {
+  question: [
+    /\?/,
+    /^(how|what|why|which|when|where|who|is there|are there|can you|could you|would you|do you|does it|did you|have you|any (tips|advice|recommendations?))\b/i
+  ],
+  lead: [
+    /\b(pricing|price|prices|quote|cost|costs|how much)\b/i,
+    /\b(demo|free trial|trial|licen[cs]e|purchase|buy|proposal|contract|onboard(ing)?)\b/i,
+    /\binterested in (your|the|this|a) (product|service|tool|solution|offer|platform)/i,
+    /\b(do|does) (you|your (team|company)) (offer|sell|provide|support)\b/i,
+    /\blooking for (a|an) (tool|solution|vendor|partner|agency|consultant|platform|service)\b/i,
+    /\b(can|could) we (talk|chat|connect|set up a call|schedule a call)\b/i,
+    /\b(book|schedule) a (call|meeting|demo)\b/i,
+    /\b(dm|message|email) me\b|\bsend me (more )?(info|details|information)\b/i,
+    /\bwork with (you|your team)\b/i
+  ],
+  spam: [
+    /\b(check out|visit|follow) my (page|profile|channel|website|site|course)\b/i,
+    /\b(click here|link in (my )?bio|free followers|make money|earn \$?\d+|passive income|investment opportunity)\b/i,
+    /\b(crypto|forex|bitcoin|nft)\b.*\b(profit|invest|earn|signals?)\b/i,
+    /\b(whatsapp|telegram)\b.*\+?\d{6,}/i,
+    /\b(guaranteed|100% free|limited offer|act now)\b/i
+  ],
+  job_request: [
+    /\b(are|is) (you|your (team|company)) hiring\b/i,
+    /\b(looking for|seeking|searching for) (a |an )?(job|role|position|internship|opportunit(y|ies)|work)\b/i,
+    /\b(open to work|#opentowork|job opening|any openings|vacanc(y|ies)|refer(ral)? me|referral)\b/i,
+    /\b(my|attached) (resume|cv|portfolio)\b/i,
+    /\b(internship|entry[- ]level (role|position|job))\b/i
+  ]
+};
+
+// Words and clause punctuation
+function tokenize(text) {
+  return text.toLowerCase().match(/[a-z][a-z']*|[,.;!?]/g) || [];
+}
+
+function countOf(text, symbols) {
+  return symbols.reduce((sum, symbol) => sum + text.split(symbol).length - 1, 0);
+}
+
+/**
+ * Lexicon sentiment of a text
+ * @returns {{ sentiment: string, score: number }}
+ */
+function scoreSentiment(text) {
+  const words = tokenize(text);
+  let score = 0;
+  let negatedFor = 0;
+  let boost = 1;
+
+  for (const [index, word] of words.entries()) {
+    if (CLAUSE_BREAKS.includes(word)) {
+      negatedFor = 0;
+      boost = 1;
+      continue;
+    }
+    if (NEGATIONS.includes(word)) {
+      if (!NEGATION_IDIOMS.includes(`${word} ${words[index + 1]}`)) negatedFor = NEGATION_WINDOW;
+      continue;
+    }
+    if (INTENSIFIERS.includes(word)) {
+      boost = 1.5;
+      continue;
+    }
+
+    const value = WORD_SCORES.get(word) || 0;
+    if (value !== 0) {
+      score += value * boost * (negatedFor > 0 ? -1 : 1);
+    }
+    boost = 1;
+    negatedFor = Math.max(0, negatedFor - 1);
+  }
+
+  score += countOf(text, POSITIVE_EMOJI) - countOf(text, NEGATIVE_EMOJI);
+  // An exclamation mark strengthens a clear sentiment
+  if (score !== 0 && text.includes('!')) score *= 1.2;
+
+  score = Math.round(score * 10) / 10;
+  return { sentiment: score >= 1 ? 'positive' : score <= -1 ? 'negative' : 'neutral', score };
+}
+
+/**
+ * Intents of a text, in INTENTS order
+ */
+function detectIntents(text) {
+  // Several links, or shouting with a link, read as spam
+  const links = (text.match(/https?:\/\/|www\./gi) || []).length;
+  const letters = text.replace(/[^a-z]/gi, '');
+  const shouting = letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7;
+  const linkSpam = links >= 2 || (links >= 1 && shouting);
+
+  return INTENTS.filter(intent =>
+    INTENT_RULES[intent].some(rule => rule.test(text)) || (intent === 'spam' && linkSpam)
+  );
+}
+
+/**
+ * Classify a comment
+ * @returns {{ sentiment, sentiment_score, intents: string[] }}
+ */
+function classify(text) {
+  const value = String(text || '');
+  const { sentiment, score } = scoreSentiment(value);
+  return { sentiment, sentiment_score: score, intents: detectIntents(value) };
+}
+
+/**
+ * Check a manual override ({ sentiment?, intents? }; null clears one)
+ * @returns {{ sentiment?, intents? }} Normalized fields that were sent
+ * @throws {Error} status 400
+ */
+function parseOverride(input) {
+  const override = {};
+  const fail = message => {
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  };
+
+  if (input?.sentiment !== undefined) {
+    if (input.sentiment !== null && !SENTIMENTS.includes(input.sentiment)) {
+      fail(`sentiment must be one of ${SENTIMENTS.join(', ')} (or null to use the automatic one)`);
+    }
+    override.sentiment = input.sentiment;
+  }
+
+  if (input?.intents !== undefined) {
+    if (input.intents !== null) {
+      if (!Array.isArray(input.intents) || input.intents.some(intent => !INTENTS.includes(intent))) {
+        fail(`intents must be a list of ${INTENTS.join(', ')} (or null to use the automatic ones)`);
+      }
+      override.intents = INTENTS.filter(intent => input.intents.includes(intent));
+    } else {
+      override.intents = null;
+    }
+  }
+
+  if (Object.keys(override).length === 0) {
+    fail('Send sentiment and/or intents');
+  }
+  return override;
+}
+
+module.exports = {
+  SENTIMENTS,
+  INTENTS,
+  classify,
+  parseOverride
+};
@@ -0,0 +1,255 @@
+/**
+ * Comment Inbox
+ *
+ * Loads the comments of tracked posts into inbox_comments so the dashboard can
+ * list them across posts. Our own comments (as the member or a connected page)
+ * are stored too: a comment counts as answered once one of ours follows it in
+ * its thread. Replies are posted as nested comments through /rest/comments,
+ * under the thread's top-level comment (LinkedIn nests one level deep).
+ * Comments of others are classified (sentiment, intents) as they are stored,
+ * then moderation rules run on the new ones (comment-moderation.js).
+ */
+
+const db = require('./database');
+const linkedin = require('./linkedin-client');
+const tokenManager = require('./token-manager');
+const organizations = require('./organizations');
+const firstComments = require('./first-comments');
+const classifier = require('./comment-classifier');
+const moderation = require('./comment-moderation');
+
+// Posts of the last N days are kept in the inbox
+const INBOX_DAYS = 30;
+const PAGE_SIZE = 100;
+const MAX_PAGES = 5;
+
+/**
+ * LinkedIn id of a comment URN, e.g. urn:li:comment:(urn:li:activity:123,456) -> 456
+ */
+function commentIdOf(urn) {
+  if (!urn) return null;
+  const match = String(urn).match(/,([^,()]+)\)$/);
+  return match ? match[1] : String(urn);
+}
+
+/**
+ * Author URNs that are "us" for a user: the member and the connected pages
+ */
+async function ownActors(userSub) {
+  const pages = await db.getOrganizations(userSub);
+  return new Set([organizations.memberUrn(userSub), ...pages.map(page => page.organization_urn)]);
+}
+
+// Automatic classification columns of a comment
+function classificationOf(text) {
+  const { sentiment, sentiment_score, intents } = classifier.classify(text);
+  return { sentiment, sentiment_score, intents: intents.join(',') };
+}
+
+function toInboxComment(element, postId, own) {
+  const id = String(element.id);
+  const isOwn = own.has(element.actor);
+  return {
+    comment_id: id,
+    comment_urn: element.$URN || `urn:li:comment:(${postId},${id})`,
+    parent_comment_id: commentIdOf(element.parentComment),
+    parent_comment_urn: element.parentComment || null,
+    actor_urn: element.actor || null,
+    text: element.message?.text || '',
+    commented_at: Math.floor((element.created?.time || Date.now()) / 1000),
+    is_own: isOwn,
+    ...(isOwn ? {} : classificationOf(element.message?.text))
+  };
+}
+
+/**
+ * Store comments fetched from /rest/comments for a post
+ * @param {boolean} complete - The elements are all of the post's comments
+ */
+async function storeComments(userSub, postId, elements, { complete = false } = {}) {
+  const own = await ownActors(userSub);
+  const comments = elements.map(element => toInboxComment(element, postId, own));
+  await db.saveInboxComments(userSub, postId, comments, { complete });
+
+  // Does not fail the load: unchecked comments are picked up on the next one
+  try {
+    await moderation.moderateNew(userSub);
+  } catch (error) {
+    console.error(`❌ Moderating comments of ${userSub} failed:`, error.message);
+  }
+  return comments;
+}
+
+/**
+ * Classify stored comments that were loaded before classification existed
+ */
+async function classifyPending(userSub) {
+  const pending = await db.getUnclassifiedInboxComments(userSub);
+  for (const comment of pending) {
+    await db.setInboxCommentClassification(comment.id, classificationOf(comment.text));
+  }
+  return pending.length;
+}
+
+/**
+ * Load all comments of one tracked post into the inbox
+ * @returns {Promise<number>} Comments stored
+ */
+async function syncPost(userSub, post) {
+  const result = await linkedin.getAll(userSub, '/rest/comments', { post: post.post_id }, {
+    pageSize: PAGE_SIZE,
+    maxPages: MAX_PAGES,
+    feature: 'inbox'
+  });
+
+  // Only a full list tells which stored comments were deleted
+  return (await storeComments(userSub, post.post_id, result.elements, { complete: result.complete })).length;
+}
+
+function splitIntents(value) {
+  return value ? value.split(',') : [];
+}
+
+/**
+ * Load the comments of the user's recent posts into the inbox
+ * @param {boolean} all - Every recent post; otherwise only posts never loaded or with new comments
+ * @returns {Promise<{posts, comments}>}
+ */
+async function syncUser(userSub, { all = false } = {}) {
+  const since = Math.floor(Date.now() / 1000) - INBOX_DAYS * 86400;
+  // Posts published here are in the inbox before the next snapshot run tracks them
+  await db.trackPublishedPosts(since);
+  await classifyPending(userSub);
+  const posts = await db.getPostsForCommentSync(userSub, since, all);
+  let comments = 0;
+
+  for (const post of posts) {
+    try {
+      comments += await syncPost(userSub, post);
+    } catch (error) {
+      if (error.code === 'QUOTA_EXCEEDED' || tokenManager.isReauthError(error)) throw error;
+      console.error(`❌ Loading comments of ${post.post_id} failed:`, error.message);
+    }
+  }
+
+  return { posts: posts.length, comments };
+}
+
+/**
+ * Periodic job: load new comments for every user
+ */
+async function syncAll() {
+  for (const user of await db.getAllUsers()) {
+    if (!user.access_token || user.reauth_required) continue;
+
+    try {
+      const result = await syncUser(user.sub);
+      if (result.posts > 0) {
+        console.log(`💬 Loaded ${result.comments} comment(s) of ${result.posts} post(s) into the inbox of ${user.sub}`);
+      }
+    } catch (error) {
+      console.error(`❌ Comment inbox sync for ${user.sub} stopped:`, error.message);
+    }
+  }
+}
+
+/**
+ * Reply to an inbox comment as the author of its post
+ * @param {object} options - { templateId: reply template the text came from }
+ * @returns {Promise<object>} The reply as stored in the inbox
+ */
+async function reply(userSub, comment, text, { templateId = null } = {}) {
+  const message = typeof text === 'string' ? text.trim() : '';
+  if (!message) {
+    const error = new Error('Reply text is required');
+    error.status = 400;
+    throw error;
+  }
+  if (message.length > firstComments.MAX_COMMENT_LENGTH) {
+    const error = new Error(`Reply exceeds maximum length of ${firstComments.MAX_COMMENT_LENGTH} characters`);
+    error.status = 400;
+    throw error;
+  }
+
+  const actor = comment.post_author_urn || organizations.memberUrn(userSub);
+  const parentUrn = comment.parent_comment_urn || comment.comment_urn;
+
+  // Not retried by the client, a lost response could post the reply twice
+  const response = await linkedin.post(userSub, '/rest/comments', {
+    actor,
+    object: comment.post_id,
+    parentComment: parentUrn,
+    message: { text: message }
+  }, { feature: 'inbox', maxRetries: 0 });
+
+  const id = String(response.headers['x-restli-id'] || response.data?.id || `local-${Date.now()}`);
+  const stored = {
+    comment_id: id,
+    comment_urn: `urn:li:comment:(${comment.post_id},${id})`,
+    parent_comment_id: commentIdOf(parentUrn),
+    parent_comment_urn: parentUrn,
+    actor_urn: actor,
+    text: message,
+    commented_at: Math.floor(Date.now() / 1000),
+    is_own: true,
+    reply_template_id: templateId
+  };
+  await db.saveInboxComments(userSub, comment.post_id, [stored]);
+  return stored;
+}
+
+/**
+ * Inbox row as returned by the API: the commenter's connection and any moderation entry nested
+ */
+function describe(row) {
+  return {
+    id: row.id,
+    post_id: row.post_id,
+    post_text: row.post_text,
+    post_author_urn: row.post_author_urn || null,
+    comment_id: row.comment_id,
+    parent_comment_id: row.parent_comment_id,
+    actor_urn: row.actor_urn,
+    text: row.text,
+    commented_at: row.commented_at,
+    answered: row.answered_at !== null,
+    answered_at: row.answered_at,
+    status: row.status,
+    done_at: row.done_at,
+    // Corrections made by hand win over the automatic classification
+    sentiment: row.sentiment_override || row.sentiment,
+    intents: splitIntents(row.intents_override ?? row.intents),
+    classification: {
+      sentiment: row.sentiment,
+      sentiment_score: row.sentiment_score,
+      intents: splitIntents(row.intents),
+      sentiment_overridden: row.sentiment_override !== null,
+      intents_overridden: row.intents_override !== null
+    },
+    moderation: row.moderation_id ? {
+      id: row.moderation_id,
+      action: row.moderation_action,
+      status: row.moderation_status,
+      rule: row.moderation_rule,
+      reason: row.moderation_reason,
+      execute_after: row.moderation_execute_after
+    } : null,
+    connection: row.connection_id ? {
+      id: row.connection_id,
+      name: [row.first_name, row.last_name].filter(Boolean).join(' '),
+      company: row.company,
+      position: row.position,
+      profile_url: row.linkedin_profile_url
+    } : null
+  };
+}
+
+module.exports = {
+  INBOX_DAYS,
+  commentIdOf,
+  storeComments,
+  syncUser,
+  syncAll,
+  reply,
+  describe
+};
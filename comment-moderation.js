@@ -0,0 +1,447 @@
+/**
+ * Comment Moderation
+ *
+ * Rules that run on comments of others as they are loaded into the inbox
+ * (comment-inbox.js). A rule matches a comment by
+ * - keywords: any of its words or phrases (case-insensitive, whole words)
+ * - regex: a case-insensitive regular expression (no backreferences or nested
+ *   quantifiers, which can backtrack for exponential time on a crafted comment)
+ * - link_from_non_connection: a link, posted by someone who is not a connection
+ * - repeat_commenter: threshold or more comments by the same person on our posts
+ *   within window_hours
+ * and either flags the comment for review or deletes it on LinkedIn (the API
+ * cannot hide comments). Deletions wait out an undo window
+ * (MODERATION_UNDO_MINUTES) before the scheduler sends them. Every decision is
+ * written to activity_log.
+ */
+
+const vm = require('vm');
+const db = require('./database');
+const linkedin = require('./linkedin-client');
+const organizations = require('./organizations');
+const publishRetry = require('./publish-retry');
+
+const RULE_TYPES = ['keywords', 'regex', 'link_from_non_connection', 'repeat_commenter'];
+const ACTIONS = ['flag', 'delete'];
+const UNDO_MINUTES = parseInt(process.env.MODERATION_UNDO_MINUTES) || 15;
+const MAX_NAME_LENGTH = 100;
+const MAX_KEYWORDS = 200;
+const MAX_REGEX_LENGTH = 300;
+const DEFAULT_THRESHOLD = 3;
+const DEFAULT_WINDOW_HOURS = 24;
+// A claimed deletion is retried if it has not finished after this long
+const DELETE_LEASE_SECONDS = 600;
+// Longest a regex rule may run on one comment; the check at save time cannot catch every slow pattern
+const REGEX_TIMEOUT_MS = 100;
+const REGEX_SCRIPT = new vm.Script('pattern.exec(text)');
+const LINK_PATTERN = /\bhttps?:\/\/|\bwww\.|\b[a-z0-9-]+\.(com|net|org|io|co|xyz|info|biz|ly|link|click|site|online|top|app)\b/i;
+
+function fail(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  throw error;
+}
+
+function keywordsOf(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(/[\n,]/);
+  return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+}
+
+function integerIn(value, fallback, min, max, field) {
+  const number = value === undefined || value === null || value === '' ? fallback : Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    fail(`${field} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Why a regular expression could backtrack catastrophically, or null if it cannot:
+ * backreferences and repeated groups that contain a quantifier or an
+ * alternation, like (a+)+ or (a|ab)*
+ */
+function unsafeRegexReason(pattern) {
+  // One entry per open group: does it contain a quantifier / an alternation?
+  const groups = [{ quantified: false, alternation: false }];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    let group = null;
+
+    if (char === '\\') {
+      const next = pattern[i + 1] || '';
+      if (/[1-9]/.test(next) || next === 'k') return 'backreferences are not allowed';
+      i++;
+    } else if (char === '[') {
+      // Character class: skip to the closing bracket
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+      if (pattern[i + 1] === '?') i++;
+      continue;
+    } else if (char === '|') {
+      groups[groups.length - 1].alternation = true;
+      continue;
+    } else if (char === ')' && groups.length > 1) {
+      group = groups.pop();
+      const parent = groups[groups.length - 1];
+      parent.quantified = parent.quantified || group.quantified;
+      parent.alternation = parent.alternation || group.alternation;
+    }
+
+    // Quantifier on the atom that ends here; ? and {0,n} count too, (x?x?)+ backtracks like (x+)+
+    const quantifier = pattern.slice(i + 1).match(/^(\*|\+|\?|\{\d+(,\d*)?\})\??/);
+    if (quantifier) {
+      const repeats = quantifier[1] !== '?' && !/^\{[01](,[01])?\}$/.test(quantifier[1]);
+      if (repeats && group?.quantified) return 'nested quantifiers like (a+)+ are not allowed';
+      if (repeats && group?.alternation) return 'repeated alternations like (a|ab)* are not allowed';
+      groups[groups.length - 1].quantified = true;
+      i += quantifier[0].length;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check and normalize a rule ({ name, type, pattern, threshold, window_hours, action, enabled })
+ * Updates pass the stored rule merged with the changed fields.
+ * @throws {Error} status 400
+ */
+function parseRule(input) {
+  const name = typeof input?.name === 'string' ? input.name.trim() : '';
+  if (!name) fail('name is required');
+  if (name.length > MAX_NAME_LENGTH) fail(`name exceeds maximum length of ${MAX_NAME_LENGTH} characters`);
+  if (!RULE_TYPES.includes(input.type)) fail(`type must be one of ${RULE_TYPES.join(', ')}`);
+
+  const action = input.action ?? 'flag';
+  if (!ACTIONS.includes(action)) fail(`action must be one of ${ACTIONS.join(', ')}`);
+
+  const rule = {
+    name,
+    type: input.type,
+    pattern: null,
+    threshold: null,
+    window_hours: null,
+    action,
+    enabled: input.enabled === undefined ? true : Boolean(input.enabled)
+  };
+
+  if (rule.type === 'keywords') {
+    const keywords = keywordsOf(input.pattern);
+    if (keywords.length === 0) fail('pattern needs at least one keyword (one per line)');
+    if (keywords.length > MAX_KEYWORDS) fail(`pattern has more than ${MAX_KEYWORDS} keywords`);
+    rule.pattern = keywords.join('\n');
+  } else if (rule.type === 'regex') {
+    const pattern = typeof input.pattern === 'string' ? input.pattern.trim() : '';
+    if (!pattern) fail('pattern is required');
+    if (pattern.length > MAX_REGEX_LENGTH) fail(`pattern exceeds maximum length of ${MAX_REGEX_LENGTH} characters`);
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      fail(`pattern is not a valid regular expression: ${error.message}`);
+    }
+    const unsafe = unsafeRegexReason(pattern);
+    if (unsafe) fail(`pattern could take too long to match: ${unsafe}`);
+    rule.pattern = pattern;
+  } else if (rule.type === 'repeat_commenter') {
+    rule.threshold = integerIn(input.threshold, DEFAULT_THRESHOLD, 2, 50, 'threshold');
+    rule.window_hours = integerIn(input.window_hours, DEFAULT_WINDOW_HOURS, 1, 168, 'window_hours');
+  }
+
+  return rule;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Matcher of a rule: (comment, context) -> reason it matched, or null
+ */
+function matcherOf(rule) {
+  switch (rule.type) {
+    case 'keywords': {
+      const keywords = keywordsOf(rule.pattern).map(keyword => ({
+        keyword,
+        pattern: new RegExp(`(?<!\\w)${escapeRegExp(keyword)}(?!\\w)`, 'i')
+      }));
+      return (comment) => {
+        const found = keywords.find(({ pattern }) => pattern.test(comment.text || ''));
+        return found ? `keyword "${found.keyword}"` : null;
+      };
+    }
+    case 'regex': {
+      // Rules saved before the pattern check was added never match
+      if (unsafeRegexReason(rule.pattern)) return () => null;
+      // Matched in a VM context so a slow match can be stopped after REGEX_TIMEOUT_MS
+      const sandbox = vm.createContext({ pattern: new RegExp(rule.pattern, 'i'), text: '' });
+      return (comment) => {
+        sandbox.text = comment.text || '';
+        let match;
+        try {
+          match = REGEX_SCRIPT.runInContext(sandbox, { timeout: REGEX_TIMEOUT_MS });
+        } catch (error) {
+          if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+          console.error(`❌ Moderation rule "${rule.name}" took over ${REGEX_TIMEOUT_MS}ms on comment ${comment.comment_id}, skipped`);
+          return null;
+        }
+        return match ? `matches /${rule.pattern}/ ("${match[0].slice(0, 50)}")` : null;
+      };
+    }
+    case 'link_from_non_connection':
+      return (comment) => (!comment.connection_id && LINK_PATTERN.test(comment.text || ''))
+        ? 'link from someone who is not a connection'
+        : null;
+    case 'repeat_commenter':
+      return (comment, context) => {
+        const count = context.recentCount(comment, rule.window_hours * 3600);
+        return count >= rule.threshold ? `${count} comments within ${rule.window_hours}h` : null;
+      };
+    default:
+      return () => null;
+  }
+}
+
+/**
+ * What rules can know beyond the comment itself: how often its author commented
+ * @param {Array} comments - Every stored comment of others for the user
+ */
+function contextOf(comments) {
+  const timesByActor = new Map();
+  for (const comment of comments) {
+    if (!comment.actor_urn) continue;
+    if (!timesByActor.has(comment.actor_urn)) timesByActor.set(comment.actor_urn, []);
+    timesByActor.get(comment.actor_urn).push(comment.commented_at);
+  }
+
+  return {
+    // Comments by the same person in the window ending at this comment (itself included)
+    recentCount(comment, windowSeconds) {
+      const times = timesByActor.get(comment.actor_urn) || [];
+      return times.filter(time => time <= comment.commented_at && time > comment.commented_at - windowSeconds).length;
+    }
+  };
+}
+
+/**
+ * Run rules over comments
+ * @returns {Array<{comment, rule, action, reasons}>} One decision per matched comment: delete wins
+ *   over flag, credited to the first rule with that action; reasons lists every rule that matched
+ */
+function evaluate(comments, rules, context) {
+  const matchers = rules.map(rule => ({ rule, match: matcherOf(rule) }));
+  const decisions = [];
+
+  for (const comment of comments) {
+    const matched = matchers
+      .map(({ rule, match }) => ({ rule, reason: match(comment, context) }))
+      .filter(({ reason }) => reason);
+    if (matched.length === 0) continue;
+
+    const action = matched.some(({ rule }) => rule.action === 'delete') ? 'delete' : 'flag';
+    decisions.push({
+      comment,
+      rule: matched.find(({ rule }) => rule.action === action).rule,
+      action,
+      reasons: matched.map(({ rule, reason }) => `${rule.name}: ${reason}`)
+    });
+  }
+
+  return decisions;
+}
+
+async function apply(userSub, { comment, rule, action, reasons }) {
+  const executeAfter = action === 'delete' ? Math.floor(Date.now() / 1000) + UNDO_MINUTES * 60 : null;
+  const id = await db.createModerationAction(userSub, {
+    rule_id: rule.id,
+    rule_name: rule.name,
+    action,
+    status: action === 'delete' ? 'pending' : 'flagged',
+    reason: reasons.join('; '),
+    post_id: comment.post_id,
+    post_author_urn: comment.post_author_urn,
+    comment_id: comment.comment_id,
+    comment_urn: comment.comment_urn,
+    actor_urn: comment.actor_urn,
+    text: comment.text,
+    execute_after: executeAfter
+  });
+  // Already moderated (e.g. by a sync running at the same time)
+  if (!id) return null;
+
+  await db.recordModerationRuleMatch(rule.id);
+  await db.logActivity(userSub, 'MODERATED_COMMENT', {
+    moderationId: id,
+    rule: rule.name,
+    action,
+    postId: comment.post_id,
+    commentId: comment.comment_id,
+    actor: comment.actor_urn,
+    reason: reasons.join('; '),
+    undoUntil: executeAfter
+  }, 'success');
+  return id;
+}
+
+/**
+ * Run the enabled rules on comments loaded since the last run
+ * @returns {Promise<Array>} Decisions taken
+ */
+async function moderateNew(userSub) {
+  const comments = await db.getModerationCandidates(userSub);
+  const unchecked = comments.filter(comment => comment.moderated_at === null);
+  if (unchecked.length === 0) return [];
+
+  const rules = (await db.getModerationRules(userSub)).filter(rule => rule.enabled);
+  const decisions = evaluate(unchecked.filter(comment => !comment.moderation_status), rules, contextOf(comments));
+  const taken = [];
+  for (const decision of decisions) {
+    if (await apply(userSub, decision)) taken.push(decision);
+  }
+
+  await db.markInboxCommentsModerated(userSub, unchecked.map(comment => comment.id));
+  if (taken.length > 0) {
+    console.log(`🛡️  Moderation: ${taken.length} comment(s) of ${userSub} flagged or queued for deletion`);
+  }
+  return taken;
+}
+
+/**
+ * What rules would do to the stored comments that are not moderated yet
+ * (nothing is changed)
+ * @param {Array} rules - Saved or parsed rules
+ */
+async function dryRun(userSub, rules) {
+  const comments = await db.getModerationCandidates(userSub);
+  const open = comments.filter(comment => !comment.moderation_status);
+  const decisions = evaluate(open, rules, contextOf(comments));
+
+  return {
+    checked: open.length,
+    matches: decisions.map(({ comment, rule, action, reasons }) => ({
+      inbox_comment_id: comment.id,
+      post_id: comment.post_id,
+      actor_urn: comment.actor_urn,
+      commenter: [comment.first_name, comment.last_name].filter(Boolean).join(' ') || null,
+      text: comment.text,
+      commented_at: comment.commented_at,
+      action,
+      rule_id: rule.id || null,
+      rule_name: rule.name,
+      reasons
+    }))
+  };
+}
+
+/**
+ * Delete a claimed comment on LinkedIn, as the author of its post
+ * @returns {Promise<string>} Resulting status
+ */
+async function executeDeletion(entry) {
+  const actor = entry.post_author_urn || organizations.memberUrn(entry.user_sub);
+  const attempt = entry.attempt_count + 1;
+
+  try {
+    await linkedin.delete(entry.user_sub, `/rest/socialActions/${encodeURIComponent(entry.post_id)}/comments/${entry.comment_id}`, {
+      params: { actor },
+      feature: 'moderation'
+    });
+  } catch (error) {
+    const failure = publishRetry.classify(error);
+    // Gone already (deleted by its author or by hand)
+    if (failure.httpStatus !== 404) {
+      const retryAt = failure.transient ? publishRetry.nextRetryAt(attempt, failure.retryAfterSeconds) : null;
+      await db.finishModerationAction(entry.id, {
+        status: retryAt ? 'pending' : 'failed',
+        execute_after: retryAt,
+        attempt_count: attempt,
+        error_message: failure.message
+      });
+      if (!retryAt) {
+        await db.logActivity(entry.user_sub, 'DELETED_COMMENT', {
+          moderationId: entry.id, postId: entry.post_id, commentId: entry.comment_id, error: failure.message
+        }, 'failed');
+      }
+      return retryAt ? 'pending' : 'failed';
+    }
+  }
+
+  await db.finishModerationAction(entry.id, {
+    status: 'deleted',
+    executed_at: Math.floor(Date.now() / 1000),
+    attempt_count: attempt,
+    error_message: null
+  });
+  await db.deleteInboxComment(entry.user_sub, entry.comment_id);
+  await db.logActivity(entry.user_sub, 'DELETED_COMMENT', {
+    moderationId: entry.id, rule: entry.rule_name, postId: entry.post_id, commentId: entry.comment_id
+  }, 'success');
+  return 'deleted';
+}
+
+/**
+ * Scheduler pass: send the deletions whose undo window is over
+ */
+async function processDueDeletions() {
+  const now = Math.floor(Date.now() / 1000);
+  const due = await db.getDueModerationDeletions(now);
+
+  for (const entry of due) {
+    if (!(await db.claimModerationDeletion(entry.id, ['pending', 'deleting'], DELETE_LEASE_SECONDS, now))) continue;
+
+    try {
+      const status = await executeDeletion(entry);
+      console.log(`🛡️  Moderation ${entry.id}: comment ${entry.comment_id} ${status}`);
+    } catch (error) {
+      console.error(`❌ Moderation ${entry.id} failed:`, error.message);
+    }
+  }
+}
+
+/**
+ * Delete a flagged or pending comment now (after review, skipping the undo window)
+ * @returns {Promise<string>} Resulting status
+ */
+async function deleteNow(userSub, id) {
+  const entry = await db.getModerationAction(id, userSub);
+  if (!entry) fail('Moderation entry not found', 404);
+  if (!(await db.claimModerationDeletion(entry.id, ['flagged', 'pending'], DELETE_LEASE_SECONDS))) {
+    fail(`Comment is ${entry.status} and cannot be deleted`, 409);
+  }
+  return executeDeletion(entry);
+}
+
+/**
+ * Undo a flag or a deletion that has not been sent yet; the comment is not moderated again
+ */
+async function undo(userSub, id) {
+  const entry = await db.getModerationAction(id, userSub);
+  if (!entry) fail('Moderation entry not found', 404);
+  if (!(await db.undoModerationAction(entry.id, userSub))) {
+    fail(entry.status === 'deleted'
+      ? 'Comment is already deleted on LinkedIn'
+      : `Comment is ${entry.status} and cannot be undone`, 409);
+  }
+
+  await db.logActivity(userSub, 'UNDID_MODERATION', {
+    moderationId: entry.id, rule: entry.rule_name, action: entry.action, postId: entry.post_id, commentId: entry.comment_id
+  }, 'success');
+  return db.getModerationAction(entry.id, userSub);
+}
+
+module.exports = {
+  RULE_TYPES,
+  ACTIONS,
+  UNDO_MINUTES,
+  parseRule,
+  unsafeRegexReason,
+  matcherOf,
+  moderateNew,
+  dryRun,
+  processDueDeletions,
+  deleteNow,
+  undo
+};
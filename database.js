@@ -1,8 +1,10 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const crypto = require('crypto');
+const timezone = require('./timezone');
 
-const DB_PATH = path.join(__dirname, 'linkedin_automation.db');
+// DATABASE_PATH=:memory: gives tests a throwaway database
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, 'linkedin_automation.db');
 
 // Token encryption key (must match server.js)
 const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || '';
@@ -49,6 +51,27 @@ function decryptToken(encryptedToken) {
   }
 }
 
+// SQL condition for the posts of one author: a member URN matches the member's own
+// posts (author_urn is NULL), an organization URN its company page posts
+function authorCondition(authorUrn, column = 'author_urn') {
+  if (!authorUrn) return { sql: '', params: [] };
+  if (authorUrn.startsWith('urn:li:person:')) return { sql: `AND ${column} IS NULL`, params: [] };
+  return { sql: `AND ${column} = ?`, params: [authorUrn] };
+}
+
+// tracked_posts.posted_at in seconds (older rows hold LinkedIn's milliseconds)
+function postedAtSeconds(column = 'posted_at') {
+  return `(CASE WHEN ${column} > 100000000000 THEN ${column} / 1000 ELSE ${column} END)`;
+}
+
+// Template and moderation rule names are unique per user
+function duplicateNameError(err, kind) {
+  if (err.code !== 'SQLITE_CONSTRAINT') return err;
+  const error = new Error(`A ${kind} with this name already exists`);
+  error.status = 409;
+  return error;
+}
+
 class Database {
   constructor() {
     this.db = new sqlite3.Database(DB_PATH, (err) => {
@@ -219,11 +242,26 @@ class Database {
   // User operations
   saveUser(user, tokens) {
     return new Promise((resolve, reject) => {
-      const expiresAt = Math.floor(Date.now() / 1000) + (tokens.expires_in || 5184000); // Default 60 days
+      const now = Math.floor(Date.now() / 1000);
+      const expiresAt = now + (tokens.expires_in || 5184000); // Default 60 days
+      const refreshExpiresAt = tokens.refresh_token_expires_in ? now + tokens.refresh_token_expires_in : null;
 
+      // Upsert, so settings stored on the user row (time zone, locale) survive a login
       this.db.run(`
-        INSERT OR REPLACE INTO users (sub, name, email, picture, access_token, refresh_token, token_expires_at, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+        INSERT INTO users (sub, name, email, picture, access_token, refresh_token, token_expires_at, refresh_token_expires_at, granted_scopes, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+        ON CONFLICT(sub) DO UPDATE SET
+          name = excluded.name,
+          email = excluded.email,
+          picture = excluded.picture,
+          access_token = excluded.access_token,
+          refresh_token = excluded.refresh_token,
+          token_expires_at = excluded.token_expires_at,
+          refresh_token_expires_at = excluded.refresh_token_expires_at,
+          granted_scopes = excluded.granted_scopes,
+          reauth_required = 0,
+          reauth_reason = NULL,
+          updated_at = excluded.updated_at
       `, [
         user.sub,
         user.name,
@@ -231,7 +269,9 @@ class Database {
         user.picture,
         encryptToken(tokens.access_token),
         tokens.refresh_token ? encryptToken(tokens.refresh_token) : null,
-        expiresAt
+        expiresAt,
+        refreshExpiresAt,
+        tokens.scope || null
       ], function(err) {
         if (err) reject(err);
         else resolve(this.lastID);
@@ -258,15 +298,86 @@ class Database {
     });
   }
 
-  updateUserToken(sub, accessToken, expiresIn) {
+  getAllUsers() {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM users ORDER BY updated_at DESC', (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          // Decrypt tokens before returning
+          resolve((rows || []).map(row => ({
+            ...row,
+            access_token: decryptToken(row.access_token),
+            refresh_token: row.refresh_token ? decryptToken(row.refresh_token) : null
+          })));
+        }
+      });
+    });
+  }
+
+  // Time zone and locale of a user, falling back to the server defaults
+  getUserLocale(sub) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT timezone, locale FROM users WHERE sub = ?', [sub], (err, row) => {
+        if (err) reject(err);
+        else resolve({
+          timezone: row?.timezone || timezone.DEFAULT_TIMEZONE,
+          locale: row?.locale || timezone.DEFAULT_LOCALE
+        });
+      });
+    });
+  }
+
+  updateUserLocale(sub, { timezone: zone, locale }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        UPDATE users
+        SET timezone = COALESCE(?, timezone), locale = COALESCE(?, locale), updated_at = strftime('%s', 'now')
+        WHERE sub = ?
+      `, [zone || null, locale || null, sub], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Store renewed tokens; a missing refresh token keeps the current one
+  updateUserToken(sub, accessToken, expiresIn, refreshToken = null, refreshExpiresIn = null) {
     return new Promise((resolve, reject) => {
-      const expiresAt = Math.floor(Date.now() / 1000) + (expiresIn || 5184000);
+      const now = Math.floor(Date.now() / 1000);
+      const expiresAt = now + (expiresIn || 5184000);
+      const refreshExpiresAt = refreshExpiresIn ? now + refreshExpiresIn : null;
+
+      this.db.run(`
+        UPDATE users
+        SET access_token = ?,
+            token_expires_at = ?,
+            refresh_token = COALESCE(?, refresh_token),
+            refresh_token_expires_at = COALESCE(?, refresh_token_expires_at),
+            reauth_required = 0,
+            reauth_reason = NULL,
+            updated_at = strftime('%s', 'now')
+        WHERE sub = ?
+      `, [
+        encryptToken(accessToken),
+        expiresAt,
+        refreshToken ? encryptToken(refreshToken) : null,
+        refreshExpiresAt,
+        sub
+      ], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
 
+  markUserReauthRequired(sub, reason) {
+    return new Promise((resolve, reject) => {
       this.db.run(`
         UPDATE users
-        SET access_token = ?, token_expires_at = ?, updated_at = strftime('%s', 'now')
+        SET reauth_required = 1, reauth_reason = ?, updated_at = strftime('%s', 'now')
         WHERE sub = ?
-      `, [encryptToken(accessToken), expiresAt, sub], function(err) {
+      `, [reason, sub], function(err) {
         if (err) reject(err);
         else resolve(this.changes);
       });
@@ -432,118 +543,237 @@ class Database {
   }
 
   // Scheduled posts operations
-  createScheduledPost(userSub, content, imageUrl, publishAt) {
+  /**
+   * @param {object} options - { status, postType, documentTitle, seriesId, occurrenceAt, queued, visibility,
+   *   article: { url, title, description }, authorUrn (organization; null = the member),
+   *   comments: { first, followUp, followUpDelayMinutes } }
+   */
+  createScheduledPost(userSub, content, imageUrl, publishAt, options = {}) {
     return new Promise((resolve, reject) => {
       this.db.run(`
-        INSERT INTO scheduled_posts (user_sub, content, image_url, publish_at)
-        VALUES (?, ?, ?, ?)
-      `, [userSub, content, imageUrl, publishAt], function(err) {
+        INSERT INTO scheduled_posts (user_sub, content, image_url, publish_at, status, post_type, document_title, series_id, occurrence_at, queued, visibility,
+                                     article_url, article_title, article_description, author_urn,
+                                     first_comment, follow_up_comment, follow_up_delay_minutes)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        userSub,
+        content,
+        imageUrl,
+        publishAt,
+        options.status || 'pending',
+        options.postType || 'text',
+        options.documentTitle || null,
+        options.seriesId || null,
+        options.occurrenceAt || null,
+        options.queued ? 1 : 0,
+        options.visibility || 'PUBLIC',
+        options.article?.url || null,
+        options.article?.title || null,
+        options.article?.description || null,
+        options.authorUrn || null,
+        options.comments?.first || null,
+        options.comments?.followUp || null,
+        options.comments?.followUp ? options.comments.followUpDelayMinutes || null : null
+      ], function(err) {
         if (err) reject(err);
         else resolve(this.lastID);
       });
     });
   }
 
-  getPendingScheduledPosts() {
+  // Create several pending posts at once; nothing is created when one row fails.
+  // A single INSERT is atomic by itself, so no transaction is held open on the shared connection.
+  // posts: [{ content, image_url, publish_at, post_type, document_title, queued, visibility,
+  //          article_url, article_title, article_description, author_urn,
+  //          first_comment, follow_up_comment, follow_up_delay_minutes }]
+  createScheduledPostsBatch(userSub, posts) {
     return new Promise((resolve, reject) => {
-      const now = Math.floor(Date.now() / 1000);
+      if (posts.length === 0) return resolve([]);
+
+      const rows = posts.map(post => [
+        userSub,
+        post.content,
+        post.image_url || null,
+        post.publish_at,
+        post.post_type || 'text',
+        post.document_title || null,
+        post.queued ? 1 : 0,
+        post.visibility || 'PUBLIC',
+        post.article_url || null,
+        post.article_title || null,
+        post.article_description || null,
+        post.author_urn || null,
+        post.first_comment || null,
+        post.follow_up_comment || null,
+        post.follow_up_comment ? post.follow_up_delay_minutes || null : null
+      ]);
+
       this.db.all(`
-        SELECT * FROM scheduled_posts
-        WHERE status = 'pending' AND publish_at <= ?
-        ORDER BY publish_at ASC
-      `, [now], (err, rows) => {
+        INSERT INTO scheduled_posts (user_sub, content, image_url, publish_at, status, post_type, document_title, queued, visibility,
+                                     article_url, article_title, article_description, author_urn,
+                                     first_comment, follow_up_comment, follow_up_delay_minutes)
+        VALUES ${rows.map(() => "(?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)").join(', ')}
+        RETURNING id
+      `, rows.flat(), (err, inserted) => {
         if (err) reject(err);
-        else resolve(rows || []);
+        // Ids grow in insert order, so sorted they line up with `posts`
+        else resolve(inserted.map(row => row.id).sort((a, b) => a - b));
+      });
+    });
+  }
+
+  getScheduledPost(id, userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM scheduled_posts WHERE id = ? AND user_sub = ?',
+        [id, userSub],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  }
+
+  updateScheduledPostContent(id, content, imageUrl, publishAt) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        UPDATE scheduled_posts
+        SET content = ?, image_url = ?, publish_at = ?
+        WHERE id = ? AND status = 'pending'
+      `, [content, imageUrl, publishAt, id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Update editable fields of a draft or pending post (only the keys present in `fields`)
+  updateScheduledPostFields(id, fields) {
+    return new Promise((resolve, reject) => {
+      const allowed = ['content', 'image_url', 'publish_at', 'post_type', 'document_title', 'status', 'series_id', 'occurrence_at', 'queued', 'visibility',
+        'article_url', 'article_title', 'article_description', 'author_urn', 'first_comment', 'follow_up_comment', 'follow_up_delay_minutes'];
+      const keys = Object.keys(fields).filter(key => allowed.includes(key));
+      if (keys.length === 0) return resolve(0);
+
+      this.db.run(`
+        UPDATE scheduled_posts
+        SET ${keys.map(key => `${key} = ?`).join(', ')}
+        WHERE id = ? AND status IN ('draft', 'pending')
+      `, [...keys.map(key => fields[key]), id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
       });
     });
   }
 
-  getScheduledPosts(userSub, limit = 50) {
+  getDrafts(userSub) {
     return new Promise((resolve, reject) => {
       this.db.all(`
         SELECT * FROM scheduled_posts
-        WHERE user_sub = ?
-        ORDER BY publish_at DESC
-        LIMIT ?
-      `, [userSub, limit], (err, rows) => {
+        WHERE user_sub = ? AND status = 'draft'
+        ORDER BY created_at DESC
+      `, [userSub], (err, rows) => {
         if (err) reject(err);
         else resolve(rows || []);
       });
     });
   }
 
-  updateScheduledPostStatus(id, status, linkedinPostId = null, errorMessage = null) {
+  // Post revision operations
+  createPostRevision(revision) {
     return new Promise((resolve, reject) => {
-      const publishedAt = status === 'published' ? Math.floor(Date.now() / 1000) : null;
       this.db.run(`
-        UPDATE scheduled_posts
-        SET status = ?, linkedin_post_id = ?, error_message = ?, published_at = ?
-        WHERE id = ?
-      `, [status, linkedinPostId, errorMessage, publishedAt, id], function(err) {
+        INSERT INTO post_revisions (scheduled_post_id, revision, change_type, changed_by, changed_fields, snapshot)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        revision.scheduled_post_id,
+        revision.revision,
+        revision.change_type,
+        revision.changed_by,
+        JSON.stringify(revision.changed_fields || []),
+        JSON.stringify(revision.snapshot)
+      ], function(err) {
         if (err) reject(err);
-        else resolve(this.changes);
+        else resolve(this.lastID);
       });
     });
   }
 
-  getTodayScheduledPostCount(userSub) {
+  // Overwrite a revision in place (consecutive autosaves are collapsed)
+  updatePostRevision(id, changedFields, snapshot) {
     return new Promise((resolve, reject) => {
-      const todayStart = Math.floor(new Date().setHours(0, 0, 0, 0) / 1000);
-      this.db.get(`
-        SELECT COUNT(*) as count FROM scheduled_posts
-        WHERE user_sub = ? AND published_at >= ? AND status = 'published'
-      `, [userSub, todayStart], (err, row) => {
+      this.db.run(`
+        UPDATE post_revisions
+        SET changed_fields = ?, snapshot = ?, created_at = strftime('%s', 'now')
+        WHERE id = ?
+      `, [JSON.stringify(changedFields), JSON.stringify(snapshot), id], function(err) {
         if (err) reject(err);
-        else resolve(row?.count || 0);
+        else resolve(this.changes);
       });
     });
   }
 
-  deleteScheduledPost(id, userSub) {
+  getPostRevisions(postId) {
     return new Promise((resolve, reject) => {
-      this.db.run(
-        'DELETE FROM scheduled_posts WHERE id = ? AND user_sub = ? AND status = \'pending\'',
-        [id, userSub],
-        function(err) {
+      this.db.all(
+        'SELECT * FROM post_revisions WHERE scheduled_post_id = ? ORDER BY revision DESC',
+        [postId],
+        (err, rows) => {
           if (err) reject(err);
-          else resolve(this.changes);
+          else resolve(rows || []);
         }
       );
     });
   }
 
-  // API call tracking
-  trackApiCall(endpoint, method, statusCode) {
+  getPostRevision(postId, revision) {
     return new Promise((resolve, reject) => {
-      this.db.run(`
-        INSERT INTO api_calls (endpoint, method, status_code)
-        VALUES (?, ?, ?)
-      `, [endpoint, method, statusCode], function(err) {
-        if (err) reject(err);
-        else resolve(this.lastID);
-      });
+      this.db.get(
+        'SELECT * FROM post_revisions WHERE scheduled_post_id = ? AND revision = ?',
+        [postId, revision],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
     });
   }
 
-  getTodayApiCallCount() {
+  getLatestPostRevision(postId) {
     return new Promise((resolve, reject) => {
-      const todayStart = Math.floor(new Date().setHours(0, 0, 0, 0) / 1000);
       this.db.get(
-        'SELECT COUNT(*) as count FROM api_calls WHERE timestamp >= ?',
-        [todayStart],
+        'SELECT * FROM post_revisions WHERE scheduled_post_id = ? ORDER BY revision DESC LIMIT 1',
+        [postId],
         (err, row) => {
           if (err) reject(err);
-          else resolve(row?.count || 0);
+          else resolve(row);
         }
       );
     });
   }
 
-  getRecentApiCalls(limit = 100) {
+  // Posts shown in the content calendar (drafts and skipped occurrences are left out)
+  getCalendarPosts(userSub, from, to) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT * FROM scheduled_posts
+        WHERE user_sub = ? AND status IN ('pending', 'publishing', 'published', 'failed', 'dead_letter')
+          AND COALESCE(published_at, publish_at) BETWEEN ? AND ?
+        ORDER BY COALESCE(published_at, publish_at) ASC
+      `, [userSub, from, to], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  // Company pages (organization authors)
+  getOrganizations(userSub) {
     return new Promise((resolve, reject) => {
       this.db.all(
-        'SELECT * FROM api_calls ORDER BY timestamp DESC LIMIT ?',
-        [limit],
+        'SELECT * FROM organizations WHERE user_sub = ? ORDER BY name COLLATE NOCASE ASC',
+        [userSub],
         (err, rows) => {
           if (err) reject(err);
           else resolve(rows || []);
@@ -552,434 +782,2249 @@ class Database {
     });
   }
 
-  // Analytics
-  getPostsPerWeek(userSub, weeks = 8) {
+  getOrganization(id, userSub) {
     return new Promise((resolve, reject) => {
-      const weeksAgo = Math.floor(Date.now() / 1000) - (weeks * 7 * 24 * 60 * 60);
-      this.db.all(`
-        SELECT
-          strftime('%Y-%W', datetime(published_at, 'unixepoch')) as week,
-          COUNT(*) as count
-        FROM scheduled_posts
-        WHERE user_sub = ? AND status = 'published' AND published_at >= ?
-        GROUP BY week
-        ORDER BY week ASC
-      `, [userSub, weeksAgo], (err, rows) => {
+      this.db.get('SELECT * FROM organizations WHERE id = ? AND user_sub = ?', [id, userSub], (err, row) => {
         if (err) reject(err);
-        else resolve(rows || []);
+        else resolve(row);
       });
     });
   }
 
-  // Activity log operations
-  logActivity(userSub, actionType, actionData, status) {
+  // Connect a page, or refresh the name and role of one already connected
+  saveOrganization(userSub, { organization_urn, name, vanity_name, role }) {
     return new Promise((resolve, reject) => {
-      const dataJson = actionData ? JSON.stringify(actionData) : null;
-
       this.db.run(`
-        INSERT INTO activity_log (user_sub, action_type, action_data, status)
-        VALUES (?, ?, ?, ?)
-      `, [userSub, actionType, dataJson, status], function(err) {
+        INSERT INTO organizations (user_sub, organization_urn, name, vanity_name, role)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(user_sub, organization_urn) DO UPDATE SET
+          name = excluded.name,
+          vanity_name = excluded.vanity_name,
+          role = excluded.role
+      `, [userSub, organization_urn, name, vanity_name || null, role || null], function(err) {
         if (err) reject(err);
-        else resolve(this.lastID);
+        else resolve(this.changes);
       });
     });
   }
 
-  getRecentActivity(userSub, limit = 50) {
+  deleteOrganization(id, userSub) {
     return new Promise((resolve, reject) => {
-      this.db.all(`
-        SELECT id, action_type, action_data, status, timestamp
-        FROM activity_log
-        WHERE user_sub = ?
-        ORDER BY timestamp DESC
-        LIMIT ?
-      `, [userSub, limit], (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          // Parse JSON action_data
-          const activities = rows.map(row => ({
-            ...row,
-            action_data: row.action_data ? JSON.parse(row.action_data) : null
-          }));
-          resolve(activities);
-        }
+      this.db.run('DELETE FROM organizations WHERE id = ? AND user_sub = ?', [id, userSub], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
       });
     });
   }
 
-  // Connection management operations
-  importConnections(userSub, connections) {
+  // Posts (outside series) and active series still to go out as an author
+  countUpcomingPostsByAuthor(userSub, authorUrn) {
     return new Promise((resolve, reject) => {
-      let successful = 0;
-      let skipped = 0;
-      let errors = 0;
+      this.db.get(`
+        SELECT
+          (SELECT COUNT(*) FROM scheduled_posts
+           WHERE user_sub = ? AND author_urn = ? AND status IN ('pending', 'publishing') AND series_id IS NULL) +
+          (SELECT COUNT(*) FROM post_series
+           WHERE user_sub = ? AND author_urn = ? AND status = 'active') AS count
+      `, [userSub, authorUrn, userSub, authorUrn], (err, row) => {
+        if (err) reject(err);
+        else resolve(row?.count || 0);
+      });
+    });
+  }
 
-      const stmt = this.db.prepare(`
-        INSERT OR IGNORE INTO connections
-        (user_sub, first_name, last_name, email, company, position, connected_on, linkedin_profile_url, location)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
+  // Posting queue operations
+  getPostingSlots(userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM posting_slots WHERE user_sub = ? ORDER BY weekday ASC, minute_of_day ASC',
+        [userSub],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
 
-      connections.forEach(conn => {
-        stmt.run([
-          userSub,
-          conn.firstName,
-          conn.lastName,
-          conn.email,
-          conn.company,
-          conn.position,
-          conn.connectedOn,
-          conn.linkedinUrl || null,
-          conn.location || null
-        ], function(err) {
+  // Replace all slots of a user in one transaction
+  replacePostingSlots(userSub, slots) {
+    return new Promise((resolve, reject) => {
+      const db = this.db;
+      db.serialize(() => {
+        db.run('BEGIN IMMEDIATE TRANSACTION');
+        db.run('DELETE FROM posting_slots WHERE user_sub = ?', [userSub]);
+        const stmt = db.prepare('INSERT OR IGNORE INTO posting_slots (user_sub, weekday, minute_of_day) VALUES (?, ?, ?)');
+        for (const slot of slots) {
+          stmt.run(userSub, slot.weekday, slot.minute_of_day);
+        }
+        stmt.finalize();
+        db.run('COMMIT', (err) => {
           if (err) {
-            errors++;
-          } else if (this.changes > 0) {
-            successful++;
+            db.run('ROLLBACK', () => reject(err));
           } else {
-            skipped++;
+            resolve(slots.length);
           }
         });
       });
+    });
+  }
 
-      stmt.finalize((err) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ successful, skipped, errors });
+  getBlackoutDates(userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM blackout_dates WHERE user_sub = ? ORDER BY start_date ASC',
+        [userSub],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
         }
-      });
+      );
     });
   }
 
-  getConnectionStats(userSub) {
+  createBlackoutDate(userSub, { start_date, end_date, label }) {
     return new Promise((resolve, reject) => {
-      this.db.get(`
-        SELECT
-          COUNT(*) as total,
-          SUM(CASE WHEN profile_fetched = 1 THEN 1 ELSE 0 END) as with_data,
-          SUM(CASE WHEN profile_fetched = 0 THEN 1 ELSE 0 END) as without_data
-        FROM connections
-        WHERE user_sub = ?
-      `, [userSub], (err, row) => {
-        if (err) reject(err);
-        else resolve(row || { total: 0, with_data: 0, without_data: 0 });
-      });
+      this.db.run(
+        'INSERT INTO blackout_dates (user_sub, start_date, end_date, label) VALUES (?, ?, ?, ?)',
+        [userSub, start_date, end_date, label || null],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+  }
+
+  deleteBlackoutDate(id, userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'DELETE FROM blackout_dates WHERE id = ? AND user_sub = ?',
+        [id, userSub],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  // Queued posts still waiting for their slot (not due yet, not retrying), in queue order
+  getQueuedPosts(userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT * FROM scheduled_posts
+        WHERE user_sub = ? AND status = 'pending' AND queued = 1 AND series_id IS NULL
+          AND next_retry_at IS NULL AND publish_at > strftime('%s', 'now')
+        ORDER BY publish_at ASC, id ASC
+      `, [userSub], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  // Move queued posts to new times in one transaction ([{id, publish_at}])
+  updateQueuedPublishTimes(userSub, changes) {
+    return new Promise((resolve, reject) => {
+      const db = this.db;
+      let updated = 0;
+      db.serialize(() => {
+        db.run('BEGIN IMMEDIATE TRANSACTION');
+        const stmt = db.prepare(`
+          UPDATE scheduled_posts SET publish_at = ?
+          WHERE id = ? AND user_sub = ? AND status = 'pending' AND queued = 1
+        `);
+        for (const change of changes) {
+          stmt.run(change.publish_at, change.id, userSub, function(err) {
+            if (!err) updated += this.changes;
+          });
+        }
+        stmt.finalize();
+        db.run('COMMIT', (err) => {
+          if (err) {
+            db.run('ROLLBACK', () => reject(err));
+          } else {
+            resolve(updated);
+          }
+        });
+      });
+    });
+  }
+
+  // Calendar feed operations
+  saveCalendarFeed(userSub, tokenHash) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        INSERT INTO calendar_feeds (user_sub, token_hash)
+        VALUES (?, ?)
+        ON CONFLICT(user_sub) DO UPDATE SET
+          token_hash = excluded.token_hash,
+          created_at = strftime('%s', 'now'),
+          last_accessed_at = NULL
+      `, [userSub, tokenHash], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  getCalendarFeed(userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM calendar_feeds WHERE user_sub = ?', [userSub], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  getCalendarFeedByHash(tokenHash) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM calendar_feeds WHERE token_hash = ?', [tokenHash], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  touchCalendarFeed(userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE calendar_feeds SET last_accessed_at = strftime(\'%s\', \'now\') WHERE user_sub = ?',
+        [userSub],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  deleteCalendarFeed(userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM calendar_feeds WHERE user_sub = ?', [userSub], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Recurring post series operations
+  createPostSeries(userSub, series) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        INSERT INTO post_series (user_sub, rrule, dtstart, timezone, content, image_url, post_type, document_title, author_urn,
+                                 first_comment, follow_up_comment, follow_up_delay_minutes)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        userSub,
+        series.rrule,
+        series.dtstart,
+        series.timezone || null,
+        series.content,
+        series.image_url || null,
+        series.post_type || 'text',
+        series.document_title || null,
+        series.author_urn || null,
+        series.first_comment || null,
+        series.follow_up_comment || null,
+        series.follow_up_comment ? series.follow_up_delay_minutes || null : null
+      ], function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+  }
+
+  getPostSeries(id, userSub = null) {
+    return new Promise((resolve, reject) => {
+      const userFilter = userSub ? 'AND user_sub = ?' : '';
+      const params = userSub ? [id, userSub] : [id];
+
+      this.db.get(`SELECT * FROM post_series WHERE id = ? ${userFilter}`, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  getPostSeriesList(userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM post_series WHERE user_sub = ? ORDER BY created_at DESC',
+        [userSub],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  updatePostSeriesStatus(id, status) {
+    return new Promise((resolve, reject) => {
+      this.db.run('UPDATE post_series SET status = ? WHERE id = ?', [status, id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Materialized occurrence of a series (pending, published, failed or skipped)
+  getSeriesOccurrencePost(seriesId, occurrenceAt) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM scheduled_posts WHERE series_id = ? AND occurrence_at = ?',
+        [seriesId, occurrenceAt],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  }
+
+  getPendingSeriesPost(seriesId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM scheduled_posts WHERE series_id = ? AND status = \'pending\' ORDER BY occurrence_at ASC LIMIT 1',
+        [seriesId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  }
+
+  getSeriesExceptions(seriesId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM post_series_exceptions WHERE series_id = ? ORDER BY occurrence_at ASC',
+        [seriesId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  saveSeriesException(seriesId, occurrenceAt, exception) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        INSERT OR REPLACE INTO post_series_exceptions (series_id, occurrence_at, action, content, image_url, publish_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        seriesId,
+        occurrenceAt,
+        exception.action,
+        exception.content || null,
+        exception.image_url || null,
+        exception.publish_at || null
+      ], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  getPendingScheduledPosts() {
+    return new Promise((resolve, reject) => {
+      const now = Math.floor(Date.now() / 1000);
+      this.db.all(`
+        SELECT * FROM scheduled_posts
+        WHERE status = 'pending' AND MAX(publish_at, COALESCE(next_retry_at, 0)) <= ?
+        ORDER BY publish_at ASC
+      `, [now], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  /**
+   * Atomically claim a due post for publishing (pending -> publishing).
+   * @returns {Promise<boolean>} false when another run claimed it first or it is not due
+   */
+  claimScheduledPost(id, leaseOwner, leaseSeconds) {
+    return new Promise((resolve, reject) => {
+      const now = Math.floor(Date.now() / 1000);
+      this.db.run(`
+        UPDATE scheduled_posts
+        SET status = 'publishing', lease_owner = ?, lease_expires_at = ?, claimed_at = ?,
+            idempotency_key = COALESCE(idempotency_key, lower(hex(randomblob(16))))
+        WHERE id = ? AND status = 'pending' AND MAX(publish_at, COALESCE(next_retry_at, 0)) <= ?
+      `, [leaseOwner, now + leaseSeconds, now, id, now], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes === 1);
+      });
+    });
+  }
+
+  renewPublishLease(id, leaseOwner, leaseSeconds) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        UPDATE scheduled_posts SET lease_expires_at = ?
+        WHERE id = ? AND status = 'publishing' AND lease_owner = ?
+      `, [Math.floor(Date.now() / 1000) + leaseSeconds, id, leaseOwner], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes === 1);
+      });
+    });
+  }
+
+  // Posts whose publishing lease ran out (the run that claimed them crashed or hung)
+  getExpiredPublishLeases() {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT * FROM scheduled_posts
+        WHERE status = 'publishing' AND lease_expires_at < ?
+      `, [Math.floor(Date.now() / 1000)], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  // Put a post with an expired lease back in the queue. The crashed run may have
+  // created it on LinkedIn already, so it is marked unconfirmed since the claim.
+  recoverPublishLease(id, leaseOwner) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        UPDATE scheduled_posts
+        SET status = 'pending', attempt_count = attempt_count + 1,
+            unconfirmed_since = COALESCE(unconfirmed_since, claimed_at),
+            lease_owner = NULL, lease_expires_at = NULL
+        WHERE id = ? AND status = 'publishing' AND lease_owner = ? AND lease_expires_at < ?
+      `, [id, leaseOwner, Math.floor(Date.now() / 1000)], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes === 1);
+      });
+    });
+  }
+
+  /**
+   * Publish outcome: published, pending (retry scheduled), failed or dead_letter.
+   * Only applied while the caller still holds the lease.
+   */
+  updatePublishState(id, leaseOwner, { status, attemptCount, nextRetryAt = null, linkedinPostId = null, errorMessage = null, unconfirmedSince = null }) {
+    return new Promise((resolve, reject) => {
+      const publishedAt = status === 'published' ? Math.floor(Date.now() / 1000) : null;
+      this.db.run(`
+        UPDATE scheduled_posts
+        SET status = ?, attempt_count = ?, next_retry_at = ?, linkedin_post_id = ?, error_message = ?,
+            published_at = ?, unconfirmed_since = ?, lease_owner = NULL, lease_expires_at = NULL
+        WHERE id = ? AND status = 'publishing' AND lease_owner = ?
+      `, [status, attemptCount, nextRetryAt, linkedinPostId, errorMessage, publishedAt, unconfirmedSince, id, leaseOwner], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Put a failed or dead-lettered post back in the queue with a fresh attempt budget
+  resetPublishRetry(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        UPDATE scheduled_posts
+        SET status = 'pending', attempt_count = 0, next_retry_at = NULL, error_message = NULL
+        WHERE id = ? AND (status IN ('failed', 'dead_letter') OR (status = 'pending' AND next_retry_at IS NOT NULL))
+      `, [id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Publish attempt history (attempt numbers run on across manual retries)
+  createPublishAttempt(attempt) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        INSERT INTO publish_attempts (
+          scheduled_post_id, attempt, triggered_by, outcome, failure_class, reason,
+          http_status, error_message, next_retry_at, lease_owner, idempotency_key, started_at
+        )
+        VALUES (?, (SELECT COUNT(*) + 1 FROM publish_attempts WHERE scheduled_post_id = ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        attempt.scheduled_post_id,
+        attempt.scheduled_post_id,
+        attempt.triggered_by || 'scheduler',
+        attempt.outcome,
+        attempt.failure_class || null,
+        attempt.reason || null,
+        attempt.http_status || null,
+        attempt.error_message || null,
+        attempt.next_retry_at || null,
+        attempt.lease_owner || null,
+        attempt.idempotency_key || null,
+        attempt.started_at
+      ], function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+  }
+
+  getPublishAttempts(postId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM publish_attempts WHERE scheduled_post_id = ? ORDER BY id DESC',
+        [postId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // First comment jobs (created when a post is published)
+  /**
+   * Queue the first / follow-up comment of a published post. Does nothing for
+   * comments that were queued already (UNIQUE post + kind).
+   * @param {Array<{kind, content, due_at}>} comments
+   */
+  createPostComments(post, comments) {
+    return new Promise((resolve, reject) => {
+      const stmt = this.db.prepare(`
+        INSERT OR IGNORE INTO post_comments (scheduled_post_id, user_sub, kind, content, due_at)
+        VALUES (?, ?, ?, ?, ?)
+      `);
+      for (const comment of comments) {
+        stmt.run(post.id, post.user_sub, comment.kind, comment.content, comment.due_at);
+      }
+      stmt.finalize(err => {
+        if (err) reject(err);
+        else resolve(comments.length);
+      });
+    });
+  }
+
+  getPostComment(id, postId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM post_comments WHERE id = ? AND scheduled_post_id = ?',
+        [id, postId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  }
+
+  // A comment with the post it goes under (as getDuePostComments returns it)
+  getPostCommentJob(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get(`
+        SELECT c.*, p.linkedin_post_id, p.author_urn
+        FROM post_comments c
+        JOIN scheduled_posts p ON p.id = c.scheduled_post_id
+        WHERE c.id = ?
+      `, [id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  getCommentsForPosts(postIds) {
+    return new Promise((resolve, reject) => {
+      if (postIds.length === 0) return resolve([]);
+      this.db.all(`
+        SELECT * FROM post_comments
+        WHERE scheduled_post_id IN (${postIds.map(() => '?').join(', ')})
+        ORDER BY due_at ASC, id ASC
+      `, postIds, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  // Comments that are due (of one post, or all), with the post they go under
+  getDuePostComments(postId = null) {
+    return new Promise((resolve, reject) => {
+      const now = Math.floor(Date.now() / 1000);
+      const postFilter = postId ? 'AND c.scheduled_post_id = ?' : '';
+      this.db.all(`
+        SELECT c.*, p.linkedin_post_id, p.author_urn
+        FROM post_comments c
+        JOIN scheduled_posts p ON p.id = c.scheduled_post_id
+        WHERE c.status = 'pending' AND MAX(c.due_at, COALESCE(c.next_retry_at, 0)) <= ? ${postFilter}
+        ORDER BY c.due_at ASC
+      `, postId ? [now, postId] : [now], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  // Atomically claim a due comment (pending -> posting), like claimScheduledPost
+  claimPostComment(id, leaseOwner, leaseSeconds) {
+    return new Promise((resolve, reject) => {
+      const now = Math.floor(Date.now() / 1000);
+      this.db.run(`
+        UPDATE post_comments
+        SET status = 'posting', lease_owner = ?, lease_expires_at = ?, claimed_at = ?
+        WHERE id = ? AND status = 'pending' AND MAX(due_at, COALESCE(next_retry_at, 0)) <= ?
+      `, [leaseOwner, now + leaseSeconds, now, id, now], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes === 1);
+      });
+    });
+  }
+
+  // Put comments whose lease ran out back in the queue, unconfirmed since the claim
+  recoverExpiredCommentLeases() {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        UPDATE post_comments
+        SET status = 'pending', attempt_count = attempt_count + 1,
+            unconfirmed_since = COALESCE(unconfirmed_since, claimed_at),
+            lease_owner = NULL, lease_expires_at = NULL
+        WHERE status = 'posting' AND lease_expires_at < ?
+      `, [Math.floor(Date.now() / 1000)], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  /**
+   * Comment outcome: posted, pending (retry scheduled), failed or dead_letter.
+   * Only applied while the caller still holds the lease.
+   */
+  updatePostCommentState(id, leaseOwner, { status, attemptCount, nextRetryAt = null, commentId = null, errorMessage = null, unconfirmedSince = null }) {
+    return new Promise((resolve, reject) => {
+      const postedAt = status === 'posted' ? Math.floor(Date.now() / 1000) : null;
+      this.db.run(`
+        UPDATE post_comments
+        SET status = ?, attempt_count = ?, next_retry_at = ?, linkedin_comment_id = ?, error_message = ?,
+            posted_at = ?, unconfirmed_since = ?, lease_owner = NULL, lease_expires_at = NULL
+        WHERE id = ? AND status = 'posting' AND lease_owner = ?
+      `, [status, attemptCount, nextRetryAt, commentId, errorMessage, postedAt, unconfirmedSince, id, leaseOwner], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Put a failed or dead-lettered comment back in the queue with a fresh attempt budget
+  resetPostCommentRetry(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        UPDATE post_comments
+        SET status = 'pending', attempt_count = 0, next_retry_at = NULL, error_message = NULL
+        WHERE id = ? AND (status IN ('failed', 'dead_letter') OR (status = 'pending' AND next_retry_at IS NOT NULL))
+      `, [id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Drafts are listed separately (getDrafts). authorUrn limits the list to one author.
+  getScheduledPosts(userSub, limit = 50, authorUrn = null) {
+    return new Promise((resolve, reject) => {
+      const author = authorCondition(authorUrn);
+      this.db.all(`
+        SELECT * FROM scheduled_posts
+        WHERE user_sub = ? AND status != 'draft' ${author.sql}
+        ORDER BY publish_at DESC
+        LIMIT ?
+      `, [userSub, ...author.params, limit], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  updateScheduledPostStatus(id, status, linkedinPostId = null, errorMessage = null) {
+    return new Promise((resolve, reject) => {
+      const publishedAt = status === 'published' ? Math.floor(Date.now() / 1000) : null;
+      this.db.run(`
+        UPDATE scheduled_posts
+        SET status = ?, linkedin_post_id = ?, error_message = ?, published_at = ?
+        WHERE id = ?
+      `, [status, linkedinPostId, errorMessage, publishedAt, id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Posts published since midnight in the user's time zone
+  getTodayScheduledPostCount(userSub, zone = timezone.DEFAULT_TIMEZONE) {
+    return new Promise((resolve, reject) => {
+      const todayStart = timezone.startOfDay(zone);
+      this.db.get(`
+        SELECT COUNT(*) as count FROM scheduled_posts
+        WHERE user_sub = ? AND published_at >= ? AND status = 'published'
+      `, [userSub, todayStart], (err, row) => {
+        if (err) reject(err);
+        else resolve(row?.count || 0);
+      });
+    });
+  }
+
+  // Delete a pending or draft post with its media rows, revisions, publish attempts and
+  // comment jobs (the schema's ON DELETE CASCADE does not apply: foreign keys are not enforced)
+  deleteScheduledPost(id, userSub) {
+    return new Promise((resolve, reject) => {
+      const db = this.db;
+      const deletable = "SELECT id FROM scheduled_posts WHERE id = ? AND user_sub = ? AND status IN ('pending', 'draft')";
+      let failure = null;
+      let deleted = 0;
+      const check = (err) => {
+        if (err && !failure) failure = err;
+      };
+
+      db.serialize(() => {
+        db.run('BEGIN IMMEDIATE TRANSACTION', check);
+        for (const table of ['post_media', 'post_revisions', 'publish_attempts', 'post_comments']) {
+          db.run(`DELETE FROM ${table} WHERE scheduled_post_id IN (${deletable})`, [id, userSub], check);
+        }
+        db.run(
+          'DELETE FROM scheduled_posts WHERE id = ? AND user_sub = ? AND status IN (\'pending\', \'draft\')',
+          [id, userSub],
+          function(err) {
+            check(err);
+            if (!err) deleted = this.changes;
+          }
+        );
+        db.run('COMMIT', (err) => {
+          if (err) {
+            db.run('ROLLBACK', () => reject(err));
+          } else if (failure) {
+            reject(failure);
+          } else {
+            resolve(deleted);
+          }
+        });
+      });
+    });
+  }
+
+  // Stored files that media rows still point to (series occurrences share files)
+  getMediaFilesInUse(filePaths) {
+    return new Promise((resolve, reject) => {
+      if (filePaths.length === 0) return resolve(new Set());
+
+      this.db.all(
+        `SELECT DISTINCT file_path FROM post_media WHERE file_path IN (${filePaths.map(() => '?').join(', ')})`,
+        filePaths,
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(new Set((rows || []).map(row => row.file_path)));
+        }
+      );
+    });
+  }
+
+  // Post media operations
+  createPostMedia(userSub, media) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        INSERT INTO post_media (
+          user_sub, scheduled_post_id, media_type, position, source, source_url,
+          original_name, file_path, mime_type, size_bytes, alt_text
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        userSub,
+        media.scheduled_post_id || null,
+        media.media_type || 'image',
+        media.position || 0,
+        media.source,
+        media.source_url || null,
+        media.original_name || null,
+        media.file_path,
+        media.mime_type || null,
+        media.size_bytes || null,
+        media.alt_text || null
+      ], function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+  }
+
+  detachPostMedia(postId) {
+    return new Promise((resolve, reject) => {
+      this.db.run('UPDATE post_media SET scheduled_post_id = NULL WHERE scheduled_post_id = ?', [postId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  attachPostMedia(mediaIds, postId) {
+    return new Promise((resolve, reject) => {
+      if (mediaIds.length === 0) return resolve(0);
+
+      const placeholders = mediaIds.map(() => '?').join(', ');
+      this.db.run(
+        `UPDATE post_media SET scheduled_post_id = ? WHERE id IN (${placeholders})`,
+        [postId, ...mediaIds],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  getPostMedia(postId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM post_media WHERE scheduled_post_id = ? ORDER BY position ASC, id ASC',
+        [postId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  getMediaForPosts(postIds) {
+    return new Promise((resolve, reject) => {
+      if (postIds.length === 0) return resolve([]);
+
+      const placeholders = postIds.map(() => '?').join(', ');
+      this.db.all(
+        `SELECT * FROM post_media WHERE scheduled_post_id IN (${placeholders}) ORDER BY position ASC, id ASC`,
+        postIds,
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  getMediaById(id, userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM post_media WHERE id = ? AND user_sub = ?',
+        [id, userSub],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  }
+
+  updatePostMediaStatus(id, status, linkedinUrn = null, errorMessage = null) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        UPDATE post_media
+        SET status = ?, linkedin_urn = COALESCE(?, linkedin_urn), error_message = ?,
+            updated_at = strftime('%s', 'now')
+        WHERE id = ?
+      `, [status, linkedinUrn, errorMessage, id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Upload the post's media again at publish time (LinkedIn media belongs to one author)
+  resetPostMediaUploads(postId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        UPDATE post_media
+        SET status = 'stored', linkedin_urn = NULL, error_message = NULL, updated_at = strftime('%s', 'now')
+        WHERE scheduled_post_id = ? AND linkedin_urn IS NOT NULL
+      `, [postId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Remove the media rows of a post (stored files stay; series occurrences share them)
+  deletePostMedia(postId) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM post_media WHERE scheduled_post_id = ?', [postId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Later occurrences of a series reuse the media (and LinkedIn URNs) of the first one
+  // that has media and still shows the series image
+  copySeriesMedia(seriesId, toPostId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        INSERT INTO post_media (
+          user_sub, scheduled_post_id, media_type, position, source, source_url, original_name,
+          file_path, mime_type, size_bytes, alt_text, status, linkedin_urn
+        )
+        SELECT user_sub, ?, media_type, position, source, source_url, original_name,
+          file_path, mime_type, size_bytes, alt_text,
+          CASE WHEN status = 'uploaded' THEN 'uploaded' ELSE 'stored' END,
+          CASE WHEN status = 'uploaded' THEN linkedin_urn ELSE NULL END
+        FROM post_media
+        WHERE scheduled_post_id = (
+          SELECT sp.id FROM scheduled_posts sp
+          JOIN post_series s ON s.id = sp.series_id
+          WHERE sp.series_id = ? AND sp.id != ? AND sp.image_url IS s.image_url
+            AND EXISTS (SELECT 1 FROM post_media pm WHERE pm.scheduled_post_id = sp.id)
+          ORDER BY sp.occurrence_at ASC LIMIT 1
+        )
+      `, [toPostId, seriesId, toPostId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // API call tracking
+  trackApiCall(call) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        INSERT INTO api_calls (endpoint, method, status_code, latency_ms, user_sub, endpoint_family, feature)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [
+        call.endpoint,
+        call.method,
+        call.statusCode,
+        call.latencyMs ?? null,
+        call.userSub || null,
+        call.endpointFamily || 'other',
+        call.feature || null
+      ], function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+  }
+
+  // Calls since the start of the current UTC day (LinkedIn quotas reset at midnight UTC)
+  getTodayApiCallCount(userSub = null) {
+    return new Promise((resolve, reject) => {
+      const todayStart = Math.floor(Date.now() / 86400000) * 86400;
+      const userFilter = userSub ? 'AND user_sub = ?' : '';
+      const params = userSub ? [todayStart, userSub] : [todayStart];
+
+      this.db.get(
+        `SELECT COUNT(*) as count FROM api_calls WHERE timestamp >= ? ${userFilter}`,
+        params,
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row?.count || 0);
+        }
+      );
+    });
+  }
+
+  getRecentApiCalls(limit = 100, userSub = null) {
+    return new Promise((resolve, reject) => {
+      const userFilter = userSub ? 'WHERE user_sub = ?' : '';
+      const params = userSub ? [userSub, limit] : [limit];
+
+      this.db.all(
+        `SELECT * FROM api_calls ${userFilter} ORDER BY timestamp DESC LIMIT ?`,
+        params,
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
+
+  // Call counts per endpoint family since a timestamp (all members when userSub is null)
+  getApiUsageByFamily(userSub, since) {
+    return new Promise((resolve, reject) => {
+      const userFilter = userSub ? 'AND user_sub = ?' : '';
+      const params = userSub ? [since, userSub] : [since];
+
+      this.db.all(`
+        SELECT COALESCE(endpoint_family, 'other') as endpoint_family, COUNT(*) as count
+        FROM api_calls
+        WHERE timestamp >= ? ${userFilter}
+        GROUP BY COALESCE(endpoint_family, 'other')
+      `, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  // Which feature/endpoint spent a member's calls since a timestamp
+  getApiUsageBreakdown(userSub, since) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT
+          COALESCE(feature, 'other') as feature,
+          COALESCE(endpoint_family, 'other') as endpoint_family,
+          endpoint,
+          method,
+          COUNT(*) as count,
+          SUM(CASE WHEN status_code IS NULL OR status_code >= 400 THEN 1 ELSE 0 END) as errors,
+          ROUND(AVG(latency_ms)) as avg_latency_ms
+        FROM api_calls
+        WHERE user_sub = ? AND timestamp >= ?
+        GROUP BY feature, endpoint_family, endpoint, method
+        ORDER BY count DESC
+      `, [userSub, since], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  // Quota policies: the member's own rows override the '*' defaults
+  getQuotaPolicies(userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT * FROM api_quota_policies
+        WHERE user_sub IN ('*', ?)
+      `, [userSub], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  setQuotaPolicy(userSub, endpointFamily, memberDailyLimit) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        INSERT OR REPLACE INTO api_quota_policies (user_sub, endpoint_family, member_daily_limit, updated_at)
+        VALUES (?, ?, ?, strftime('%s', 'now'))
+      `, [userSub, endpointFamily, memberDailyLimit], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  deleteQuotaPolicy(userSub, endpointFamily) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'DELETE FROM api_quota_policies WHERE user_sub = ? AND endpoint_family = ?',
+        [userSub, endpointFamily],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  // Analytics
+  // Own posts with their engagement counts and synced engagement events (best time to post).
+  // posted_at may be in milliseconds (LinkedIn created.time) or seconds.
+  getPostEngagementHistory(userSub, since) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT
+          tp.post_id, tp.posted_at,
+          COALESCE(tp.total_reactions, 0) AS total_reactions,
+          COALESCE(tp.total_comments, 0) AS total_comments,
+          COALESCE(tp.total_shares, 0) AS total_shares,
+          (SELECT COUNT(*) FROM engagement_events e WHERE e.post_id = tp.post_id) AS event_count
+        FROM tracked_posts tp
+        WHERE tp.user_sub = ? AND tp.posted_at IS NOT NULL
+          AND (CASE WHEN tp.posted_at > 100000000000 THEN tp.posted_at / 1000 ELSE tp.posted_at END) >= ?
+      `, [userSub, since], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  // When engagers reacted to or commented on the user's posts
+  getEngagementActivity(userSub, since) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT e.happened_at
+        FROM engagement_events e
+        JOIN tracked_posts tp ON tp.post_id = e.post_id
+        WHERE tp.user_sub = ?
+          AND (CASE WHEN e.happened_at > 100000000000 THEN e.happened_at / 1000 ELSE e.happened_at END) >= ?
+      `, [userSub, since], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  // Publish times of the user's posts still to go out
+  getUpcomingPublishTimes(userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT publish_at FROM scheduled_posts
+        WHERE user_sub = ? AND status IN ('pending', 'publishing') AND publish_at >= strftime('%s', 'now')
+        ORDER BY publish_at ASC
+      `, [userSub], (err, rows) => {
+        if (err) reject(err);
+        else resolve((rows || []).map(row => row.publish_at));
+      });
+    });
+  }
+
+  // Latest published or pending posts (for near-duplicate checks)
+  getRecentPostContents(userSub, limit = 20) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT id, content, status FROM scheduled_posts
+        WHERE user_sub = ? AND status IN ('pending', 'publishing', 'published')
+        ORDER BY COALESCE(published_at, publish_at) DESC
+        LIMIT ?
+      `, [userSub, limit], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  // Published posts per week (Monday-based, %Y-%W keys) in the user's time zone
+  getPostsPerWeek(userSub, weeks = 8, zone = timezone.DEFAULT_TIMEZONE, authorUrn = null) {
+    return new Promise((resolve, reject) => {
+      const since = timezone.startOfWeek(zone) - ((weeks - 1) * 7 * 24 * 60 * 60);
+      const author = authorCondition(authorUrn);
+      this.db.all(`
+        SELECT published_at FROM scheduled_posts
+        WHERE user_sub = ? AND status = 'published' AND published_at >= ? ${author.sql}
+        ORDER BY published_at ASC
+      `, [userSub, since, ...author.params], (err, rows) => {
+        if (err) return reject(err);
+
+        const result = new Map();
+        for (const row of rows || []) {
+          const weekStart = timezone.startOfWeek(zone, row.published_at);
+          if (!result.has(weekStart)) {
+            const { year, month, day } = timezone.wallClock(weekStart, zone);
+            // Same numbering as SQLite's %W: week 01 starts on the year's first Monday
+            const yearDay = (Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 1)) / 86400000;
+            const week = Math.floor((yearDay + 7) / 7);
+            result.set(weekStart, {
+              week: `${year}-${String(week).padStart(2, '0')}`,
+              week_start: timezone.toIsoString(weekStart, zone),
+              count: 0
+            });
+          }
+          result.get(weekStart).count++;
+        }
+
+        resolve([...result.values()]);
+      });
+    });
+  }
+
+  // Activity log operations
+  logActivity(userSub, actionType, actionData, status) {
+    return new Promise((resolve, reject) => {
+      const dataJson = actionData ? JSON.stringify(actionData) : null;
+
+      this.db.run(`
+        INSERT INTO activity_log (user_sub, action_type, action_data, status)
+        VALUES (?, ?, ?, ?)
+      `, [userSub, actionType, dataJson, status], function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+  }
+
+  getRecentActivity(userSub, limit = 50) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT id, action_type, action_data, status, timestamp
+        FROM activity_log
+        WHERE user_sub = ?
+        ORDER BY timestamp DESC
+        LIMIT ?
+      `, [userSub, limit], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          // Parse JSON action_data
+          const activities = rows.map(row => ({
+            ...row,
+            action_data: row.action_data ? JSON.parse(row.action_data) : null
+          }));
+          resolve(activities);
+        }
+      });
+    });
+  }
+
+  // Connection management operations
+  importConnections(userSub, connections) {
+    return new Promise((resolve, reject) => {
+      let successful = 0;
+      let skipped = 0;
+      let errors = 0;
+
+      const stmt = this.db.prepare(`
+        INSERT OR IGNORE INTO connections
+        (user_sub, first_name, last_name, email, company, position, connected_on, linkedin_profile_url, location)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      connections.forEach(conn => {
+        stmt.run([
+          userSub,
+          conn.firstName,
+          conn.lastName,
+          conn.email,
+          conn.company,
+          conn.position,
+          conn.connectedOn,
+          conn.linkedinUrl || null,
+          conn.location || null
+        ], function(err) {
+          if (err) {
+            errors++;
+          } else if (this.changes > 0) {
+            successful++;
+          } else {
+            skipped++;
+          }
+        });
+      });
+
+      stmt.finalize((err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ successful, skipped, errors });
+        }
+      });
+    });
+  }
+
+  getConnectionStats(userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.get(`
+        SELECT
+          COUNT(*) as total,
+          SUM(CASE WHEN profile_fetched = 1 THEN 1 ELSE 0 END) as with_data,
+          SUM(CASE WHEN profile_fetched = 0 THEN 1 ELSE 0 END) as without_data
+        FROM connections
+        WHERE user_sub = ?
+      `, [userSub], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || { total: 0, with_data: 0, without_data: 0 });
+      });
     });
   }
 
   searchConnections(userSub, query, category = 'all', limit = 50, offset = 0) {
     return new Promise((resolve, reject) => {
-      const searchPattern = `%${query}%`;
+      const searchPattern = `%${query}%`;
+
+      // Build WHERE clause based on category
+      let whereClause;
+      let countParams;
+      let queryParams;
+
+      if (category === 'all') {
+        whereClause = `user_sub = ? AND (
+          first_name LIKE ? OR
+          last_name LIKE ? OR
+          company LIKE ? OR
+          position LIKE ? OR
+          location LIKE ?
+        )`;
+        countParams = [userSub, searchPattern, searchPattern, searchPattern, searchPattern, searchPattern];
+        queryParams = [userSub, searchPattern, searchPattern, searchPattern, searchPattern, searchPattern, limit, offset];
+      } else if (category === 'name') {
+        whereClause = `user_sub = ? AND (
+          first_name LIKE ? OR
+          last_name LIKE ? OR
+          first_name || ' ' || last_name LIKE ?
+        )`;
+        countParams = [userSub, searchPattern, searchPattern, searchPattern];
+        queryParams = [userSub, searchPattern, searchPattern, searchPattern, limit, offset];
+      } else if (category === 'company') {
+        whereClause = `user_sub = ? AND company LIKE ?`;
+        countParams = [userSub, searchPattern];
+        queryParams = [userSub, searchPattern, limit, offset];
+      } else if (category === 'position') {
+        whereClause = `user_sub = ? AND position LIKE ?`;
+        countParams = [userSub, searchPattern];
+        queryParams = [userSub, searchPattern, limit, offset];
+      } else if (category === 'location') {
+        whereClause = `user_sub = ? AND location LIKE ?`;
+        countParams = [userSub, searchPattern];
+        queryParams = [userSub, searchPattern, limit, offset];
+      } else {
+        // Default to all if invalid category
+        whereClause = `user_sub = ? AND (
+          first_name LIKE ? OR
+          last_name LIKE ? OR
+          company LIKE ? OR
+          position LIKE ? OR
+          location LIKE ?
+        )`;
+        countParams = [userSub, searchPattern, searchPattern, searchPattern, searchPattern, searchPattern];
+        queryParams = [userSub, searchPattern, searchPattern, searchPattern, searchPattern, searchPattern, limit, offset];
+      }
+
+      // First get total count
+      this.db.get(`
+        SELECT COUNT(*) as total
+        FROM connections
+        WHERE ${whereClause}
+      `, countParams,
+      (err, countRow) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const total = countRow.total;
+
+        // Then get paginated results
+        this.db.all(`
+          SELECT id, first_name, last_name, email, company, position,
+                 connected_on, linkedin_profile_url, location, profile_fetched, tags, notes,
+                 linkedin_urn
+          FROM connections
+          WHERE ${whereClause}
+          ORDER BY last_name, first_name
+          LIMIT ? OFFSET ?
+        `, queryParams,
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({
+              connections: rows || [],
+              total: total
+            });
+          }
+        });
+      });
+    });
+  }
+
+  getConnectionsWithoutProfileData(userSub, limit = 50) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT id, first_name, last_name, email, company, position, connected_on
+        FROM connections
+        WHERE user_sub = ? AND profile_fetched = 0
+        ORDER BY created_at ASC
+        LIMIT ?
+      `, [userSub, limit], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  getConnectionById(connectionId, userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.get(`
+        SELECT * FROM connections
+        WHERE id = ? AND user_sub = ?
+      `, [connectionId, userSub], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  updateConnectionProfileData(connectionId, userSub, profileData) {
+    return new Promise((resolve, reject) => {
+      const dataJson = JSON.stringify(profileData);
+      const now = Math.floor(Date.now() / 1000);
+
+      this.db.run(`
+        UPDATE connections
+        SET profile_data = ?,
+            profile_fetched = 1,
+            last_fetched_at = ?,
+            updated_at = ?
+        WHERE id = ? AND user_sub = ?
+      `, [dataJson, now, now, connectionId, userSub], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // LinkedIn member URN of a connection (null clears it)
+  updateConnectionUrn(connectionId, userSub, urn) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        UPDATE connections
+        SET linkedin_urn = ?, updated_at = strftime('%s', 'now')
+        WHERE id = ? AND user_sub = ?
+      `, [urn, connectionId, userSub], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Connections with a known URN, as { id, name, urn } for @mentions
+  getMentionableConnections(userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT id, TRIM(COALESCE(first_name, '') || ' ' || COALESCE(last_name, '')) as name, linkedin_urn as urn
+        FROM connections
+        WHERE user_sub = ? AND linkedin_urn IS NOT NULL
+      `, [userSub], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  updateConnectionTags(connectionId, userSub, tags) {
+    return new Promise((resolve, reject) => {
+      const tagsJson = JSON.stringify(tags);
+      const now = Math.floor(Date.now() / 1000);
+
+      this.db.run(`
+        UPDATE connections
+        SET tags = ?, updated_at = ?
+        WHERE id = ? AND user_sub = ?
+      `, [tagsJson, now, connectionId, userSub], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  updateConnectionNotes(connectionId, userSub, notes) {
+    return new Promise((resolve, reject) => {
+      const now = Math.floor(Date.now() / 1000);
+
+      this.db.run(`
+        UPDATE connections
+        SET notes = ?, updated_at = ?
+        WHERE id = ? AND user_sub = ?
+      `, [notes, now, connectionId, userSub], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  getAllConnections(userSub, limit = 1000, offset = 0) {
+    return new Promise((resolve, reject) => {
+      console.log(`[DB] getAllConnections - userSub: ${userSub}, limit: ${limit}, offset: ${offset}`);
+
+      this.db.all(`
+        SELECT id, first_name, last_name, email, company, position,
+               connected_on, linkedin_profile_url, location, profile_fetched, tags, notes, last_fetched_at,
+               linkedin_urn
+        FROM connections
+        WHERE user_sub = ?
+        ORDER BY last_name, first_name
+        LIMIT ? OFFSET ?
+      `, [userSub, limit, offset], (err, rows) => {
+        if (err) {
+          console.error('[DB] Error in getAllConnections:', err);
+          reject(err);
+        } else {
+          console.log(`[DB] getAllConnections returned ${rows ? rows.length : 0} rows`);
+          if (rows && rows.length > 0) {
+            console.log(`[DB] First connection: ${rows[0].first_name} ${rows[0].last_name} (ID: ${rows[0].id})`);
+            console.log(`[DB] Last connection: ${rows[rows.length-1].first_name} ${rows[rows.length-1].last_name} (ID: ${rows[rows.length-1].id})`);
+          }
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  // ========== ENGAGEMENT SYSTEM METHODS ==========
+
+  // Sync sessions
+  getSyncSession(userSub, date) {
+    return new Promise((resolve, reject) => {
+      this.db.get(`
+        SELECT * FROM sync_sessions WHERE user_sub = ? AND session_date = ?
+      `, [userSub, date], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
 
-      // Build WHERE clause based on category
-      let whereClause;
-      let countParams;
-      let queryParams;
+  createSyncSession(data) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        INSERT INTO sync_sessions (user_sub, session_date, status, api_calls_limit, started_at)
+        VALUES (?, ?, ?, ?, ?)
+      `, [data.user_sub, data.session_date, data.status, data.api_calls_limit, data.started_at],
+      function(err) {
+        if (err) reject(err);
+        else resolve({ id: this.lastID, ...data });
+      });
+    });
+  }
 
-      if (category === 'all') {
-        whereClause = `user_sub = ? AND (
-          first_name LIKE ? OR
-          last_name LIKE ? OR
-          company LIKE ? OR
-          position LIKE ? OR
-          location LIKE ?
-        )`;
-        countParams = [userSub, searchPattern, searchPattern, searchPattern, searchPattern, searchPattern];
-        queryParams = [userSub, searchPattern, searchPattern, searchPattern, searchPattern, searchPattern, limit, offset];
-      } else if (category === 'name') {
-        whereClause = `user_sub = ? AND (
-          first_name LIKE ? OR
-          last_name LIKE ?
-        )`;
-        countParams = [userSub, searchPattern, searchPattern];
-        queryParams = [userSub, searchPattern, searchPattern, limit, offset];
-      } else if (category === 'company') {
-        whereClause = `user_sub = ? AND company LIKE ?`;
-        countParams = [userSub, searchPattern];
-        queryParams = [userSub, searchPattern, limit, offset];
-      } else if (category === 'position') {
-        whereClause = `user_sub = ? AND position LIKE ?`;
-        countParams = [userSub, searchPattern];
-        queryParams = [userSub, searchPattern, limit, offset];
-      } else if (category === 'location') {
-        whereClause = `user_sub = ? AND location LIKE ?`;
-        countParams = [userSub, searchPattern];
-        queryParams = [userSub, searchPattern, limit, offset];
-      } else {
-        // Default to all if invalid category
-        whereClause = `user_sub = ? AND (
-          first_name LIKE ? OR
-          last_name LIKE ? OR
-          company LIKE ? OR
-          position LIKE ? OR
-          location LIKE ?
-        )`;
-        countParams = [userSub, searchPattern, searchPattern, searchPattern, searchPattern, searchPattern];
-        queryParams = [userSub, searchPattern, searchPattern, searchPattern, searchPattern, searchPattern, limit, offset];
+  updateSyncSession(sessionId, updates) {
+    return new Promise((resolve, reject) => {
+      const fields = Object.keys(updates).map(k => `${k} = ?`).join(', ');
+      const values = Object.values(updates);
+
+      this.db.run(`
+        UPDATE sync_sessions SET ${fields} WHERE id = ?
+      `, [...values, sessionId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Mark AI-relevant connections by keywords
+  markAIRelevantByKeywords(userSub, keywords) {
+    return new Promise((resolve, reject) => {
+      const conditions = keywords.map(() =>
+        `(LOWER(position) LIKE ? OR LOWER(company) LIKE ?)`
+      ).join(' OR ');
+
+      const params = keywords.flatMap(kw => [`%${kw}%`, `%${kw}%`]);
+
+      this.db.run(`
+        INSERT OR REPLACE INTO engagement_summary (connection_id, ai_relevant, last_calculated)
+        SELECT c.id, 1, strftime('%s', 'now')
+        FROM connections c
+        WHERE c.user_sub = ? AND (${conditions})
+      `, [userSub, ...params], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Sync queue operations
+  addToSyncQueue(data) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        INSERT OR IGNORE INTO sync_queue (connection_id, priority, status)
+        VALUES (?, ?, ?)
+      `, [data.connection_id, data.priority, data.status], function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+  }
+
+  getNextSyncBatch(limit = 10) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT * FROM sync_queue
+        WHERE status = 'pending'
+        ORDER BY priority DESC, created_at ASC
+        LIMIT ?
+      `, [limit], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  updateQueueItem(queueId, updates) {
+    return new Promise((resolve, reject) => {
+      const fields = Object.keys(updates).map(k => `${k} = ?`).join(', ');
+      const values = Object.values(updates);
+
+      this.db.run(`
+        UPDATE sync_queue SET ${fields} WHERE id = ?
+      `, [...values, queueId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Tracked posts
+  // Insert or refresh a tracked post (engagement totals and snapshots are kept)
+  saveTrackedPost(data) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        INSERT INTO tracked_posts (post_id, user_sub, post_text, posted_at, sync_priority, author_urn)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(post_id) DO UPDATE SET
+          post_text = excluded.post_text, posted_at = excluded.posted_at,
+          sync_priority = excluded.sync_priority, author_urn = excluded.author_urn
+      `, [data.post_id, data.user_sub, data.post_text, data.posted_at, data.sync_priority, data.author_urn || null],
+      function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+  }
+
+  // Track posts published by the scheduler since `since`, so they are snapshotted from the start
+  trackPublishedPosts(since) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        INSERT OR IGNORE INTO tracked_posts (post_id, user_sub, post_text, posted_at, sync_priority, author_urn)
+        SELECT linkedin_post_id, user_sub, content, published_at, 100, author_urn
+        FROM scheduled_posts
+        WHERE status = 'published' AND linkedin_post_id IS NOT NULL AND published_at >= ?
+      `, [since], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Whether a LinkedIn post is one the user tracks or published from here
+  isOwnPost(postId, userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.get(`
+        SELECT EXISTS (SELECT 1 FROM tracked_posts WHERE post_id = ? AND user_sub = ?)
+            OR EXISTS (SELECT 1 FROM scheduled_posts WHERE linkedin_post_id = ? AND user_sub = ? AND status = 'published') AS own
+      `, [postId, userSub, postId, userSub], (err, row) => {
+        if (err) reject(err);
+        else resolve(!!row?.own);
+      });
+    });
+  }
+
+  getTrackedPost(id, userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.get(`
+        SELECT *, ${postedAtSeconds()} AS posted_at FROM tracked_posts WHERE id = ? AND user_sub = ?
+      `, [id, userSub], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  // Tracked posts of a user posted since `since` (newest first), posted_at in seconds
+  getTrackedPostsSince(userSub, since, authorUrn = null) {
+    return new Promise((resolve, reject) => {
+      const author = authorCondition(authorUrn);
+      this.db.all(`
+        SELECT *, ${postedAtSeconds()} AS posted_at FROM tracked_posts
+        WHERE user_sub = ? AND posted_at IS NOT NULL AND ${postedAtSeconds()} >= ? ${author.sql}
+        ORDER BY ${postedAtSeconds()} DESC
+      `, [userSub, since, ...author.params], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  // Record a performance snapshot and keep the latest totals on the tracked post
+  async savePostSnapshot(snapshot) {
+    const run = (sql, params) => new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+    const reactionsByType = JSON.stringify(snapshot.reactions_by_type || {});
+
+    await run(`
+      INSERT INTO post_snapshots (post_id, user_sub, captured_at, reactions, reactions_by_type, comments, shares, impressions)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [snapshot.post_id, snapshot.user_sub, snapshot.captured_at, snapshot.reactions, reactionsByType,
+      snapshot.comments, snapshot.shares ?? null, snapshot.impressions ?? null]);
+
+    await run(`
+      UPDATE tracked_posts
+      SET total_reactions = ?, reactions_by_type = ?, total_comments = ?,
+          total_shares = COALESCE(?, total_shares), impressions = COALESCE(?, impressions),
+          last_snapshot_at = ?, last_synced = ?
+      WHERE post_id = ?
+    `, [snapshot.reactions, reactionsByType, snapshot.comments, snapshot.shares ?? null, snapshot.impressions ?? null,
+      snapshot.captured_at, snapshot.captured_at, snapshot.post_id]);
+  }
+
+  getSnapshotsForPosts(postIds) {
+    return new Promise((resolve, reject) => {
+      if (postIds.length === 0) return resolve([]);
+      this.db.all(`
+        SELECT * FROM post_snapshots
+        WHERE post_id IN (${postIds.map(() => '?').join(', ')})
+        ORDER BY captured_at ASC
+      `, postIds, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  // Recent tracked posts whose comments should be (re)loaded into the inbox: never loaded,
+  // or the comment count of a newer snapshot differs from the stored comments (all: every post)
+  getPostsForCommentSync(userSub, since, all = false) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT tp.*, ${postedAtSeconds()} AS posted_at FROM tracked_posts tp
+        WHERE tp.user_sub = ? AND tp.posted_at IS NOT NULL AND ${postedAtSeconds()} >= ?
+          AND (? OR tp.comments_synced_at IS NULL OR (
+            tp.last_snapshot_at > tp.comments_synced_at AND
+            tp.total_comments != (SELECT COUNT(*) FROM inbox_comments ic WHERE ic.user_sub = tp.user_sub AND ic.post_id = tp.post_id)
+          ))
+        ORDER BY ${postedAtSeconds()} DESC
+      `, [userSub, since, all ? 1 : 0], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  // Store the comments of a post (inserted or refreshed; the inbox status is kept) and
+  // recompute which ones we answered. complete: the list is all of the post's comments,
+  // so stored ones missing from it were deleted on LinkedIn.
+  // comments: [{ comment_id, comment_urn, parent_comment_id, parent_comment_urn, actor_urn, text, commented_at, is_own,
+  //              reply_template_id, sentiment, sentiment_score, intents }]
+  saveInboxComments(userSub, postId, comments, { complete = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const db = this.db;
+      const now = Math.floor(Date.now() / 1000);
+      let failure = null;
+      const check = (err) => {
+        if (err && !failure) failure = err;
+      };
+
+      // Queued back to back on the shared connection, so no other statement runs inside the transaction
+      db.serialize(() => {
+        db.run('BEGIN IMMEDIATE TRANSACTION', check);
+        const stmt = db.prepare(`
+          INSERT INTO inbox_comments (user_sub, post_id, comment_id, comment_urn, parent_comment_id, parent_comment_urn,
+                                      actor_urn, text, commented_at, is_own, reply_template_id, sentiment, sentiment_score,
+                                      intents, synced_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(user_sub, comment_id) DO UPDATE SET
+            text = excluded.text, actor_urn = excluded.actor_urn, sentiment = excluded.sentiment,
+            sentiment_score = excluded.sentiment_score, intents = excluded.intents, synced_at = excluded.synced_at
+        `);
+        for (const comment of comments) {
+          stmt.run([userSub, postId, comment.comment_id, comment.comment_urn, comment.parent_comment_id || null,
+            comment.parent_comment_urn || null, comment.actor_urn || null, comment.text || '', comment.commented_at,
+            comment.is_own ? 1 : 0, comment.reply_template_id || null, comment.sentiment || null,
+            comment.sentiment_score ?? null, comment.intents ?? null, now], check);
+        }
+        stmt.finalize();
+
+        if (complete) {
+          const ids = comments.map(comment => comment.comment_id);
+          db.run(`
+            DELETE FROM inbox_comments
+            WHERE user_sub = ? AND post_id = ? ${ids.length ? `AND comment_id NOT IN (${ids.map(() => '?').join(', ')})` : ''}
+          `, [userSub, postId, ...ids], check);
+          db.run('UPDATE tracked_posts SET comments_synced_at = ? WHERE post_id = ? AND user_sub = ?', [now, postId, userSub], check);
+        }
+
+        // Answered: one of our comments follows it in its thread
+        db.run(`
+          UPDATE inbox_comments SET answered_at = (
+            SELECT MIN(own.commented_at) FROM inbox_comments own
+            WHERE own.user_sub = inbox_comments.user_sub AND own.post_id = inbox_comments.post_id AND own.is_own = 1
+              AND own.parent_comment_id = COALESCE(inbox_comments.parent_comment_id, inbox_comments.comment_id)
+              AND own.commented_at >= inbox_comments.commented_at
+          )
+          WHERE user_sub = ? AND post_id = ? AND is_own = 0
+        `, [userSub, postId], check);
+
+        db.run('COMMIT', (err) => {
+          if (err) {
+            db.run('ROLLBACK', () => reject(err));
+          } else if (failure) {
+            reject(failure);
+          } else {
+            resolve(comments.length);
+          }
+        });
+      });
+    });
+  }
+
+  // Inbox comments (not our own) with their post and the matching connection, newest first
+  // filters: { status: 'open' | 'done' | 'all', unanswered, postId, commenter (URN or name), sentiment, intent,
+  //            moderation (entry status), authorUrn, limit, offset } (sentiment / intent match corrections made by hand first)
+  getInboxComments(userSub, filters = {}) {
+    return new Promise((resolve, reject) => {
+      const where = ['ic.user_sub = ?', 'ic.is_own = 0'];
+      const params = [userSub];
+
+      if (filters.status && filters.status !== 'all') {
+        where.push('ic.status = ?');
+        params.push(filters.status);
+      }
+      if (filters.unanswered) {
+        where.push('ic.answered_at IS NULL');
       }
+      if (filters.postId) {
+        where.push('ic.post_id = ?');
+        params.push(filters.postId);
+      }
+      if (filters.commenter) {
+        where.push(`(ic.actor_urn = ? OR (c.first_name || ' ' || c.last_name) LIKE ?)`);
+        params.push(filters.commenter, `%${filters.commenter}%`);
+      }
+      if (filters.sentiment) {
+        where.push('COALESCE(ic.sentiment_override, ic.sentiment) = ?');
+        params.push(filters.sentiment);
+      }
+      if (filters.intent) {
+        where.push(`(',' || COALESCE(ic.intents_override, ic.intents) || ',') LIKE ?`);
+        params.push(`%,${filters.intent},%`);
+      }
+      if (filters.moderation) {
+        where.push('ma.status = ?');
+        params.push(filters.moderation);
+      }
+      const author = authorCondition(filters.authorUrn, 'tp.author_urn');
+
+      this.db.all(`
+        SELECT ic.*, tp.post_text, tp.author_urn AS post_author_urn,
+               c.id AS connection_id, c.first_name, c.last_name, c.company, c.position, c.linkedin_profile_url,
+               ma.id AS moderation_id, ma.action AS moderation_action, ma.status AS moderation_status,
+               ma.rule_name AS moderation_rule, ma.reason AS moderation_reason, ma.execute_after AS moderation_execute_after,
+               COUNT(*) OVER () AS total
+        FROM inbox_comments ic
+        LEFT JOIN tracked_posts tp ON tp.post_id = ic.post_id
+        LEFT JOIN connections c ON c.user_sub = ic.user_sub AND c.linkedin_urn = ic.actor_urn
+        LEFT JOIN moderation_actions ma ON ma.user_sub = ic.user_sub AND ma.comment_id = ic.comment_id
+        WHERE ${where.join(' AND ')} ${author.sql}
+        GROUP BY ic.id
+        ORDER BY ic.commented_at DESC
+        LIMIT ? OFFSET ?
+      `, [...params, ...author.params, filters.limit || 50, filters.offset || 0], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  // Comments of others stored before they were classified
+  getUnclassifiedInboxComments(userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT id, text FROM inbox_comments WHERE user_sub = ? AND is_own = 0 AND sentiment IS NULL',
+        [userSub],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows || []);
+        }
+      );
+    });
+  }
 
-      // First get total count
-      this.db.get(`
-        SELECT COUNT(*) as total
-        FROM connections
-        WHERE ${whereClause}
-      `, countParams,
-      (err, countRow) => {
-        if (err) {
-          reject(err);
-          return;
+  // Automatic classification: { sentiment, sentiment_score, intents (comma-separated) }
+  setInboxCommentClassification(id, classification) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE inbox_comments SET sentiment = ?, sentiment_score = ?, intents = ? WHERE id = ?',
+        [classification.sentiment, classification.sentiment_score, classification.intents, id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
         }
+      );
+    });
+  }
 
-        const total = countRow.total;
+  // Corrections by hand: { sentiment?, intents? (array) }, null clears one
+  overrideInboxCommentClassification(id, userSub, override) {
+    return new Promise((resolve, reject) => {
+      const sets = [];
+      const params = [];
+      if (override.sentiment !== undefined) {
+        sets.push('sentiment_override = ?');
+        params.push(override.sentiment);
+      }
+      if (override.intents !== undefined) {
+        sets.push('intents_override = ?');
+        params.push(override.intents === null ? null : override.intents.join(','));
+      }
 
-        // Then get paginated results
-        this.db.all(`
-          SELECT id, first_name, last_name, email, company, position,
-                 connected_on, linkedin_profile_url, location, profile_fetched, tags, notes
-          FROM connections
-          WHERE ${whereClause}
-          ORDER BY last_name, first_name
-          LIMIT ? OFFSET ?
-        `, queryParams,
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve({
-              connections: rows || [],
-              total: total
-            });
-          }
-        });
+      this.db.run(`
+        UPDATE inbox_comments SET ${sets.join(', ')}
+        WHERE id = ? AND user_sub = ? AND is_own = 0
+      `, [...params, id, userSub], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
       });
     });
   }
 
-  getConnectionsWithoutProfileData(userSub, limit = 50) {
+  // Sentiment and intent counts of the comments on each post since `since` (by comment time)
+  getCommentSentimentByPost(userSub, since, authorUrn = null) {
     return new Promise((resolve, reject) => {
+      const author = authorCondition(authorUrn, 'tp.author_urn');
+      const intent = name => `SUM((',' || COALESCE(ic.intents_override, ic.intents) || ',') LIKE '%,${name},%')`;
+
       this.db.all(`
-        SELECT id, first_name, last_name, email, company, position, connected_on
-        FROM connections
-        WHERE user_sub = ? AND profile_fetched = 0
-        ORDER BY created_at ASC
-        LIMIT ?
-      `, [userSub, limit], (err, rows) => {
+        SELECT ic.post_id, tp.id AS tracked_post_id, tp.post_text, tp.author_urn,
+               ${postedAtSeconds('tp.posted_at')} AS posted_at,
+               COUNT(*) AS comments,
+               SUM(COALESCE(ic.sentiment_override, ic.sentiment) = 'positive') AS positive,
+               SUM(COALESCE(ic.sentiment_override, ic.sentiment) = 'neutral') AS neutral,
+               SUM(COALESCE(ic.sentiment_override, ic.sentiment) = 'negative') AS negative,
+               ${intent('question')} AS questions, ${intent('lead')} AS leads,
+               ${intent('spam')} AS spam, ${intent('job_request')} AS job_requests
+        FROM inbox_comments ic
+        LEFT JOIN tracked_posts tp ON tp.post_id = ic.post_id
+        WHERE ic.user_sub = ? AND ic.is_own = 0 AND ic.commented_at >= ? ${author.sql}
+        GROUP BY ic.post_id
+        ORDER BY MAX(ic.commented_at) DESC
+      `, [userSub, since, ...author.params], (err, rows) => {
         if (err) reject(err);
         else resolve(rows || []);
       });
     });
   }
 
-  getConnectionById(connectionId, userSub) {
+  // One inbox comment with its post and the matching connection
+  getInboxComment(id, userSub) {
     return new Promise((resolve, reject) => {
       this.db.get(`
-        SELECT * FROM connections
-        WHERE id = ? AND user_sub = ?
-      `, [connectionId, userSub], (err, row) => {
+        SELECT ic.*, tp.post_text, tp.author_urn AS post_author_urn,
+               c.id AS connection_id, c.first_name, c.last_name, c.company, c.position, c.linkedin_profile_url,
+               ma.id AS moderation_id, ma.action AS moderation_action, ma.status AS moderation_status,
+               ma.rule_name AS moderation_rule, ma.reason AS moderation_reason, ma.execute_after AS moderation_execute_after
+        FROM inbox_comments ic
+        LEFT JOIN tracked_posts tp ON tp.post_id = ic.post_id
+        LEFT JOIN connections c ON c.user_sub = ic.user_sub AND c.linkedin_urn = ic.actor_urn
+        LEFT JOIN moderation_actions ma ON ma.user_sub = ic.user_sub AND ma.comment_id = ic.comment_id
+        WHERE ic.id = ? AND ic.user_sub = ?
+      `, [id, userSub], (err, row) => {
         if (err) reject(err);
         else resolve(row);
       });
     });
   }
 
-  updateConnectionProfileData(connectionId, userSub, profileData) {
+  // Open and unanswered counts for the inbox badge, and comments flagged for review
+  getInboxCounts(userSub) {
     return new Promise((resolve, reject) => {
-      const dataJson = JSON.stringify(profileData);
-      const now = Math.floor(Date.now() / 1000);
+      this.db.get(`
+        SELECT SUM(status = 'open') AS open, SUM(status = 'open' AND answered_at IS NULL) AS unanswered,
+               (SELECT COUNT(*) FROM moderation_actions WHERE user_sub = ? AND status = 'flagged') AS flagged
+        FROM inbox_comments WHERE user_sub = ? AND is_own = 0
+      `, [userSub, userSub], (err, row) => {
+        if (err) reject(err);
+        else resolve({ open: row?.open || 0, unanswered: row?.unanswered || 0, flagged: row?.flagged || 0 });
+      });
+    });
+  }
 
+  setInboxCommentStatus(id, userSub, status) {
+    return new Promise((resolve, reject) => {
       this.db.run(`
-        UPDATE connections
-        SET profile_data = ?,
-            profile_fetched = 1,
-            last_fetched_at = ?,
-            updated_at = ?
-        WHERE id = ? AND user_sub = ?
-      `, [dataJson, now, now, connectionId, userSub], function(err) {
+        UPDATE inbox_comments
+        SET status = ?, done_at = CASE WHEN ? = 'done' THEN strftime('%s', 'now') ELSE NULL END
+        WHERE id = ? AND user_sub = ? AND is_own = 0
+      `, [status, status, id, userSub], function(err) {
         if (err) reject(err);
         else resolve(this.changes);
       });
     });
   }
 
-  updateConnectionTags(connectionId, userSub, tags) {
+  // Reply templates with usage: use_count / last_used_at overall, recent_uses over the last 30 days
+  getReplyTemplates(userSub) {
     return new Promise((resolve, reject) => {
-      const tagsJson = JSON.stringify(tags);
-      const now = Math.floor(Date.now() / 1000);
+      this.db.all(`
+        SELECT rt.*, (
+          SELECT COUNT(*) FROM inbox_comments ic
+          WHERE ic.user_sub = rt.user_sub AND ic.reply_template_id = rt.id
+            AND ic.commented_at >= strftime('%s', 'now') - 30 * 86400
+        ) AS recent_uses
+        FROM reply_templates rt
+        WHERE rt.user_sub = ?
+        ORDER BY rt.use_count DESC, rt.name COLLATE NOCASE ASC
+      `, [userSub], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  getReplyTemplate(id, userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM reply_templates WHERE id = ? AND user_sub = ?', [id, userSub], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  createReplyTemplate(userSub, template) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'INSERT INTO reply_templates (user_sub, name, body) VALUES (?, ?, ?)',
+        [userSub, template.name, template.body],
+        function(err) {
+          if (err) reject(duplicateNameError(err, 'reply template'));
+          else resolve(this.lastID);
+        }
+      );
+    });
+  }
+
+  // fields: { name?, body? }
+  updateReplyTemplate(id, userSub, fields) {
+    return new Promise((resolve, reject) => {
+      const columns = ['name', 'body'].filter(column => fields[column] !== undefined);
+      if (columns.length === 0) return resolve(1);
 
       this.db.run(`
-        UPDATE connections
-        SET tags = ?, updated_at = ?
+        UPDATE reply_templates
+        SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = strftime('%s', 'now')
         WHERE id = ? AND user_sub = ?
-      `, [tagsJson, now, connectionId, userSub], function(err) {
-        if (err) reject(err);
+      `, [...columns.map(column => fields[column]), id, userSub], function(err) {
+        if (err) reject(duplicateNameError(err, 'reply template'));
         else resolve(this.changes);
       });
     });
   }
 
-  updateConnectionNotes(connectionId, userSub, notes) {
+  deleteReplyTemplate(id, userSub) {
     return new Promise((resolve, reject) => {
-      const now = Math.floor(Date.now() / 1000);
+      this.db.run('DELETE FROM reply_templates WHERE id = ? AND user_sub = ?', [id, userSub], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
 
+  recordReplyTemplateUse(id, userSub) {
+    return new Promise((resolve, reject) => {
       this.db.run(`
-        UPDATE connections
-        SET notes = ?, updated_at = ?
+        UPDATE reply_templates SET use_count = use_count + 1, last_used_at = strftime('%s', 'now')
         WHERE id = ? AND user_sub = ?
-      `, [notes, now, connectionId, userSub], function(err) {
+      `, [id, userSub], function(err) {
         if (err) reject(err);
         else resolve(this.changes);
       });
     });
   }
 
-  getAllConnections(userSub, limit = 1000, offset = 0) {
+  getModerationRules(userSub) {
     return new Promise((resolve, reject) => {
-      console.log(`[DB] getAllConnections - userSub: ${userSub}, limit: ${limit}, offset: ${offset}`);
-
-      this.db.all(`
-        SELECT id, first_name, last_name, email, company, position,
-               connected_on, linkedin_profile_url, location, profile_fetched, tags, notes, last_fetched_at
-        FROM connections
-        WHERE user_sub = ?
-        ORDER BY last_name, first_name
-        LIMIT ? OFFSET ?
-      `, [userSub, limit, offset], (err, rows) => {
-        if (err) {
-          console.error('[DB] Error in getAllConnections:', err);
-          reject(err);
-        } else {
-          console.log(`[DB] getAllConnections returned ${rows ? rows.length : 0} rows`);
-          if (rows && rows.length > 0) {
-            console.log(`[DB] First connection: ${rows[0].first_name} ${rows[0].last_name} (ID: ${rows[0].id})`);
-            console.log(`[DB] Last connection: ${rows[rows.length-1].first_name} ${rows[rows.length-1].last_name} (ID: ${rows[rows.length-1].id})`);
-          }
-          resolve(rows || []);
-        }
+      this.db.all('SELECT * FROM moderation_rules WHERE user_sub = ? ORDER BY id ASC', [userSub], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
       });
     });
   }
 
-  // ========== ENGAGEMENT SYSTEM METHODS ==========
-
-  // Sync sessions
-  getSyncSession(date) {
+  getModerationRule(id, userSub) {
     return new Promise((resolve, reject) => {
-      this.db.get(`
-        SELECT * FROM sync_sessions WHERE session_date = ?
-      `, [date], (err, row) => {
+      this.db.get('SELECT * FROM moderation_rules WHERE id = ? AND user_sub = ?', [id, userSub], (err, row) => {
         if (err) reject(err);
         else resolve(row);
       });
     });
   }
 
-  createSyncSession(data) {
+  // rule: { name, type, pattern, threshold, window_hours, action, enabled }
+  createModerationRule(userSub, rule) {
     return new Promise((resolve, reject) => {
       this.db.run(`
-        INSERT INTO sync_sessions (session_date, status, api_calls_limit, started_at)
-        VALUES (?, ?, ?, ?)
-      `, [data.session_date, data.status, data.api_calls_limit, data.started_at],
+        INSERT INTO moderation_rules (user_sub, name, type, pattern, threshold, window_hours, action, enabled)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [userSub, rule.name, rule.type, rule.pattern, rule.threshold, rule.window_hours, rule.action, rule.enabled ? 1 : 0],
       function(err) {
-        if (err) reject(err);
-        else resolve({ id: this.lastID, ...data });
+        if (err) reject(duplicateNameError(err, 'moderation rule'));
+        else resolve(this.lastID);
       });
     });
   }
 
-  updateSyncSession(sessionId, updates) {
+  updateModerationRule(id, userSub, rule) {
     return new Promise((resolve, reject) => {
-      const fields = Object.keys(updates).map(k => `${k} = ?`).join(', ');
-      const values = Object.values(updates);
-
       this.db.run(`
-        UPDATE sync_sessions SET ${fields} WHERE id = ?
-      `, [...values, sessionId], function(err) {
+        UPDATE moderation_rules
+        SET name = ?, type = ?, pattern = ?, threshold = ?, window_hours = ?, action = ?, enabled = ?,
+            updated_at = strftime('%s', 'now')
+        WHERE id = ? AND user_sub = ?
+      `, [rule.name, rule.type, rule.pattern, rule.threshold, rule.window_hours, rule.action, rule.enabled ? 1 : 0,
+        id, userSub], function(err) {
+        if (err) reject(duplicateNameError(err, 'moderation rule'));
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  // Moderation entries of the rule are kept with its name
+  async deleteModerationRule(id, userSub) {
+    const run = (sql, params) => new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
         if (err) reject(err);
         else resolve(this.changes);
       });
     });
+
+    await run('UPDATE moderation_actions SET rule_id = NULL WHERE rule_id = ? AND user_sub = ?', [id, userSub]);
+    return run('DELETE FROM moderation_rules WHERE id = ? AND user_sub = ?', [id, userSub]);
   }
 
-  // Mark AI-relevant connections by keywords
-  markAIRelevantByKeywords(userSub, keywords) {
+  recordModerationRuleMatch(id) {
     return new Promise((resolve, reject) => {
-      const conditions = keywords.map(() =>
-        `(LOWER(position) LIKE ? OR LOWER(company) LIKE ?)`
-      ).join(' OR ');
+      this.db.run(`
+        UPDATE moderation_rules SET match_count = match_count + 1, last_matched_at = strftime('%s', 'now')
+        WHERE id = ?
+      `, [id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
 
-      const params = keywords.flatMap(kw => [`%${kw}%`, `%${kw}%`]);
+  // Every stored comment of others with what moderation rules look at: the matching
+  // connection, the post's author, whether rules ran (moderated_at) and any moderation entry
+  getModerationCandidates(userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`
+        SELECT ic.id, ic.post_id, ic.comment_id, ic.comment_urn, ic.actor_urn, ic.text, ic.commented_at, ic.moderated_at,
+               COALESCE(tp.author_urn, sp.author_urn) AS post_author_urn, c.id AS connection_id, c.first_name, c.last_name,
+               ma.status AS moderation_status
+        FROM inbox_comments ic
+        LEFT JOIN tracked_posts tp ON tp.post_id = ic.post_id AND tp.user_sub = ic.user_sub
+        LEFT JOIN scheduled_posts sp ON sp.linkedin_post_id = ic.post_id AND sp.user_sub = ic.user_sub AND sp.status = 'published'
+        LEFT JOIN connections c ON c.user_sub = ic.user_sub AND c.linkedin_urn = ic.actor_urn
+        LEFT JOIN moderation_actions ma ON ma.user_sub = ic.user_sub AND ma.comment_id = ic.comment_id
+        WHERE ic.user_sub = ? AND ic.is_own = 0 AND (tp.id IS NOT NULL OR sp.id IS NOT NULL)
+        GROUP BY ic.id
+        ORDER BY ic.commented_at ASC
+      `, [userSub], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
 
+  markInboxCommentsModerated(userSub, ids) {
+    return new Promise((resolve, reject) => {
+      if (ids.length === 0) return resolve(0);
       this.db.run(`
-        INSERT OR REPLACE INTO engagement_summary (connection_id, ai_relevant, last_calculated)
-        SELECT c.id, 1, strftime('%s', 'now')
-        FROM connections c
-        WHERE c.user_sub = ? AND (${conditions})
-      `, [userSub, ...params], function(err) {
+        UPDATE inbox_comments SET moderated_at = strftime('%s', 'now')
+        WHERE user_sub = ? AND id IN (${ids.map(() => '?').join(', ')})
+      `, [userSub, ...ids], function(err) {
         if (err) reject(err);
         else resolve(this.changes);
       });
     });
   }
 
-  // Sync queue operations
-  addToSyncQueue(data) {
+  // entry: { rule_id, rule_name, action, status, reason, post_id, post_author_urn, comment_id, comment_urn,
+  //          actor_urn, text, execute_after }
+  // Resolves 0 when the comment already has an entry
+  createModerationAction(userSub, entry) {
     return new Promise((resolve, reject) => {
       this.db.run(`
-        INSERT OR IGNORE INTO sync_queue (connection_id, priority, status)
-        VALUES (?, ?, ?)
-      `, [data.connection_id, data.priority, data.status], function(err) {
+        INSERT OR IGNORE INTO moderation_actions (user_sub, rule_id, rule_name, action, status, reason, post_id,
+                                                  post_author_urn, comment_id, comment_urn, actor_urn, text, execute_after)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [userSub, entry.rule_id, entry.rule_name, entry.action, entry.status, entry.reason, entry.post_id,
+        entry.post_author_urn || null, entry.comment_id, entry.comment_urn || null, entry.actor_urn || null,
+        entry.text || '', entry.execute_after], function(err) {
         if (err) reject(err);
-        else resolve(this.lastID);
+        else resolve(this.changes ? this.lastID : 0);
       });
     });
   }
 
-  getNextSyncBatch(limit = 10) {
+  getModerationAction(id, userSub) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM moderation_actions WHERE id = ? AND user_sub = ?', [id, userSub], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  // Moderation entries, newest first (status: flagged, pending, deleted, failed, undone)
+  getModerationActions(userSub, { status = null, limit = 50, offset = 0 } = {}) {
     return new Promise((resolve, reject) => {
       this.db.all(`
-        SELECT * FROM sync_queue
-        WHERE status = 'pending'
-        ORDER BY priority DESC, created_at ASC
-        LIMIT ?
-      `, [limit], (err, rows) => {
+        SELECT *, COUNT(*) OVER () AS total FROM moderation_actions
+        WHERE user_sub = ? ${status ? 'AND status = ?' : ''}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+      `, [userSub, ...(status ? [status] : []), limit, offset], (err, rows) => {
         if (err) reject(err);
         else resolve(rows || []);
       });
     });
   }
 
-  updateQueueItem(queueId, updates) {
+  // Deletions whose undo window is over, and claimed ones whose lease ran out
+  getDueModerationDeletions(now) {
     return new Promise((resolve, reject) => {
-      const fields = Object.keys(updates).map(k => `${k} = ?`).join(', ');
-      const values = Object.values(updates);
+      this.db.all(`
+        SELECT * FROM moderation_actions
+        WHERE status IN ('pending', 'deleting') AND execute_after <= ?
+        ORDER BY execute_after ASC
+        LIMIT 50
+      `, [now], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
 
+  // Take a moderation entry for deletion if it is in one of `statuses` (and due by `dueBy`)
+  claimModerationDeletion(id, statuses, leaseSeconds, dueBy = null) {
+    return new Promise((resolve, reject) => {
       this.db.run(`
-        UPDATE sync_queue SET ${fields} WHERE id = ?
-      `, [...values, queueId], function(err) {
+        UPDATE moderation_actions
+        SET status = 'deleting', action = 'delete', execute_after = strftime('%s', 'now') + ?
+        WHERE id = ? AND status IN (${statuses.map(() => '?').join(', ')}) ${dueBy !== null ? 'AND execute_after <= ?' : ''}
+      `, [leaseSeconds, id, ...statuses, ...(dueBy !== null ? [dueBy] : [])], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      });
+    });
+  }
+
+  // fields: { status, execute_after?, executed_at?, attempt_count, error_message }
+  finishModerationAction(id, fields) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`
+        UPDATE moderation_actions
+        SET status = ?, execute_after = ?, executed_at = ?, attempt_count = ?, error_message = ?
+        WHERE id = ?
+      `, [fields.status, fields.execute_after ?? null, fields.executed_at ?? null, fields.attempt_count,
+        fields.error_message ?? null, id], function(err) {
         if (err) reject(err);
         else resolve(this.changes);
       });
     });
   }
 
-  // Tracked posts
-  saveTrackedPost(data) {
+  // Flags and deletions not sent yet can be undone
+  undoModerationAction(id, userSub) {
     return new Promise((resolve, reject) => {
       this.db.run(`
-        INSERT OR REPLACE INTO tracked_posts
-        (post_id, user_sub, post_text, posted_at, sync_priority)
-        VALUES (?, ?, ?, ?, ?)
-      `, [data.post_id, data.user_sub, data.post_text, data.posted_at, data.sync_priority],
-      function(err) {
+        UPDATE moderation_actions SET status = 'undone', undone_at = strftime('%s', 'now'), execute_after = NULL
+        WHERE id = ? AND user_sub = ? AND status IN ('flagged', 'pending')
+      `, [id, userSub], function(err) {
         if (err) reject(err);
-        else resolve(this.lastID);
+        else resolve(this.changes);
       });
     });
   }
 
+  // A comment deleted on LinkedIn goes with its replies
+  deleteInboxComment(userSub, commentId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'DELETE FROM inbox_comments WHERE user_sub = ? AND (comment_id = ? OR parent_comment_id = ?)',
+        [userSub, commentId, commentId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
   getTrackedPosts(userSub, limit = 10) {
     return new Promise((resolve, reject) => {
       this.db.all(`
@@ -1008,11 +3053,20 @@ class Database {
     });
   }
 
-  // Check if engagement is from connection (simplified - needs LinkedIn URN matching)
+  // Check if engagement is from connection (matched on the connection's LinkedIn URN)
   isEngagementFromConnection(actorUrn, connectionId) {
-    // TODO: Implement proper URN matching once we have LinkedIn URNs
-    // For now, return false (will be enhanced later)
-    return Promise.resolve(false);
+    if (!actorUrn) return Promise.resolve(false);
+
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT 1 FROM connections WHERE id = ? AND linkedin_urn = ?',
+        [connectionId, actorUrn],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(!!row);
+        }
+      );
+    });
   }
 
   // Update engagement summary for a connection
@@ -0,0 +1,106 @@
+/**
+ * First Comments
+ *
+ * A post can carry a first comment (often the link that would cost reach in the
+ * post body) and a follow-up comment posted some minutes later. Both are stored
+ * on the post; when it is published the scheduler turns them into jobs in
+ * post_comments, posts them through /rest/comments under the new post URN as
+ * the post's author and retries them with the publish retry policy.
+ */
+
+const MAX_COMMENT_LENGTH = 1250;
+const DEFAULT_FOLLOW_UP_DELAY_MINUTES = 60;
+// Follow-ups go out within a week of the post
+const MAX_FOLLOW_UP_DELAY_MINUTES = 7 * 24 * 60;
+
+function text(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Check and normalize first_comment, follow_up_comment and follow_up_delay_minutes
+ * of a request body (fields that are not sent stay undefined). Returns the first
+ * problem found, or null. Without a delay the follow-up goes out after an hour.
+ */
+function validate(body) {
+  for (const field of ['first_comment', 'follow_up_comment']) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value !== null && typeof value !== 'string') {
+      return `${field} must be a string`;
+    }
+    if (value && value.length > MAX_COMMENT_LENGTH) {
+      return `${field === 'first_comment' ? 'First' : 'Follow-up'} comment exceeds maximum length of ${MAX_COMMENT_LENGTH} characters`;
+    }
+    body[field] = text(value);
+  }
+
+  const delay = body.follow_up_delay_minutes;
+  if (body.follow_up_comment === null || delay === null || delay === '') {
+    body.follow_up_delay_minutes = null;
+    return null;
+  }
+  if (delay === undefined) return null;
+
+  const minutes = Number(delay);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_FOLLOW_UP_DELAY_MINUTES) {
+    return `follow_up_delay_minutes must be a whole number between 1 and ${MAX_FOLLOW_UP_DELAY_MINUTES}`;
+  }
+  body.follow_up_delay_minutes = minutes;
+  return null;
+}
+
+/**
+ * Comment jobs of a post published at `publishedAt` (unix seconds)
+ * @returns {Array<{kind, content, due_at}>}
+ */
+function plan(post, publishedAt) {
+  const comments = [];
+  if (text(post.first_comment)) {
+    comments.push({ kind: 'first', content: post.first_comment, due_at: publishedAt });
+  }
+  if (text(post.follow_up_comment)) {
+    const delay = post.follow_up_delay_minutes || DEFAULT_FOLLOW_UP_DELAY_MINUTES;
+    comments.push({ kind: 'follow_up', content: post.follow_up_comment, due_at: publishedAt + delay * 60 });
+  }
+  return comments;
+}
+
+/**
+ * Comments of a post as shown in the scheduled list: the jobs once it is
+ * published, otherwise what is planned
+ */
+function describe(post, jobs) {
+  if (jobs.length > 0) {
+    return jobs.map(job => ({
+      id: job.id,
+      kind: job.kind,
+      content: job.content,
+      status: job.status,
+      due_at: job.due_at,
+      attempt_count: job.attempt_count,
+      next_retry_at: job.next_retry_at,
+      posted_at: job.posted_at,
+      linkedin_comment_id: job.linkedin_comment_id,
+      error_message: job.error_message
+    }));
+  }
+
+  if (post.status === 'published') return [];
+  return plan(post, post.publish_at || 0).map(comment => ({
+    kind: comment.kind,
+    content: comment.content,
+    status: 'planned',
+    delay_minutes: comment.kind === 'follow_up' ? post.follow_up_delay_minutes || DEFAULT_FOLLOW_UP_DELAY_MINUTES : 0,
+    due_at: post.publish_at ? comment.due_at : null
+  }));
+}
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  DEFAULT_FOLLOW_UP_DELAY_MINUTES,
+  MAX_FOLLOW_UP_DELAY_MINUTES,
+  validate,
+  plan,
+  describe
+};
@@ -0,0 +1,176 @@
+/**
+ * Link Preview Metadata
+ *
+ * Reads the title, description and image of a page for article (link share)
+ * posts from its Open Graph and Twitter card tags, falling back to <title>
+ * and <meta name="description">.
+ *
+ * Pages are loaded through a pluggable fetcher: async (url) => { url, status,
+ * contentType, body }, where url is the final URL after redirects. The HTTP
+ * fetcher is the default and only reaches public addresses (safe-fetch.js);
+ * with SANDBOX=1 (or LINK_PREVIEW_FETCHER=stub) the offline stub in
+ * sandbox/link-fetcher.js is used. Tests and scripts can swap it with
+ * setFetcher().
+ */
+
+const safeFetch = require('./safe-fetch');
+const linkedinConfig = require('./linkedin-config');
+
+const TIMEOUT_MS = 10000;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const MAX_TITLE_LENGTH = 400;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function previewError(message, status = 400) {
+  const error = new Error(message);
+  error.code = 'LINK_PREVIEW_FAILED';
+  error.status = status;
+  return error;
+}
+
+async function httpFetcher(target) {
+  const { url, response } = await safeFetch.get(target, {
+    timeout: TIMEOUT_MS,
+    maxContentLength: MAX_PAGE_BYTES,
+    responseType: 'text',
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; LinkedInAutomation/1.0; +link-preview)',
+      Accept: 'text/html,application/xhtml+xml'
+    }
+  });
+
+  return {
+    url,
+    status: response.status,
+    contentType: response.headers['content-type'] || '',
+    body: response.data
+  };
+}
+
+let fetcher = (process.env.LINK_PREVIEW_FETCHER || (linkedinConfig.SANDBOX ? 'stub' : 'http')) === 'stub'
+  ? require('./sandbox/link-fetcher')
+  : httpFetcher;
+
+/**
+ * Replace the page fetcher (null restores the HTTP fetcher)
+ */
+function setFetcher(fn) {
+  fetcher = fn || httpFetcher;
+}
+
+/**
+ * Validate a link and return it normalized
+ */
+function normalizeUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch {
+    throw previewError('Invalid link URL format');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw previewError('Link URL must use HTTP or HTTPS protocol');
+  }
+  return url.toString();
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&([a-z]+);/gi, (match, name) => ENTITIES[name.toLowerCase()] ?? match);
+}
+
+function clean(text, maxLength) {
+  if (!text) return null;
+  const value = decodeEntities(text).replace(/\s+/g, ' ').trim();
+  if (!value) return null;
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
+// Attributes of every <meta> and <link> tag in the page head
+function parseTags(html) {
+  const head = html.split(/<\/head>/i)[0];
+  const tags = [];
+
+  for (const [, name, attributes] of head.matchAll(/<(meta|link)\b([^>]*)>/gi)) {
+    const attrs = {};
+    for (const [, key, , doubleQuoted, singleQuoted, bare] of attributes.matchAll(/([a-zA-Z:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+      attrs[key.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare;
+    }
+    tags.push({ tag: name.toLowerCase(), attrs });
+  }
+  return tags;
+}
+
+/**
+ * Link card metadata from a page's HTML
+ * @param {string} html
+ * @param {string} pageUrl - URL the page was loaded from (resolves relative image URLs)
+ * @returns {{url, title, description, image, site_name}}
+ */
+function extract(html, pageUrl) {
+  const tags = parseTags(String(html || ''));
+  const meta = (...names) => {
+    for (const name of names) {
+      const tag = tags.find(({ tag, attrs }) => tag === 'meta' &&
+        (attrs.property || attrs.name || '').toLowerCase() === name && attrs.content);
+      if (tag) return tag.attrs.content;
+    }
+    return null;
+  };
+  const resolve = value => {
+    if (!value) return null;
+    try {
+      const url = new URL(decodeEntities(value.trim()), pageUrl);
+      return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const canonical = tags.find(({ tag, attrs }) => tag === 'link' && (attrs.rel || '').toLowerCase() === 'canonical');
+  const titleTag = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(String(html || ''));
+
+  return {
+    url: resolve(meta('og:url')) || resolve(canonical?.attrs.href) || pageUrl,
+    title: clean(meta('og:title', 'twitter:title') || titleTag?.[1], MAX_TITLE_LENGTH),
+    description: clean(meta('og:description', 'twitter:description', 'description'), MAX_DESCRIPTION_LENGTH),
+    image: resolve(meta('og:image:secure_url', 'og:image', 'og:image:url', 'twitter:image', 'twitter:image:src')),
+    site_name: clean(meta('og:site_name'), 100) || new URL(pageUrl).hostname.replace(/^www\./, '')
+  };
+}
+
+/**
+ * Fetch a page and extract its link card metadata
+ * @param {string} url
+ * @returns {Promise<{url, title, description, image, site_name}>}
+ */
+async function fetchPreview(url) {
+  const target = normalizeUrl(url);
+
+  let page;
+  try {
+    page = await fetcher(target);
+  } catch (error) {
+    const status = error.response?.status;
+    throw previewError(`Could not load ${target}: ${status ? `HTTP ${status}` : error.message}`, 422);
+  }
+
+  if (page.contentType && !/html|xml/i.test(page.contentType)) {
+    throw previewError(`${target} is not a web page (${page.contentType.split(';')[0]})`, 422);
+  }
+
+  return extract(page.body, page.url || target);
+}
+
+module.exports = {
+  MAX_TITLE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  normalizeUrl,
+  extract,
+  fetchPreview,
+  setFetcher
+};
@@ -0,0 +1,240 @@
+/**
+ * LinkedIn API Client
+ *
+ * Single entry point for LinkedIn REST calls:
+ * - Injects auth, LinkedIn-Version and Rest.li protocol headers
+ * - Refreshes the access token through the token manager
+ * - Honors Retry-After on 429 and retries 5xx/network errors with jittered backoff
+ * - Follows Rest.li pagination (start/count, paging.total and next links)
+ * - Refuses requests once the member/app quota of the endpoint family is spent
+ * - Records endpoint, method, status, latency, user, family and feature of every request
+ */
+
+const axios = require('axios');
+const db = require('./database');
+const tokenManager = require('./token-manager');
+const apiQuota = require('./api-quota');
+const { LINKEDIN_API_URL, LINKEDIN_VERSION } = require('./linkedin-config');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class LinkedInClient {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || LINKEDIN_API_URL;
+    this.version = options.version || LINKEDIN_VERSION;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs || 1000;
+    this.maxDelayMs = options.maxDelayMs || 30000;
+  }
+
+  /**
+   * Perform a request on behalf of a user
+   * @param {string} userSub - User whose token and quota are used
+   * @param {object} options - { method, path, url, params, data, headers, feature, maxRetries }
+   */
+  async request(userSub, options) {
+    await apiQuota.checkQuota(userSub, apiQuota.getEndpointFamily(options.path));
+
+    return tokenManager.withFreshToken(userSub, (user) => this.send(user, options));
+  }
+
+  get(userSub, path, params = {}, options = {}) {
+    return this.request(userSub, { ...options, method: 'GET', path, params });
+  }
+
+  post(userSub, path, data, options = {}) {
+    return this.request(userSub, { ...options, method: 'POST', path, data });
+  }
+
+  delete(userSub, path, options = {}) {
+    return this.request(userSub, { ...options, method: 'DELETE', path });
+  }
+
+  /**
+   * PUT a binary to an upload URL returned by an initializeUpload action
+   * (absolute URL; the path is kept for quota accounting and call tracking)
+   */
+  upload(userSub, uploadUrl, data, { contentType = 'application/octet-stream', feature } = {}) {
+    return this.request(userSub, {
+      method: 'PUT',
+      url: uploadUrl,
+      path: new URL(uploadUrl).pathname,
+      data,
+      headers: { 'Content-Type': contentType },
+      feature
+    });
+  }
+
+  /**
+   * Fetch every page of a Rest.li collection
+   * LinkedIn may return fewer elements than requested before the end (filtered
+   * or deleted items), so a short page does not end the collection: paging
+   * continues until paging.total is reached, there is no next link, or a page
+   * is empty. complete is false when maxPages ran out first.
+   * @returns {Promise<{elements: Array, total: number|null, requestCount: number, complete: boolean}>}
+   */
+  async getAll(userSub, path, params = {}, { pageSize = 100, maxPages = 10, feature } = {}) {
+    const elements = [];
+    let start = params.start || 0;
+    let total = null;
+    let requestCount = 0;
+    let complete = false;
+
+    while (requestCount < maxPages) {
+      const response = await this.get(userSub, path, { ...params, start, count: pageSize }, { feature });
+      requestCount++;
+
+      const page = response.data.elements || [];
+      elements.push(...page);
+
+      const paging = response.data.paging || {};
+      total = paging.total ?? total;
+      const links = Array.isArray(paging.links) ? paging.links : null;
+      const next = links?.find(link => link.rel === 'next');
+      const nextStart = next ? parseInt(new URL(next.href, this.baseUrl).searchParams.get('start')) : NaN;
+      // Offsets count the whole collection, filtered-out elements included
+      if (!Number.isNaN(nextStart)) {
+        start = nextStart;
+      } else if (Number.isInteger(paging.count) && paging.count > 0) {
+        start = (paging.start ?? start) + paging.count;
+      } else {
+        start += page.length;
+      }
+
+      if (page.length === 0 || (total !== null && start >= total) || (total === null && links && !next)) {
+        complete = true;
+        break;
+      }
+    }
+
+    return { elements, total, requestCount, complete };
+  }
+
+  /**
+   * Send one logical request, retrying transient failures
+   * (callers pass maxRetries: 0 for creates that must not be sent twice)
+   */
+  async send(user, { method = 'GET', path, url, params, data, headers = {}, feature, maxRetries = this.maxRetries }) {
+    const requestHeaders = {
+      'Authorization': `Bearer ${user.access_token}`,
+      'X-Restli-Protocol-Version': '2.0.0',
+      ...headers
+    };
+
+    // Only the versioned /rest endpoints take the LinkedIn-Version header
+    if (path.startsWith('/rest/')) {
+      requestHeaders['LinkedIn-Version'] = this.version;
+    }
+
+    if (data !== undefined && !requestHeaders['Content-Type']) {
+      requestHeaders['Content-Type'] = 'application/json';
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const startedAt = Date.now();
+
+      try {
+        const response = await axios({
+          method,
+          url: url || `${this.baseUrl}${path}`,
+          params,
+          data,
+          headers: requestHeaders,
+          maxBodyLength: Infinity
+        });
+
+        await this.record(user.sub, feature, path, method, response.status, Date.now() - startedAt);
+        return response;
+
+      } catch (error) {
+        const status = error.response?.status || null;
+        await this.record(user.sub, feature, path, method, status, Date.now() - startedAt);
+
+        const delay = this.getRetryDelay(error, attempt, maxRetries);
+        if (delay === null) {
+          throw error;
+        }
+
+        console.log(`LinkedIn ${method} ${path} failed (${status || error.code || error.message}), retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Decide whether a failed request is retried and after how long
+   * @returns {number|null} Delay in ms, or null to give up
+   */
+  getRetryDelay(error, attempt, maxRetries = this.maxRetries) {
+    if (attempt >= maxRetries) {
+      return null;
+    }
+
+    const status = error.response?.status;
+
+    if (status === 429) {
+      const retryAfter = this.parseRetryAfter(error.response.headers?.['retry-after']);
+      if (retryAfter === null) {
+        return this.backoff(attempt);
+      }
+      // Long waits (e.g. daily quota exhausted) are not worth blocking on
+      return retryAfter <= this.maxDelayMs ? retryAfter : null;
+    }
+
+    // Network errors (no response) and server errors are transient
+    if (!error.response || status >= 500) {
+      return this.backoff(attempt);
+    }
+
+    return null;
+  }
+
+  /**
+   * Exponential backoff with full jitter
+   */
+  backoff(attempt) {
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    return Math.random() * ceiling;
+  }
+
+  /**
+   * Retry-After is either delta-seconds or an HTTP date
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    return null;
+  }
+
+  async record(userSub, feature, path, method, statusCode, latencyMs) {
+    try {
+      await db.trackApiCall({
+        endpoint: path,
+        method,
+        statusCode,
+        latencyMs,
+        userSub,
+        endpointFamily: apiQuota.getEndpointFamily(path),
+        feature
+      });
+    } catch (error) {
+      console.error('Failed to record API call:', error.message);
+    }
+  }
+}
+
+module.exports = new LinkedInClient();
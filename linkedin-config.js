@@ -0,0 +1,48 @@
+/**
+ * LinkedIn endpoint configuration
+ *
+ * Every base URL can be overridden through the environment.
+ * With SANDBOX=1 the defaults point at the bundled mock server
+ * (sandbox/mock-linkedin.js) so the app runs fully offline.
+ */
+
+const SANDBOX = process.env.SANDBOX === '1' || process.env.SANDBOX === 'true';
+const SANDBOX_PORT = parseInt(process.env.SANDBOX_PORT) || 3101;
+const SANDBOX_URL = `http://localhost:${SANDBOX_PORT}`;
+
+const OAUTH_BASE_URL = process.env.LINKEDIN_OAUTH_BASE_URL || (SANDBOX ? SANDBOX_URL : 'https://www.linkedin.com');
+const API_BASE_URL = process.env.LINKEDIN_API_BASE_URL || (SANDBOX ? SANDBOX_URL : 'https://api.linkedin.com');
+
+// Space- or comma-separated scope list
+function parseScopes(value) {
+  return value ? value.split(/[\s,]+/).filter(Boolean) : null;
+}
+
+module.exports = {
+  SANDBOX,
+  SANDBOX_PORT,
+
+  // OAuth / OIDC
+  LINKEDIN_AUTH_URL: process.env.LINKEDIN_AUTH_URL || `${OAUTH_BASE_URL}/oauth/v2/authorization`,
+  LINKEDIN_TOKEN_URL: process.env.LINKEDIN_TOKEN_URL || `${OAUTH_BASE_URL}/oauth/v2/accessToken`,
+  LINKEDIN_JWKS_URL: process.env.LINKEDIN_JWKS_URL || `${OAUTH_BASE_URL}/oauth/openid/jwks`,
+  LINKEDIN_ISSUER: process.env.LINKEDIN_ISSUER || OAUTH_BASE_URL,
+  LINKEDIN_USERINFO_URL: process.env.LINKEDIN_USERINFO_URL || `${API_BASE_URL}/v2/userinfo`,
+
+  // Scopes requested at login. Add w_member_social r_member_social once the app has
+  // Community Management API access. Company pages additionally need the organization
+  // scopes, which /auth/linkedin?organizations=1 requests on top.
+  LINKEDIN_SCOPES: parseScopes(process.env.LINKEDIN_SCOPES) || ['openid', 'profile', 'email'],
+  LINKEDIN_ORGANIZATION_SCOPES: parseScopes(process.env.LINKEDIN_ORGANIZATION_SCOPES) ||
+    ['r_organization_admin', 'w_organization_social', 'r_organization_social'],
+
+  // REST API (/rest/posts, /rest/comments, /rest/reactions, /rest/socialActions, /rest/organizationAcls, /v2/shares)
+  LINKEDIN_API_URL: API_BASE_URL,
+  LINKEDIN_VERSION: process.env.LINKEDIN_VERSION || '202405',
+
+  // App credentials (the sandbox accepts any client)
+  LINKEDIN_CLIENT_ID: process.env.LINKEDIN_CLIENT_ID || (SANDBOX ? 'sandbox-client-id' : undefined),
+  LINKEDIN_CLIENT_SECRET: process.env.LINKEDIN_CLIENT_SECRET || (SANDBOX ? 'sandbox-client-secret' : undefined),
+  LINKEDIN_REDIRECT_URI: process.env.LINKEDIN_REDIRECT_URI ||
+    (SANDBOX ? `http://localhost:${process.env.PORT || 3000}/auth/linkedin/callback` : undefined)
+};
@@ -0,0 +1,157 @@
+/**
+ * LinkedIn "Little Text" Formatting
+ *
+ * Post commentary is parsed by LinkedIn: the reserved characters
+ * | { } @ [ ] ( ) < > # \ * _ ~ must be escaped with a backslash, mentions are
+ * written as @[Name](urn:li:person:...) and hashtags as {hashtag|\#|tag}.
+ *
+ * Post content is stored as the user wrote it. Mentions picked in the composer
+ * are kept as @[Name](urn) tokens; "@First Last" of a connection whose URN is
+ * known is turned into a mention as well. Everything else is escaped, so text
+ * like "C++ (beta) <3" arrives unchanged.
+ */
+
+const RESERVED = /[\\|{}@[\]()<>#*_~]/g;
+const MENTION_URN = /^urn:li:(person|organization):[A-Za-z0-9_-]+$/;
+
+// @[Name](urn:li:person:abc) as inserted by the composer
+const MENTION_TOKEN = /@\[([^\]\n]{1,100})\]\((urn:li:(?:person|organization):[A-Za-z0-9_-]+)\)/y;
+// #tag at the start of a word, with at least one letter ("C#" and "#1" stay text)
+const HASHTAG = /(?<![\p{L}\p{N}_&/])#((?=[\p{N}_]*\p{L})[\p{L}\p{N}_]{1,100})/uy;
+// Markup in LinkedIn commentary, for turning it back into plain text
+const COMMENTARY_MARKUP = /\{hashtag\|\\#\|((?:\\.|[^}\\])*)\}|@\[((?:\\.|[^\]\\])*)\]\((urn:li:[^)]+)\)|\\(.)/g;
+
+/**
+ * Escape reserved characters
+ */
+function escape(text) {
+  return String(text).replace(RESERVED, char => `\\${char}`);
+}
+
+function mentionMarkup(name, urn) {
+  return `@[${escape(name)}](${urn})`;
+}
+
+/**
+ * Commentary for LinkedIn from post content
+ * @param {string} content
+ * @param {object} options - { mentionables: [{ name, urn }] connections "@Name" may refer to }
+ * @returns {{commentary: string, mentions: Array<{name, urn}>, hashtags: string[]}}
+ */
+function format(content, { mentionables = [] } = {}) {
+  const text = String(content || '');
+  // Longest names first, so "@Anna Maria Lee" wins over "@Anna Maria"
+  const candidates = mentionables
+    .filter(person => person.name && MENTION_URN.test(person.urn || ''))
+    .sort((a, b) => b.name.length - a.name.length);
+
+  const mentions = [];
+  const hashtags = [];
+  let commentary = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '@') {
+      MENTION_TOKEN.lastIndex = i;
+      const token = MENTION_TOKEN.exec(text);
+      if (token) {
+        commentary += mentionMarkup(token[1], token[2]);
+        mentions.push({ name: token[1], urn: token[2] });
+        i = MENTION_TOKEN.lastIndex;
+        continue;
+      }
+
+      const rest = text.slice(i + 1);
+      const person = candidates.find(candidate =>
+        rest.toLowerCase().startsWith(candidate.name.toLowerCase()) &&
+        !/[\p{L}\p{N}_]/u.test(rest.charAt(candidate.name.length))
+      );
+      if (person) {
+        commentary += mentionMarkup(person.name, person.urn);
+        mentions.push({ name: person.name, urn: person.urn });
+        i += 1 + person.name.length;
+        continue;
+      }
+    }
+
+    if (char === '#') {
+      HASHTAG.lastIndex = i;
+      const hashtag = HASHTAG.exec(text);
+      if (hashtag) {
+        commentary += `{hashtag|\\#|${escape(hashtag[1])}}`;
+        hashtags.push(hashtag[1]);
+        i = HASHTAG.lastIndex;
+        continue;
+      }
+    }
+
+    commentary += escape(char);
+    i++;
+  }
+
+  return { commentary, mentions, hashtags };
+}
+
+function unescape(value) {
+  return value.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Plain text of LinkedIn commentary (mentions as "@Name", hashtags as "#tag")
+ */
+function toPlainText(commentary) {
+  return String(commentary || '').replace(COMMENTARY_MARKUP, (match, hashtag, mention, urn, escaped) => {
+    if (hashtag !== undefined) return `#${unescape(hashtag)}`;
+    if (mention !== undefined) return `@${unescape(mention)}`;
+    return escaped;
+  });
+}
+
+/**
+ * LinkedIn commentary as it is displayed, split into text, mention and hashtag
+ * segments (mentions show the name only, as in the feed)
+ * @returns {Array<{type: 'text'|'mention'|'hashtag', text: string, urn?: string}>}
+ */
+function toSegments(commentary) {
+  const segments = [];
+  const push = (type, text, urn) => {
+    const last = segments[segments.length - 1];
+    if (type === 'text' && last?.type === 'text') {
+      last.text += text;
+    } else {
+      segments.push(urn ? { type, text, urn } : { type, text });
+    }
+  };
+
+  const source = String(commentary || '');
+  let index = 0;
+  for (const match of source.matchAll(COMMENTARY_MARKUP)) {
+    if (match.index > index) push('text', source.slice(index, match.index));
+    const [, hashtag, mention, urn, escaped] = match;
+
+    if (hashtag !== undefined) push('hashtag', `#${unescape(hashtag)}`);
+    else if (mention !== undefined) push('mention', unescape(mention), urn);
+    else push('text', escaped);
+    index = match.index + match[0].length;
+  }
+  if (index < source.length) push('text', source.slice(index));
+
+  return segments;
+}
+
+/**
+ * Whether a value is a member or organization URN that can be mentioned
+ */
+function isMentionUrn(urn) {
+  return MENTION_URN.test(urn || '');
+}
+
+module.exports = {
+  escape,
+  format,
+  toPlainText,
+  toSegments,
+  isMentionUrn
+};
@@ -0,0 +1,530 @@
+/**
+ * Post Media Pipeline
+ *
+ * Media is stored locally when a post is scheduled (uploaded file or image URL)
+ * and pushed to LinkedIn at publish time through the matching upload flow:
+ * - Images / documents: initializeUpload -> PUT binary -> wait until AVAILABLE
+ * - Videos: initializeUpload -> PUT each part -> finalizeUpload -> wait until AVAILABLE
+ * Every step updates post_media.status so failures can be diagnosed per post.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./database');
+const linkedin = require('./linkedin-client');
+const organizations = require('./organizations');
+const safeFetch = require('./safe-fetch');
+
+const MEDIA_DIR = path.join(__dirname, 'uploads', 'media');
+const TEMP_DIR = path.join(__dirname, 'uploads', 'tmp');
+
+const MB = 1024 * 1024;
+
+// Accepted formats and sizes per kind of media
+const MEDIA_KINDS = {
+  image: {
+    types: {
+      'image/jpeg': '.jpg',
+      'image/png': '.png',
+      'image/gif': '.gif'
+    },
+    maxBytes: 10 * MB,
+    resource: '/rest/images',
+    urnKey: 'image'
+  },
+  document: {
+    types: {
+      'application/pdf': '.pdf',
+      'application/vnd.ms-powerpoint': '.ppt',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+      'application/msword': '.doc',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx'
+    },
+    maxBytes: 100 * MB,
+    resource: '/rest/documents',
+    urnKey: 'document'
+  },
+  video: {
+    types: {
+      'video/mp4': '.mp4'
+    },
+    minBytes: 75 * 1024,
+    maxBytes: 200 * MB,
+    resource: '/rest/videos',
+    urnKey: 'video'
+  }
+};
+
+// Which media each post type takes, and how many
+const POST_TYPES = {
+  text: { kind: null, min: 0, max: 0 },
+  image: { kind: 'image', min: 1, max: 1 },
+  multi_image: { kind: 'image', min: 2, max: 20 },
+  document: { kind: 'document', min: 1, max: 1, titleRequired: true },
+  video: { kind: 'video', min: 1, max: 1 },
+  // Link share; the optional image is the thumbnail of the link card
+  article: { kind: 'image', min: 0, max: 1 }
+};
+
+const MAX_TITLE_LENGTH = 400;
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(MEDIA_KINDS).map(kind => kind.maxBytes));
+
+// How long to wait for LinkedIn to finish processing uploaded media
+const PROCESSING_POLL = {
+  image: { attempts: 5, intervalMs: 2000 },
+  document: { attempts: 5, intervalMs: 2000 },
+  video: { attempts: 10, intervalMs: 3000 }
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function mediaError(message, status = 400) {
+  const error = new Error(message);
+  error.code = 'INVALID_MEDIA';
+  error.status = status;
+  return error;
+}
+
+function formatSize(bytes) {
+  return bytes >= MB ? `${bytes / MB}MB` : `${bytes / 1024}KB`;
+}
+
+/**
+ * MIME type of an uploaded file, falling back to its extension when the
+ * browser sent a generic type
+ */
+function resolveMimeType(file) {
+  const mimeType = (file.mimetype || '').toLowerCase();
+  if (getMediaKind(mimeType)) {
+    return mimeType;
+  }
+
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  for (const kind of Object.values(MEDIA_KINDS)) {
+    const match = Object.entries(kind.types).find(([, ext]) => ext === extension);
+    if (match) return match[0];
+  }
+
+  return mimeType;
+}
+
+function getMediaKind(mimeType) {
+  return Object.keys(MEDIA_KINDS).find(kind => MEDIA_KINDS[kind].types[mimeType]) || null;
+}
+
+/**
+ * Post type implied by the attached files when the client did not send one
+ */
+function inferPostType(files, imageUrl = null) {
+  if (files.length === 0) {
+    return imageUrl ? 'image' : 'text';
+  }
+
+  const kind = getMediaKind(resolveMimeType(files[0]));
+  if (kind === 'image') {
+    return files.length > 1 ? 'multi_image' : 'image';
+  }
+  return kind || 'text';
+}
+
+/**
+ * Check type, count, format and size of the media of a post
+ * @param {string} postType - One of POST_TYPES
+ * @param {Array} files - Uploaded files ({ mimetype, size, originalname })
+ * @param {object} options - { imageUrl, documentTitle }
+ */
+function validatePostMedia(postType, files, { imageUrl, documentTitle } = {}) {
+  const rules = POST_TYPES[postType];
+  if (!rules) {
+    throw mediaError(`Unknown post type. Use one of: ${Object.keys(POST_TYPES).join(', ')}`);
+  }
+
+  if (imageUrl && files.length > 0) {
+    throw mediaError('Send either uploaded files or image_url, not both');
+  }
+  if (imageUrl && postType !== 'image' && postType !== 'article') {
+    throw mediaError('image_url is only supported for single image posts and article thumbnails');
+  }
+
+  const count = files.length + (imageUrl ? 1 : 0);
+  if (postType === 'article' && count > rules.max) {
+    throw mediaError(`An article post takes 1 thumbnail image, got ${count}`);
+  }
+  if (count < rules.min || count > rules.max) {
+    const expected = rules.min === rules.max ? `${rules.min}` : `${rules.min}-${rules.max}`;
+    throw mediaError(`A ${postType.replace('_', '-')} post needs ${expected} file${rules.max === 1 ? '' : 's'}, got ${count}`);
+  }
+
+  for (const file of files) {
+    const mimeType = resolveMimeType(file);
+    const kind = MEDIA_KINDS[rules.kind];
+
+    if (!kind.types[mimeType]) {
+      const allowed = Object.values(kind.types).join(', ');
+      throw mediaError(`${file.originalname || 'File'} is not a supported ${rules.kind} (${allowed})`);
+    }
+    if (file.size > kind.maxBytes) {
+      throw mediaError(`${file.originalname || 'File'} exceeds the ${rules.kind} limit of ${formatSize(kind.maxBytes)}`);
+    }
+    if (kind.minBytes && file.size < kind.minBytes) {
+      throw mediaError(`${file.originalname || 'File'} is smaller than the ${rules.kind} minimum of ${formatSize(kind.minBytes)}`);
+    }
+  }
+
+  if (rules.titleRequired && (!documentTitle || !String(documentTitle).trim())) {
+    throw mediaError('Document posts need a title');
+  }
+  if (documentTitle && String(documentTitle).length > MAX_TITLE_LENGTH) {
+    throw mediaError(`Title exceeds maximum length of ${MAX_TITLE_LENGTH} characters`);
+  }
+}
+
+function userDir(userSub) {
+  return path.join(MEDIA_DIR, userSub.replace(/[^a-zA-Z0-9_-]/g, '_'));
+}
+
+function newFilename(extension) {
+  return `${Date.now()}_${crypto.randomBytes(6).toString('hex')}${extension}`;
+}
+
+/**
+ * Store a file uploaded through multer (disk storage in uploads/tmp, or memory)
+ * @param {object} options - { altText, position }
+ * @returns {Promise<number>} post_media id (attach it to a post with attachToPost)
+ */
+async function storeUpload(userSub, file, { altText, position = 0 } = {}) {
+  const mimeType = resolveMimeType(file);
+  const kind = getMediaKind(mimeType);
+  if (!kind) {
+    throw mediaError(`Unsupported file type ${mimeType || 'unknown'}`);
+  }
+
+  const dir = userDir(userSub);
+  await fs.mkdir(dir, { recursive: true });
+  const filepath = path.join(dir, newFilename(MEDIA_KINDS[kind].types[mimeType]));
+
+  if (file.path) {
+    await fs.rename(file.path, filepath);
+  } else {
+    await fs.writeFile(filepath, file.buffer);
+  }
+
+  return db.createPostMedia(userSub, {
+    media_type: kind,
+    position,
+    source: 'upload',
+    original_name: file.originalname,
+    file_path: filepath,
+    mime_type: mimeType,
+    size_bytes: file.size,
+    alt_text: altText
+  });
+}
+
+/**
+ * Download an image from a URL (public addresses only) and store it locally
+ * @returns {Promise<number>} post_media id
+ */
+async function storeFromUrl(userSub, url, { altText, scheduledPostId } = {}) {
+  let response;
+  try {
+    ({ response } = await safeFetch.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 15000,
+      maxContentLength: MEDIA_KINDS.image.maxBytes
+    }));
+  } catch (error) {
+    // Unusable URLs and oversized images are invalid media; anything else (DNS, timeouts,
+    // 5xx of the image host) keeps its cause so a publish can be retried
+    if (error.code === 'ADDRESS_NOT_ALLOWED') {
+      throw mediaError(`Could not download image from ${url}: ${error.message}`);
+    }
+    if (/maxContentLength/.test(error.message)) {
+      throw mediaError(`Image at ${url} exceeds the image limit of ${formatSize(MEDIA_KINDS.image.maxBytes)}`);
+    }
+    const downloadError = new Error(`Could not download image from ${url}: ${error.message}`, { cause: error });
+    downloadError.status = 422;
+    throw downloadError;
+  }
+
+  const mimeType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const buffer = Buffer.from(response.data);
+  validatePostMedia('image', [{ mimetype: mimeType, size: buffer.length, originalname: url }]);
+
+  const dir = userDir(userSub);
+  await fs.mkdir(dir, { recursive: true });
+  const filepath = path.join(dir, newFilename(MEDIA_KINDS.image.types[mimeType]));
+  await fs.writeFile(filepath, buffer);
+
+  return db.createPostMedia(userSub, {
+    scheduled_post_id: scheduledPostId,
+    source: 'url',
+    source_url: url,
+    original_name: path.basename(new URL(url).pathname) || null,
+    file_path: filepath,
+    mime_type: mimeType,
+    size_bytes: buffer.length,
+    alt_text: altText
+  });
+}
+
+async function attachToPost(mediaIds, postId) {
+  return db.attachPostMedia(mediaIds.filter(Boolean), postId);
+}
+
+/**
+ * Delete a pending or draft post with its media; stored files no other post uses are removed
+ * @returns {Promise<number>} Posts deleted (0 when not found or already published)
+ */
+async function deletePost(postId, userSub) {
+  const files = (await db.getPostMedia(postId)).map(media => media.file_path);
+  const deleted = await db.deleteScheduledPost(postId, userSub);
+  if (deleted === 0) return 0;
+
+  const inUse = await db.getMediaFilesInUse(files);
+  for (const file of files.filter(file => !inUse.has(file))) {
+    await fs.unlink(file).catch(() => {});
+  }
+  return deleted;
+}
+
+/**
+ * Delete multer temp files that were not moved into storage
+ */
+async function removeTempFiles(files) {
+  for (const file of files) {
+    if (file.path) {
+      await fs.unlink(file.path).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Push one stored file to LinkedIn and wait until it is processed
+ * @param {string} owner - Author the media is uploaded for (member or organization URN)
+ * @returns {Promise<string>} Media URN (urn:li:image / urn:li:document / urn:li:video)
+ */
+async function uploadMedia(userSub, media, owner = organizations.memberUrn(userSub)) {
+  // Already on LinkedIn (e.g. an earlier occurrence of a recurring post)
+  if (media.status === 'uploaded' && media.linkedin_urn) {
+    return media.linkedin_urn;
+  }
+
+  const kind = MEDIA_KINDS[media.media_type];
+  let urn = media.linkedin_urn || null;
+
+  try {
+    // Uploaded earlier but LinkedIn was still processing: only wait again
+    if (media.status !== 'processing' || !urn) {
+      await db.updatePostMediaStatus(media.id, 'uploading');
+
+      urn = media.media_type === 'video'
+        ? await uploadVideo(userSub, media, owner)
+        : await uploadSingle(userSub, media, kind, owner);
+
+      await db.updatePostMediaStatus(media.id, 'processing', urn);
+    }
+
+    await waitUntilAvailable(userSub, media.media_type, urn);
+    await db.updatePostMediaStatus(media.id, 'uploaded', urn);
+
+    return urn;
+
+  } catch (error) {
+    const message = error.response?.data?.message || error.message;
+    await db.updatePostMediaStatus(media.id, 'failed', urn, message);
+    // Keep the original error so the publish retry policy can classify it
+    throw new Error(`${media.media_type} upload failed: ${message}`, { cause: error });
+  }
+}
+
+/**
+ * Images and documents: one initializeUpload, one PUT
+ */
+async function uploadSingle(userSub, media, kind, owner) {
+  const buffer = await fs.readFile(media.file_path);
+
+  const init = await linkedin.post(userSub, `${kind.resource}?action=initializeUpload`, {
+    initializeUploadRequest: { owner }
+  }, { feature: 'media' });
+
+  const { uploadUrl } = init.data.value || {};
+  const urn = init.data.value?.[kind.urnKey];
+  if (!uploadUrl || !urn) {
+    throw new Error('initializeUpload returned no upload URL');
+  }
+
+  await linkedin.upload(userSub, uploadUrl, buffer, { contentType: media.mime_type, feature: 'media' });
+
+  return urn;
+}
+
+/**
+ * Videos: upload every part LinkedIn asks for, then finalize with the part ETags
+ */
+async function uploadVideo(userSub, media, owner) {
+  const init = await linkedin.post(userSub, '/rest/videos?action=initializeUpload', {
+    initializeUploadRequest: {
+      owner,
+      fileSizeBytes: media.size_bytes,
+      uploadCaptions: false,
+      uploadThumbnail: false
+    }
+  }, { feature: 'media' });
+
+  const { video, uploadToken, uploadInstructions } = init.data.value || {};
+  if (!video || !uploadInstructions?.length) {
+    throw new Error('initializeUpload returned no upload instructions');
+  }
+
+  const uploadedPartIds = [];
+  const handle = await fs.open(media.file_path, 'r');
+
+  try {
+    for (const { uploadUrl, firstByte, lastByte } of uploadInstructions) {
+      const length = lastByte - firstByte + 1;
+      const part = Buffer.alloc(length);
+      await handle.read(part, 0, length, firstByte);
+
+      const response = await linkedin.upload(userSub, uploadUrl, part, { feature: 'media' });
+      uploadedPartIds.push(response.headers.etag);
+    }
+  } finally {
+    await handle.close();
+  }
+
+  await linkedin.post(userSub, '/rest/videos?action=finalizeUpload', {
+    finalizeUploadRequest: { video, uploadToken: uploadToken || '', uploadedPartIds }
+  }, { feature: 'media' });
+
+  return video;
+}
+
+/**
+ * Poll the media until its status is AVAILABLE
+ */
+async function waitUntilAvailable(userSub, mediaType, urn) {
+  const { attempts, intervalMs } = PROCESSING_POLL[mediaType];
+  const resource = MEDIA_KINDS[mediaType].resource;
+
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const response = await linkedin.get(userSub, `${resource}/${encodeURIComponent(urn)}`, {}, { feature: 'media' });
+    const status = response.data.status;
+
+    if (status === 'AVAILABLE') return;
+    if (status === 'PROCESSING_FAILED') {
+      const error = new Error(`LinkedIn could not process ${urn}`);
+      error.code = 'MEDIA_PROCESSING_FAILED';
+      throw error;
+    }
+
+    await sleep(intervalMs);
+  }
+
+  const error = new Error(`${urn} is still processing`);
+  error.code = 'MEDIA_PROCESSING';
+  throw error;
+}
+
+/**
+ * Upload the media of a scheduled post and build the `content` of the post payload.
+ * Posts scheduled before media tracking only have image_url; it is downloaded here.
+ * @returns {Promise<object|null>} Posts API content, or null for text posts
+ */
+async function prepareForPublish(post) {
+  let mediaList = await db.getPostMedia(post.id);
+
+  if (mediaList.length === 0 && post.image_url) {
+    await storeFromUrl(post.user_sub, post.image_url, { scheduledPostId: post.id });
+    mediaList = await db.getPostMedia(post.id);
+  }
+
+  const urns = [];
+  for (const media of mediaList) {
+    urns.push(await uploadMedia(post.user_sub, media, organizations.authorOf(post)));
+  }
+
+  if (post.post_type === 'article') {
+    return {
+      article: {
+        source: post.article_url,
+        title: post.article_title,
+        ...(post.article_description && { description: post.article_description }),
+        ...(urns[0] && { thumbnail: urns[0] })
+      }
+    };
+  }
+
+  if (mediaList.length === 0) {
+    return null;
+  }
+
+  const postType = post.post_type && post.post_type !== 'text'
+    ? post.post_type
+    : inferPostType(mediaList.map(media => ({ mimetype: media.mime_type })));
+
+  const withAltText = (media, index) => ({
+    id: urns[index],
+    ...(media.alt_text && { altText: media.alt_text })
+  });
+
+  switch (postType) {
+    case 'multi_image':
+      return { multiImage: { images: mediaList.map(withAltText) } };
+
+    case 'document':
+    case 'video':
+      return {
+        media: {
+          id: urns[0],
+          ...(post.document_title && { title: post.document_title })
+        }
+      };
+
+    default:
+      return { media: withAltText(mediaList[0], 0) };
+  }
+}
+
+/**
+ * Media rows as shown in the API (no local file paths)
+ */
+function toPublic(media) {
+  return {
+    id: media.id,
+    media_type: media.media_type,
+    position: media.position,
+    source: media.source,
+    source_url: media.source_url,
+    original_name: media.original_name,
+    mime_type: media.mime_type,
+    size_bytes: media.size_bytes,
+    alt_text: media.alt_text,
+    status: media.status,
+    linkedin_urn: media.linkedin_urn,
+    error_message: media.error_message,
+    updated_at: media.updated_at
+  };
+}
+
+module.exports = {
+  MEDIA_KINDS,
+  POST_TYPES,
+  MAX_UPLOAD_BYTES,
+  TEMP_DIR,
+  resolveMimeType,
+  getMediaKind,
+  inferPostType,
+  validatePostMedia,
+  storeUpload,
+  storeFromUrl,
+  attachToPost,
+  deletePost,
+  removeTempFiles,
+  uploadMedia,
+  prepareForPublish,
+  toPublic
+};
@@ -9,7 +9,7 @@ const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
 
-const DB_PATH = path.join(__dirname, 'linkedin_automation.db');
+const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, 'linkedin_automation.db');
 const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
 
 const db = new sqlite3.Database(DB_PATH);
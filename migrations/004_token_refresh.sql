@@ -0,0 +1,5 @@
+-- Migration 004: Track refresh token expiry and users who must re-authenticate
+
+ALTER TABLE users ADD COLUMN refresh_token_expires_at INTEGER;
+ALTER TABLE users ADD COLUMN reauth_required INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN reauth_reason TEXT;
@@ -0,0 +1,3 @@
+-- Migration 005: Record request latency for every LinkedIn API call
+
+ALTER TABLE api_calls ADD COLUMN latency_ms INTEGER;
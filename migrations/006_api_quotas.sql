@@ -0,0 +1,34 @@
+-- Migration 006: Per-user, per-endpoint API quota accounting
+
+-- Attribute every call to the member who spent it, the quota bucket and the app feature
+ALTER TABLE api_calls ADD COLUMN user_sub TEXT;
+ALTER TABLE api_calls ADD COLUMN endpoint_family TEXT; -- 'posts', 'comments', 'reactions', 'socialActions', 'other'
+ALTER TABLE api_calls ADD COLUMN feature TEXT; -- 'dashboard', 'scheduler', 'sync', 'worker'
+
+UPDATE api_calls SET endpoint_family = CASE
+  WHEN endpoint LIKE '/rest/posts%' OR endpoint LIKE '/v2/shares%' OR endpoint LIKE '/v2/ugcPosts%' THEN 'posts'
+  WHEN endpoint LIKE '/rest/comments%' THEN 'comments'
+  WHEN endpoint LIKE '/rest/reactions%' THEN 'reactions'
+  WHEN endpoint LIKE '/rest/socialActions%' OR endpoint LIKE '/v2/socialActions%' THEN 'socialActions'
+  ELSE 'other'
+END;
+
+CREATE INDEX IF NOT EXISTS idx_api_calls_user_family ON api_calls(user_sub, endpoint_family, timestamp DESC);
+
+-- Daily limits per endpoint family; user_sub '*' holds the defaults for every member.
+-- app_daily_limit is shared by all members and only read from the '*' rows.
+CREATE TABLE IF NOT EXISTS api_quota_policies (
+  user_sub TEXT NOT NULL,
+  endpoint_family TEXT NOT NULL,
+  member_daily_limit INTEGER NOT NULL,
+  app_daily_limit INTEGER,
+  updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+  PRIMARY KEY (user_sub, endpoint_family)
+);
+
+INSERT OR IGNORE INTO api_quota_policies (user_sub, endpoint_family, member_daily_limit, app_daily_limit) VALUES
+  ('*', 'posts', 150, 100000),
+  ('*', 'comments', 500, 100000),
+  ('*', 'reactions', 500, 100000),
+  ('*', 'socialActions', 500, 100000),
+  ('*', 'other', 500, 100000);
@@ -0,0 +1,35 @@
+-- Migration 007: Recurring scheduled posts
+-- A series holds the recurrence rule (iCalendar RRULE subset) and the post template.
+-- Only the next occurrence is materialized in scheduled_posts; the scheduler creates
+-- the following one after each publish. Single-instance skips/edits are stored as
+-- exceptions keyed by the original occurrence time.
+
+CREATE TABLE IF NOT EXISTS post_series (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_sub TEXT NOT NULL,
+  rrule TEXT NOT NULL,
+  dtstart INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  image_url TEXT,
+  status TEXT DEFAULT 'active', -- active, completed, cancelled
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  FOREIGN KEY (user_sub) REFERENCES users(sub)
+);
+
+CREATE TABLE IF NOT EXISTS post_series_exceptions (
+  series_id INTEGER NOT NULL,
+  occurrence_at INTEGER NOT NULL,
+  action TEXT NOT NULL, -- skip, edit
+  content TEXT,
+  image_url TEXT,
+  publish_at INTEGER,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  PRIMARY KEY (series_id, occurrence_at),
+  FOREIGN KEY (series_id) REFERENCES post_series(id) ON DELETE CASCADE
+);
+
+ALTER TABLE scheduled_posts ADD COLUMN series_id INTEGER REFERENCES post_series(id);
+ALTER TABLE scheduled_posts ADD COLUMN occurrence_at INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_post_series_user ON post_series(user_sub, status);
+CREATE INDEX IF NOT EXISTS idx_scheduled_posts_series ON scheduled_posts(series_id, occurrence_at);
@@ -0,0 +1,28 @@
+-- Migration 008: Media attached to scheduled posts
+-- Files are stored locally (uploads/media) when the post is scheduled and pushed
+-- to LinkedIn's Images API at publish time. status tracks the pipeline:
+-- stored -> uploading -> processing -> uploaded, or failed (see error_message).
+
+CREATE TABLE IF NOT EXISTS post_media (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_sub TEXT NOT NULL,
+  scheduled_post_id INTEGER,
+  media_type TEXT DEFAULT 'image',
+  position INTEGER DEFAULT 0,
+  source TEXT NOT NULL, -- upload, url
+  source_url TEXT,
+  original_name TEXT,
+  file_path TEXT NOT NULL,
+  mime_type TEXT,
+  size_bytes INTEGER,
+  alt_text TEXT,
+  status TEXT DEFAULT 'stored', -- stored, uploading, processing, uploaded, failed
+  linkedin_urn TEXT,
+  error_message TEXT,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+  FOREIGN KEY (user_sub) REFERENCES users(sub),
+  FOREIGN KEY (scheduled_post_id) REFERENCES scheduled_posts(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_media_post ON post_media(scheduled_post_id, position);
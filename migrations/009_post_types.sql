@@ -0,0 +1,15 @@
+-- Migration 009: Post types (text, image, multi_image, document, video)
+-- document_title is the title LinkedIn shows on document (PDF carousel) and video posts.
+
+ALTER TABLE scheduled_posts ADD COLUMN post_type TEXT DEFAULT 'text';
+ALTER TABLE scheduled_posts ADD COLUMN document_title TEXT;
+
+ALTER TABLE post_series ADD COLUMN post_type TEXT DEFAULT 'text';
+ALTER TABLE post_series ADD COLUMN document_title TEXT;
+
+-- Existing image posts
+UPDATE scheduled_posts SET post_type = 'image'
+WHERE image_url IS NOT NULL
+   OR id IN (SELECT scheduled_post_id FROM post_media WHERE scheduled_post_id IS NOT NULL);
+
+UPDATE post_series SET post_type = 'image' WHERE image_url IS NOT NULL;
@@ -0,0 +1,18 @@
+-- Migration 010: Drafts and revision history
+-- Drafts are scheduled_posts rows with status 'draft' (publish_at 0 = no time picked yet).
+-- Every change to a draft or pending post stores a full snapshot (JSON) as a revision.
+
+CREATE TABLE IF NOT EXISTS post_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  scheduled_post_id INTEGER NOT NULL,
+  revision INTEGER NOT NULL,
+  change_type TEXT NOT NULL, -- created, autosave, edited, restored, promoted
+  changed_by TEXT NOT NULL,
+  changed_fields TEXT, -- JSON array of fields changed since the previous revision
+  snapshot TEXT NOT NULL, -- JSON: content, publish_at, post_type, document_title, image_url, status, media
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  UNIQUE (scheduled_post_id, revision),
+  FOREIGN KEY (scheduled_post_id) REFERENCES scheduled_posts(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_revisions_post ON post_revisions(scheduled_post_id, revision DESC);
@@ -0,0 +1,13 @@
+-- Migration 011: Secret ICS calendar feeds
+-- One feed per user, served at /calendar/<token>.ics. Only the SHA-256 hash of the
+-- token is stored; rotating the feed replaces the hash and invalidates the old URL.
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  user_sub TEXT PRIMARY KEY,
+  token_hash TEXT UNIQUE NOT NULL,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  last_accessed_at INTEGER,
+  FOREIGN KEY (user_sub) REFERENCES users(sub)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_posts_user_publish ON scheduled_posts(user_sub, publish_at);
@@ -0,0 +1,25 @@
+-- Migration 012: Publish retries and dead-letter state
+-- Transient publish failures keep the post 'pending' with next_retry_at set; after
+-- the last attempt it becomes 'dead_letter'. Permanent failures go to 'failed'.
+-- Every attempt (scheduled or manual "retry now") is kept in publish_attempts.
+
+ALTER TABLE scheduled_posts ADD COLUMN attempt_count INTEGER DEFAULT 0;
+ALTER TABLE scheduled_posts ADD COLUMN next_retry_at INTEGER;
+
+CREATE TABLE IF NOT EXISTS publish_attempts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  scheduled_post_id INTEGER NOT NULL,
+  attempt INTEGER NOT NULL,
+  triggered_by TEXT DEFAULT 'scheduler', -- scheduler, manual
+  outcome TEXT NOT NULL, -- published, retry_scheduled, failed, dead_letter
+  failure_class TEXT, -- transient, permanent
+  reason TEXT, -- e.g. http_503, rate_limited, network, http_422
+  http_status INTEGER,
+  error_message TEXT,
+  next_retry_at INTEGER,
+  started_at INTEGER NOT NULL,
+  finished_at INTEGER DEFAULT (strftime('%s', 'now')),
+  FOREIGN KEY (scheduled_post_id) REFERENCES scheduled_posts(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_publish_attempts_post ON publish_attempts(scheduled_post_id, id DESC);
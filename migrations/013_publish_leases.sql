@@ -0,0 +1,17 @@
+-- Migration 013: Lease-protected, idempotent publishing
+-- A post is claimed atomically (pending -> publishing) with a lease owner and expiry;
+-- leases of crashed runs expire and the post goes back to pending. idempotency_key
+-- identifies the logical publish across retries. unconfirmed_since is set when a
+-- create request may have reached LinkedIn without a response; the next attempt
+-- looks for the post on LinkedIn before sending it again.
+
+ALTER TABLE scheduled_posts ADD COLUMN lease_owner TEXT;
+ALTER TABLE scheduled_posts ADD COLUMN lease_expires_at INTEGER;
+ALTER TABLE scheduled_posts ADD COLUMN claimed_at INTEGER;
+ALTER TABLE scheduled_posts ADD COLUMN idempotency_key TEXT;
+ALTER TABLE scheduled_posts ADD COLUMN unconfirmed_since INTEGER;
+
+ALTER TABLE publish_attempts ADD COLUMN lease_owner TEXT;
+ALTER TABLE publish_attempts ADD COLUMN idempotency_key TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_posts_lease ON scheduled_posts(status, lease_expires_at);
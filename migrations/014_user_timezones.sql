@@ -0,0 +1,40 @@
+-- Migration 014: Per-user time zone and locale
+-- users.timezone is an IANA zone, users.locale a BCP 47 tag (NULL = server defaults).
+-- Series keep the zone they were created in, so occurrences stay at the same
+-- wall-clock time across DST changes (NULL = server zone, as before).
+-- Sync sessions become per user, keyed on the user's local date.
+
+ALTER TABLE users ADD COLUMN timezone TEXT;
+ALTER TABLE users ADD COLUMN locale TEXT;
+
+ALTER TABLE post_series ADD COLUMN timezone TEXT;
+
+CREATE TABLE IF NOT EXISTS sync_sessions_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_sub TEXT,
+  session_date DATE,
+  status TEXT DEFAULT 'running', -- 'running', 'paused', 'completed', 'failed'
+  total_connections INTEGER DEFAULT 0,
+  connections_synced INTEGER DEFAULT 0,
+  api_calls_used INTEGER DEFAULT 0,
+  api_calls_limit INTEGER DEFAULT 500,
+  started_at INTEGER,
+  paused_at INTEGER,
+  completed_at INTEGER,
+  resume_from_id INTEGER, -- Resume from this connection_id
+  error_message TEXT,
+  UNIQUE(user_sub, session_date)
+);
+
+-- Existing sessions were shared by all users; keep them under no user
+INSERT INTO sync_sessions_new (
+  id, session_date, status, total_connections, connections_synced, api_calls_used,
+  api_calls_limit, started_at, paused_at, completed_at, resume_from_id, error_message
+)
+SELECT
+  id, session_date, status, total_connections, connections_synced, api_calls_used,
+  api_calls_limit, started_at, paused_at, completed_at, resume_from_id, error_message
+FROM sync_sessions;
+
+DROP TABLE sync_sessions;
+ALTER TABLE sync_sessions_new RENAME TO sync_sessions;
@@ -0,0 +1,29 @@
+-- Migration 015: Posting slots queue
+-- Weekly posting slots (weekday + local wall-clock time in the user's zone) and
+-- blackout date ranges that the queue skips. Posts added to the queue are marked
+-- queued = 1 and may be moved to other slots when the queue reshuffles; posts with
+-- a time picked by the user (queued = 0) stay where they are.
+
+CREATE TABLE IF NOT EXISTS posting_slots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_sub TEXT NOT NULL,
+  weekday INTEGER NOT NULL, -- 0 = Sunday ... 6 = Saturday
+  minute_of_day INTEGER NOT NULL, -- 510 = 08:30
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  UNIQUE(user_sub, weekday, minute_of_day),
+  FOREIGN KEY (user_sub) REFERENCES users(sub)
+);
+
+CREATE TABLE IF NOT EXISTS blackout_dates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_sub TEXT NOT NULL,
+  start_date TEXT NOT NULL, -- YYYY-MM-DD, local to the user
+  end_date TEXT NOT NULL, -- inclusive
+  label TEXT,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  FOREIGN KEY (user_sub) REFERENCES users(sub)
+);
+
+CREATE INDEX IF NOT EXISTS idx_blackout_dates_user ON blackout_dates(user_sub, start_date);
+
+ALTER TABLE scheduled_posts ADD COLUMN queued INTEGER DEFAULT 0;
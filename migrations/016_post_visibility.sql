@@ -0,0 +1,5 @@
+-- Migration 016: Post visibility
+-- PUBLIC (anyone on LinkedIn) or CONNECTIONS (1st-degree connections only).
+-- Existing posts keep PUBLIC, which the scheduler always used before.
+
+ALTER TABLE scheduled_posts ADD COLUMN visibility TEXT DEFAULT 'PUBLIC';
@@ -0,0 +1,8 @@
+-- Migration 017: LinkedIn member URNs of connections
+-- The connections CSV export has no member ids. Once a connection's URN is known
+-- (set in the dashboard or learned from engagement) it can be @mentioned in posts
+-- and matched to reactions and comments.
+
+ALTER TABLE connections ADD COLUMN linkedin_urn TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_connections_urn ON connections(user_sub, linkedin_urn);
@@ -0,0 +1,8 @@
+-- Migration 018: Article (link share) posts
+-- The link, and the title and description LinkedIn shows on the link card.
+-- Taken from the page's Open Graph / Twitter card tags unless the user overrides them.
+-- The thumbnail is an image in post_media, like the image of an image post.
+
+ALTER TABLE scheduled_posts ADD COLUMN article_url TEXT;
+ALTER TABLE scheduled_posts ADD COLUMN article_title TEXT;
+ALTER TABLE scheduled_posts ADD COLUMN article_description TEXT;
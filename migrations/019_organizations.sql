@@ -0,0 +1,25 @@
+-- Migration 019: Company pages as post authors
+-- Organizations the member administers and has connected as authors. A post's
+-- author_urn is the organization it is published as; NULL means the member.
+-- Recurring series keep the author for every occurrence. Synced posts remember
+-- their author so analytics can be filtered per page. granted_scopes holds the
+-- OAuth scopes of the last login (organization features need their own scopes).
+
+CREATE TABLE IF NOT EXISTS organizations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_sub TEXT NOT NULL,
+  organization_urn TEXT NOT NULL, -- urn:li:organization:<id>
+  name TEXT NOT NULL,
+  vanity_name TEXT,
+  role TEXT, -- ADMINISTRATOR, CONTENT_ADMINISTRATOR, ...
+  connected_at INTEGER DEFAULT (strftime('%s', 'now')),
+  UNIQUE(user_sub, organization_urn),
+  FOREIGN KEY (user_sub) REFERENCES users(sub)
+);
+
+ALTER TABLE scheduled_posts ADD COLUMN author_urn TEXT;
+ALTER TABLE post_series ADD COLUMN author_urn TEXT;
+ALTER TABLE tracked_posts ADD COLUMN author_urn TEXT;
+ALTER TABLE users ADD COLUMN granted_scopes TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_posts_author ON scheduled_posts(user_sub, author_urn);
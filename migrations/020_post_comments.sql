@@ -0,0 +1,37 @@
+-- Migration 020: First comments
+-- A post (or series) can carry a first comment, posted right after the post is
+-- published, and a follow-up comment posted follow_up_delay_minutes later.
+-- On publish each one becomes a job in post_comments with its own status, retries
+-- and lease, like publishing itself (migrations 012 and 013).
+
+ALTER TABLE scheduled_posts ADD COLUMN first_comment TEXT;
+ALTER TABLE scheduled_posts ADD COLUMN follow_up_comment TEXT;
+ALTER TABLE scheduled_posts ADD COLUMN follow_up_delay_minutes INTEGER;
+
+ALTER TABLE post_series ADD COLUMN first_comment TEXT;
+ALTER TABLE post_series ADD COLUMN follow_up_comment TEXT;
+ALTER TABLE post_series ADD COLUMN follow_up_delay_minutes INTEGER;
+
+CREATE TABLE IF NOT EXISTS post_comments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  scheduled_post_id INTEGER NOT NULL,
+  user_sub TEXT NOT NULL,
+  kind TEXT NOT NULL, -- first, follow_up
+  content TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, posting, posted, failed, dead_letter
+  due_at INTEGER NOT NULL,
+  attempt_count INTEGER DEFAULT 0,
+  next_retry_at INTEGER,
+  lease_owner TEXT,
+  lease_expires_at INTEGER,
+  claimed_at INTEGER,
+  unconfirmed_since INTEGER,
+  linkedin_comment_id TEXT,
+  error_message TEXT,
+  posted_at INTEGER,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  UNIQUE(scheduled_post_id, kind),
+  FOREIGN KEY (scheduled_post_id) REFERENCES scheduled_posts(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_comments_due ON post_comments(status, due_at);
@@ -0,0 +1,23 @@
+-- Migration 021: Post performance snapshots
+-- A periodic job records the reactions (total and by type), comments, shares and
+-- impressions of recent posts; the series per post gives growth curves (first 24h
+-- velocity) and age-normalized comparisons. shares / impressions stay NULL where
+-- LinkedIn does not report them. The latest values are kept on tracked_posts too.
+
+CREATE TABLE IF NOT EXISTS post_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  post_id TEXT NOT NULL, -- tracked_posts.post_id (LinkedIn URN)
+  user_sub TEXT NOT NULL,
+  captured_at INTEGER NOT NULL,
+  reactions INTEGER NOT NULL DEFAULT 0,
+  reactions_by_type TEXT, -- JSON, e.g. {"LIKE": 3, "PRAISE": 1}
+  comments INTEGER NOT NULL DEFAULT 0,
+  shares INTEGER,
+  impressions INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_snapshots_post ON post_snapshots(post_id, captured_at);
+
+ALTER TABLE tracked_posts ADD COLUMN reactions_by_type TEXT;
+ALTER TABLE tracked_posts ADD COLUMN impressions INTEGER;
+ALTER TABLE tracked_posts ADD COLUMN last_snapshot_at INTEGER;
@@ -0,0 +1,29 @@
+-- Migration 022: Comment inbox
+-- Comments on tracked posts are stored locally, together with our own replies
+-- (is_own), so the dashboard can list them across posts. A comment is answered
+-- once one of our comments follows it in its thread (answered_at); status is
+-- the inbox state set from the dashboard (open, done).
+
+CREATE TABLE IF NOT EXISTS inbox_comments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_sub TEXT NOT NULL,
+  post_id TEXT NOT NULL, -- tracked_posts.post_id
+  comment_id TEXT NOT NULL, -- LinkedIn comment id
+  comment_urn TEXT NOT NULL,
+  parent_comment_id TEXT, -- thread root, for nested replies
+  parent_comment_urn TEXT,
+  actor_urn TEXT,
+  text TEXT,
+  commented_at INTEGER NOT NULL,
+  is_own INTEGER NOT NULL DEFAULT 0,
+  answered_at INTEGER,
+  status TEXT NOT NULL DEFAULT 'open', -- open, done
+  done_at INTEGER,
+  synced_at INTEGER DEFAULT (strftime('%s', 'now')),
+  UNIQUE(user_sub, comment_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inbox_comments_user ON inbox_comments(user_sub, status, commented_at DESC);
+CREATE INDEX IF NOT EXISTS idx_inbox_comments_post ON inbox_comments(post_id, parent_comment_id);
+
+ALTER TABLE tracked_posts ADD COLUMN comments_synced_at INTEGER;
@@ -0,0 +1,19 @@
+-- Migration 023: Reply templates
+-- Saved replies per user with {first_name}, {company} and {post_title} variables,
+-- filled in from the commenter's connection and the post. Replies sent from a
+-- template count towards its usage (use_count, last_used_at) and remember it on
+-- the stored reply.
+
+CREATE TABLE IF NOT EXISTS reply_templates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_sub TEXT NOT NULL,
+  name TEXT NOT NULL,
+  body TEXT NOT NULL,
+  use_count INTEGER NOT NULL DEFAULT 0,
+  last_used_at INTEGER,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+  UNIQUE(user_sub, name)
+);
+
+ALTER TABLE inbox_comments ADD COLUMN reply_template_id INTEGER;
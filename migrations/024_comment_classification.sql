@@ -0,0 +1,12 @@
+-- Migration 024: Comment sentiment and intents
+-- Inbox comments are classified offline when they are loaded (comment-classifier.js):
+-- sentiment (positive, neutral, negative) with its lexicon score, and intents as a
+-- comma-separated list (question, lead, spam, job_request). The *_override columns
+-- hold corrections made by hand; they win over the automatic values and survive
+-- re-classification. NULL clears an override.
+
+ALTER TABLE inbox_comments ADD COLUMN sentiment TEXT;
+ALTER TABLE inbox_comments ADD COLUMN sentiment_score REAL;
+ALTER TABLE inbox_comments ADD COLUMN intents TEXT;
+ALTER TABLE inbox_comments ADD COLUMN sentiment_override TEXT;
+ALTER TABLE inbox_comments ADD COLUMN intents_override TEXT;
@@ -0,0 +1,56 @@
+-- Migration 025: Comment moderation
+-- Rules per user that run on comments of others as they are loaded into the inbox:
+-- keywords (one per line), regex, links posted by non-connections and repeat
+-- commenters (threshold comments within window_hours). A match either flags the
+-- comment for review or deletes it on LinkedIn.
+-- moderation_actions keeps one entry per moderated comment with a copy of the
+-- comment (the inbox row goes once LinkedIn deleted it). Deletions wait in
+-- 'pending' until execute_after (the undo window), then become 'deleted' or
+-- 'failed'; flags stay 'flagged' until reviewed. Undone entries are kept so the
+-- comment is not moderated again.
+
+CREATE TABLE IF NOT EXISTS moderation_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_sub TEXT NOT NULL,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL, -- keywords, regex, link_from_non_connection, repeat_commenter
+  pattern TEXT, -- keywords: one per line; regex: expression (case-insensitive)
+  threshold INTEGER, -- repeat_commenter: comments by one person...
+  window_hours INTEGER, -- ...within this many hours
+  action TEXT NOT NULL DEFAULT 'flag', -- flag, delete
+  enabled INTEGER NOT NULL DEFAULT 1,
+  match_count INTEGER NOT NULL DEFAULT 0,
+  last_matched_at INTEGER,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+  UNIQUE(user_sub, name)
+);
+
+CREATE TABLE IF NOT EXISTS moderation_actions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_sub TEXT NOT NULL,
+  rule_id INTEGER, -- NULL once the rule is deleted
+  rule_name TEXT NOT NULL,
+  action TEXT NOT NULL, -- flag, delete
+  status TEXT NOT NULL, -- flagged, pending, deleting, deleted, failed, undone
+  reason TEXT,
+  post_id TEXT NOT NULL,
+  post_author_urn TEXT,
+  comment_id TEXT NOT NULL,
+  comment_urn TEXT,
+  actor_urn TEXT,
+  text TEXT,
+  execute_after INTEGER, -- deletions: end of the undo window / next retry
+  attempt_count INTEGER NOT NULL DEFAULT 0,
+  executed_at INTEGER,
+  undone_at INTEGER,
+  error_message TEXT,
+  created_at INTEGER DEFAULT (strftime('%s', 'now')),
+  UNIQUE(user_sub, comment_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_actions_due ON moderation_actions(status, execute_after);
+
+-- Comments stored before rules existed count as checked; the dry run covers them
+ALTER TABLE inbox_comments ADD COLUMN moderated_at INTEGER;
+UPDATE inbox_comments SET moderated_at = strftime('%s', 'now');
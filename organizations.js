@@ -0,0 +1,182 @@
+/**
+ * Company Pages (organization authors)
+ *
+ * Members can publish as organizations they administer. Pages are looked up with
+ * the Organization Access Control API (needs r_organization_admin); connected ones
+ * are stored as selectable authors. Posting and reading as a page needs
+ * w_organization_social / r_organization_social, requested at login with
+ * /auth/linkedin?organizations=1 (see LINKEDIN_ORGANIZATION_SCOPES).
+ *
+ * A post's author_urn is the page it goes out as; NULL means the member.
+ */
+
+const db = require('./database');
+const linkedin = require('./linkedin-client');
+const { LINKEDIN_ORGANIZATION_SCOPES } = require('./linkedin-config');
+
+// Roles that may create posts for a page
+const POSTING_ROLES = ['ADMINISTRATOR', 'CONTENT_ADMINISTRATOR'];
+const ORGANIZATION_URN = /^urn:li:organization:\d+$/;
+
+function organizationError(message, status = 400, code = 'INVALID_AUTHOR') {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Author URN of the member's own posts
+ */
+function memberUrn(userSub) {
+  return `urn:li:person:${userSub}`;
+}
+
+/**
+ * Author URN a scheduled post is published as
+ */
+function authorOf(post) {
+  return post.author_urn || memberUrn(post.user_sub);
+}
+
+/**
+ * Whether the scopes of the user's last login cover company pages
+ */
+function hasOrganizationScopes(user) {
+  const granted = (user?.granted_scopes || '').split(/[\s,]+/);
+  return LINKEDIN_ORGANIZATION_SCOPES.every(scope => granted.includes(scope));
+}
+
+/**
+ * Pages the member may post for, as LinkedIn reports them
+ * @returns {Promise<Array<{organization_urn, name, vanity_name, role}>>}
+ */
+async function listAdministered(userSub) {
+  let response;
+  try {
+    response = await linkedin.get(userSub, '/rest/organizationAcls', {
+      q: 'roleAssignee',
+      state: 'APPROVED',
+      count: 100
+    }, { feature: 'organizations' });
+  } catch (error) {
+    if (error.response?.status === 403) {
+      throw organizationError(
+        'LinkedIn did not allow reading your company pages. Log in again with the company page scopes (/auth/linkedin?organizations=1).',
+        403,
+        'ORGANIZATION_SCOPES_MISSING'
+      );
+    }
+    throw error;
+  }
+
+  const acls = (response.data.elements || [])
+    .filter(acl => POSTING_ROLES.includes(acl.role) && ORGANIZATION_URN.test(acl.organization || ''));
+
+  const pages = new Map();
+  for (const acl of acls) {
+    // Administrators are content administrators too; keep the strongest role
+    if (pages.has(acl.organization) && acl.role !== 'ADMINISTRATOR') continue;
+
+    const id = acl.organization.split(':').pop();
+    const organization = (await linkedin.get(userSub, `/rest/organizations/${id}`, {}, { feature: 'organizations' })).data;
+    pages.set(acl.organization, {
+      organization_urn: acl.organization,
+      name: organization.localizedName || organization.vanityName || acl.organization,
+      vanity_name: organization.vanityName || null,
+      role: acl.role
+    });
+  }
+
+  return [...pages.values()];
+}
+
+/**
+ * Connect a page the member administers as an author
+ */
+async function connect(userSub, organizationUrn) {
+  if (!ORGANIZATION_URN.test(organizationUrn || '')) {
+    throw organizationError('organization_urn must look like urn:li:organization:<id>');
+  }
+
+  const page = (await listAdministered(userSub)).find(p => p.organization_urn === organizationUrn);
+  if (!page) {
+    throw organizationError('You are not an administrator of this company page', 403, 'NOT_AN_ADMINISTRATOR');
+  }
+
+  await db.saveOrganization(userSub, page);
+  return (await db.getOrganizations(userSub)).find(o => o.organization_urn === organizationUrn);
+}
+
+/**
+ * Disconnect a page. Refused while posts are still scheduled as it.
+ */
+async function disconnect(userSub, id) {
+  const organization = await db.getOrganization(id, userSub);
+  if (!organization) {
+    throw organizationError('Company page not found', 404, 'NOT_FOUND');
+  }
+
+  const upcoming = await db.countUpcomingPostsByAuthor(userSub, organization.organization_urn);
+  if (upcoming > 0) {
+    throw organizationError(
+      `${organization.name} still has ${upcoming} scheduled post${upcoming === 1 ? '' : 's'} or series; delete them or pick another author first`,
+      409,
+      'AUTHOR_IN_USE'
+    );
+  }
+
+  await db.deleteOrganization(id, userSub);
+  return organization;
+}
+
+/**
+ * Authors the user can choose from: the member, then connected pages
+ * @param {object} member - { sub, name, picture } of the session user
+ */
+async function getAuthors(member) {
+  const organizations = await db.getOrganizations(member.sub);
+  return [
+    { urn: memberUrn(member.sub), name: member.name, type: 'member', picture: member.picture || null },
+    ...organizations.map(organization => ({
+      urn: organization.organization_urn,
+      name: organization.name,
+      type: 'organization',
+      id: organization.id,
+      vanity_name: organization.vanity_name
+    }))
+  ];
+}
+
+/**
+ * Stored author_urn for a requested author: null for the member (empty, "me" or
+ * the member URN), or the URN of a connected page, matched by URN, name or vanity name
+ * @param {Array} organizations - Connected pages (db.getOrganizations)
+ */
+function matchAuthor(userSub, value, organizations) {
+  const requested = String(value ?? '').trim();
+  if (!requested || requested.toLowerCase() === 'me' || requested === memberUrn(userSub)) {
+    return null;
+  }
+
+  const key = requested.toLowerCase();
+  const organization = organizations.find(o =>
+    o.organization_urn === requested || o.name.toLowerCase() === key || (o.vanity_name || '').toLowerCase() === key
+  );
+  if (!organization) {
+    throw organizationError(`Unknown author "${requested}": connect the company page first`);
+  }
+  return organization.organization_urn;
+}
+
+module.exports = {
+  POSTING_ROLES,
+  memberUrn,
+  authorOf,
+  hasOrganizationScopes,
+  listAdministered,
+  connect,
+  disconnect,
+  getAuthors,
+  matchAuthor
+};
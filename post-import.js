@@ -0,0 +1,141 @@
+/**
+ * Bulk Post Import
+ *
+ * Reads a CSV or JSON file of posts prepared in a spreadsheet into rows for
+ * scheduling. Column names are matched loosely ("Publish At", "publish_time",
+ * "date"...). A publish time of "next slot" (or "queue") puts the post into the
+ * posting queue instead of a fixed time.
+ *
+ * CSV: one post per line with a header row.
+ * JSON: an array of post objects, or { "posts": [...] }.
+ */
+
+const csv = require('csv-parse/sync');
+
+const MAX_ROWS = 200;
+
+// Accepted column names per field (compared lowercase, spaces/dashes as underscores)
+const COLUMNS = {
+  content: ['content', 'text', 'commentary', 'post', 'body'],
+  publish_at: ['publish_at', 'publish_time', 'publish_date', 'scheduled_at', 'date', 'time', 'when'],
+  image_url: ['image_url', 'image', 'image_link'],
+  visibility: ['visibility', 'audience'],
+  post_type: ['post_type', 'type'],
+  document_title: ['document_title', 'title'],
+  article_url: ['article_url', 'link', 'url'],
+  article_title: ['article_title', 'link_title'],
+  article_description: ['article_description', 'link_description'],
+  author_urn: ['author', 'author_urn', 'post_as', 'page'],
+  first_comment: ['first_comment', 'comment'],
+  follow_up_comment: ['follow_up_comment', 'follow_up'],
+  follow_up_delay_minutes: ['follow_up_delay_minutes', 'follow_up_delay', 'follow_up_minutes']
+};
+
+const NEXT_SLOT = /^(next[\s_-]?slot|queue)$/i;
+
+function importError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function normalizeKey(key) {
+  return String(key).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Map a raw record to post fields using the first matching column of each field
+function toFields(record) {
+  const values = {};
+  for (const [key, value] of Object.entries(record || {})) {
+    values[normalizeKey(key)] = value;
+  }
+
+  const fields = {};
+  for (const [field, names] of Object.entries(COLUMNS)) {
+    const name = names.find(candidate => values[candidate] !== undefined && values[candidate] !== null && values[candidate] !== '');
+    fields[field] = name ? values[name] : null;
+  }
+
+  // "next slot" as publish time, or a queue flag in JSON
+  const queueFlag = [true, 'true', '1', 1, 'yes'].includes(values.queue);
+  if (queueFlag || (typeof fields.publish_at === 'string' && NEXT_SLOT.test(fields.publish_at.trim()))) {
+    fields.publish_at = null;
+    fields.queue = true;
+  } else {
+    fields.queue = false;
+  }
+
+  // Line breaks inside cells from Windows spreadsheets
+  if (typeof fields.content === 'string') {
+    fields.content = fields.content.replace(/\r\n/g, '\n');
+  }
+  if (fields.publish_at !== null && typeof fields.publish_at !== 'string') {
+    fields.publish_at = String(fields.publish_at);
+  }
+
+  return fields;
+}
+
+function parseCsv(text) {
+  try {
+    return csv.parse(text, {
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true,
+      bom: true
+    });
+  } catch (error) {
+    throw importError(`Invalid CSV: ${error.message}`);
+  }
+}
+
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw importError(`Invalid JSON: ${error.message}`);
+  }
+
+  const records = Array.isArray(data) ? data : data?.posts;
+  if (!Array.isArray(records)) {
+    throw importError('JSON must be an array of posts or { "posts": [...] }');
+  }
+  return records;
+}
+
+/**
+ * Parse an uploaded file into post rows
+ * @param {Buffer} buffer
+ * @param {string} filename - .csv or .json (otherwise detected from the content)
+ * @returns {{format: 'csv'|'json', rows: Array<{row: number, fields: object}>}}
+ *   row is the spreadsheet row in a CSV (header = 1) or the 1-based index in JSON
+ */
+function parseFile(buffer, filename = '') {
+  const text = buffer.toString('utf8');
+  const format = /\.json$/i.test(filename) || (!/\.csv$/i.test(filename) && /^\s*[[{]/.test(text.replace(/^\uFEFF/, '')))
+    ? 'json'
+    : 'csv';
+
+  const records = format === 'json' ? parseJson(text) : parseCsv(text);
+  if (records.length === 0) {
+    throw importError('The file contains no posts');
+  }
+  if (records.length > MAX_ROWS) {
+    throw importError(`At most ${MAX_ROWS} posts can be imported at once (file has ${records.length})`);
+  }
+
+  return {
+    format,
+    rows: records.map((record, index) => ({
+      row: format === 'csv' ? index + 2 : index + 1,
+      fields: toFields(record)
+    }))
+  };
+}
+
+module.exports = {
+  MAX_ROWS,
+  parseFile
+};
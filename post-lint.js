@@ -0,0 +1,210 @@
+/**
+ * Post Lint & Preview
+ *
+ * Checks post content before it is scheduled and returns structured warnings
+ * (nothing here blocks scheduling; validateSchedulePost does that):
+ * - text hidden behind "…see more" (the feed shows ~210 characters / 3 lines)
+ * - too many hashtags, links in the body, long ALL-CAPS runs
+ * - near-duplicates of recent published or pending posts
+ * - readability (Flesch reading ease, English syllable heuristic)
+ *
+ * The preview is the text as the feed displays it (mentions as names), split
+ * into text, mention, hashtag and link segments, plus where it folds.
+ */
+
+const db = require('./database');
+const littleText = require('./little-text');
+
+// The feed folds after roughly this many characters or lines
+const FOLD_CHARS = 210;
+const FOLD_LINES = 3;
+const MAX_HASHTAGS = 5;
+// Three or more ALL-CAPS words in a row
+const CAPS_RUN = /(?<!\p{L})\p{Lu}{2,}(?:[^\p{L}\n]{1,3}\p{Lu}{2,}){2,}(?!\p{L})/gu;
+const LINK = /\b(?:https?:\/\/|www\.)[^\s<>]+[^\s<>.,;:!?)'"]/gi;
+// Recent posts compared for near-duplicates, and the similarity that warns
+const DUPLICATE_LOOKBACK = 20;
+const DUPLICATE_SIMILARITY = 0.8;
+const HARD_TO_READ = 30;
+
+function warning(code, severity, message, details = {}) {
+  return { code, severity, message, ...details };
+}
+
+// Character index where "…see more" cuts the text
+function foldIndex(text) {
+  let index = -1;
+  for (let line = 0; line < FOLD_LINES; line++) {
+    index = text.indexOf('\n', index + 1);
+    if (index === -1) return Math.min(FOLD_CHARS, text.length);
+  }
+  return Math.min(FOLD_CHARS, index);
+}
+
+// Split text segments further into link segments
+function withLinks(segments) {
+  return segments.flatMap(segment => {
+    if (segment.type !== 'text') return [segment];
+
+    const parts = [];
+    let index = 0;
+    for (const match of segment.text.matchAll(LINK)) {
+      if (match.index > index) parts.push({ type: 'text', text: segment.text.slice(index, match.index) });
+      parts.push({ type: 'link', text: match[0] });
+      index = match.index + match[0].length;
+    }
+    if (index < segment.text.length) parts.push({ type: 'text', text: segment.text.slice(index) });
+    return parts;
+  });
+}
+
+function words(text) {
+  return text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+}
+
+function syllables(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) return 1;
+  const groups = letters.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+/**
+ * Flesch reading ease (0-100, higher is easier) and Flesch-Kincaid grade level
+ * of prose (links, hashtags and mentions left out)
+ */
+function readability(segments) {
+  const prose = segments.filter(segment => segment.type === 'text').map(segment => segment.text).join(' ');
+  const wordList = words(prose);
+  const sentences = Math.max(1, (prose.match(/[.!?]+(?=\s|$)|\n+/g) || []).length);
+
+  if (wordList.length === 0) {
+    return { words: 0, sentences: 0, flesch_reading_ease: null, grade_level: null, label: null };
+  }
+
+  const wordsPerSentence = wordList.length / sentences;
+  const syllablesPerWord = wordList.reduce((sum, word) => sum + syllables(word), 0) / wordList.length;
+  const ease = Math.max(0, Math.min(100, 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord));
+  const grade = Math.max(0, 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59);
+
+  return {
+    words: wordList.length,
+    sentences,
+    flesch_reading_ease: Math.round(ease),
+    grade_level: Math.round(grade * 10) / 10,
+    label: ease >= 70 ? 'easy' : ease >= 50 ? 'fairly easy' : ease >= HARD_TO_READ ? 'fairly difficult' : 'difficult'
+  };
+}
+
+// Word trigrams (or single words for very short posts) of normalized text
+function shingles(text) {
+  const tokens = words(text.toLowerCase().replace(LINK, ' '));
+  if (tokens.length < 3) return new Set(tokens);
+
+  const set = new Set();
+  for (let i = 0; i <= tokens.length - 3; i++) {
+    set.add(tokens.slice(i, i + 3).join(' '));
+  }
+  return set;
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Lint post content
+ * @param {string} content - Post content as typed in the composer
+ * @param {object} options - { mentionables (see little-text), recentPosts: [{id, content, status}] }
+ * @returns {{characters, fold, truncated, hashtags, mentions, links, readability, warnings, preview}}
+ */
+function lint(content, { mentionables = [], recentPosts = [] } = {}) {
+  const { commentary, mentions, hashtags } = littleText.format(content, { mentionables });
+  const segments = withLinks(littleText.toSegments(commentary));
+  const displayText = segments.map(segment => segment.text).join('');
+  const links = segments.filter(segment => segment.type === 'link').map(segment => segment.text);
+  const fold = foldIndex(displayText);
+  const warnings = [];
+
+  if (displayText.length > fold) {
+    const hook = displayText.slice(0, fold).trim();
+    warnings.push(warning('truncated', 'info',
+      `Only the first ${fold} characters show before "…see more" - make the opening count`,
+      { visible_text: hook }));
+  }
+
+  if (hashtags.length > MAX_HASHTAGS) {
+    warnings.push(warning('too_many_hashtags', 'warning',
+      `${hashtags.length} hashtags - posts with more than ${MAX_HASHTAGS} tend to look like spam`,
+      { count: hashtags.length }));
+  }
+
+  if (links.length > 0) {
+    warnings.push(warning('links_in_body', 'warning',
+      `${links.length === 1 ? 'A link in the post body usually reduces' : `${links.length} links in the post body usually reduce`} reach - consider the first comment`,
+      { links }));
+  }
+
+  for (const match of displayText.matchAll(CAPS_RUN)) {
+    warnings.push(warning('all_caps', 'warning',
+      `Long ALL-CAPS run reads as shouting: "${match[0].length > 40 ? `${match[0].slice(0, 40)}…` : match[0]}"`,
+      { text: match[0], index: match.index }));
+  }
+
+  const ownShingles = shingles(littleText.toPlainText(commentary));
+  for (const post of recentPosts) {
+    const score = similarity(ownShingles, shingles(post.content || ''));
+    if (score >= DUPLICATE_SIMILARITY) {
+      warnings.push(warning('near_duplicate', 'warning',
+        `${score === 1 ? 'Same text as' : `${Math.round(score * 100)}% similar to`} your ${post.status} post #${post.id}`,
+        { post_id: post.id, status: post.status, similarity: Math.round(score * 100) / 100 }));
+    }
+  }
+
+  const scores = readability(segments);
+  if (scores.flesch_reading_ease !== null && scores.words >= 20 && scores.flesch_reading_ease < HARD_TO_READ) {
+    warnings.push(warning('hard_to_read', 'info',
+      `Hard to read (reading ease ${scores.flesch_reading_ease}/100) - try shorter sentences and simpler words`,
+      { flesch_reading_ease: scores.flesch_reading_ease }));
+  }
+
+  return {
+    characters: content.length,
+    fold,
+    truncated: displayText.length > fold,
+    hashtags,
+    mentions,
+    links,
+    readability: scores,
+    warnings,
+    preview: { segments, fold }
+  };
+}
+
+/**
+ * Lint content of a user, comparing it to their recent posts
+ * @param {string} userSub
+ * @param {string} content
+ * @param {object} options - { excludePostId (the post being edited) }
+ */
+async function lintForUser(userSub, content, { excludePostId = null } = {}) {
+  const [mentionables, recentPosts] = await Promise.all([
+    db.getMentionableConnections(userSub),
+    db.getRecentPostContents(userSub, DUPLICATE_LOOKBACK + 1)
+  ]);
+
+  return lint(content, {
+    mentionables,
+    recentPosts: recentPosts.filter(post => post.id !== Number(excludePostId)).slice(0, DUPLICATE_LOOKBACK)
+  });
+}
+
+module.exports = {
+  lint,
+  lintForUser
+};
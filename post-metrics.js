@@ -0,0 +1,330 @@
+/**
+ * Post Performance Snapshots
+ *
+ * The scheduler records the reactions (by type), comments, shares and impressions
+ * of recent posts in post_snapshots: every 15 minutes while a post is young,
+ * then less often (see SNAPSHOT_SCHEDULE). Shares and impressions come from the
+ * member post analytics or, for company pages, the share statistics API, and
+ * stay null where LinkedIn does not report them (missing scope or product).
+ *
+ * From the series per post:
+ * - growth curves and the velocity of the first hours
+ * - a ranking normalized for age: every post is compared by its engagement at
+ *   the same age (24h by default). Posts without a snapshot at that age are
+ *   projected from the user's older posts, whose curves cover both ages.
+ */
+
+const db = require('./database');
+const linkedin = require('./linkedin-client');
+const tokenManager = require('./token-manager');
+const bestTime = require('./best-time');
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// How often a post is snapshotted at a given age; older posts are left alone
+const SNAPSHOT_SCHEDULE = [
+  { maxAge: 6 * HOUR, every: 15 * MINUTE },
+  { maxAge: DAY, every: HOUR },
+  { maxAge: 7 * DAY, every: 6 * HOUR },
+  { maxAge: 30 * DAY, every: DAY },
+  { maxAge: 180 * DAY, every: 7 * DAY }
+];
+// Posts snapshotted per user and run, most overdue first
+const MAX_POSTS_PER_RUN = 25;
+// A curve starts at zero engagement only if it was first measured this early
+const EARLY_SNAPSHOT = 6 * HOUR;
+
+/**
+ * Seconds between snapshots of a post of this age, or null when it is too old
+ */
+function snapshotInterval(ageSeconds) {
+  return SNAPSHOT_SCHEDULE.find(step => ageSeconds < step.maxAge)?.every ?? null;
+}
+
+/**
+ * Weighted engagement of a snapshot (same weights as the best-time heatmap)
+ */
+function engagementOf(snapshot) {
+  return snapshot.reactions * bestTime.WEIGHTS.reaction +
+    snapshot.comments * bestTime.WEIGHTS.comment +
+    (snapshot.shares || 0) * bestTime.WEIGHTS.share;
+}
+
+function isForbidden(error) {
+  return error.response?.status === 403;
+}
+
+// Shares and impressions: { shares, impressions }, nulls where not available
+async function fetchReach(userSub, post, unavailable) {
+  const isPage = (post.author_urn || '').startsWith('urn:li:organization:');
+  const kind = isPage ? 'page' : 'member';
+  if (unavailable.has(kind)) return { shares: null, impressions: null };
+
+  try {
+    if (isPage) {
+      const response = await linkedin.get(userSub, '/rest/organizationalEntityShareStatistics', {
+        q: 'organizationalEntity',
+        organizationalEntity: post.author_urn,
+        shares: post.post_id
+      }, { feature: 'metrics' });
+      const stats = response.data.elements?.[0]?.totalShareStatistics || {};
+      return { shares: stats.shareCount ?? null, impressions: stats.impressionCount ?? null };
+    }
+
+    const metric = async queryType => {
+      const response = await linkedin.get(userSub, '/rest/memberCreatorPostAnalytics', {
+        q: 'entity',
+        entity: post.post_id,
+        queryType,
+        aggregation: 'TOTAL'
+      }, { feature: 'metrics' });
+      return response.data.elements?.[0]?.count ?? null;
+    };
+    return { impressions: await metric('IMPRESSION'), shares: await metric('RESHARE') };
+  } catch (error) {
+    // Not granted for this user: do not ask again for the rest of the run
+    if (!isForbidden(error)) throw error;
+    unavailable.add(kind);
+    return { shares: null, impressions: null };
+  }
+}
+
+/**
+ * Current metrics of one tracked post from LinkedIn
+ * @param {Set} unavailable - Reach sources that answered 403 in this run
+ */
+async function fetchMetrics(userSub, post, unavailable = new Set()) {
+  const reactions = await linkedin.getAll(userSub, '/rest/reactions', {
+    q: 'entity',
+    entity: post.post_id
+  }, { pageSize: 100, maxPages: 5, feature: 'metrics' });
+
+  const reactionsByType = {};
+  for (const reaction of reactions.elements) {
+    const type = reaction.reactionType || 'LIKE';
+    reactionsByType[type] = (reactionsByType[type] || 0) + 1;
+  }
+
+  const comments = await linkedin.get(userSub, '/rest/comments', { post: post.post_id, count: 1 }, { feature: 'metrics' });
+
+  return {
+    reactions: reactions.total ?? reactions.elements.length,
+    reactions_by_type: reactionsByType,
+    comments: comments.data.paging?.total ?? (comments.data.elements || []).length,
+    ...(await fetchReach(userSub, post, unavailable))
+  };
+}
+
+/**
+ * Snapshot the user's tracked posts that are due
+ * @returns {Promise<number>} Snapshots taken
+ */
+async function snapshotUser(userSub, now = Math.floor(Date.now() / 1000)) {
+  const oldest = now - SNAPSHOT_SCHEDULE[SNAPSHOT_SCHEDULE.length - 1].maxAge;
+  const due = (await db.getTrackedPostsSince(userSub, oldest))
+    .map(post => ({ post, overdue: now - (post.last_snapshot_at || 0) - snapshotInterval(now - post.posted_at) }))
+    .filter(({ overdue }) => overdue >= 0)
+    .sort((a, b) => b.overdue - a.overdue)
+    .slice(0, MAX_POSTS_PER_RUN);
+
+  const unavailable = new Set();
+  let taken = 0;
+
+  for (const { post } of due) {
+    try {
+      const metrics = await fetchMetrics(userSub, post, unavailable);
+      await db.savePostSnapshot({ post_id: post.post_id, user_sub: userSub, captured_at: now, ...metrics });
+      taken++;
+    } catch (error) {
+      // Out of quota or signed out: the remaining posts would fail the same way
+      if (error.code === 'QUOTA_EXCEEDED' || tokenManager.isReauthError(error)) throw error;
+      console.error(`❌ Snapshot of ${post.post_id} failed:`, error.message);
+    }
+  }
+
+  return taken;
+}
+
+/**
+ * Periodic job: track newly published posts, then snapshot every user's due posts
+ */
+async function runSnapshots() {
+  const now = Math.floor(Date.now() / 1000);
+  await db.trackPublishedPosts(now - SNAPSHOT_SCHEDULE[SNAPSHOT_SCHEDULE.length - 1].maxAge);
+
+  for (const user of await db.getAllUsers()) {
+    if (!user.access_token || user.reauth_required) continue;
+
+    try {
+      const taken = await snapshotUser(user.sub, now);
+      if (taken > 0) {
+        console.log(`📈 Took ${taken} post snapshot(s) for ${user.sub}`);
+      }
+    } catch (error) {
+      console.error(`❌ Post snapshots for ${user.sub} stopped:`, error.message);
+    }
+  }
+}
+
+// Snapshots of a post as a curve: [{ age, value }] by age in seconds
+function toCurve(post, snapshots) {
+  return snapshots.map(snapshot => ({ age: snapshot.captured_at - post.posted_at, value: engagementOf(snapshot) }));
+}
+
+/**
+ * Engagement of a curve at an age (linear between snapshots), or null when the
+ * curve does not cover it. Before the first snapshot the curve starts at 0 only
+ * when that snapshot was taken early.
+ */
+function valueAt(curve, age) {
+  if (curve.length === 0 || age > curve[curve.length - 1].age) return null;
+
+  const points = curve[0].age <= EARLY_SNAPSHOT ? [{ age: 0, value: 0 }, ...curve] : curve;
+  if (age < points[0].age) return null;
+
+  for (let i = 1; i < points.length; i++) {
+    const [a, b] = [points[i - 1], points[i]];
+    if (age <= b.age) {
+      return b.age === a.age ? b.value : a.value + (b.value - a.value) * (age - a.age) / (b.age - a.age);
+    }
+  }
+  return points[0].value;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round(value, digits = 1) {
+  return value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+/**
+ * Growth curve of one tracked post and its velocity over the first hours
+ * @param {object} post - tracked_posts row (posted_at in seconds)
+ * @param {number} hours - Velocity window (default 24)
+ */
+async function getGrowth(post, { hours = 24 } = {}) {
+  const snapshots = await db.getSnapshotsForPosts([post.post_id]);
+  const curve = toCurve(post, snapshots);
+  const window = hours * HOUR;
+  const atWindow = valueAt(curve, window);
+  const last = curve[curve.length - 1];
+  // Young posts: velocity so far
+  const partial = atWindow === null && last && last.age < window && valueAt(curve, last.age) !== null;
+
+  return {
+    post: {
+      id: post.id,
+      post_id: post.post_id,
+      text: post.post_text,
+      posted_at: post.posted_at,
+      author_urn: post.author_urn || null
+    },
+    snapshots: snapshots.map((snapshot, i) => ({
+      captured_at: snapshot.captured_at,
+      age_hours: round(curve[i].age / HOUR, 2),
+      reactions: snapshot.reactions,
+      reactions_by_type: JSON.parse(snapshot.reactions_by_type || '{}'),
+      comments: snapshot.comments,
+      shares: snapshot.shares,
+      impressions: snapshot.impressions,
+      engagement: curve[i].value
+    })),
+    velocity: {
+      hours,
+      engagement: atWindow ?? (partial ? last.value : null),
+      per_hour: atWindow !== null ? round(atWindow / hours, 2) : partial && last.age > 0 ? round(last.value / (last.age / HOUR), 2) : null,
+      complete: atWindow !== null
+    }
+  };
+}
+
+/**
+ * Rank the user's posts by engagement at the same age
+ * @param {object} options - { days (posts of the last N days, default 30), hours (age compared, default 24), authorUrn }
+ * @returns {Promise<{hours, days, median, posts}>} posts ranked, each with engagement_at_age,
+ *   basis (measured | projected | partial | lifetime) and performance_index (1.0 = median post)
+ */
+async function comparePosts(userSub, { days = 30, hours = 24, authorUrn = null } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const posts = await db.getTrackedPostsSince(userSub, now - days * DAY, authorUrn);
+  const snapshots = await db.getSnapshotsForPosts(posts.map(post => post.post_id));
+  const target = hours * HOUR;
+
+  const entries = posts.map(post => {
+    const curve = toCurve(post, snapshots.filter(snapshot => snapshot.post_id === post.post_id));
+    return { post, curve, measured: valueAt(curve, target) };
+  });
+  const references = entries.filter(entry => entry.measured !== null);
+
+  for (const entry of entries) {
+    const last = entry.curve[entry.curve.length - 1];
+    entry.current = last ? last.value : entry.post.total_reactions * bestTime.WEIGHTS.reaction +
+      entry.post.total_comments * bestTime.WEIGHTS.comment + (entry.post.total_shares || 0) * bestTime.WEIGHTS.share;
+
+    if (entry.measured !== null) {
+      entry.value = entry.measured;
+      entry.basis = 'measured';
+      continue;
+    }
+
+    // Scale the latest value by how older posts grew from that age to the target age
+    const age = last ? last.age : now - entry.post.posted_at;
+    const ratios = references
+      .filter(reference => reference !== entry)
+      .map(reference => ({ from: valueAt(reference.curve, age), to: reference.measured }))
+      .filter(ratio => ratio.from > 0)
+      .map(ratio => ratio.to / ratio.from);
+    const factor = median(ratios);
+
+    if (factor !== null && entry.current > 0) {
+      entry.value = entry.current * factor;
+      entry.basis = 'projected';
+    } else {
+      entry.value = entry.current;
+      entry.basis = age < target ? 'partial' : 'lifetime';
+    }
+  }
+
+  const typical = median(entries.map(entry => entry.value).filter(value => value > 0));
+  const ranked = entries
+    .sort((a, b) => b.value - a.value)
+    .map((entry, index) => ({
+      rank: index + 1,
+      id: entry.post.id,
+      post_id: entry.post.post_id,
+      text: entry.post.post_text,
+      posted_at: entry.post.posted_at,
+      author_urn: entry.post.author_urn || null,
+      age_hours: round((now - entry.post.posted_at) / HOUR),
+      engagement: entry.current,
+      engagement_at_age: round(entry.value),
+      basis: entry.basis,
+      performance_index: typical ? round(entry.value / typical, 2) : null,
+      reactions: entry.post.total_reactions || 0,
+      reactions_by_type: JSON.parse(entry.post.reactions_by_type || '{}'),
+      comments: entry.post.total_comments || 0,
+      shares: entry.post.total_shares,
+      impressions: entry.post.impressions,
+      snapshots: entry.curve.length
+    }));
+
+  return { hours, days, median: round(typical), posts: ranked };
+}
+
+module.exports = {
+  SNAPSHOT_SCHEDULE,
+  snapshotInterval,
+  engagementOf,
+  fetchMetrics,
+  snapshotUser,
+  runSnapshots,
+  getGrowth,
+  comparePosts
+};
@@ -0,0 +1,280 @@
+/**
+ * Recurring Post Series
+ *
+ * A series stores an RRULE and the post template. Only the next occurrence lives
+ * in scheduled_posts (series_id + occurrence_at); the scheduler calls scheduleNext
+ * after every publish. Occurrences further out can be skipped or edited one by one,
+ * which is stored as an exception keyed by the original occurrence time.
+ */
+
+const db = require('./database');
+const recurrence = require('./recurrence');
+const media = require('./media');
+
+function seriesError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Create a series and schedule its first occurrence
+ * @param {string} userSub
+ * @param {object} options - { content, image_url, post_type, document_title, rrule, dtstart (unix seconds), timezone,
+ *   author_urn (organization; null = the member), first_comment, follow_up_comment, follow_up_delay_minutes }
+ * @param {number} [existingPostId] - Draft that becomes the first occurrence instead of a new post
+ */
+async function createSeries(userSub, {
+  content, image_url, post_type, document_title, rrule, dtstart, timezone, author_urn,
+  first_comment, follow_up_comment, follow_up_delay_minutes
+}, existingPostId = null) {
+  const rule = recurrence.parseRule(rrule, timezone);
+  const first = recurrence.nextOccurrence(rule, dtstart, dtstart - 1, timezone);
+
+  if (!first) {
+    throw seriesError('Recurrence rule has no occurrences', 'INVALID_RRULE', 400);
+  }
+
+  const seriesId = await db.createPostSeries(userSub, {
+    rrule: recurrence.formatRule(rule),
+    dtstart,
+    timezone,
+    content,
+    image_url,
+    post_type,
+    document_title,
+    author_urn,
+    first_comment,
+    follow_up_comment,
+    follow_up_delay_minutes
+  });
+
+  let postId = existingPostId;
+  if (existingPostId) {
+    await db.updateScheduledPostFields(existingPostId, {
+      content,
+      image_url: image_url || null,
+      publish_at: first.at,
+      post_type: post_type || 'text',
+      document_title: document_title || null,
+      author_urn: author_urn || null,
+      first_comment: first_comment || null,
+      follow_up_comment: follow_up_comment || null,
+      follow_up_delay_minutes: follow_up_comment ? follow_up_delay_minutes || null : null,
+      status: 'pending',
+      series_id: seriesId,
+      occurrence_at: first.at
+    });
+  } else {
+    postId = await db.createScheduledPost(userSub, content, image_url || null, first.at, {
+      postType: post_type,
+      documentTitle: document_title,
+      authorUrn: author_urn,
+      comments: { first: first_comment, followUp: follow_up_comment, followUpDelayMinutes: follow_up_delay_minutes },
+      seriesId,
+      occurrenceAt: first.at
+    });
+  }
+
+  return { seriesId, postId, firstOccurrence: first.at };
+}
+
+/**
+ * Materialize the next occurrence after `after` (unix seconds).
+ * Skipped occurrences are passed over, edited ones use their overrides and
+ * occurrences that were missed while the server was down are not backfilled.
+ * @returns {Promise<number|null>} New scheduled post id, or null when the series ended
+ */
+async function scheduleNext(seriesId, after) {
+  const series = await db.getPostSeries(seriesId);
+  if (!series || series.status !== 'active') {
+    return null;
+  }
+
+  // Only one occurrence is pending at a time (a manual retry of an older one must not add another)
+  if (await db.getPendingSeriesPost(seriesId)) {
+    return null;
+  }
+
+  const rule = recurrence.parseRule(series.rrule, series.timezone);
+  const exceptions = await db.getSeriesExceptions(seriesId);
+  const from = Math.max(after, nowSeconds());
+
+  for (const occurrence of recurrence.occurrences(rule, series.dtstart, series.timezone)) {
+    if (occurrence.at <= from) continue;
+
+    const exception = exceptions.find(e => e.occurrence_at === occurrence.at);
+    if (exception?.action === 'skip') continue;
+
+    if (await db.getSeriesOccurrencePost(seriesId, occurrence.at)) continue;
+
+    const imageUrl = exception ? exception.image_url : series.image_url;
+    const postId = await db.createScheduledPost(
+      series.user_sub,
+      exception?.content || series.content,
+      imageUrl,
+      exception?.publish_at || occurrence.at,
+      {
+        postType: series.post_type,
+        documentTitle: series.document_title,
+        authorUrn: series.author_urn,
+        comments: {
+          first: series.first_comment,
+          followUp: series.follow_up_comment,
+          followUpDelayMinutes: series.follow_up_delay_minutes
+        },
+        seriesId,
+        occurrenceAt: occurrence.at
+      }
+    );
+
+    // Uploaded media carries over, so LinkedIn media URNs are reused; an occurrence
+    // edited to another image (or none) gets its own at publish time
+    if ((imageUrl || null) === (series.image_url || null)) {
+      await db.copySeriesMedia(seriesId, postId);
+    }
+    return postId;
+  }
+
+  await db.updatePostSeriesStatus(seriesId, 'completed');
+  console.log(`Series ${seriesId} completed (no further occurrences)`);
+  return null;
+}
+
+/**
+ * The next occurrences of a series, starting with the one already scheduled
+ * @returns {Promise<Array<{occurrence_at, publish_at, content, status, post_id}>>}
+ */
+async function getUpcoming(series, limit = 5) {
+  if (series.status !== 'active') {
+    return [];
+  }
+
+  const rule = recurrence.parseRule(series.rrule, series.timezone);
+  const [pending, exceptions] = await Promise.all([
+    db.getPendingSeriesPost(series.id),
+    db.getSeriesExceptions(series.id)
+  ]);
+
+  const after = pending ? pending.occurrence_at - 1 : nowSeconds();
+
+  return recurrence.upcomingOccurrences(rule, series.dtstart, after, limit, series.timezone).map(({ at }) => {
+    if (pending && pending.occurrence_at === at) {
+      return {
+        occurrence_at: at,
+        publish_at: pending.publish_at,
+        content: pending.content,
+        status: 'scheduled',
+        post_id: pending.id
+      };
+    }
+
+    const exception = exceptions.find(e => e.occurrence_at === at);
+    return {
+      occurrence_at: at,
+      publish_at: exception?.publish_at || at,
+      content: exception?.content || series.content,
+      status: exception?.action === 'skip' ? 'skipped' : exception?.action === 'edit' ? 'edited' : 'upcoming',
+      post_id: null
+    };
+  });
+}
+
+/**
+ * Resolve an occurrence of the series, failing if the rule never produces it
+ */
+function assertOccurrence(series, occurrenceAt) {
+  const rule = recurrence.parseRule(series.rrule, series.timezone);
+
+  for (const occurrence of recurrence.occurrences(rule, series.dtstart, series.timezone)) {
+    if (occurrence.at === occurrenceAt) return occurrence;
+    if (occurrence.at > occurrenceAt) break;
+  }
+
+  throw seriesError('Occurrence not found in this series', 'OCCURRENCE_NOT_FOUND', 404);
+}
+
+/**
+ * Materialized post of an occurrence, if any. Only pending posts can still change.
+ */
+async function getEditablePost(series, occurrenceAt) {
+  const post = await db.getSeriesOccurrencePost(series.id, occurrenceAt);
+
+  if (post && post.status !== 'pending') {
+    throw seriesError(`Occurrence is already ${post.status}`, 'OCCURRENCE_NOT_PENDING', 409);
+  }
+
+  if (!post && occurrenceAt <= nowSeconds()) {
+    throw seriesError('Occurrence is in the past', 'OCCURRENCE_NOT_PENDING', 409);
+  }
+
+  return post;
+}
+
+/**
+ * Skip a single occurrence of a series
+ */
+async function skipOccurrence(series, occurrenceAt) {
+  assertOccurrence(series, occurrenceAt);
+  const post = await getEditablePost(series, occurrenceAt);
+
+  await db.saveSeriesException(series.id, occurrenceAt, { action: 'skip' });
+
+  // The scheduled occurrence is replaced by the next one
+  if (post) {
+    await db.updateScheduledPostStatus(post.id, 'skipped');
+    await scheduleNext(series.id, occurrenceAt);
+  }
+}
+
+/**
+ * Change content, image or publish time of a single occurrence
+ * @param {object} changes - { content, image_url, publish_at (unix seconds) };
+ *   without image_url the occurrence keeps its current image, null removes it
+ */
+async function editOccurrence(series, occurrenceAt, changes) {
+  assertOccurrence(series, occurrenceAt);
+  const post = await getEditablePost(series, occurrenceAt);
+
+  let imageUrl = changes.image_url || null;
+  if (changes.image_url === undefined) {
+    const exception = (await db.getSeriesExceptions(series.id)).find(e => e.occurrence_at === occurrenceAt);
+    imageUrl = post ? post.image_url : exception?.action === 'edit' ? exception.image_url : series.image_url;
+  }
+
+  await db.saveSeriesException(series.id, occurrenceAt, { action: 'edit', ...changes, image_url: imageUrl });
+
+  if (post) {
+    await db.updateScheduledPostContent(post.id, changes.content, imageUrl, changes.publish_at);
+    // Media copied from the series shows the old image, which is published before image_url
+    if (imageUrl !== (post.image_url || null)) {
+      await db.deletePostMedia(post.id);
+    }
+  }
+}
+
+/**
+ * Stop a series and remove its pending occurrence
+ */
+async function cancelSeries(series) {
+  const pending = await db.getPendingSeriesPost(series.id);
+  if (pending) {
+    await media.deletePost(pending.id, series.user_sub);
+  }
+
+  await db.updatePostSeriesStatus(series.id, 'cancelled');
+}
+
+module.exports = {
+  createSeries,
+  scheduleNext,
+  getUpcoming,
+  skipOccurrence,
+  editOccurrence,
+  cancelSeries
+};
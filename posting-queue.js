@@ -0,0 +1,289 @@
+/**
+ * Posting Queue
+ *
+ * Users define weekly posting slots (e.g. Tue/Thu 08:30 in their time zone).
+ * "Add to queue" gives a post the next free slot instead of an exact time.
+ * A slot is free when it is not on a blackout date, its day is below the
+ * daily post cap and no other post (or upcoming series occurrence) is within
+ * SLOT_GAP_MINUTES of it.
+ *
+ * Queued posts are reassigned in order whenever the queue changes (a post is
+ * deleted or reordered, slots, blackout dates or the time zone change), so the
+ * queue stays compact. Posts with a time picked by the user are never moved.
+ */
+
+const db = require('./database');
+const calendar = require('./calendar');
+const timezone = require('./timezone');
+
+const DAY = 24 * 60 * 60;
+const DAILY_POST_LIMIT = parseInt(process.env.DAILY_POST_LIMIT) || 10;
+// Other posts closer than this to a slot take it
+const SLOT_GAP_MINUTES = 30;
+// Slots closer than this to now are skipped (the scheduler may already be due)
+const MIN_LEAD_MINUTES = 5;
+// Same window as validateSchedulePost (no posts more than a year ahead)
+const HORIZON_DAYS = 365;
+const MAX_SLOTS = 50;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// 0-6, or a day name / abbreviation ("tue", "TU", "Tuesday")
+function parseWeekday(value) {
+  if (Number.isInteger(value) || /^\d$/.test(value)) {
+    const weekday = parseInt(value);
+    return weekday >= 0 && weekday <= 6 ? weekday : null;
+  }
+
+  const name = String(value || '').trim().toLowerCase();
+  if (name.length < 2) return null;
+  const index = WEEKDAY_NAMES.findIndex(day => day.toLowerCase().startsWith(name));
+  return index === -1 ? null : index;
+}
+
+function formatTime(minuteOfDay) {
+  return `${String(Math.floor(minuteOfDay / 60)).padStart(2, '0')}:${String(minuteOfDay % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Validate slots given as [{weekday, time: "HH:MM"}]
+ * @returns {Array<{weekday, minute_of_day}>}
+ */
+function parseSlots(input) {
+  if (!Array.isArray(input)) {
+    throw badRequest('slots must be an array of { weekday, time }');
+  }
+  if (input.length > MAX_SLOTS) {
+    throw badRequest(`At most ${MAX_SLOTS} posting slots are allowed`);
+  }
+
+  return input.map(slot => {
+    const weekday = parseWeekday(slot?.weekday);
+    if (weekday === null) {
+      throw badRequest(`Invalid weekday: ${slot?.weekday}`);
+    }
+
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(slot.time || '').trim());
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+      throw badRequest(`Invalid time: ${slot.time} (use HH:MM)`);
+    }
+
+    return { weekday, minute_of_day: parseInt(match[1]) * 60 + parseInt(match[2]) };
+  });
+}
+
+function toPublicSlot(row) {
+  return {
+    id: row.id,
+    weekday: row.weekday,
+    weekday_name: WEEKDAY_NAMES[row.weekday],
+    time: formatTime(row.minute_of_day)
+  };
+}
+
+/**
+ * Validate a blackout range ({start_date, end_date?, label?}, dates as YYYY-MM-DD)
+ */
+function parseBlackout({ start_date, end_date, label } = {}) {
+  const end = end_date || start_date;
+  const valid = date => DATE.test(date || '') && !isNaN(Date.parse(`${date}T00:00:00Z`));
+
+  if (!valid(start_date) || !valid(end)) {
+    throw badRequest('start_date (and optional end_date) must be dates in YYYY-MM-DD format');
+  }
+  if (end < start_date) {
+    throw badRequest('end_date must not be before start_date');
+  }
+  if (label && String(label).length > 100) {
+    throw badRequest('Label exceeds maximum length of 100 characters');
+  }
+
+  return { start_date, end_date: end, label: label ? String(label) : null };
+}
+
+/**
+ * The next free slots
+ * @param {string} userSub
+ * @param {string} zone - IANA zone the slots are in
+ * @param {object} options - { count (default 1), ignorePostIds (posts that do not take slots),
+ *   reserved (times of posts about to be created, e.g. in a bulk import) }
+ * @returns {Promise<number[]>} Unix seconds, ascending; fewer than count when the horizon runs out
+ */
+async function findFreeSlots(userSub, zone, { count = 1, ignorePostIds = [], reserved = [] } = {}) {
+  const slots = await db.getPostingSlots(userSub);
+  if (slots.length === 0) {
+    throw badRequest('No posting slots configured. Add weekly slots to use the queue.');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const blackouts = await db.getBlackoutDates(userSub);
+  const ignored = new Set(ignorePostIds.map(Number));
+
+  // Everything already planned takes room: posts, retries, upcoming series occurrences
+  const from = timezone.startOfDay(zone, now);
+  const events = (await calendar.getEvents(userSub, from, now + HORIZON_DAYS * DAY))
+    .filter(event => ['pending', 'publishing', 'published', 'upcoming'].includes(event.status))
+    .filter(event => !ignored.has(event.post_id));
+
+  const taken = [...events.map(event => event.start), ...reserved];
+  const perDay = new Map();
+  for (const time of taken) {
+    const date = timezone.localDate(time, zone);
+    perDay.set(date, (perDay.get(date) || 0) + 1);
+  }
+
+  const today = timezone.wallClock(now, zone);
+  const found = [];
+
+  for (let offset = 0; offset <= HORIZON_DAYS && found.length < count; offset++) {
+    // Local calendar date of this day (Date.UTC normalizes day overflow)
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const localDate = date.toISOString().slice(0, 10);
+
+    if (blackouts.some(blackout => localDate >= blackout.start_date && localDate <= blackout.end_date)) continue;
+
+    for (const slot of slots.filter(slot => slot.weekday === date.getUTCDay())) {
+      if (found.length >= count || (perDay.get(localDate) || 0) >= DAILY_POST_LIMIT) break;
+
+      const at = timezone.fromWallClock({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: Math.floor(slot.minute_of_day / 60),
+        minute: slot.minute_of_day % 60
+      }, zone);
+
+      if (at <= now + MIN_LEAD_MINUTES * 60 || at > now + HORIZON_DAYS * DAY) continue;
+      if (taken.some(time => Math.abs(time - at) < SLOT_GAP_MINUTES * 60)) continue;
+
+      found.push(at);
+      taken.push(at);
+      perDay.set(localDate, (perDay.get(localDate) || 0) + 1);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Publish time for a post added to the queue
+ * @param {object} options - { ignorePostIds } (e.g. the post being re-queued)
+ * @returns {Promise<number>} Unix seconds
+ */
+async function nextSlot(userSub, zone, options = {}) {
+  const [at] = await findFreeSlots(userSub, zone, { ...options, count: 1 });
+  if (!at) {
+    const error = new Error(`No free posting slot in the next ${HORIZON_DAYS} days`);
+    error.status = 409;
+    throw error;
+  }
+  return at;
+}
+
+/**
+ * Reassign the slots of all queued posts, in their current order or the given one
+ * @param {string} userSub
+ * @param {string} zone
+ * @param {Array<number>|null} order - Post ids first in this order; the others follow in their current order
+ * @returns {Promise<Array<{id, from, to}>>} Posts that moved
+ */
+async function reshuffle(userSub, zone, order = null) {
+  const posts = await db.getQueuedPosts(userSub);
+  const byId = new Map(posts.map(post => [post.id, post]));
+
+  let ordered = posts;
+  if (order) {
+    const ids = order.map(Number);
+    const unknown = ids.filter(id => !byId.has(id));
+    if (unknown.length > 0) {
+      throw badRequest(`Not in the queue: ${unknown.join(', ')}`);
+    }
+    if (new Set(ids).size !== ids.length) {
+      throw badRequest('post_ids must not contain duplicates');
+    }
+    ordered = [...ids.map(id => byId.get(id)), ...posts.filter(post => !ids.includes(post.id))];
+  }
+
+  if (ordered.length === 0) return [];
+
+  // Posts due within the lead time stay put; the scheduler may be publishing them
+  const now = Math.floor(Date.now() / 1000);
+  const movable = ordered.filter(post => post.publish_at > now + MIN_LEAD_MINUTES * 60);
+
+  const slots = await findFreeSlots(userSub, zone, {
+    count: movable.length,
+    ignorePostIds: movable.map(post => post.id)
+  });
+  if (slots.length < movable.length) {
+    const error = new Error(`Not enough free posting slots in the next ${HORIZON_DAYS} days for ${movable.length} queued posts`);
+    error.status = 409;
+    throw error;
+  }
+
+  const moves = movable
+    .map((post, index) => ({ id: post.id, from: post.publish_at, to: slots[index] }))
+    .filter(move => move.from !== move.to);
+
+  if (moves.length > 0) {
+    await db.updateQueuedPublishTimes(userSub, moves.map(move => ({ id: move.id, publish_at: move.to })));
+  }
+  return moves;
+}
+
+/**
+ * Reshuffle after a change, logging instead of failing (the change itself succeeded)
+ */
+async function reshuffleQuietly(userSub, zone) {
+  try {
+    return await reshuffle(userSub, zone);
+  } catch (error) {
+    console.warn(`⚠️  Queue reshuffle failed for ${userSub}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Slots, blackout dates, queued posts and the next free slots of a user
+ */
+async function getQueue(userSub, zone) {
+  const [slots, blackouts, posts] = await Promise.all([
+    db.getPostingSlots(userSub),
+    db.getBlackoutDates(userSub),
+    db.getQueuedPosts(userSub)
+  ]);
+
+  const nextSlots = slots.length > 0 ? await findFreeSlots(userSub, zone, { count: 5 }) : [];
+
+  return {
+    timezone: zone,
+    daily_limit: DAILY_POST_LIMIT,
+    slots: slots.map(toPublicSlot),
+    blackout_dates: blackouts.map(({ id, start_date, end_date, label }) => ({ id, start_date, end_date, label })),
+    posts: posts.map(post => ({
+      id: post.id,
+      content: post.content,
+      post_type: post.post_type,
+      publish_at: post.publish_at,
+      publish_at_local: timezone.toIsoString(post.publish_at, zone)
+    })),
+    next_slots: nextSlots.map(at => ({ publish_at: at, publish_at_local: timezone.toIsoString(at, zone) }))
+  };
+}
+
+module.exports = {
+  DAILY_POST_LIMIT,
+  parseSlots,
+  parseBlackout,
+  findFreeSlots,
+  nextSlot,
+  reshuffle,
+  reshuffleQuietly,
+  getQueue
+};
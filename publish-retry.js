@@ -0,0 +1,125 @@
+/**
+ * Publish Retry Policy
+ *
+ * Failed publishes are classified as transient (network errors, timeouts, 429,
+ * 5xx, spent quota, media still processing) or permanent (validation errors,
+ * other 4xx, re-authentication required). Transient failures are retried with
+ * exponential backoff; once the attempts are used up the post is dead-lettered.
+ *
+ * A failure is ambiguous when the request may have reached LinkedIn and been
+ * processed without us seeing the response (timeouts, dropped connections, 5xx).
+ *
+ * Environment:
+ * - PUBLISH_MAX_ATTEMPTS (default 5)
+ * - PUBLISH_RETRY_BASE_SECONDS (default 60, doubled per attempt)
+ * - PUBLISH_RETRY_MAX_SECONDS (default 3600)
+ */
+
+const tokenManager = require('./token-manager');
+
+const MAX_ATTEMPTS = parseInt(process.env.PUBLISH_MAX_ATTEMPTS) || 5;
+const BASE_DELAY_SECONDS = parseInt(process.env.PUBLISH_RETRY_BASE_SECONDS) || 60;
+const MAX_DELAY_SECONDS = parseInt(process.env.PUBLISH_RETRY_MAX_SECONDS) || 3600;
+
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+const TRANSIENT_CODES = ['QUOTA_EXCEEDED', 'MEDIA_PROCESSING'];
+// Network errors where the request never left (connection refused, DNS)
+const UNSENT_NETWORK_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * The innermost error that carries an HTTP response or a known code
+ */
+function rootError(error) {
+  let current = error;
+  while (current?.cause && !current.response && !current.code) {
+    current = current.cause;
+  }
+  return current || error;
+}
+
+/**
+ * Seconds to wait according to Retry-After (delta-seconds or HTTP date), or null
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Classify a publish failure
+ * @returns {{transient: boolean, ambiguous: boolean, reason: string, httpStatus: number|null, message: string, retryAfterSeconds: number|null}}
+ */
+function classify(error) {
+  const root = rootError(error);
+  const httpStatus = root.response?.status || null;
+  const message = root.response?.data?.message || error.message;
+  const result = (transient, reason, retryAfterSeconds = null) => ({
+    transient,
+    ambiguous: transient && (httpStatus >= 500 || httpStatus === 408 ||
+      (!httpStatus && reason === 'network' && !UNSENT_NETWORK_CODES.includes(root.code))),
+    reason,
+    httpStatus,
+    message,
+    retryAfterSeconds
+  });
+
+  if (tokenManager.isReauthError(root)) {
+    return result(false, 'reauth_required');
+  }
+
+  if (root.code === 'QUOTA_EXCEEDED') {
+    const resetAt = root.quota?.resetAt ? new Date(root.quota.resetAt).getTime() : NaN;
+    return result(true, 'quota_exceeded', isNaN(resetAt) ? null : Math.ceil((resetAt - Date.now()) / 1000));
+  }
+
+  if (TRANSIENT_CODES.includes(root.code)) {
+    return result(true, root.code.toLowerCase());
+  }
+
+  if (httpStatus === 429) {
+    return result(true, 'rate_limited', parseRetryAfter(root.response.headers?.['retry-after']));
+  }
+
+  if (httpStatus >= 500 || httpStatus === 408) {
+    return result(true, `http_${httpStatus}`, parseRetryAfter(root.response.headers?.['retry-after']));
+  }
+
+  if (httpStatus) {
+    return result(false, `http_${httpStatus}`);
+  }
+
+  if (root.isAxiosError || TRANSIENT_NETWORK_CODES.includes(root.code)) {
+    return result(true, 'network');
+  }
+
+  return result(false, root.code ? String(root.code).toLowerCase() : 'error');
+}
+
+/**
+ * When to retry after a failed attempt, or null when no attempts are left
+ * @param {number} attempt - Attempts made so far (1 after the first failure)
+ * @param {number|null} retryAfterSeconds - Minimum wait requested by LinkedIn / the quota
+ * @returns {number|null} Unix seconds
+ */
+function nextRetryAt(attempt, retryAfterSeconds = null) {
+  if (attempt >= MAX_ATTEMPTS) {
+    return null;
+  }
+
+  const backoff = Math.min(MAX_DELAY_SECONDS, BASE_DELAY_SECONDS * Math.pow(2, attempt - 1));
+  // Up to 10% jitter so posts that failed together do not retry together
+  const delay = Math.max(backoff + Math.random() * backoff * 0.1, retryAfterSeconds || 0);
+
+  return Math.floor(Date.now() / 1000 + delay);
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  classify,
+  nextRetryAt
+};
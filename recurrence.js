@@ -0,0 +1,294 @@
+/**
+ * Recurrence Rules (iCalendar RRULE subset)
+ *
+ * Supported parts:
+ * - FREQ=DAILY|WEEKLY|MONTHLY
+ * - INTERVAL=n
+ * - BYDAY=MO,WE,FR (MONTHLY also takes ordinals: 1MO = first Monday, -1FR = last Friday)
+ * - COUNT=n or UNTIL=YYYYMMDD / YYYYMMDDTHHMMSSZ
+ *
+ * Occurrences keep the wall-clock time of DTSTART in the series' time zone
+ * (the server's when none is given), across DST changes.
+ * The first occurrence is the first date matching the rule at or after DTSTART.
+ */
+
+const timezone = require('./timezone');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const MAX_COUNT = 1000;
+const MAX_INTERVAL = 365;
+// Upper bound on generated periods, so a rule that never matches cannot spin forever
+const MAX_PERIODS = 5000;
+
+function ruleError(message) {
+  const error = new Error(`Invalid recurrence rule: ${message}`);
+  error.code = 'INVALID_RRULE';
+  return error;
+}
+
+/**
+ * UNTIL as unix seconds. Date-only values include the whole day, and values
+ * without Z are wall-clock times, both in the series' time zone.
+ */
+function parseUntil(value, zone) {
+  const dateOnly = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    return timezone.fromWallClock({ year, month, day, hour: 23, minute: 59, second: 59 }, zone);
+  }
+
+  const dateTime = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (dateTime) {
+    const [year, month, day, hour, minute, second] = dateTime.slice(1, 7).map(Number);
+    return dateTime[7] === 'Z'
+      ? Math.floor(Date.UTC(year, month - 1, day, hour, minute, second) / 1000)
+      : timezone.fromWallClock({ year, month, day, hour, minute, second }, zone);
+  }
+
+  throw ruleError(`UNTIL must be YYYYMMDD or YYYYMMDDTHHMMSSZ, got "${value}"`);
+}
+
+function formatUntil(seconds) {
+  return new Date(seconds * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO;COUNT=10", optional "RRULE:" prefix)
+ * @param {string|null} zone - IANA time zone UNTIL dates are read in (default: the server's)
+ * @returns {{freq: string, interval: number, byDay: Array<{weekday: number, ordinal: number|null}>, count: number|null, until: number|null}}
+ */
+function parseRule(value, zone = null) {
+  if (!value || typeof value !== 'string') {
+    throw ruleError('must be a non-empty string');
+  }
+
+  const rule = { freq: null, interval: 1, byDay: [], count: null, until: null };
+  const parts = value.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [rawKey, rawValue] = part.split('=');
+    const key = (rawKey || '').trim().toUpperCase();
+    const val = (rawValue || '').trim().toUpperCase();
+
+    if (!val) {
+      throw ruleError(`${key || part} has no value`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(val)) {
+          throw ruleError(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = val;
+        break;
+
+      case 'INTERVAL':
+        rule.interval = Number(val);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > MAX_INTERVAL) {
+          throw ruleError(`INTERVAL must be an integer between 1 and ${MAX_INTERVAL}`);
+        }
+        break;
+
+      case 'BYDAY':
+        rule.byDay = val.split(',').map(token => {
+          const match = token.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) {
+            throw ruleError(`unknown BYDAY value "${token}"`);
+          }
+          const ordinal = match[1] ? Number(match[1]) : null;
+          if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+            throw ruleError(`BYDAY ordinal must be between -5 and 5, got "${token}"`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+        });
+        break;
+
+      case 'COUNT':
+        rule.count = Number(val);
+        if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_COUNT) {
+          throw ruleError(`COUNT must be an integer between 1 and ${MAX_COUNT}`);
+        }
+        break;
+
+      case 'UNTIL':
+        rule.until = parseUntil(val, zone || timezone.SERVER_TIMEZONE);
+        break;
+
+      default:
+        throw ruleError(`${key} is not supported (use FREQ, INTERVAL, BYDAY, COUNT, UNTIL)`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw ruleError('FREQ is required');
+  }
+
+  if (rule.count !== null && rule.until !== null) {
+    throw ruleError('COUNT and UNTIL cannot be combined');
+  }
+
+  if (rule.freq !== 'MONTHLY' && rule.byDay.some(day => day.ordinal !== null)) {
+    throw ruleError('BYDAY ordinals (e.g. 1MO) are only allowed with FREQ=MONTHLY');
+  }
+
+  return rule;
+}
+
+/**
+ * Normalized RRULE string for storage
+ */
+function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length > 0) {
+    parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal ?? ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.count !== null) parts.push(`COUNT=${rule.count}`);
+  if (rule.until !== null) parts.push(`UNTIL=${formatUntil(rule.until)}`);
+  return parts.join(';');
+}
+
+/**
+ * Human readable summary, e.g. "Every 2 weeks on Mon, Thu, 10 times" (UNTIL as a date in `zone`)
+ */
+function describeRule(rule, zone = null) {
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[rule.freq];
+  let text = rule.interval === 1
+    ? { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly' }[rule.freq]
+    : `Every ${rule.interval} ${unit}s`;
+
+  if (rule.byDay.length > 0) {
+    const ordinalName = (n) => (n === -1 ? 'last ' : n ? `${['', '1st', '2nd', '3rd', '4th', '5th'][Math.abs(n)]}${n < 0 ? ' to last' : ''} ` : '');
+    text += ` on ${rule.byDay.map(day => `${ordinalName(day.ordinal)}${WEEKDAY_NAMES[day.weekday]}`).join(', ')}`;
+  }
+
+  if (rule.count !== null) text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  if (rule.until !== null) {
+    text += `, until ${new Date(rule.until * 1000).toLocaleDateString(undefined, { timeZone: zone || timezone.SERVER_TIMEZONE })}`;
+  }
+
+  return text;
+}
+
+/**
+ * Candidate dates of one period (day, week or month), in chronological order.
+ * Dates are wall-clock times carried in the UTC fields of a Date.
+ */
+function periodDates(rule, start, period) {
+  const h = start.getUTCHours();
+  const mi = start.getUTCMinutes();
+  const s = start.getUTCSeconds();
+
+  if (rule.freq === 'DAILY') {
+    const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + period * rule.interval, h, mi, s));
+    const allowed = rule.byDay.length === 0 || rule.byDay.some(day => day.weekday === date.getUTCDay());
+    return allowed ? [date] : [];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    // Weeks start on Monday (iCalendar default WKST=MO)
+    const mondayOffset = (start.getUTCDay() + 6) % 7;
+    const weekStart = start.getUTCDate() - mondayOffset + period * rule.interval * 7;
+    const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [start.getUTCDay()];
+
+    return [...new Set(weekdays)]
+      .map(weekday => (weekday + 6) % 7)
+      .sort((a, b) => a - b)
+      .map(offset => new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), weekStart + offset, h, mi, s)));
+  }
+
+  // MONTHLY
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + period * rule.interval;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  if (rule.byDay.length === 0) {
+    // Months without the day (e.g. the 31st) are skipped, as in RFC 5545
+    const day = start.getUTCDate();
+    return day <= daysInMonth ? [new Date(Date.UTC(year, month, day, h, mi, s))] : [];
+  }
+
+  const days = new Set();
+  for (const { weekday, ordinal } of rule.byDay) {
+    const matching = [];
+    for (let day = 1; day <= daysInMonth; day++) {
+      if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) matching.push(day);
+    }
+
+    if (ordinal === null) {
+      matching.forEach(day => days.add(day));
+    } else {
+      const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+      if (day) days.add(day);
+    }
+  }
+
+  return [...days].sort((a, b) => a - b).map(day => new Date(Date.UTC(year, month, day, h, mi, s)));
+}
+
+/**
+ * Iterate occurrences as { index, at } (unix seconds), honoring COUNT and UNTIL
+ * @param {object} rule - Parsed rule
+ * @param {number} dtstart - Series start (unix seconds)
+ * @param {string|null} zone - IANA time zone of the series (default: the server's)
+ */
+function* occurrences(rule, dtstart, zone = null) {
+  zone = zone || timezone.SERVER_TIMEZONE;
+  const wall = timezone.wallClock(dtstart, zone);
+  const start = new Date(Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second));
+  let index = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const date of periodDates(rule, start, period)) {
+      const at = timezone.fromWallClock({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: date.getUTCHours(),
+        minute: date.getUTCMinutes(),
+        second: date.getUTCSeconds()
+      }, zone);
+      if (at < dtstart) continue;
+
+      if (rule.until !== null && at > rule.until) return;
+      if (rule.count !== null && index >= rule.count) return;
+
+      yield { index, at };
+      index++;
+    }
+  }
+}
+
+/**
+ * First occurrence strictly after a given time, or null when the rule has ended
+ */
+function nextOccurrence(rule, dtstart, after, zone = null) {
+  for (const occurrence of occurrences(rule, dtstart, zone)) {
+    if (occurrence.at > after) return occurrence;
+  }
+  return null;
+}
+
+/**
+ * Up to `limit` occurrences strictly after a given time
+ */
+function upcomingOccurrences(rule, dtstart, after, limit = 5, zone = null) {
+  const result = [];
+  for (const occurrence of occurrences(rule, dtstart, zone)) {
+    if (result.length >= limit) break;
+    if (occurrence.at > after) result.push(occurrence);
+  }
+  return result;
+}
+
+module.exports = {
+  parseRule,
+  formatRule,
+  describeRule,
+  occurrences,
+  nextOccurrence,
+  upcomingOccurrences
+};
@@ -0,0 +1,105 @@
+/**
+ * Reply Templates
+ *
+ * Saved replies for the comment inbox. Variables in braces are filled in from
+ * the commenter's connection and the post: {first_name}, {company} and
+ * {post_title} (the first line of the post). A fallback after a pipe is used
+ * when the value is unknown, e.g. "Thanks {first_name|for reading}!".
+ */
+
+const firstComments = require('./first-comments');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_POST_TITLE_LENGTH = 80;
+const VARIABLES = ['first_name', 'company', 'post_title'];
+const VARIABLE_PATTERN = /\{\s*([a-z_]+)\s*(?:\|([^{}]*))?\}/g;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Check and normalize { name, body } of a template
+ * @param {boolean} partial - Fields that are not sent are left out (updates)
+ * @throws {Error} status 400
+ */
+function parse(input, { partial = false } = {}) {
+  const template = {};
+
+  for (const field of ['name', 'body']) {
+    const value = input?.[field];
+    if (value === undefined && partial) continue;
+    if (typeof value !== 'string' || !value.trim()) {
+      throw badRequest(`${field} is required`);
+    }
+    template[field] = value.trim();
+  }
+
+  if (template.name && template.name.length > MAX_NAME_LENGTH) {
+    throw badRequest(`name exceeds maximum length of ${MAX_NAME_LENGTH} characters`);
+  }
+  if (template.body) {
+    if (template.body.length > firstComments.MAX_COMMENT_LENGTH) {
+      throw badRequest(`body exceeds maximum length of ${firstComments.MAX_COMMENT_LENGTH} characters`);
+    }
+    const unknown = [...template.body.matchAll(VARIABLE_PATTERN)]
+      .map(match => match[1])
+      .filter(variable => !VARIABLES.includes(variable));
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown variable ${unknown.map(v => `{${v}}`).join(', ')} (available: ${VARIABLES.map(v => `{${v}}`).join(', ')})`);
+    }
+  }
+
+  return template;
+}
+
+/**
+ * First line of a post, shortened
+ */
+function postTitle(text) {
+  const line = (text || '').split('\n').map(part => part.trim()).find(Boolean) || '';
+  return line.length > MAX_POST_TITLE_LENGTH ? `${line.slice(0, MAX_POST_TITLE_LENGTH - 1).trimEnd()}…` : line;
+}
+
+/**
+ * Variable values for an inbox comment (row with the connection's first_name
+ * and company and the post_text joined in)
+ */
+function contextOf(comment) {
+  return {
+    first_name: comment.first_name || null,
+    company: comment.company || null,
+    post_title: postTitle(comment.post_text) || null
+  };
+}
+
+/**
+ * Fill in a template body
+ * @returns {{ text: string, missing: string[] }} missing: variables without a value or fallback
+ */
+function render(body, context) {
+  const missing = [];
+  const text = body.replace(VARIABLE_PATTERN, (match, variable, fallback) => {
+    const value = context[variable];
+    if (value) return value;
+    if (fallback !== undefined) return fallback.trim();
+    missing.push(variable);
+    return '';
+  });
+
+  // Tidy the gaps a missing value leaves ("Thanks , great point" -> "Thanks, great point")
+  return {
+    text: text.replace(/[ \t]+([,.!?])/g, '$1').replace(/[ \t]{2,}/g, ' ').trim(),
+    missing: [...new Set(missing)]
+  };
+}
+
+module.exports = {
+  VARIABLES,
+  parse,
+  postTitle,
+  contextOf,
+  render
+};
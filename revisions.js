@@ -0,0 +1,252 @@
+/**
+ * Post Revision History
+ *
+ * Every change to a draft or pending post stores a full snapshot, who made it
+ * and which fields changed. Consecutive autosaves by the same user within a few
+ * minutes are collapsed into one revision so typing does not flood the history.
+ */
+
+const db = require('./database');
+
+const FIELDS = ['content', 'publish_at', 'post_type', 'document_title', 'image_url', 'visibility', 'status',
+  'article_url', 'article_title', 'article_description', 'author_urn', 'first_comment', 'follow_up_comment', 'follow_up_delay_minutes'];
+const AUTOSAVE_WINDOW_SECONDS = 5 * 60;
+
+function revisionError(message, status) {
+  const error = new Error(message);
+  error.code = 'REVISION_ERROR';
+  error.status = status;
+  return error;
+}
+
+/**
+ * Current state of a post, as stored in a revision
+ */
+async function snapshot(post) {
+  const media = await db.getPostMedia(post.id);
+  const result = {};
+
+  for (const field of FIELDS) {
+    result[field] = post[field] ?? null;
+  }
+
+  result.media = media.map(m => ({
+    id: m.id,
+    media_type: m.media_type,
+    original_name: m.original_name,
+    source_url: m.source_url
+  }));
+
+  return result;
+}
+
+function mediaKey(snap) {
+  return (snap.media || []).map(m => m.id).join(',');
+}
+
+function changedFields(before, after) {
+  const changed = FIELDS.filter(field => (before[field] ?? null) !== (after[field] ?? null));
+  if (mediaKey(before) !== mediaKey(after)) changed.push('media');
+  return changed;
+}
+
+function parseRevision(row) {
+  return {
+    id: row.id,
+    revision: row.revision,
+    change_type: row.change_type,
+    changed_by: row.changed_by,
+    changed_fields: JSON.parse(row.changed_fields || '[]'),
+    snapshot: JSON.parse(row.snapshot),
+    created_at: row.created_at
+  };
+}
+
+/**
+ * Store a revision of a post after a change
+ * @param {string} changeType - created, imported, autosave, edited, restored, promoted
+ * @returns {Promise<number|null>} Revision number, or null when nothing changed
+ */
+async function record(post, userSub, changeType) {
+  const current = await snapshot(post);
+  const latestRow = await db.getLatestPostRevision(post.id);
+  const latest = latestRow ? parseRevision(latestRow) : null;
+
+  if (!latest) {
+    await db.createPostRevision({
+      scheduled_post_id: post.id,
+      revision: 1,
+      change_type: changeType,
+      changed_by: userSub,
+      changed_fields: [...FIELDS, 'media'],
+      snapshot: current
+    });
+    return 1;
+  }
+
+  const changed = changedFields(latest.snapshot, current);
+  if (changed.length === 0) {
+    return null;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const collapse = changeType === 'autosave' &&
+    latest.change_type === 'autosave' &&
+    latest.changed_by === userSub &&
+    now - latest.created_at < AUTOSAVE_WINDOW_SECONDS;
+
+  if (collapse) {
+    // Fields changed relative to the revision before the autosave being replaced
+    const previousRow = await db.getPostRevision(post.id, latest.revision - 1);
+    const base = previousRow ? parseRevision(previousRow).snapshot : {};
+    await db.updatePostRevision(latest.id, changedFields(base, current), current);
+    return latest.revision;
+  }
+
+  await db.createPostRevision({
+    scheduled_post_id: post.id,
+    revision: latest.revision + 1,
+    change_type: changeType,
+    changed_by: userSub,
+    changed_fields: changed,
+    snapshot: current
+  });
+  return latest.revision + 1;
+}
+
+async function list(postId) {
+  const rows = await db.getPostRevisions(postId);
+  return rows.map(parseRevision);
+}
+
+async function get(postId, revision) {
+  const row = await db.getPostRevision(postId, revision);
+  if (!row) {
+    throw revisionError(`Revision ${revision} not found`, 404);
+  }
+  return parseRevision(row);
+}
+
+/**
+ * Line-based diff (longest common subsequence)
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>}
+ */
+function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', text: a[i++] });
+    } else {
+      result.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) result.push({ type: 'added', text: b[j++] });
+
+  return result;
+}
+
+/**
+ * Differences between two revisions of a post
+ */
+async function diff(postId, fromRevision, toRevision) {
+  const [from, to] = await Promise.all([get(postId, fromRevision), get(postId, toRevision)]);
+
+  const fields = changedFields(from.snapshot, to.snapshot)
+    .filter(field => field !== 'content')
+    .map(field => ({
+      field,
+      from: field === 'media' ? from.snapshot.media : from.snapshot[field],
+      to: field === 'media' ? to.snapshot.media : to.snapshot[field]
+    }));
+
+  return {
+    from: fromRevision,
+    to: toRevision,
+    fields,
+    content: diffLines(from.snapshot.content, to.snapshot.content)
+  };
+}
+
+/**
+ * Put a post back to the state of an earlier revision. The status is kept, and a
+ * pending post keeps its current time when the revision's time is unset or past.
+ * @param {function} [options.check] - (fields, media rows) -> problem with the restored
+ *   post, or null; nothing is changed when there is one
+ * @throws {Error} status 400 when check finds a problem
+ */
+async function restore(post, revision, userSub, { check } = {}) {
+  const { snapshot: snap } = await get(post.id, revision);
+
+  const keepTime = post.status === 'pending' && !(snap.publish_at > Date.now() / 1000);
+  // Series keep their author, and so do revisions from before authors or of a page no longer connected
+  const connected = (await db.getOrganizations(post.user_sub)).map(o => o.organization_urn);
+  const authorUrn = post.series_id || snap.author_urn === undefined || (snap.author_urn && !connected.includes(snap.author_urn))
+    ? post.author_urn
+    : snap.author_urn;
+
+  const fields = {
+    content: snap.content,
+    publish_at: keepTime ? post.publish_at : snap.publish_at,
+    post_type: snap.post_type,
+    document_title: snap.document_title,
+    image_url: snap.image_url,
+    // Revisions stored before visibility existed leave it unchanged
+    visibility: snap.visibility ?? post.visibility,
+    article_url: snap.article_url ?? null,
+    article_title: snap.article_title ?? null,
+    article_description: snap.article_description ?? null,
+    author_urn: authorUrn,
+    first_comment: snap.first_comment ?? null,
+    follow_up_comment: snap.follow_up_comment ?? null,
+    follow_up_delay_minutes: snap.follow_up_delay_minutes ?? null
+  };
+
+  if (check) {
+    const media = await Promise.all(snap.media.map(m => db.getMediaById(m.id, post.user_sub)));
+    const problem = await check(fields, media.filter(Boolean));
+    if (problem) {
+      const error = new Error(`Revision ${revision} cannot be restored: ${problem}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  await db.updateScheduledPostFields(post.id, fields);
+
+  await db.detachPostMedia(post.id);
+  await db.attachPostMedia(snap.media.map(m => m.id), post.id);
+  if ((authorUrn || null) !== (post.author_urn || null)) {
+    await db.resetPostMediaUploads(post.id);
+  }
+
+  const restored = await db.getScheduledPost(post.id, post.user_sub);
+  return record(restored, userSub, 'restored');
+}
+
+module.exports = {
+  snapshot,
+  record,
+  list,
+  get,
+  diff,
+  diffLines,
+  restore
+};
@@ -0,0 +1,135 @@
+/**
+ * Fetching User-Supplied URLs
+ *
+ * Link previews and image downloads load URLs sent by users. So that these
+ * requests cannot reach the server's own network (SSRF), every hop - the URL
+ * itself and each redirect - has to resolve to public addresses only; loopback,
+ * private, link-local, CGNAT, multicast and reserved ranges are refused. The
+ * address is checked again when the socket connects, so a DNS answer that
+ * changes after the check (rebinding) is refused as well.
+ * With SANDBOX=1 the mock server (localhost) is allowed.
+ */
+
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const linkedinConfig = require('./linkedin-config');
+
+const MAX_REDIRECTS = 5;
+
+// Separate lists: an IPv6 list also matches IPv4 addresses as ::ffff:a.b.c.d
+const BLOCKED_IPV4 = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_IPV4.addSubnet(prefix, bits, 'ipv4');
+}
+const BLOCKED_IPV6 = new net.BlockList();
+for (const [prefix, bits] of [['::', 127], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_IPV6.addSubnet(prefix, bits, 'ipv6');
+}
+
+const SANDBOX_ORIGIN = `http://localhost:${linkedinConfig.SANDBOX_PORT}`;
+
+function blockedError(host, message = `${host} does not resolve to a public address`) {
+  const error = new Error(message);
+  error.code = 'ADDRESS_NOT_ALLOWED';
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Whether an IP address may be fetched from
+ */
+function isPublicAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  if (net.isIPv4(address)) return !BLOCKED_IPV4.check(address, 'ipv4');
+  if (net.isIPv6(address)) return !BLOCKED_IPV6.check(address, 'ipv6');
+  return false;
+}
+
+// dns.lookup for the sockets of these requests: fails when any answer is not public
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(blockedError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Check that a URL is HTTP(S) and its host resolves to public addresses only
+ * @returns {Promise<boolean>} true for the sandbox mock server, which skips the socket check
+ * @throws {Error} code ADDRESS_NOT_ALLOWED, status 400
+ */
+async function assertPublicUrl(value) {
+  const url = new URL(value);
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw blockedError(url.host, 'Only HTTP and HTTPS URLs can be fetched');
+  }
+  if (linkedinConfig.SANDBOX && url.origin === SANDBOX_ORIGIN) {
+    return true;
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    throw blockedError(url.hostname);
+  }
+  return false;
+}
+
+/**
+ * GET a user-supplied URL, following redirects only to public addresses
+ * @param {object} options - axios options (redirect, proxy and agent settings are replaced)
+ * @returns {Promise<{url: string, response: object}>} url is the final URL after redirects
+ */
+async function get(value, options = {}) {
+  let url = new URL(value).toString();
+
+  for (let redirects = 0; ; redirects++) {
+    const sandbox = await assertPublicUrl(url);
+    const response = await axios.get(url, {
+      ...options,
+      ...(sandbox ? {} : publicAgents),
+      proxy: false,
+      maxRedirects: 0,
+      validateStatus: status => status >= 200 && status < 400
+    });
+
+    if (response.status < 300) {
+      return { url, response };
+    }
+
+    const location = response.headers.location;
+    if (!location) {
+      throw new Error(`HTTP ${response.status} without a redirect location`);
+    }
+    if (redirects >= MAX_REDIRECTS) {
+      throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+    }
+    url = new URL(location, url).toString();
+  }
+}
+
+module.exports = {
+  isPublicAddress,
+  assertPublicUrl,
+  get
+};
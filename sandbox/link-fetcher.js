@@ -0,0 +1,46 @@
+/**
+ * Offline page fetcher for link previews (SANDBOX=1 or LINK_PREVIEW_FETCHER=stub)
+ *
+ * Returns a generated page with Open Graph tags instead of loading the URL:
+ * the title comes from the last path segment ("/blog/why-retries-matter" ->
+ * "Why retries matter") and the image is served by the mock LinkedIn server,
+ * so article posts (thumbnail included) work without network access.
+ * Hosts ending in ".invalid" fail like an unreachable site.
+ */
+
+const linkedinConfig = require('../linkedin-config');
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+function titleFromPath(url) {
+  const segment = url.pathname.split('/').filter(Boolean).pop() || url.hostname;
+  const words = decodeURIComponent(segment).replace(/\.[a-z0-9]+$/i, '').replace(/[-_+]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+async function fetchPage(target) {
+  const url = new URL(target);
+  if (url.hostname.endsWith('.invalid')) {
+    throw new Error(`getaddrinfo ENOTFOUND ${url.hostname}`);
+  }
+
+  const title = escapeHtml(titleFromPath(url));
+  const body = `<!DOCTYPE html>
+<html>
+<head>
+  <title>${title} | ${url.hostname}</title>
+  <meta property="og:title" content="${title}">
+  <meta property="og:description" content="Sandbox preview of ${url.hostname}${url.pathname}">
+  <meta property="og:image" content="http://localhost:${linkedinConfig.SANDBOX_PORT}/sandbox/og-image.png">
+  <meta property="og:site_name" content="${url.hostname}">
+  <link rel="canonical" href="${url.toString()}">
+</head>
+<body><h1>${title}</h1></body>
+</html>`;
+
+  return { url: url.toString(), status: 200, contentType: 'text/html; charset=utf-8', body };
+}
+
+module.exports = fetchPage;
@@ -0,0 +1,625 @@
+#!/usr/bin/env node
+
+/**
+ * Mock LinkedIn Server (offline sandbox)
+ *
+ * Implements the subset of LinkedIn the app talks to:
+ * - OAuth 2.0 / OIDC: authorization (auto-approve), accessToken, userinfo, JWKS
+ *   with a per-process RSA key and signed id_tokens
+ * - REST: /rest/posts, /rest/comments, /rest/reactions, /rest/socialActions
+ *   (comments are deleted through DELETE /rest/socialActions/{post}/comments/{id})
+ * - Post analytics: /rest/memberCreatorPostAnalytics (r_member_postAnalytics) and
+ *   /rest/organizationalEntityShareStatistics (r_organization_social); impressions
+ *   are derived from a post's engagement, reshares come from the fixtures
+ * - Company pages: /rest/organizationAcls (roleAssignee), /rest/organizations/{id};
+ *   tokens carry the scopes asked for at login, and page endpoints check them
+ * - Images / Documents / Videos APIs: initializeUpload, binary (or multi-part video)
+ *   upload, finalizeUpload; assets become AVAILABLE shortly after upload
+ * - Legacy: /v2/shares, /v2/ugcPosts, /v2/socialActions
+ * - Link previews: /sandbox/og-image.png, the page image of sandbox/link-fetcher.js
+ * - Fault injection: POST /sandbox/faults { path, method, status, times, retryAfter }
+ *   makes the next `times` matching requests fail (DELETE /sandbox/faults clears)
+ *
+ * Data is seeded from fixtures.json (createdAt values there are offsets in ms
+ * relative to server start) and kept in memory.
+ *
+ * Usage: node sandbox/mock-linkedin.js   (or npm run sandbox)
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const fixtures = require('./fixtures.json');
+
+const ACCESS_TOKEN_PREFIX = 'sandbox-access-';
+const DEFAULT_SCOPE = 'openid profile email w_member_social r_member_social';
+const REFRESH_TOKEN_PREFIX = 'sandbox-refresh-';
+// 1x1 PNG
+const OG_IMAGE = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+function randomId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+function personUrn(id) {
+  return id.startsWith('urn:') ? id : `urn:li:person:${id}`;
+}
+
+/**
+ * Slice a collection using Rest.li start/count paging
+ */
+function paginate(items, query) {
+  const start = parseInt(query.start) || 0;
+  const count = parseInt(query.count) || 10;
+
+  return {
+    elements: items.slice(start, start + count),
+    paging: { start, count, total: items.length }
+  };
+}
+
+/**
+ * Build the in-memory store from fixtures
+ */
+function loadStore(now) {
+  const member = fixtures.member;
+
+  const posts = fixtures.posts.map(post => ({
+    id: post.id,
+    author: post.author || personUrn(member.sub),
+    commentary: post.commentary,
+    visibility: 'PUBLIC',
+    lifecycleState: 'PUBLISHED',
+    createdAt: now + post.createdAt,
+    lastModifiedAt: now + post.createdAt,
+    reshares: post.reshares || 0,
+    comments: post.comments.map(comment => ({
+      id: comment.id,
+      actor: personUrn(comment.actor),
+      message: { text: comment.text },
+      created: { time: now + comment.createdAt },
+      parentComment: null
+    })),
+    reactions: post.reactions.map(reaction => ({
+      actor: personUrn(reaction.actor),
+      reactionType: reaction.reactionType,
+      created: { time: now + reaction.createdAt }
+    }))
+  }));
+
+  const organizations = fixtures.organizations.map(organization => ({
+    ...organization,
+    urn: `urn:li:organization:${organization.id}`
+  }));
+
+  return { member, people: fixtures.people, posts, organizations, assets: new Map(), codes: new Map(), grants: new Map() };
+}
+
+function createApp(options = {}) {
+  const issuer = options.issuer || `http://localhost:${options.port || 3101}`;
+  const tokenTtl = options.tokenTtl || parseInt(process.env.SANDBOX_TOKEN_TTL) || 5184000;
+  const store = loadStore(Date.now());
+
+  // Signing key for id_tokens, published through the JWKS endpoint
+  const keyId = `sandbox-${randomId()}`;
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: keyId, use: 'sig', alg: 'RS256' };
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  app.use((req, res, next) => {
+    console.log(`[Sandbox] ${req.method} ${req.path}`);
+    next();
+  });
+
+  // Injected failures, matched by path prefix (and method, if given)
+  const faults = [];
+
+  app.post('/sandbox/faults', (req, res) => {
+    const { path, method, status = 503, times = 1, retryAfter } = req.body || {};
+    if (!path) {
+      return res.status(400).json({ error: 'path is required' });
+    }
+
+    faults.push({ path, method: method ? method.toUpperCase() : null, status, remaining: times, retryAfter });
+    res.status(201).json({ faults });
+  });
+
+  app.delete('/sandbox/faults', (req, res) => {
+    faults.length = 0;
+    res.json({ faults });
+  });
+
+  // Page image for the offline link preview fetcher (sandbox/link-fetcher.js)
+  app.get('/sandbox/og-image.png', (req, res) => {
+    res.type('image/png').send(OG_IMAGE);
+  });
+
+  app.use((req, res, next) => {
+    const fault = faults.find(f => f.remaining > 0 && req.path.startsWith(f.path) && (!f.method || f.method === req.method));
+    if (!fault) return next();
+
+    fault.remaining--;
+    if (fault.retryAfter !== undefined) {
+      res.set('Retry-After', String(fault.retryAfter));
+    }
+    res.status(fault.status).json({ status: fault.status, message: `Injected sandbox fault (${fault.status})` });
+  });
+
+  // The sandbox grants whatever scopes were asked for
+  function issueTokens(clientId, nonce, scope = DEFAULT_SCOPE) {
+    const member = store.member;
+    const tokens = {
+      access_token: `${ACCESS_TOKEN_PREFIX}${randomId()}`,
+      expires_in: tokenTtl,
+      refresh_token: `${REFRESH_TOKEN_PREFIX}${randomId()}`,
+      refresh_token_expires_in: 31536000,
+      scope,
+      token_type: 'Bearer'
+    };
+    store.grants.set(tokens.access_token, scope);
+    store.grants.set(tokens.refresh_token, scope);
+
+    tokens.id_token = jwt.sign({
+      sub: member.sub,
+      name: member.name,
+      given_name: member.given_name,
+      family_name: member.family_name,
+      email: member.email,
+      email_verified: member.email_verified,
+      ...(nonce && { nonce })
+    }, privateKey.export({ type: 'pkcs1', format: 'pem' }), {
+      algorithm: 'RS256',
+      keyid: keyId,
+      issuer,
+      audience: clientId,
+      expiresIn: '1h'
+    });
+
+    return tokens;
+  }
+
+  function requireBearer(req, res, next) {
+    const auth = req.headers.authorization || '';
+    if (!auth.startsWith(`Bearer ${ACCESS_TOKEN_PREFIX}`)) {
+      return res.status(401).json({ status: 401, serviceErrorCode: 65600, message: 'Invalid access token' });
+    }
+    next();
+  }
+
+  // Tokens issued before a sandbox restart are unknown and pass every scope check
+  function hasScopes(req, scopes) {
+    const granted = store.grants.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+    return granted === undefined || scopes.every(scope => granted.split(' ').includes(scope));
+  }
+
+  function requireScopes(...scopes) {
+    return (req, res, next) => {
+      if (!hasScopes(req, scopes)) {
+        return res.status(403).json({ status: 403, serviceErrorCode: 100, message: `Not enough permissions to access: ${req.method} ${req.path} (needs ${scopes.join(', ')})` });
+      }
+      next();
+    };
+  }
+
+  // Pages the member can post for
+  const POSTING_ROLES = ['ADMINISTRATOR', 'CONTENT_ADMINISTRATOR'];
+
+  function canPostAs(author) {
+    return store.organizations.some(organization => organization.urn === author && POSTING_ROLES.includes(organization.role));
+  }
+
+  function findPost(urn) {
+    return store.posts.find(post => post.id === urn);
+  }
+
+  // ========== OAUTH / OIDC ==========
+
+  // Auto-approve: redirect straight back with a code
+  app.get('/oauth/v2/authorization', (req, res) => {
+    const { redirect_uri, state, nonce, client_id, scope } = req.query;
+    if (!redirect_uri) {
+      return res.status(400).send('Missing redirect_uri');
+    }
+
+    const code = randomId();
+    store.codes.set(code, { clientId: client_id, nonce, redirectUri: redirect_uri, scope: scope || DEFAULT_SCOPE });
+
+    const params = new URLSearchParams({ code, ...(state && { state }) });
+    res.redirect(`${redirect_uri}?${params.toString()}`);
+  });
+
+  app.post('/oauth/v2/accessToken', (req, res) => {
+    const params = { ...req.query, ...req.body };
+
+    if (params.grant_type === 'authorization_code') {
+      const grant = store.codes.get(params.code);
+      if (!grant) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown authorization code' });
+      }
+      store.codes.delete(params.code);
+      return res.json(issueTokens(params.client_id || grant.clientId, grant.nonce, grant.scope));
+    }
+
+    if (params.grant_type === 'refresh_token') {
+      if (!params.refresh_token?.startsWith(REFRESH_TOKEN_PREFIX)) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'Invalid refresh token' });
+      }
+      const { id_token, ...tokens } = issueTokens(params.client_id, null, store.grants.get(params.refresh_token));
+      return res.json(tokens);
+    }
+
+    res.status(400).json({ error: 'unsupported_grant_type' });
+  });
+
+  app.get('/oauth/openid/jwks', (req, res) => {
+    res.json({ keys: [jwk] });
+  });
+
+  app.get('/v2/userinfo', requireBearer, (req, res) => {
+    res.json(store.member);
+  });
+
+  // ========== POSTS ==========
+
+  app.get('/rest/posts', requireBearer, (req, res) => {
+    const author = req.query.author;
+    if (author?.startsWith('urn:li:organization:') && !hasScopes(req, ['r_organization_social'])) {
+      return res.status(403).json({ status: 403, serviceErrorCode: 100, message: 'Not enough permissions to read organization posts (needs r_organization_social)' });
+    }
+    const posts = store.posts
+      .filter(post => !author || post.author === author)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(({ comments, reactions, ...post }) => post);
+
+    res.json(paginate(posts, req.query));
+  });
+
+  app.post('/rest/posts', requireBearer, (req, res) => {
+    const { author, commentary, visibility, lifecycleState, content } = req.body || {};
+    if (!author) {
+      return res.status(422).json({ status: 422, message: 'Field /author is required' });
+    }
+    if (author.startsWith('urn:li:organization:') && (!hasScopes(req, ['w_organization_social']) || !canPostAs(author))) {
+      return res.status(403).json({ status: 403, serviceErrorCode: 100, message: `Not enough permissions to post as ${author}` });
+    }
+
+    if (content?.article && (!content.article.source || !content.article.title)) {
+      return res.status(422).json({ status: 422, message: 'Article content needs a source and a title' });
+    }
+
+    const mediaIds = content?.multiImage
+      ? content.multiImage.images.map(image => image.id)
+      : [content?.media?.id, content?.article?.thumbnail].filter(Boolean);
+    const unavailable = mediaIds.find(id => store.assets.get(id)?.status !== 'AVAILABLE');
+    if (unavailable) {
+      return res.status(422).json({ status: 422, message: `Media ${unavailable} is not available` });
+    }
+
+    const now = Date.now();
+    const id = `urn:li:share:${now}${Math.floor(Math.random() * 1000)}`;
+    store.posts.push({
+      id,
+      author,
+      commentary: commentary || '',
+      visibility: visibility || 'PUBLIC',
+      lifecycleState: lifecycleState || 'PUBLISHED',
+      content: content || null,
+      createdAt: now,
+      lastModifiedAt: now,
+      reshares: 0,
+      comments: [],
+      reactions: []
+    });
+
+    res.status(201).set('x-restli-id', id).end();
+  });
+
+  // ========== ORGANIZATIONS ==========
+
+  app.get('/rest/organizationAcls', requireBearer, requireScopes('r_organization_admin'), (req, res) => {
+    if (req.query.q !== 'roleAssignee') {
+      return res.status(400).json({ status: 400, message: 'Unsupported finder' });
+    }
+
+    const acls = store.organizations
+      .filter(organization => !req.query.role || organization.role === req.query.role)
+      .map(organization => ({
+        organization: organization.urn,
+        role: organization.role,
+        roleAssignee: personUrn(store.member.sub),
+        state: 'APPROVED'
+      }));
+    res.json(paginate(req.query.state && req.query.state !== 'APPROVED' ? [] : acls, req.query));
+  });
+
+  app.get('/rest/organizations/:id', requireBearer, (req, res) => {
+    const organization = store.organizations.find(o => String(o.id) === req.params.id);
+    if (!organization) {
+      return res.status(404).json({ status: 404, message: `Organization ${req.params.id} not found` });
+    }
+    res.json({ id: organization.id, localizedName: organization.localizedName, vanityName: organization.vanityName });
+  });
+
+  // ========== IMAGES, DOCUMENTS & VIDEOS ==========
+
+  // Assets become AVAILABLE shortly after their upload completes
+  function markProcessing(asset) {
+    asset.status = 'PROCESSING';
+    setTimeout(() => { asset.status = 'AVAILABLE'; }, 500);
+  }
+
+  function findUpload(kind, id) {
+    return store.assets.get(`urn:li:${kind}:${id}`);
+  }
+
+  // Images and documents: one upload URL per asset
+  for (const kind of ['image', 'document']) {
+    app.post(`/rest/${kind}s`, requireBearer, (req, res) => {
+      if (req.query.action !== 'initializeUpload') {
+        return res.status(400).json({ status: 400, message: 'Unsupported action' });
+      }
+
+      const owner = req.body?.initializeUploadRequest?.owner;
+      if (!owner) {
+        return res.status(422).json({ status: 422, message: 'Field /initializeUploadRequest/owner is required' });
+      }
+
+      const id = randomId();
+      const urn = `urn:li:${kind}:${id}`;
+      store.assets.set(urn, { id: urn, owner, status: 'WAITING_UPLOAD', size: 0 });
+
+      res.json({
+        value: {
+          uploadUrlExpiresAt: Date.now() + 3600000,
+          uploadUrl: `${issuer}/sandbox-uploads/${kind}s/${id}`,
+          [kind]: urn
+        }
+      });
+    });
+
+    // Upload URLs are pre-signed in production; the sandbox still checks the bearer token
+    app.put(`/sandbox-uploads/${kind}s/:id`, requireBearer, express.raw({ type: '*/*', limit: '110mb' }), (req, res) => {
+      const asset = findUpload(kind, req.params.id);
+      if (!asset) {
+        return res.status(404).json({ status: 404, message: 'Unknown upload' });
+      }
+
+      asset.size = req.body?.length || 0;
+      markProcessing(asset);
+      res.status(201).end();
+    });
+  }
+
+  // Videos: multi-part upload (4MB parts) finalized with the part ETags
+  const VIDEO_PART_BYTES = 4 * 1024 * 1024;
+
+  app.post('/rest/videos', requireBearer, (req, res) => {
+    if (req.query.action === 'initializeUpload') {
+      const { owner, fileSizeBytes } = req.body?.initializeUploadRequest || {};
+      if (!owner || !fileSizeBytes) {
+        return res.status(422).json({ status: 422, message: 'owner and fileSizeBytes are required' });
+      }
+
+      const id = randomId();
+      const urn = `urn:li:video:${id}`;
+      const uploadInstructions = [];
+      for (let firstByte = 0, part = 0; firstByte < fileSizeBytes; firstByte += VIDEO_PART_BYTES, part++) {
+        uploadInstructions.push({
+          uploadUrl: `${issuer}/sandbox-uploads/videos/${id}/parts/${part}`,
+          firstByte,
+          lastByte: Math.min(firstByte + VIDEO_PART_BYTES, fileSizeBytes) - 1
+        });
+      }
+
+      const uploadToken = randomId();
+      store.assets.set(urn, { id: urn, owner, status: 'WAITING_UPLOAD', uploadToken, parts: new Map(), partCount: uploadInstructions.length });
+
+      return res.json({ value: { video: urn, uploadToken, uploadInstructions, uploadUrlsExpireAt: Date.now() + 3600000 } });
+    }
+
+    if (req.query.action === 'finalizeUpload') {
+      const { video, uploadToken, uploadedPartIds = [] } = req.body?.finalizeUploadRequest || {};
+      const asset = store.assets.get(video);
+      if (!asset || asset.uploadToken !== uploadToken) {
+        return res.status(404).json({ status: 404, message: `Video ${video} not found` });
+      }
+
+      const expected = [...asset.parts.values()];
+      if (uploadedPartIds.length !== asset.partCount || !uploadedPartIds.every(etag => expected.includes(etag))) {
+        return res.status(400).json({ status: 400, message: 'Uploaded part ids do not match the upload' });
+      }
+
+      markProcessing(asset);
+      return res.status(200).end();
+    }
+
+    res.status(400).json({ status: 400, message: 'Unsupported action' });
+  });
+
+  app.put('/sandbox-uploads/videos/:id/parts/:part', requireBearer, express.raw({ type: '*/*', limit: '10mb' }), (req, res) => {
+    const asset = findUpload('video', req.params.id);
+    if (!asset) {
+      return res.status(404).json({ status: 404, message: 'Unknown upload' });
+    }
+
+    const etag = `/ambry-video/${randomId()}`;
+    asset.parts.set(req.params.part, etag);
+    res.status(200).set('etag', etag).end();
+  });
+
+  for (const kind of ['image', 'document', 'video']) {
+    app.get(`/rest/${kind}s/:urn`, requireBearer, (req, res) => {
+      const asset = store.assets.get(req.params.urn);
+      if (!asset) {
+        return res.status(404).json({ status: 404, message: `${req.params.urn} not found` });
+      }
+      res.json({ id: asset.id, owner: asset.owner, status: asset.status });
+    });
+  }
+
+  // ========== COMMENTS & REACTIONS ==========
+
+  app.get('/rest/comments', requireBearer, (req, res) => {
+    const post = findPost(req.query.post);
+    const comments = (post?.comments || []).map(comment => ({ ...comment, object: post.id }));
+    res.json(paginate(comments, req.query));
+  });
+
+  app.post('/rest/comments', requireBearer, (req, res) => {
+    const { actor, object, message, parentComment } = req.body || {};
+    const post = findPost(object);
+    if (!post) {
+      return res.status(404).json({ status: 404, message: `Post ${object} not found` });
+    }
+
+    const id = `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+    post.comments.push({
+      id,
+      actor,
+      message: { text: message?.text || '' },
+      created: { time: Date.now() },
+      parentComment: parentComment || null
+    });
+
+    res.status(201).set('x-restli-id', id).end();
+  });
+
+  // Deleting a comment on a post takes its replies with it
+  app.delete('/rest/socialActions/:target/comments/:commentId', requireBearer, (req, res) => {
+    const post = findPost(req.params.target);
+    const comment = post?.comments.find(candidate => String(candidate.id) === req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ status: 404, message: `Comment ${req.params.commentId} not found` });
+    }
+
+    const urn = comment.$URN || `urn:li:comment:(${post.id},${comment.id})`;
+    post.comments = post.comments.filter(candidate => candidate !== comment && candidate.parentComment !== urn);
+    res.status(204).end();
+  });
+
+  app.get('/rest/reactions', requireBearer, (req, res) => {
+    if (req.query.q !== 'entity') {
+      return res.status(400).json({ status: 400, message: 'Unsupported finder' });
+    }
+    const post = findPost(req.query.entity);
+    const reactions = (post?.reactions || []).map(reaction => ({ ...reaction, root: post.id }));
+    res.json(paginate(reactions, req.query));
+  });
+
+  app.post('/rest/reactions', requireBearer, (req, res) => {
+    const { root, reactionType, actor } = req.body || {};
+    const reaction = { actor: actor || personUrn(store.member.sub), reactionType: reactionType || 'LIKE', created: { time: Date.now() } };
+    // Reactions on posts count towards their analytics (comment reactions are not kept)
+    findPost(root)?.reactions.push(reaction);
+    res.status(201).json({ root, ...reaction });
+  });
+
+  app.get('/rest/socialActions', requireBearer, (req, res) => {
+    const post = findPost(req.query.entity);
+    const events = post ? [...post.reactions, ...post.comments] : [];
+    res.json(paginate(events, req.query));
+  });
+
+  // ========== POST ANALYTICS ==========
+
+  // Made-up but stable reach: grows with a post's engagement
+  function impressionsOf(post) {
+    return 100 + post.reactions.length * 40 + post.comments.length * 60 + post.reshares * 90;
+  }
+
+  app.get('/rest/memberCreatorPostAnalytics', requireBearer, requireScopes('r_member_postAnalytics'), (req, res) => {
+    const post = findPost(req.query.entity);
+    if (req.query.q !== 'entity' || !post) {
+      return res.status(400).json({ status: 400, message: 'Unsupported finder or unknown entity' });
+    }
+
+    const counts = {
+      IMPRESSION: impressionsOf(post),
+      REACTION: post.reactions.length,
+      COMMENT: post.comments.length,
+      RESHARE: post.reshares
+    };
+    if (counts[req.query.queryType] === undefined) {
+      return res.status(400).json({ status: 400, message: `Unsupported queryType ${req.query.queryType}` });
+    }
+    res.json({ elements: [{ count: counts[req.query.queryType], metricType: req.query.queryType }] });
+  });
+
+  app.get('/rest/organizationalEntityShareStatistics', requireBearer, requireScopes('r_organization_social'), (req, res) => {
+    const post = findPost(req.query.shares);
+    if (req.query.q !== 'organizationalEntity' || !post) {
+      return res.status(400).json({ status: 400, message: 'Unsupported finder or unknown share' });
+    }
+
+    res.json({
+      elements: [{
+        organizationalEntity: req.query.organizationalEntity,
+        share: post.id,
+        totalShareStatistics: {
+          impressionCount: impressionsOf(post),
+          likeCount: post.reactions.length,
+          commentCount: post.comments.length,
+          shareCount: post.reshares
+        }
+      }]
+    });
+  });
+
+  // ========== LEGACY V2 ENDPOINTS (automation worker) ==========
+
+  app.get('/v2/shares', requireBearer, (req, res) => {
+    const shares = store.posts.map(post => ({
+      id: post.id,
+      owner: post.author,
+      text: { text: post.commentary },
+      created: { time: post.createdAt }
+    }));
+    res.json(paginate(shares, req.query));
+  });
+
+  app.get('/v2/ugcPosts', requireBearer, (req, res) => {
+    const ugcPosts = store.posts.map(post => ({
+      id: post.id,
+      author: post.author,
+      specificContent: {
+        'com.linkedin.ugc.ShareContent': { shareCommentary: { text: post.commentary } }
+      },
+      created: { time: post.createdAt }
+    }));
+    res.json(paginate(ugcPosts, req.query));
+  });
+
+  app.post('/v2/socialActions', requireBearer, (req, res) => {
+    res.status(201).json({ ...req.body, created: { time: Date.now() } });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ status: 404, message: `Sandbox has no route for ${req.method} ${req.path}` });
+  });
+
+  return app;
+}
+
+/**
+ * Start the mock server and resolve once it is listening
+ */
+function start(port = 3101) {
+  const app = createApp({ port });
+
+  return new Promise((resolve) => {
+    const server = app.listen(port, () => {
+      console.log(`🧪 Mock LinkedIn sandbox running on http://localhost:${port}`);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { createApp, start };
+
+if (require.main === module) {
+  require('dotenv').config();
+  start(parseInt(process.env.SANDBOX_PORT) || 3101);
+}
@@ -1,13 +1,34 @@
+const os = require('os');
+const crypto = require('crypto');
 const cron = require('node-cron');
-const axios = require('axios');
 const db = require('./database');
+const linkedin = require('./linkedin-client');
 const SyncEngine = require('./sync-engine');
+const postSeries = require('./post-series');
+const mediaPipeline = require('./media');
+const publishRetry = require('./publish-retry');
+const timezone = require('./timezone');
+const littleText = require('./little-text');
+const organizations = require('./organizations');
+const firstComments = require('./first-comments');
+const postMetrics = require('./post-metrics');
+const commentInbox = require('./comment-inbox');
+const moderation = require('./comment-moderation');
+
+// How long a claimed post stays locked to the run that claimed it
+// (renewed before the create call, so slow media uploads do not eat into it)
+const LEASE_SECONDS = parseInt(process.env.PUBLISH_LEASE_SECONDS) || 600;
+// Local hour of the daily engagement sync, in each user's time zone
+const SYNC_HOUR = 3;
 
 class PostScheduler {
   constructor() {
     this.isRunning = false;
     this.cronJob = null;
     this.syncJob = null;
+    this.snapshotJob = null;
+    // Identifies this process in publishing leases
+    this.leaseOwner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
   }
 
   start() {
@@ -19,16 +40,26 @@ class PostScheduler {
     // Run every minute to check for posts to publish
     this.cronJob = cron.schedule('* * * * *', async () => {
       await this.processScheduledPosts();
+      await this.processPostComments();
+      await this.processModeration();
     });
 
-    // Daily engagement sync at 3 AM
-    this.syncJob = cron.schedule('0 3 * * *', async () => {
+    // Daily engagement sync: checked hourly, runs for users where it is 3 AM
+    this.syncJob = cron.schedule('0 * * * *', async () => {
       await this.runDailySync();
     });
 
+    // Performance snapshots of recent posts (each post at its own cadence), then
+    // the comments of posts whose snapshot shows new ones
+    this.snapshotJob = cron.schedule('*/15 * * * *', async () => {
+      await this.runPerformanceSnapshots();
+      await this.runCommentInboxSync();
+    });
+
     this.isRunning = true;
     console.log('Post scheduler started');
-    console.log('Daily sync scheduler started (runs at 3 AM)');
+    console.log(`Daily sync scheduler started (runs at ${SYNC_HOUR} AM in each user's time zone)`);
+    console.log('Post performance snapshots and comment inbox started (every 15 minutes)');
   }
 
   stop() {
@@ -40,6 +71,10 @@ class PostScheduler {
       this.syncJob.stop();
       this.syncJob = null;
     }
+    if (this.snapshotJob) {
+      this.snapshotJob.stop();
+      this.snapshotJob = null;
+    }
     this.isRunning = false;
     console.log('Post scheduler stopped');
     console.log('Daily sync scheduler stopped');
@@ -47,112 +82,369 @@ class PostScheduler {
 
   async processScheduledPosts() {
     try {
-      const pendingPosts = await db.getPendingScheduledPosts();
+      await this.recoverExpiredLeases();
 
-      if (pendingPosts.length === 0) {
+      const duePosts = await db.getPendingScheduledPosts();
+
+      if (duePosts.length === 0) {
         return;
       }
 
-      console.log(`Found ${pendingPosts.length} posts to publish`);
+      console.log(`Found ${duePosts.length} posts to publish`);
 
-      for (const post of pendingPosts) {
-        await this.publishPost(post);
+      for (const due of duePosts) {
+        // Another instance or an overlapping run may have claimed it first
+        if (!(await db.claimScheduledPost(due.id, this.leaseOwner, LEASE_SECONDS))) {
+          continue;
+        }
+
+        await this.publishPost(await db.getScheduledPost(due.id, due.user_sub));
       }
     } catch (error) {
       console.error('Error processing scheduled posts:', error.message);
     }
   }
 
-  async publishPost(post) {
+  /**
+   * Return posts whose lease expired (crashed or hung run) to the queue.
+   * The crashed run may have created the post already, so the next attempt
+   * checks LinkedIn before sending it again.
+   */
+  async recoverExpiredLeases() {
+    const expired = await db.getExpiredPublishLeases();
+
+    for (const post of expired) {
+      if (!(await db.recoverPublishLease(post.id, post.lease_owner))) continue;
+
+      console.warn(`⚠️  Lease of post ${post.id} held by ${post.lease_owner} expired, returned to the queue`);
+      await db.createPublishAttempt({
+        scheduled_post_id: post.id,
+        outcome: 'lease_expired',
+        failure_class: 'transient',
+        reason: 'lease_expired',
+        error_message: `Publishing run ${post.lease_owner} did not finish`,
+        lease_owner: post.lease_owner,
+        idempotency_key: post.idempotency_key,
+        started_at: post.claimed_at || Math.floor(Date.now() / 1000)
+      });
+    }
+  }
+
+  /**
+   * LinkedIn commentary of a post: escaped, with @mentions of connections whose URN is known
+   */
+  async formatCommentary(post) {
+    const mentionables = await db.getMentionableConnections(post.user_sub);
+    return littleText.format(post.content, { mentionables }).commentary;
+  }
+
+  /**
+   * Look for a post created by an earlier attempt whose response was lost:
+   * same author and text, created after that attempt started
+   */
+  async findPublishedCopy(post, commentary) {
+    const response = await linkedin.get(post.user_sub, '/rest/posts', {
+      author: organizations.authorOf(post),
+      q: 'author',
+      count: 20,
+      sortBy: 'LAST_MODIFIED'
+    }, { feature: 'scheduler' });
+
+    // One minute of slack for clock differences between us and LinkedIn
+    const since = (post.unconfirmed_since - 60) * 1000;
+    return (response.data.elements || []).find(existing =>
+      existing.commentary === commentary && (existing.createdAt || 0) >= since
+    ) || null;
+  }
+
+  /**
+   * Publish one post claimed by this scheduler (status 'publishing', our lease).
+   * Transient failures are retried with backoff (the post goes back to pending
+   * with next_retry_at), permanent ones fail, and posts out of attempts are
+   * dead-lettered. Every attempt is recorded in the post's failure history.
+   * @param {string} trigger - 'scheduler' or 'manual' (retry now)
+   * @returns {Promise<string|null>} Resulting status, or null when the lease was lost
+   */
+  async publishPost(post, trigger = 'scheduler') {
+    const attempt = (post.attempt_count || 0) + 1;
+    const startedAt = Math.floor(Date.now() / 1000);
+    const attemptInfo = {
+      scheduled_post_id: post.id,
+      triggered_by: trigger,
+      lease_owner: this.leaseOwner,
+      idempotency_key: post.idempotency_key,
+      started_at: startedAt
+    };
+    let stage = post.unconfirmed_since ? 'check' : 'media';
+    let sendStartedAt = null;
+    let status;
+
     try {
-      // Get user's access token
-      const user = await db.getUser(post.user_sub);
-      if (!user || !user.access_token) {
-        throw new Error('User access token not found');
+      console.log(`Publishing post ${post.id} [${post.idempotency_key}] (attempt ${attempt}/${publishRetry.MAX_ATTEMPTS}): "${post.content.substring(0, 50)}..."`);
+
+      const commentary = await this.formatCommentary(post);
+
+      // An earlier attempt may have created the post without us seeing the response
+      const existing = stage === 'check' ? await this.findPublishedCopy(post, commentary) : null;
+      let linkedinPostId = existing?.id || null;
+
+      if (existing) {
+        console.log(`✓ Post ${post.id} already exists on LinkedIn (${existing.id}), not sending it again`);
+      } else {
+        stage = 'media';
+
+        // Upload images/documents/videos first so the post can reference their URNs
+        const content = await mediaPipeline.prepareForPublish(post);
+
+        // Prepare post payload for LinkedIn Posts API
+        const payload = {
+          author: organizations.authorOf(post),
+          commentary,
+          visibility: post.visibility || 'PUBLIC',
+          distribution: {
+            feedDistribution: 'MAIN_FEED',
+            targetEntities: [],
+            thirdPartyDistributionChannels: []
+          },
+          lifecycleState: 'PUBLISHED',
+          isReshareDisabledByAuthor: false
+        };
+
+        if (content) {
+          payload.content = content;
+        }
+
+        // Media uploads can be slow; only send while the lease is still ours
+        if (!(await db.renewPublishLease(post.id, this.leaseOwner, LEASE_SECONDS))) {
+          console.warn(`⚠️  Lost the lease on post ${post.id}, not publishing`);
+          return null;
+        }
+
+        // Publish to LinkedIn using REST API. Not retried by the client: a retry
+        // after a lost response could post twice, so it goes through the check above.
+        stage = 'create';
+        sendStartedAt = Math.floor(Date.now() / 1000);
+        const response = await linkedin.post(post.user_sub, '/rest/posts', payload, { feature: 'scheduler', maxRetries: 0 });
+
+        linkedinPostId = response.data.id || response.headers['x-restli-id'];
       }
 
-      // Check token expiration
-      const now = Math.floor(Date.now() / 1000);
-      if (user.token_expires_at && user.token_expires_at < now) {
-        throw new Error('Access token expired');
+      // Update post status
+      status = 'published';
+      await db.updatePublishState(post.id, this.leaseOwner, { status, attemptCount: attempt, linkedinPostId });
+      await db.createPublishAttempt({
+        ...attemptInfo,
+        outcome: 'published',
+        reason: existing ? 'found_existing' : null
+      });
+
+      console.log(`✓ Post ${post.id} published successfully`);
+
+    } catch (error) {
+      const failure = publishRetry.classify(error);
+      const nextRetryAt = failure.transient ? publishRetry.nextRetryAt(attempt, failure.retryAfterSeconds) : null;
+      status = nextRetryAt ? 'pending' : failure.transient ? 'dead_letter' : 'failed';
+
+      // Still unknown whether an earlier send went through, or this one may have
+      const unconfirmedSince = stage === 'check'
+        ? post.unconfirmed_since
+        : stage === 'create' && failure.ambiguous ? sendStartedAt : null;
+
+      if (nextRetryAt) {
+        console.error(`✗ Post ${post.id} failed (${failure.reason}), retrying at ${new Date(nextRetryAt * 1000).toISOString()}:`, failure.message);
+      } else {
+        console.error(`✗ Failed to publish post ${post.id} (${failure.reason}, ${status}):`, failure.message);
       }
 
-      console.log(`Publishing post ${post.id}: "${post.content.substring(0, 50)}..."`);
-
-      // Prepare post payload for LinkedIn API
-      const payload = {
-        author: `urn:li:person:${user.sub}`,
-        lifecycleState: 'PUBLISHED',
-        specificContent: {
-          'com.linkedin.ugc.ShareContent': {
-            shareCommentary: {
-              text: post.content
-            },
-            shareMediaCategory: post.image_url ? 'IMAGE' : 'NONE'
-          }
-        },
-        visibility: {
-          'com.linkedin.ugc.MemberNetworkVisibility': 'PUBLIC'
-        }
-      };
-
-      // Add image if provided
-      if (post.image_url) {
-        payload.specificContent['com.linkedin.ugc.ShareContent'].media = [
-          {
-            status: 'READY',
-            originalUrl: post.image_url
-          }
-        ];
+      await db.updatePublishState(post.id, this.leaseOwner, {
+        status,
+        attemptCount: attempt,
+        nextRetryAt,
+        errorMessage: failure.message,
+        unconfirmedSince
+      });
+      await db.createPublishAttempt({
+        ...attemptInfo,
+        outcome: nextRetryAt ? 'retry_scheduled' : status,
+        failure_class: failure.transient ? 'transient' : 'permanent',
+        reason: unconfirmedSince && stage === 'create' ? `${failure.reason}_unconfirmed` : failure.reason,
+        http_status: failure.httpStatus,
+        error_message: failure.message,
+        next_retry_at: nextRetryAt
+      });
+    }
+
+    // First / follow-up comments become jobs of their own; the first one goes out right away
+    if (status === 'published' && (post.first_comment || post.follow_up_comment)) {
+      try {
+        await db.createPostComments(post, firstComments.plan(post, Math.floor(Date.now() / 1000)));
+        await this.processPostComments(post.id);
+      } catch (error) {
+        console.error(`✗ Failed to queue the comments of post ${post.id}:`, error.message);
       }
+    }
 
-      // Publish to LinkedIn using REST API
-      const response = await axios.post(
-        'https://api.linkedin.com/rest/posts',
-        payload,
-        {
-          headers: {
-            'Authorization': `Bearer ${user.access_token}`,
-            'Content-Type': 'application/json',
-            'LinkedIn-Version': '202405',
-            'X-Restli-Protocol-Version': '2.0.0'
-          }
-        }
-      );
+    // Recurring posts: queue the next occurrence once this one is settled,
+    // whether or not it went out
+    if (post.series_id && status !== 'pending') {
+      try {
+        await postSeries.scheduleNext(post.series_id, post.occurrence_at);
+      } catch (error) {
+        console.error(`✗ Failed to schedule next occurrence of series ${post.series_id}:`, error.message);
+      }
+    }
 
-      const linkedinPostId = response.data.id || response.headers['x-restli-id'];
+    return status;
+  }
 
-      // Update post status
-      await db.updateScheduledPostStatus(post.id, 'published', linkedinPostId);
+  /**
+   * Manual "retry now" for a failed, dead-lettered or retrying post: resets the
+   * attempt budget, claims the post and publishes immediately
+   * @returns {Promise<string|null>} Resulting status
+   */
+  async retryNow(post) {
+    const changed = await db.resetPublishRetry(post.id);
+    if (changed === 0) {
+      const error = new Error(`Post is ${post.status} and cannot be retried`);
+      error.status = 409;
+      throw error;
+    }
 
-      // Track API call
-      await db.trackApiCall('/rest/posts', 'POST', response.status);
+    if (!(await db.claimScheduledPost(post.id, this.leaseOwner, LEASE_SECONDS))) {
+      const error = new Error('Post is already being published');
+      error.status = 409;
+      throw error;
+    }
 
-      console.log(`✓ Post ${post.id} published successfully`);
+    return this.publishPost(await db.getScheduledPost(post.id, post.user_sub), 'manual');
+  }
+
+  /**
+   * Post the comments that are due (of one post, or of all posts)
+   */
+  async processPostComments(postId = null) {
+    try {
+      const recovered = await db.recoverExpiredCommentLeases();
+      if (recovered > 0) {
+        console.warn(`⚠️  ${recovered} comment lease(s) expired, returned to the queue`);
+      }
 
+      const due = await db.getDuePostComments(postId);
+      for (const comment of due) {
+        if (!(await db.claimPostComment(comment.id, this.leaseOwner, LEASE_SECONDS))) {
+          continue;
+        }
+        await this.postComment(comment);
+      }
     } catch (error) {
-      console.error(`✗ Failed to publish post ${post.id}:`, error.message);
-
-      // Update post status to failed
-      await db.updateScheduledPostStatus(
-        post.id,
-        'failed',
-        null,
-        error.response?.data?.message || error.message
-      );
+      console.error('Error posting comments:', error.message);
+    }
+  }
+
+  /**
+   * Look for a comment an earlier attempt posted without us seeing the response
+   */
+  async findPostedComment(comment, actor) {
+    const response = await linkedin.get(comment.user_sub, '/rest/comments', {
+      post: comment.linkedin_post_id,
+      count: 50
+    }, { feature: 'scheduler' });
+
+    const since = (comment.unconfirmed_since - 60) * 1000;
+    return (response.data.elements || []).find(existing =>
+      existing.actor === actor && existing.message?.text === comment.content && (existing.created?.time || 0) >= since
+    ) || null;
+  }
 
-      // Track API call
-      if (error.response) {
-        await db.trackApiCall('/rest/posts', 'POST', error.response.status);
+  /**
+   * Post one claimed comment (status 'posting', our lease) under its published
+   * post, as the post's author. Failures are retried like publishing.
+   * @returns {Promise<string>} Resulting status
+   */
+  async postComment(comment) {
+    const attempt = (comment.attempt_count || 0) + 1;
+    const label = comment.kind === 'first' ? 'First comment' : 'Follow-up comment';
+    const actor = organizations.authorOf(comment);
+    let stage = comment.unconfirmed_since ? 'check' : 'create';
+    let sendStartedAt = null;
+
+    try {
+      const existing = stage === 'check' ? await this.findPostedComment(comment, actor) : null;
+      let commentId = existing?.id || null;
+
+      if (!existing) {
+        // Not retried by the client, a lost response could post the comment twice
+        stage = 'create';
+        sendStartedAt = Math.floor(Date.now() / 1000);
+        const response = await linkedin.post(comment.user_sub, '/rest/comments', {
+          actor,
+          object: comment.linkedin_post_id,
+          message: { text: comment.content }
+        }, { feature: 'scheduler', maxRetries: 0 });
+        commentId = response.headers['x-restli-id'] || response.data?.id || null;
       }
+
+      await db.updatePostCommentState(comment.id, this.leaseOwner, { status: 'posted', attemptCount: attempt, commentId });
+      console.log(`✓ ${label} of post ${comment.scheduled_post_id} posted${existing ? ' (found an earlier copy)' : ''}`);
+      return 'posted';
+
+    } catch (error) {
+      const failure = publishRetry.classify(error);
+      const nextRetryAt = failure.transient ? publishRetry.nextRetryAt(attempt, failure.retryAfterSeconds) : null;
+      const status = nextRetryAt ? 'pending' : failure.transient ? 'dead_letter' : 'failed';
+      const unconfirmedSince = stage === 'check'
+        ? comment.unconfirmed_since
+        : failure.ambiguous ? sendStartedAt : null;
+
+      console.error(`✗ ${label} of post ${comment.scheduled_post_id} failed (${failure.reason}, ${nextRetryAt ? 'retrying' : status}):`, failure.message);
+
+      await db.updatePostCommentState(comment.id, this.leaseOwner, {
+        status,
+        attemptCount: attempt,
+        nextRetryAt,
+        errorMessage: failure.message,
+        unconfirmedSince
+      });
+      return status;
+    }
+  }
+
+  /**
+   * Manual "retry now" for a failed, dead-lettered or retrying comment
+   * @returns {Promise<string>} Resulting status
+   */
+  async retryComment(comment) {
+    const changed = await db.resetPostCommentRetry(comment.id);
+    if (changed === 0) {
+      const error = new Error(`Comment is ${comment.status} and cannot be retried`);
+      error.status = 409;
+      throw error;
+    }
+
+    if (!(await db.claimPostComment(comment.id, this.leaseOwner, LEASE_SECONDS))) {
+      const error = new Error('Comment is already being posted');
+      error.status = 409;
+      throw error;
     }
+
+    return this.postComment(await db.getPostCommentJob(comment.id));
   }
 
+  /**
+   * Engagement sync for the users whose local time is in the sync hour
+   */
   async runDailySync() {
     try {
-      console.log('🚀 Starting daily engagement sync...');
+      const now = Date.now() / 1000;
+      const users = (await db.getAllUsers()).filter(user =>
+        timezone.wallClock(now, user.timezone || timezone.DEFAULT_TIMEZONE).hour === SYNC_HOUR
+      );
 
-      const users = await db.getAllUsers();
+      if (users.length === 0) {
+        return;
+      }
+
+      console.log(`🚀 Starting daily engagement sync for ${users.length} user(s)...`);
 
       for (const user of users) {
         if (!user.access_token) {
@@ -160,10 +452,14 @@ class PostScheduler {
           continue;
         }
 
+        if (user.reauth_required) {
+          console.log(`⏭️  Skipping user ${user.sub} (re-authentication required)`);
+          continue;
+        }
+
         console.log(`📊 Syncing engagement for user ${user.sub}`);
 
         const engine = new SyncEngine({
-          dailyApiLimit: 500,
           reservePool: 50,
           batchSize: 10
         });
@@ -176,13 +472,46 @@ class PostScheduler {
         }
       }
 
-      console.log('✅ Daily sync completed for all users');
+      console.log('✅ Daily sync completed');
 
     } catch (error) {
       console.error('❌ Daily sync error:', error.message);
     }
   }
 
+  /**
+   * Snapshot the metrics of recent posts that are due
+   */
+  async runPerformanceSnapshots() {
+    try {
+      await postMetrics.runSnapshots();
+    } catch (error) {
+      console.error('❌ Post snapshot error:', error.message);
+    }
+  }
+
+  /**
+   * Load new comments of recent posts into the comment inbox
+   */
+  async runCommentInboxSync() {
+    try {
+      await commentInbox.syncAll();
+    } catch (error) {
+      console.error('❌ Comment inbox sync error:', error.message);
+    }
+  }
+
+  /**
+   * Delete moderated comments whose undo window is over
+   */
+  async processModeration() {
+    try {
+      await moderation.processDueDeletions();
+    } catch (error) {
+      console.error('❌ Comment moderation error:', error.message);
+    }
+  }
+
   async getStatus() {
     const pendingPosts = await db.getPendingScheduledPosts();
     const todayUsage = await db.getTodayApiCallCount();
@@ -192,6 +521,7 @@ class PostScheduler {
       pendingPosts: pendingPosts.length,
       nextPostRun: this.cronJob ? this.cronJob.nextDates(1).toString() : null,
       nextSyncRun: this.syncJob ? this.syncJob.nextDates(1).toString() : null,
+      nextSnapshotRun: this.snapshotJob ? this.snapshotJob.nextDates(1).toString() : null,
       todayApiCalls: todayUsage
     };
   }
@@ -9,6 +9,30 @@ const multer = require('multer');
 const db = require('./database');
 const scheduler = require('./scheduler');
 const connections = require('./connections');
+const linkedin = require('./linkedin-client');
+const tokenManager = require('./token-manager');
+const linkedinConfig = require('./linkedin-config');
+const apiQuota = require('./api-quota');
+const recurrence = require('./recurrence');
+const postSeries = require('./post-series');
+const media = require('./media');
+const revisions = require('./revisions');
+const calendar = require('./calendar');
+const timezone = require('./timezone');
+const bestTime = require('./best-time');
+const postingQueue = require('./posting-queue');
+const postImport = require('./post-import');
+const littleText = require('./little-text');
+const postLint = require('./post-lint');
+const linkPreview = require('./link-preview');
+const safeFetch = require('./safe-fetch');
+const organizations = require('./organizations');
+const firstComments = require('./first-comments');
+const postMetrics = require('./post-metrics');
+const commentInbox = require('./comment-inbox');
+const replyTemplates = require('./reply-templates');
+const commentClassifier = require('./comment-classifier');
+const moderation = require('./comment-moderation');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -64,11 +88,19 @@ function decryptToken(encryptedToken) {
   }
 }
 
-// LinkedIn OIDC endpoints
-const LINKEDIN_AUTH_URL = 'https://www.linkedin.com/oauth/v2/authorization';
-const LINKEDIN_TOKEN_URL = 'https://www.linkedin.com/oauth/v2/accessToken';
-const LINKEDIN_USERINFO_URL = 'https://api.linkedin.com/v2/userinfo';
-const LINKEDIN_JWKS_URL = 'https://www.linkedin.com/oauth/openid/jwks';
+// LinkedIn OIDC endpoints (configurable, see linkedin-config.js)
+const {
+  LINKEDIN_AUTH_URL,
+  LINKEDIN_TOKEN_URL,
+  LINKEDIN_USERINFO_URL,
+  LINKEDIN_JWKS_URL,
+  LINKEDIN_ISSUER,
+  LINKEDIN_CLIENT_ID,
+  LINKEDIN_CLIENT_SECRET,
+  LINKEDIN_REDIRECT_URI,
+  LINKEDIN_SCOPES,
+  LINKEDIN_ORGANIZATION_SCOPES
+} = linkedinConfig;
 
 // JWKS client for token verification
 const client = jwksClient({
@@ -105,6 +137,50 @@ const upload = multer({
   }
 });
 
+// Bulk post imports (CSV or JSON, memory storage)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|json)$/i.test(file.originalname) || ['text/csv', 'application/json'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV or JSON files are allowed'));
+    }
+  }
+});
+
+// Media uploads for scheduled posts (images, documents, videos), written to
+// uploads/tmp and moved into storage by media.js
+const mediaUpload = multer({
+  dest: media.TEMP_DIR,
+  limits: { fileSize: media.MAX_UPLOAD_BYTES, files: media.POST_TYPES.multi_image.max },
+  fileFilter: (req, file, cb) => {
+    if (media.getMediaKind(media.resolveMimeType(file))) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only images (JPEG, PNG, GIF), documents (PDF, PPT, PPTX, DOC, DOCX) or MP4 videos are allowed'));
+    }
+  }
+});
+
+// Accept optional "image" / "media" files (multipart) and turn upload errors into 400s.
+// Temp files that were not stored are removed once the response is sent.
+function handleMediaUpload(req, res, next) {
+  mediaUpload.fields([
+    { name: 'image', maxCount: 1 },
+    { name: 'media', maxCount: media.POST_TYPES.multi_image.max }
+  ])(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    req.mediaFiles = [...(req.files?.image || []), ...(req.files?.media || [])];
+    res.on('finish', () => media.removeTempFiles(req.mediaFiles));
+    next();
+  });
+}
+
 // Helper function to get signing key
 function getKey(header, callback) {
   client.getSigningKey(header.kid, (err, key) => {
@@ -122,8 +198,8 @@ async function verifyIdToken(idToken) {
   return new Promise((resolve, reject) => {
     jwt.verify(idToken, getKey, {
       algorithms: ['RS256'],
-      issuer: 'https://www.linkedin.com',
-      audience: process.env.LINKEDIN_CLIENT_ID
+      issuer: LINKEDIN_ISSUER,
+      audience: LINKEDIN_CLIENT_ID
     }, (err, decoded) => {
       if (err) {
         reject(err);
@@ -245,23 +321,35 @@ app.get('/', (req, res) => {
 });
 
 // Login route - redirect to LinkedIn
-app.get('/auth/linkedin', (req, res) => {
-  const state = crypto.randomBytes(16).toString('hex');
-  const nonce = crypto.randomBytes(16).toString('hex');
-
-  req.session.state = state;
-  req.session.nonce = nonce;
-
-  const params = new URLSearchParams({
-    response_type: 'code',
-    client_id: process.env.LINKEDIN_CLIENT_ID,
-    redirect_uri: process.env.LINKEDIN_REDIRECT_URI,
-    scope: 'openid profile email',  // Basic scopes only - add w_member_social r_member_social after getting Community API access
-    state: state,
-    nonce: nonce
-  });
+// Scopes come from LINKEDIN_SCOPES; ?organizations=1 adds the company page scopes,
+// which are also kept when a user with connected pages signs in again.
+app.get('/auth/linkedin', async (req, res) => {
+  try {
+    const state = crypto.randomBytes(16).toString('hex');
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    const wantOrganizations = ['1', 'true'].includes(req.query.organizations) ||
+      (!!req.session.user && (await db.getOrganizations(req.session.user.sub)).length > 0);
+    const scopes = [...new Set([...LINKEDIN_SCOPES, ...(wantOrganizations ? LINKEDIN_ORGANIZATION_SCOPES : [])])];
+
+    req.session.state = state;
+    req.session.nonce = nonce;
+    req.session.requestedScopes = scopes.join(' ');
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: LINKEDIN_CLIENT_ID,
+      redirect_uri: LINKEDIN_REDIRECT_URI,
+      scope: scopes.join(' '),
+      state: state,
+      nonce: nonce
+    });
 
-  res.redirect(`${LINKEDIN_AUTH_URL}?${params.toString()}`);
+    res.redirect(`${LINKEDIN_AUTH_URL}?${params.toString()}`);
+  } catch (error) {
+    console.error('Login redirect failed:', error.message);
+    res.status(500).send('Could not start the LinkedIn login');
+  }
 });
 
 // Callback route - handle OAuth callback
@@ -333,16 +421,16 @@ app.get('/auth/linkedin/callback', async (req, res) => {
       params: {
         grant_type: 'authorization_code',
         code: code,
-        client_id: process.env.LINKEDIN_CLIENT_ID,
-        client_secret: process.env.LINKEDIN_CLIENT_SECRET,
-        redirect_uri: process.env.LINKEDIN_REDIRECT_URI
+        client_id: LINKEDIN_CLIENT_ID,
+        client_secret: LINKEDIN_CLIENT_SECRET,
+        redirect_uri: LINKEDIN_REDIRECT_URI
       },
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded'
       }
     });
 
-    const { access_token, id_token, refresh_token, expires_in } = tokenResponse.data;
+    const { access_token, id_token, refresh_token, expires_in, refresh_token_expires_in, scope } = tokenResponse.data;
 
     if (!access_token) {
       throw new Error('No access token received');
@@ -386,12 +474,26 @@ app.get('/auth/linkedin/callback', async (req, res) => {
     await db.saveUser(userInfo, {
       access_token,
       refresh_token: refresh_token || null,
-      expires_in: expires_in || 5184000  // Default 60 days if not provided
+      expires_in: expires_in || 5184000,  // Default 60 days if not provided
+      refresh_token_expires_in: refresh_token_expires_in || null,
+      // LinkedIn returns the granted scopes; otherwise assume what was asked for
+      scope: scope || req.session.requestedScopes || null
     });
 
+    // Time zone and locale kept from earlier logins
+    Object.assign(req.session.user, await db.getUserLocale(userInfo.sub));
+
     // Clean up state and nonce
+    const requestedScopes = (req.session.requestedScopes || '').split(' ');
     delete req.session.state;
     delete req.session.nonce;
+    delete req.session.requestedScopes;
+
+    // Users with connected company pages need the page scopes again: ask for them once
+    const askedForPages = LINKEDIN_ORGANIZATION_SCOPES.every(pageScope => requestedScopes.includes(pageScope));
+    if (!askedForPages && (await db.getOrganizations(userInfo.sub)).length > 0) {
+      return res.redirect('/auth/linkedin?organizations=1');
+    }
 
     res.redirect('/');
 
@@ -461,6 +563,19 @@ function requireAuth(req, res, next) {
   next();
 }
 
+// IANA time zone of the signed-in user (kept in the session, see /api/user/settings)
+function userTimezone(req) {
+  return req.session.user.timezone || timezone.DEFAULT_TIMEZONE;
+}
+
+// Add "<field>_local" ISO times with the user's UTC offset next to unix-second fields
+function withLocalTimes(row, zone, fields = ['publish_at', 'published_at']) {
+  for (const field of fields) {
+    if (field in row) row[`${field}_local`] = timezone.toIsoString(row[field], zone);
+  }
+  return row;
+}
+
 // Rate limiter middleware
 const rateLimiters = new Map();
 
@@ -504,112 +619,521 @@ function rateLimit(maxRequests, windowMs) {
   };
 }
 
-// API: Get rate limit status
+// API: Get rate limit status (today's quota across all endpoint families)
 app.get('/api/rate-limit', requireAuth, async (req, res) => {
   try {
-    const count = await db.getTodayApiCallCount();
+    const families = await apiQuota.getQuotaStatus(req.session.user.sub);
+    const used = families.reduce((sum, quota) => sum + quota.used, 0);
+    const limit = families.reduce((sum, quota) => sum + quota.limit, 0);
+
     res.json({
-      used: count,
-      limit: 500,
-      remaining: Math.max(0, 500 - count),
-      resetAt: new Date().setHours(24, 0, 0, 0)
+      used,
+      limit,
+      remaining: Math.max(0, limit - used),
+      resetAt: apiQuota.getNextUtcReset(),
+      families
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Input validation middleware
-function validateSchedulePost(req, res, next) {
+// API: Which feature consumed today's quota, per endpoint family and endpoint
+app.get('/api/quota/breakdown', requireAuth, async (req, res) => {
+  try {
+    res.json(await apiQuota.getUsageBreakdown(req.session.user.sub));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Set the daily member limit of an endpoint family for the current user
+app.put('/api/quota/policies/:family', requireAuth, async (req, res) => {
+  try {
+    const { family } = req.params;
+    const limit = req.body.member_daily_limit;
+
+    if (!apiQuota.ENDPOINT_FAMILIES.includes(family)) {
+      return res.status(400).json({ error: `Unknown endpoint family. Use one of: ${apiQuota.ENDPOINT_FAMILIES.join(', ')}` });
+    }
+    if (!Number.isInteger(limit) || limit < 0) {
+      return res.status(400).json({ error: 'member_daily_limit must be a non-negative integer' });
+    }
+
+    await db.setQuotaPolicy(req.session.user.sub, family, limit);
+    await db.logActivity(req.session.user.sub, 'QUOTA_UPDATED', { family, member_daily_limit: limit }, 'success');
+
+    res.json({ success: true, quota: await apiQuota.getFamilyQuota(req.session.user.sub, family) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Reset an endpoint family back to the default limit
+app.delete('/api/quota/policies/:family', requireAuth, async (req, res) => {
+  try {
+    const { family } = req.params;
+    if (!apiQuota.ENDPOINT_FAMILIES.includes(family)) {
+      return res.status(400).json({ error: 'Unknown endpoint family' });
+    }
+
+    await db.deleteQuotaPolicy(req.session.user.sub, family);
+    res.json({ success: true, quota: await apiQuota.getFamilyQuota(req.session.user.sub, family) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Time zone and locale of the user, with the current UTC offset
+app.get('/api/user/settings', requireAuth, async (req, res) => {
+  try {
+    const { timezone: zone, locale } = await db.getUserLocale(req.session.user.sub);
+    res.json(timezone.describe(zone, locale));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Change time zone (IANA name) and/or locale (BCP 47 tag)
+app.put('/api/user/settings', requireAuth, async (req, res) => {
+  try {
+    const { timezone: zoneInput, locale: localeInput } = req.body || {};
+    const zone = zoneInput ? timezone.normalizeTimezone(zoneInput) : null;
+    const locale = localeInput ? timezone.normalizeLocale(localeInput) : null;
+
+    if (zoneInput && !zone) {
+      return res.status(400).json({ error: `Unknown time zone: ${zoneInput}` });
+    }
+    if (localeInput && !locale) {
+      return res.status(400).json({ error: `Invalid locale: ${localeInput}` });
+    }
+    if (!zone && !locale) {
+      return res.status(400).json({ error: 'timezone or locale is required' });
+    }
+
+    await db.updateUserLocale(req.session.user.sub, { timezone: zone, locale });
+    const settings = await db.getUserLocale(req.session.user.sub);
+    const zoneChanged = settings.timezone !== userTimezone(req);
+    Object.assign(req.session.user, settings);
+
+    // Slots are wall-clock times, so queued posts follow the new zone
+    if (zoneChanged) {
+      await postingQueue.reshuffleQuietly(req.session.user.sub, settings.timezone);
+    }
+
+    await db.logActivity(req.session.user.sub, 'UPDATED_SETTINGS', settings, 'success');
+
+    res.json(timezone.describe(settings.timezone, settings.locale));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Get LinkedIn token status (reauth banner in dashboard)
+app.get('/api/auth/status', requireAuth, async (req, res) => {
+  try {
+    const user = await db.getUser(req.session.user.sub);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      reauthRequired: !!user.reauth_required,
+      reason: user.reauth_reason || null,
+      tokenExpiresAt: user.token_expires_at,
+      refreshTokenExpiresAt: user.refresh_token_expires_at || null,
+      canRefresh: !!user.refresh_token,
+      scopes: user.granted_scopes ? user.granted_scopes.split(/[\s,]+/) : [],
+      organizationScopes: organizations.hasOrganizationScopes(user)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// "Add to queue": give the post the next free posting slot as its publish time
+function isQueueRequest(req) {
+  return [true, 'true', '1', 1].includes(req.body.queue);
+}
+
+async function assignQueueSlot(req, res, next) {
+  if (!isQueueRequest(req)) return next();
+
+  if (req.body.recurrence) {
+    return res.status(400).json({ error: 'Recurring posts cannot be added to the queue' });
+  }
+  if (req.post?.series_id) {
+    return res.status(400).json({ error: 'Posts of a recurring series cannot be added to the queue' });
+  }
+
+  try {
+    const at = await postingQueue.nextSlot(req.session.user.sub, userTimezone(req), {
+      ignorePostIds: req.post ? [req.post.id] : []
+    });
+    req.body.publish_at = timezone.toIsoString(at, userTimezone(req));
+    req.queued = true;
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
+// LinkedIn post visibility: anyone, or 1st-degree connections only
+const VISIBILITIES = ['PUBLIC', 'CONNECTIONS'];
+
+// Scheduling rules for a post request; also run for each row of a bulk import.
+// Returns the first problem found, or null. Normalizes post_type and visibility in req.body.
+function schedulePostError(req) {
   const { content, image_url, publish_at } = req.body;
 
   // Content validation
   if (!content || typeof content !== 'string') {
-    return res.status(400).json({ error: 'Content is required and must be a string' });
+    return 'Content is required and must be a string';
   }
 
   if (content.trim().length === 0) {
-    return res.status(400).json({ error: 'Content cannot be empty' });
+    return 'Content cannot be empty';
   }
 
   if (content.length > 3000) {
-    return res.status(400).json({ error: 'Content exceeds maximum length of 3000 characters' });
+    return 'Content exceeds maximum length of 3000 characters';
   }
 
   // Image URL validation (optional field)
   if (image_url !== null && image_url !== undefined && image_url !== '') {
     if (typeof image_url !== 'string') {
-      return res.status(400).json({ error: 'Image URL must be a string' });
+      return 'Image URL must be a string';
     }
 
     // Basic URL format validation
     try {
       new URL(image_url);
     } catch {
-      return res.status(400).json({ error: 'Invalid image URL format' });
+      return 'Invalid image URL format';
     }
 
     if (!image_url.match(/^https?:\/\/.+/i)) {
-      return res.status(400).json({ error: 'Image URL must use HTTP or HTTPS protocol' });
+      return 'Image URL must use HTTP or HTTPS protocol';
     }
   }
 
   // Publish time validation
   if (!publish_at) {
-    return res.status(400).json({ error: 'Publish time is required' });
+    return 'Publish time is required';
   }
 
-  const publishTime = new Date(publish_at);
-  if (isNaN(publishTime.getTime())) {
-    return res.status(400).json({ error: 'Invalid publish time format' });
+  // Times without an offset are wall-clock times in the user's time zone
+  const publishTimestamp = toTimestamp(publish_at, userTimezone(req));
+  if (isNaN(publishTimestamp)) {
+    return 'Invalid publish time format';
   }
 
-  const publishTimestamp = publishTime.getTime() / 1000;
   const now = Date.now() / 1000;
 
   if (publishTimestamp <= now) {
-    return res.status(400).json({ error: 'Publish time must be in the future' });
+    return 'Publish time must be in the future';
   }
 
   // Don't allow scheduling more than 1 year in advance
   const oneYearFromNow = now + (365 * 24 * 60 * 60);
   if (publishTimestamp > oneYearFromNow) {
-    return res.status(400).json({ error: 'Cannot schedule posts more than 1 year in advance' });
+    return 'Cannot schedule posts more than 1 year in advance';
+  }
+
+  // Post type and media validation (count, format and size per type).
+  // When editing, media already attached to the post counts unless it is replaced.
+  const files = req.mediaFiles?.length ? req.mediaFiles : (req.existingMedia || req.mediaFiles || []);
+  const postType = req.body.post_type || (req.body.article_url ? 'article' : media.inferPostType(files, image_url));
+  try {
+    media.validatePostMedia(postType, files, { imageUrl: image_url, documentTitle: req.body.document_title });
+  } catch (error) {
+    return error.message;
+  }
+  req.body.post_type = postType;
+
+  // Article (link share) posts: the link and what its card shows
+  if (postType === 'article') {
+    const error = articleError(req.body);
+    if (error) return error;
+    if (req.body.recurrence) {
+      return 'Article posts cannot repeat';
+    }
+  } else {
+    req.body.article_url = null;
+    req.body.article_title = null;
+    req.body.article_description = null;
+  }
+
+  // Visibility (optional, default PUBLIC)
+  const { visibility } = req.body;
+  if (visibility !== null && visibility !== undefined && visibility !== '') {
+    const normalized = String(visibility).trim().toUpperCase();
+    if (!VISIBILITIES.includes(normalized)) {
+      return `Visibility must be one of: ${VISIBILITIES.join(', ')}`;
+    }
+    if (normalized !== 'PUBLIC' && req.body.recurrence) {
+      return 'Recurring posts are always public';
+    }
+    if (normalized !== 'PUBLIC' && req.body.author_urn) {
+      return 'Company page posts are always public';
+    }
+    req.body.visibility = normalized;
+  }
+
+  // First and follow-up comments (optional)
+  const commentError = firstComments.validate(req.body);
+  if (commentError) return commentError;
+
+  // Recurrence validation (optional RRULE subset, e.g. "FREQ=WEEKLY;BYDAY=MO;COUNT=10")
+  const { recurrence: rrule } = req.body;
+  if (rrule !== null && rrule !== undefined && rrule !== '') {
+    try {
+      recurrence.parseRule(rrule, userTimezone(req));
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  return null;
+}
+
+// Link, title and description of an article post. Returns the first problem found,
+// or null. Normalizes article_url.
+function articleError(body, { required = true } = {}) {
+  const { article_url, article_title, article_description } = body;
+
+  if (article_url || required) {
+    try {
+      body.article_url = linkPreview.normalizeUrl(article_url);
+    } catch (error) {
+      return article_url ? error.message : 'Article posts need a link (article_url)';
+    }
+  }
+
+  if (article_title !== null && article_title !== undefined && typeof article_title !== 'string') {
+    return 'Article title must be a string';
+  }
+  if (required && !(article_title || '').trim()) {
+    return 'Article posts need a title (none was found on the page)';
+  }
+  if (article_title && article_title.length > linkPreview.MAX_TITLE_LENGTH) {
+    return `Article title exceeds maximum length of ${linkPreview.MAX_TITLE_LENGTH} characters`;
+  }
+
+  if (article_description !== null && article_description !== undefined && typeof article_description !== 'string') {
+    return 'Article description must be a string';
+  }
+  if (article_description && article_description.length > linkPreview.MAX_DESCRIPTION_LENGTH) {
+    return `Article description exceeds maximum length of ${linkPreview.MAX_DESCRIPTION_LENGTH} characters`;
+  }
+
+  return null;
+}
+
+// Article posts: fill in title, description and thumbnail from the page's Open Graph /
+// Twitter card tags where the request leaves them out. A thumbnail is taken from the
+// page for new posts and changed links only, unless an image is sent or no_thumbnail is set.
+async function resolveArticle(req, res, next) {
+  const postType = req.body.post_type || (req.body.article_url ? 'article' : null);
+  if (postType !== 'article' || !req.body.article_url) {
+    return next();
+  }
+
+  try {
+    const linkChanged = !req.post || req.post.article_url !== req.body.article_url;
+    const explicitThumbnail = (req.mediaFiles || []).length > 0 || !!req.body.image_url;
+    const keptThumbnail = !linkChanged && (req.existingMedia || []).length > 0;
+    const noThumbnail = [true, 'true', '1'].includes(req.body.no_thumbnail);
+    const wantThumbnail = !explicitThumbnail && !keptThumbnail && !noThumbnail &&
+      (linkChanged || req.post.status === 'draft');
+
+    let preview = null;
+    if (!req.body.article_title || req.body.article_description == null || wantThumbnail) {
+      try {
+        preview = await linkPreview.fetchPreview(req.body.article_url);
+      } catch (error) {
+        if (!req.body.article_title) {
+          return res.status(400).json({ error: `${error.message}. Enter a title for the link instead.` });
+        }
+        console.warn(`⚠️  Link preview failed for ${req.body.article_url}: ${error.message}`);
+      }
+    }
+
+    if (preview) {
+      req.body.article_title = req.body.article_title || preview.title;
+      if (req.body.article_description == null) req.body.article_description = preview.description;
+      if (wantThumbnail && preview.image) req.articleThumbnailUrl = preview.image;
+    }
+
+    // Edits: the old thumbnail goes with the old link (or on request)
+    if (req.post && !explicitThumbnail && (noThumbnail || wantThumbnail || linkChanged)) {
+      req.replaceMedia = true;
+      req.existingMedia = [];
+    }
+
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
+// Post author: the member, or a connected company page (author_urn as a URN or page name).
+// Normalizes req.body.author_urn to what is stored: null for the member, else the page URN.
+async function resolveAuthor(req, res, next) {
+  try {
+    const connected = await db.getOrganizations(req.session.user.sub);
+    req.body.author_urn = organizations.matchAuthor(req.session.user.sub, req.body.author_urn, connected);
+
+    // Media and LinkedIn URNs are shared by every occurrence of a series
+    if (req.post?.series_id && req.body.author_urn !== (req.post.author_urn || null)) {
+      return res.status(400).json({ error: 'The author of a recurring series cannot be changed' });
+    }
+
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
+}
+
+// ?author= filter of list and analytics views: the member or a connected page URN,
+// or null for all authors
+async function authorFilter(req) {
+  if (!req.query.author) return null;
+  const connected = await db.getOrganizations(req.session.user.sub);
+  return organizations.matchAuthor(req.session.user.sub, req.query.author, connected) ||
+    organizations.memberUrn(req.session.user.sub);
+}
 
+// Input validation middleware
+function validateSchedulePost(req, res, next) {
+  const error = schedulePostError(req);
+  if (error) {
+    return res.status(400).json({ error });
+  }
   next();
 }
 
+// Alt texts per uploaded image: repeated form fields, a JSON array, or the single image_alt_text
+function parseAltTexts(altTexts, singleAltText) {
+  if (Array.isArray(altTexts)) return altTexts;
+  if (typeof altTexts === 'string' && altTexts.trim().startsWith('[')) {
+    try {
+      return JSON.parse(altTexts);
+    } catch {
+      return [];
+    }
+  }
+  if (altTexts) return [altTexts];
+  return singleAltText ? [singleAltText] : [];
+}
+
+// Store the uploaded files / image_url of a request locally; they are uploaded
+// to LinkedIn at publish time
+async function storeRequestMedia(req) {
+  const { image_url, image_alt_text } = req.body;
+  const altTexts = parseAltTexts(req.body.alt_texts, image_alt_text);
+  const mediaIds = [];
+
+  for (const [position, file] of (req.mediaFiles || []).entries()) {
+    mediaIds.push(await media.storeUpload(req.session.user.sub, file, { altText: altTexts[position], position }));
+  }
+  if (image_url) {
+    mediaIds.push(await media.storeFromUrl(req.session.user.sub, image_url, { altText: image_alt_text }));
+  }
+  // Thumbnail found on an article's page: the post goes out without one if it cannot be downloaded
+  if (req.articleThumbnailUrl) {
+    try {
+      mediaIds.push(await media.storeFromUrl(req.session.user.sub, req.articleThumbnailUrl));
+    } catch (error) {
+      console.warn(`⚠️  Skipping article thumbnail ${req.articleThumbnailUrl}: ${error.message}`);
+    }
+  }
+
+  return mediaIds;
+}
+
 // API: Create scheduled post
-app.post('/api/posts/schedule', requireAuth, validateSchedulePost, async (req, res) => {
+app.post('/api/posts/schedule', requireAuth, handleMediaUpload, resolveAuthor, assignQueueSlot, resolveArticle, validateSchedulePost, async (req, res) => {
   try {
-    const { content, image_url, publish_at } = req.body;
+    const { content, image_url, post_type, document_title, publish_at, recurrence: rrule } = req.body;
 
     // Check daily limit
-    const todayCount = await db.getTodayScheduledPostCount(req.session.user.sub);
-    if (todayCount >= 10) {
-      return res.status(429).json({ error: 'Daily limit of 10 posts reached' });
+    const todayCount = await db.getTodayScheduledPostCount(req.session.user.sub, userTimezone(req));
+    if (todayCount >= postingQueue.DAILY_POST_LIMIT) {
+      return res.status(429).json({ error: `Daily limit of ${postingQueue.DAILY_POST_LIMIT} posts reached` });
     }
 
     // Convert to timestamp
-    const publishTimestamp = new Date(publish_at).getTime() / 1000;
+    const publishTimestamp = toTimestamp(publish_at, userTimezone(req));
+
+    const mediaIds = await storeRequestMedia(req);
+
+    if (rrule) {
+      const series = await postSeries.createSeries(req.session.user.sub, {
+        content,
+        image_url: image_url || null,
+        post_type,
+        document_title,
+        rrule,
+        dtstart: publishTimestamp,
+        timezone: userTimezone(req),
+        author_urn: req.body.author_urn,
+        first_comment: req.body.first_comment,
+        follow_up_comment: req.body.follow_up_comment,
+        follow_up_delay_minutes: req.body.follow_up_delay_minutes
+      });
+      await media.attachToPost(mediaIds, series.postId);
+      await revisions.record(await db.getScheduledPost(series.postId, req.session.user.sub), req.session.user.sub, 'created');
+
+      await db.logActivity(
+        req.session.user.sub,
+        'SCHEDULED_POST',
+        { postId: series.postId, seriesId: series.seriesId, contentLength: content.length, publishAt: publish_at, recurrence: rrule },
+        'success'
+      );
+
+      return res.json({
+        success: true,
+        id: series.postId,
+        series_id: series.seriesId,
+        first_occurrence: series.firstOccurrence
+      });
+    }
 
     const postId = await db.createScheduledPost(
       req.session.user.sub,
       content,
       image_url || null,
-      publishTimestamp
+      publishTimestamp,
+      {
+        postType: post_type,
+        documentTitle: document_title,
+        queued: req.queued,
+        visibility: req.body.visibility,
+        article: { url: req.body.article_url, title: req.body.article_title, description: req.body.article_description },
+        authorUrn: req.body.author_urn,
+        comments: commentOptions(req.body)
+      }
     );
+    await media.attachToPost(mediaIds, postId);
+    await revisions.record(await db.getScheduledPost(postId, req.session.user.sub), req.session.user.sub, 'created');
 
     // Log activity
     await db.logActivity(
       req.session.user.sub,
       'SCHEDULED_POST',
-      { postId, contentLength: content.length, publishAt: publish_at },
+      { postId, postType: post_type, mediaCount: mediaIds.length, contentLength: content.length, publishAt: publish_at, queued: !!req.queued, author: req.body.author_urn,
+        firstComment: !!req.body.first_comment, followUpComment: !!req.body.follow_up_comment },
       'success'
     );
 
-    res.json({ success: true, id: postId });
+    res.json({
+      success: true,
+      id: postId,
+      queued: !!req.queued,
+      publish_at: publishTimestamp,
+      publish_at_local: timezone.toIsoString(publishTimestamp, userTimezone(req))
+    });
   } catch (error) {
     // Log failed activity
     await db.logActivity(
@@ -619,135 +1143,1471 @@ app.post('/api/posts/schedule', requireAuth, validateSchedulePost, async (req, r
       'failed'
     ).catch(console.error);
 
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// API: Get scheduled posts
-app.get('/api/posts/scheduled', requireAuth, async (req, res) => {
-  try {
-    const posts = await db.getScheduledPosts(req.session.user.sub);
-    res.json(posts);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// API: Delete scheduled post
-app.delete('/api/posts/scheduled/:id', requireAuth, async (req, res) => {
-  try {
-    const deleted = await db.deleteScheduledPost(req.params.id, req.session.user.sub);
-    if (deleted === 0) {
-      return res.status(404).json({ error: 'Post not found or already published' });
+// API: Bulk schedule posts from a CSV or JSON file ("file"). Every row is checked with the
+// same rules as /api/posts/schedule; with dry_run only the per-row report is returned.
+// Otherwise all valid rows are created in one transaction and invalid rows are skipped.
+app.post('/api/posts/import', requireAuth, (req, res, next) => {
+  importUpload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
     }
-    res.json({ success: true });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+    next();
+  });
+}, async (req, res) => {
+  const userSub = req.session.user.sub;
+  const zone = userTimezone(req);
+  const dryRun = [true, 'true', '1'].includes(req.body.dry_run ?? req.query.dry_run);
 
-// API: Get user's published posts
-app.get('/api/posts/published', requireAuth, rateLimit(20, 60000), async (req, res) => {
   try {
-    const user = await db.getUser(req.session.user.sub);
-    if (!user || !user.access_token) {
-      return res.status(401).json({ error: 'No access token found' });
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    // Track API call
-    await db.trackApiCall('/rest/posts', 'GET', 200);
+    const { format, rows } = postImport.parseFile(req.file.buffer, req.file.originalname);
 
-    // Fetch user's posts from LinkedIn
-    const response = await axios.get('https://api.linkedin.com/rest/posts', {
-      headers: {
-        'Authorization': `Bearer ${user.access_token}`,
-        'LinkedIn-Version': '202405',
-        'X-Restli-Protocol-Version': '2.0.0'
-      },
-      params: {
-        author: `urn:li:person:${user.sub}`,
-        q: 'author',
-        count: 20
-      }
-    });
+    const todayCount = await db.getTodayScheduledPostCount(userSub, zone);
+    if (todayCount >= postingQueue.DAILY_POST_LIMIT) {
+      return res.status(429).json({ error: `Daily limit of ${postingQueue.DAILY_POST_LIMIT} posts reached` });
+    }
 
-    res.json(response.data);
-  } catch (error) {
-    await db.trackApiCall('/rest/posts', 'GET', error.response?.status || 500);
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data || error.message
+    // Queue rows are checked with a placeholder time first; only valid ones take a slot
+    const placeholder = timezone.toIsoString(Math.floor(Date.now() / 1000) + 24 * 60 * 60, zone);
+    const connected = await db.getOrganizations(userSub);
+    const report = rows.map(({ row, fields }) => {
+      const check = {
+        session: req.session,
+        body: { ...fields, publish_at: fields.queue ? placeholder : fields.publish_at },
+        mediaFiles: []
+      };
+      let error;
+      try {
+        check.body.author_urn = organizations.matchAuthor(userSub, fields.author_urn, connected);
+        error = schedulePostError(check);
+      } catch (authorError) {
+        error = authorError.message;
+      }
+      return { row, fields: check.body, queued: fields.queue, error };
     });
-  }
-});
 
-// API: Get post comments
-app.get('/api/posts/:postId/comments', requireAuth, rateLimit(20, 60000), async (req, res) => {
-  try {
-    const user = await db.getUser(req.session.user.sub);
-    if (!user || !user.access_token) {
-      return res.status(401).json({ error: 'No access token found' });
+    // Images are downloaded at publish time; their hosts are checked now so the report shows bad ones
+    const checkedHosts = new Map();
+    for (const entry of report.filter(entry => !entry.error && entry.fields.image_url)) {
+      const host = new URL(entry.fields.image_url).host;
+      if (!checkedHosts.has(host)) {
+        checkedHosts.set(host, await safeFetch.assertPublicUrl(entry.fields.image_url)
+          .then(() => null, error => `Image URL cannot be used: ${error.code === 'ENOTFOUND' ? `${host} not found` : error.message}`));
+      }
+      entry.error = checkedHosts.get(host);
     }
 
-    // Track API call
-    await db.trackApiCall('/rest/comments', 'GET', 200);
-
-    const response = await axios.get(`https://api.linkedin.com/rest/comments`, {
-      headers: {
-        'Authorization': `Bearer ${user.access_token}`,
-        'LinkedIn-Version': '202405',
-        'X-Restli-Protocol-Version': '2.0.0'
-      },
-      params: {
-        q: 'post',
-        post: req.params.postId
+    const queueRows = report.filter(entry => entry.queued && !entry.error);
+    if (queueRows.length > 0) {
+      try {
+        const reserved = report
+          .filter(entry => !entry.queued && !entry.error)
+          .map(entry => toTimestamp(entry.fields.publish_at, zone));
+        const slots = await postingQueue.findFreeSlots(userSub, zone, { count: queueRows.length, reserved });
+
+        queueRows.forEach((entry, index) => {
+          if (slots[index]) {
+            entry.fields.publish_at = timezone.toIsoString(slots[index], zone);
+          } else {
+            entry.error = 'No free posting slot left';
+          }
+        });
+      } catch (error) {
+        if (!error.status) throw error;
+        queueRows.forEach(entry => { entry.error = error.message; });
       }
+    }
+
+    const valid = report.filter(entry => !entry.error);
+    const result = report.map(entry => {
+      const publishAt = entry.error ? null : toTimestamp(entry.fields.publish_at, zone);
+      return {
+        row: entry.row,
+        valid: !entry.error,
+        error: entry.error,
+        content: String(entry.fields.content || '').substring(0, 100),
+        queued: entry.queued,
+        publish_at: publishAt,
+        publish_at_local: timezone.toIsoString(publishAt, zone),
+        post_type: entry.error ? null : entry.fields.post_type,
+        visibility: entry.error ? null : entry.fields.visibility || 'PUBLIC',
+        author_urn: entry.error ? null : entry.fields.author_urn || organizations.memberUrn(userSub)
+      };
     });
+    const summary = { format, total: report.length, valid: valid.length, invalid: report.length - valid.length };
 
-    res.json(response.data);
-  } catch (error) {
-    await db.trackApiCall('/rest/comments', 'GET', error.response?.status || 500);
-    res.status(error.response?.status || 500).json({
+    if (dryRun) {
+      return res.json({ success: true, dry_run: true, ...summary, rows: result });
+    }
+
+    if (valid.length === 0) {
+      return res.status(400).json({ error: 'No valid rows to import', dry_run: false, ...summary, rows: result });
+    }
+
+    // Images from image_url are downloaded at publish time, so nothing waits inside the insert
+    const ids = await db.createScheduledPostsBatch(userSub, valid.map(entry => ({
+      content: entry.fields.content,
+      image_url: entry.fields.image_url || null,
+      publish_at: toTimestamp(entry.fields.publish_at, zone),
+      post_type: entry.fields.post_type,
+      document_title: entry.fields.document_title,
+      queued: entry.queued,
+      visibility: entry.fields.visibility,
+      article_url: entry.fields.article_url,
+      article_title: entry.fields.article_title,
+      article_description: entry.fields.article_description,
+      author_urn: entry.fields.author_urn,
+      first_comment: entry.fields.first_comment,
+      follow_up_comment: entry.fields.follow_up_comment,
+      follow_up_delay_minutes: entry.fields.follow_up_delay_minutes
+    })));
+
+    valid.forEach((entry, index) => {
+      result.find(row => row.row === entry.row).id = ids[index];
+    });
+    for (const id of ids) {
+      await revisions.record(await db.getScheduledPost(id, userSub), userSub, 'imported');
+    }
+
+    await db.logActivity(
+      userSub,
+      'IMPORTED_POSTS',
+      { filename: req.file.originalname, ...summary, postIds: ids },
+      'success'
+    );
+
+    res.json({ success: true, dry_run: false, ...summary, created: ids.length, rows: result });
+  } catch (error) {
+    if (!dryRun) {
+      await db.logActivity(userSub, 'IMPORTED_POSTS', { filename: req.file?.originalname, error: error.message }, 'failed')
+        .catch(console.error);
+    }
+
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Series fields shown with a scheduled post or in the series list
+async function describeSeries(series, upcomingLimit, zone) {
+  const upcoming = await postSeries.getUpcoming(series, upcomingLimit);
+  return {
+    id: series.id,
+    rrule: series.rrule,
+    description: recurrence.describeRule(recurrence.parseRule(series.rrule, series.timezone), series.timezone),
+    status: series.status,
+    timezone: series.timezone || timezone.SERVER_TIMEZONE,
+    upcoming: upcoming.map(occurrence => withLocalTimes(occurrence, zone, ['occurrence_at', 'publish_at']))
+  };
+}
+
+// API: Get scheduled posts (recurring ones include their upcoming occurrences); ?author= filters
+app.get('/api/posts/scheduled', requireAuth, async (req, res) => {
+  try {
+    const posts = await db.getScheduledPosts(req.session.user.sub, 50, await authorFilter(req));
+    const mediaRows = await db.getMediaForPosts(posts.map(post => post.id));
+    const commentRows = await db.getCommentsForPosts(posts.map(post => post.id));
+    const seriesCache = new Map();
+
+    for (const post of posts) {
+      withLocalTimes(post, userTimezone(req), ['publish_at', 'published_at', 'next_retry_at']);
+      post.media = mediaRows
+        .filter(row => row.scheduled_post_id === post.id)
+        .map(media.toPublic);
+      post.comments = firstComments.describe(post, commentRows.filter(row => row.scheduled_post_id === post.id))
+        .map(comment => withLocalTimes(comment, userTimezone(req), ['due_at', 'next_retry_at', 'posted_at']));
+
+      if (!post.series_id) continue;
+
+      if (!seriesCache.has(post.series_id)) {
+        const series = await db.getPostSeries(post.series_id, req.session.user.sub);
+        seriesCache.set(post.series_id, series ? await describeSeries(series, 5, userTimezone(req)) : null);
+      }
+      post.series = seriesCache.get(post.series_id);
+    }
+
+    res.json(posts);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Delete scheduled post (for a recurring post this skips just that occurrence)
+app.delete('/api/posts/scheduled/:id', requireAuth, async (req, res) => {
+  try {
+    const post = await db.getScheduledPost(req.params.id, req.session.user.sub);
+    if (post?.series_id && post.status === 'pending') {
+      const series = await db.getPostSeries(post.series_id, req.session.user.sub);
+      await postSeries.skipOccurrence(series, post.occurrence_at);
+      return res.json({ success: true, skipped: true });
+    }
+
+    const deleted = await media.deletePost(req.params.id, req.session.user.sub);
+    if (deleted === 0) {
+      return res.status(404).json({ error: 'Post not found or already published' });
+    }
+
+    // Later queued posts move up into the freed slot
+    const moved = post?.queued && post.status === 'pending'
+      ? await postingQueue.reshuffleQuietly(req.session.user.sub, userTimezone(req))
+      : [];
+    res.json({ success: true, reshuffled: moved.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Retry a failed, dead-lettered or retrying post now (fresh attempt budget)
+app.post('/api/posts/scheduled/:id/retry', requireAuth, async (req, res) => {
+  try {
+    const post = await db.getScheduledPost(req.params.id, req.session.user.sub);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const result = await scheduler.retryNow(post);
+    const updated = await db.getScheduledPost(post.id, req.session.user.sub);
+    // null when another run took the post over mid-attempt
+    const status = result || updated.status;
+
+    await db.logActivity(
+      req.session.user.sub,
+      'RETRIED_POST',
+      { postId: post.id, previousStatus: post.status, status },
+      status === 'published' ? 'success' : 'failed'
+    );
+
+    res.json({
+      success: status === 'published',
+      status,
+      error_message: updated.error_message,
+      next_retry_at: updated.next_retry_at
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Publish attempt / failure history of a post
+app.get('/api/posts/scheduled/:id/attempts', requireAuth, async (req, res) => {
+  try {
+    const post = await db.getScheduledPost(req.params.id, req.session.user.sub);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    res.json(await db.getPublishAttempts(post.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Post a failed, dead-lettered or retrying first / follow-up comment now
+app.post('/api/posts/scheduled/:id/comments/:commentId/retry', requireAuth, async (req, res) => {
+  try {
+    const post = await db.getScheduledPost(req.params.id, req.session.user.sub);
+    const comment = post && await db.getPostComment(req.params.commentId, post.id);
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const status = await scheduler.retryComment(comment);
+    const updated = await db.getPostComment(comment.id, post.id);
+
+    await db.logActivity(
+      req.session.user.sub,
+      'RETRIED_COMMENT',
+      { postId: post.id, commentId: comment.id, kind: comment.kind, previousStatus: comment.status, status },
+      status === 'posted' ? 'success' : 'failed'
+    );
+
+    res.json({
+      success: status === 'posted',
+      status,
+      error_message: updated.error_message,
+      next_retry_at: updated.next_retry_at
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Media state of a scheduled post
+app.get('/api/posts/scheduled/:id/media', requireAuth, async (req, res) => {
+  try {
+    const post = await db.getScheduledPost(req.params.id, req.session.user.sub);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const rows = await db.getPostMedia(post.id);
+    res.json(rows.map(media.toPublic));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Locally stored media file (preview)
+app.get('/api/media/:id/file', requireAuth, async (req, res) => {
+  try {
+    const row = await db.getMediaById(req.params.id, req.session.user.sub);
+    if (!row) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    res.type(row.mime_type || 'application/octet-stream');
+    res.sendFile(row.file_path);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== DRAFTS, EDITING AND REVISIONS ==========
+
+// Loose validation for drafts: everything is optional, but what is sent must be well-formed
+function validateDraft(req, res, next) {
+  const { content, image_url, publish_at, post_type, document_title } = req.body;
+
+  if (content !== undefined && typeof content !== 'string') {
+    return res.status(400).json({ error: 'Content must be a string' });
+  }
+  if (content && content.length > 3000) {
+    return res.status(400).json({ error: 'Content exceeds maximum length of 3000 characters' });
+  }
+
+  if (image_url) {
+    try {
+      new URL(image_url);
+    } catch {
+      return res.status(400).json({ error: 'Invalid image URL format' });
+    }
+    if (!image_url.match(/^https?:\/\/.+/i)) {
+      return res.status(400).json({ error: 'Image URL must use HTTP or HTTPS protocol' });
+    }
+  }
+
+  if (publish_at && isNaN(toTimestamp(publish_at, userTimezone(req)))) {
+    return res.status(400).json({ error: 'Invalid publish time format' });
+  }
+
+  if (post_type && !media.POST_TYPES[post_type]) {
+    return res.status(400).json({ error: `Unknown post type. Use one of: ${Object.keys(media.POST_TYPES).join(', ')}` });
+  }
+
+  if (document_title && String(document_title).length > 400) {
+    return res.status(400).json({ error: 'Title exceeds maximum length of 400 characters' });
+  }
+
+  const articleProblem = articleError(req.body, { required: false });
+  if (articleProblem) {
+    return res.status(400).json({ error: articleProblem });
+  }
+
+  if (req.body.visibility) {
+    req.body.visibility = String(req.body.visibility).trim().toUpperCase();
+    if (!VISIBILITIES.includes(req.body.visibility)) {
+      return res.status(400).json({ error: `Visibility must be one of: ${VISIBILITIES.join(', ')}` });
+    }
+  }
+
+  const commentError = firstComments.validate(req.body);
+  if (commentError) {
+    return res.status(400).json({ error: commentError });
+  }
+
+  next();
+}
+
+// Stored media rows in the shape media.validatePostMedia checks uploads in
+function asValidatedFiles(rows) {
+  return rows.map(row => ({
+    mimetype: row.mime_type,
+    size: row.size_bytes,
+    originalname: row.original_name
+  }));
+}
+
+// Load a post of the current user with the given status into req.post, or respond 404.
+// Fields that are not sent keep their current value, so edits can be partial. Existing
+// media is kept (and validated) unless new files, a new image_url or another post type is sent.
+function loadEditablePost(status) {
+  return async (req, res, next) => {
+    try {
+      const post = await db.getScheduledPost(req.params.id, req.session.user.sub);
+      if (!post || post.status !== status) {
+        return res.status(404).json({ error: `${status === 'draft' ? 'Draft' : 'Pending post'} not found` });
+      }
+      req.post = post;
+
+      if (req.body.content === undefined) req.body.content = post.content;
+      if (req.body.document_title === undefined) req.body.document_title = post.document_title;
+      if (req.body.visibility === undefined) req.body.visibility = post.visibility;
+      if (req.body.author_urn === undefined) req.body.author_urn = post.author_urn;
+      for (const field of ['first_comment', 'follow_up_comment', 'follow_up_delay_minutes']) {
+        if (req.body[field] === undefined) req.body[field] = post[field];
+      }
+      // A new link gets the title and description of its own page unless they are sent
+      const linkKept = req.body.article_url === undefined || req.body.article_url === post.article_url;
+      for (const field of ['article_url', 'article_title', 'article_description']) {
+        if (req.body[field] === undefined && (field === 'article_url' || linkKept)) req.body[field] = post[field];
+      }
+      if (req.body.publish_at === undefined && post.publish_at) {
+        req.body.publish_at = new Date(post.publish_at * 1000).toISOString();
+      }
+
+      req.replaceMedia = req.mediaFiles.length > 0 ||
+        !!req.body.image_url ||
+        (!!req.body.post_type && req.body.post_type !== post.post_type);
+
+      if (!req.replaceMedia) {
+        req.body.post_type = post.post_type;
+        delete req.body.image_url;
+        req.existingMedia = asValidatedFiles(await db.getPostMedia(post.id));
+      }
+
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+// Apply the validated request to a post: fields, and media when replaced.
+// Replaced media is only detached, so earlier revisions can still be restored.
+async function applyPostChanges(req, fields) {
+  const { content, image_url, post_type, document_title, visibility } = req.body;
+
+  await db.updateScheduledPostFields(req.post.id, {
+    content: content || '',
+    visibility: visibility || 'PUBLIC',
+    image_url: req.replaceMedia ? image_url || null : req.post.image_url,
+    post_type: post_type || 'text',
+    document_title: document_title || null,
+    article_url: req.body.article_url || null,
+    article_title: req.body.article_title || null,
+    article_description: req.body.article_description || null,
+    author_urn: req.body.author_urn || null,
+    first_comment: req.body.first_comment || null,
+    follow_up_comment: req.body.follow_up_comment || null,
+    follow_up_delay_minutes: req.body.follow_up_comment ? req.body.follow_up_delay_minutes || null : null,
+    ...fields
+  });
+
+  // Media uploaded by an earlier attempt belongs to the old author
+  if (!req.replaceMedia && (req.body.author_urn || null) !== (req.post.author_urn || null)) {
+    await db.resetPostMediaUploads(req.post.id);
+  }
+
+  if (req.replaceMedia) {
+    const mediaIds = await storeRequestMedia(req);
+    await db.detachPostMedia(req.post.id);
+    await media.attachToPost(mediaIds, req.post.id);
+  }
+
+  return db.getScheduledPost(req.post.id, req.session.user.sub);
+}
+
+// First / follow-up comment options of db.createScheduledPost from a validated request
+function commentOptions(body) {
+  return {
+    first: body.first_comment,
+    followUp: body.follow_up_comment,
+    followUpDelayMinutes: body.follow_up_delay_minutes
+  };
+}
+
+// Unix seconds of an optional publish time (0 = not set)
+function toTimestamp(publishAt, zone) {
+  return publishAt ? timezone.parseDateTime(publishAt, zone) : 0;
+}
+
+// API: Create a draft (composer autosave)
+app.post('/api/posts/drafts', requireAuth, handleMediaUpload, validateDraft, resolveAuthor, async (req, res) => {
+  try {
+    const { content, image_url, document_title, publish_at } = req.body;
+    const postType = req.body.post_type || (req.body.article_url ? 'article' : media.inferPostType(req.mediaFiles, image_url));
+
+    const postId = await db.createScheduledPost(
+      req.session.user.sub,
+      content || '',
+      image_url || null,
+      toTimestamp(publish_at, userTimezone(req)),
+      {
+        status: 'draft',
+        postType,
+        documentTitle: document_title,
+        visibility: req.body.visibility,
+        article: { url: req.body.article_url, title: req.body.article_title, description: req.body.article_description },
+        authorUrn: req.body.author_urn,
+        comments: commentOptions(req.body)
+      }
+    );
+    await media.attachToPost(await storeRequestMedia(req), postId);
+
+    const post = await db.getScheduledPost(postId, req.session.user.sub);
+    const revision = await revisions.record(post, req.session.user.sub, 'created');
+
+    res.json({ success: true, id: postId, revision });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: List drafts
+app.get('/api/posts/drafts', requireAuth, async (req, res) => {
+  try {
+    const drafts = await db.getDrafts(req.session.user.sub);
+    const mediaRows = await db.getMediaForPosts(drafts.map(draft => draft.id));
+
+    for (const draft of drafts) {
+      withLocalTimes(draft, userTimezone(req));
+      draft.media = mediaRows
+        .filter(row => row.scheduled_post_id === draft.id)
+        .map(media.toPublic);
+    }
+
+    res.json(drafts);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Autosave a draft
+app.put('/api/posts/drafts/:id', requireAuth, handleMediaUpload, validateDraft, loadEditablePost('draft'), resolveAuthor, async (req, res) => {
+  try {
+    if (req.replaceMedia && !req.body.post_type) {
+      req.body.post_type = media.inferPostType(req.mediaFiles, req.body.image_url);
+    }
+
+    const post = await applyPostChanges(req, { publish_at: toTimestamp(req.body.publish_at, userTimezone(req)) });
+    const revision = await revisions.record(post, req.session.user.sub, 'autosave');
+
+    res.json({ success: true, id: post.id, revision });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Promote a draft to a scheduled (optionally recurring) post
+app.post('/api/posts/drafts/:id/promote', requireAuth, handleMediaUpload, loadEditablePost('draft'), resolveAuthor, assignQueueSlot, resolveArticle, validateSchedulePost, async (req, res) => {
+  try {
+    const { publish_at, recurrence: rrule } = req.body;
+
+    const todayCount = await db.getTodayScheduledPostCount(req.session.user.sub, userTimezone(req));
+    if (todayCount >= postingQueue.DAILY_POST_LIMIT) {
+      return res.status(429).json({ error: `Daily limit of ${postingQueue.DAILY_POST_LIMIT} posts reached` });
+    }
+
+    const publishTimestamp = toTimestamp(publish_at, userTimezone(req));
+    let post = await applyPostChanges(req, { publish_at: publishTimestamp, queued: req.queued ? 1 : 0 });
+    let seriesId = null;
+
+    if (rrule) {
+      const series = await postSeries.createSeries(req.session.user.sub, {
+        content: post.content,
+        image_url: post.image_url,
+        post_type: post.post_type,
+        document_title: post.document_title,
+        rrule,
+        dtstart: publishTimestamp,
+        timezone: userTimezone(req),
+        author_urn: post.author_urn,
+        first_comment: post.first_comment,
+        follow_up_comment: post.follow_up_comment,
+        follow_up_delay_minutes: post.follow_up_delay_minutes
+      }, post.id);
+      seriesId = series.seriesId;
+    } else {
+      await db.updateScheduledPostStatus(post.id, 'pending');
+    }
+
+    post = await db.getScheduledPost(post.id, req.session.user.sub);
+    const revision = await revisions.record(post, req.session.user.sub, 'promoted');
+
+    await db.logActivity(
+      req.session.user.sub,
+      'PROMOTED_DRAFT',
+      { postId: post.id, seriesId, publishAt: publish_at, recurrence: rrule || null, queued: !!req.queued },
+      'success'
+    );
+
+    res.json({ success: true, id: post.id, series_id: seriesId, publish_at: post.publish_at, revision });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Edit content, media and time of a pending post
+app.put('/api/posts/scheduled/:id', requireAuth, handleMediaUpload, loadEditablePost('pending'), resolveAuthor, assignQueueSlot, resolveArticle, validateSchedulePost, async (req, res) => {
+  try {
+    if (req.body.recurrence) {
+      return res.status(400).json({ error: 'Recurrence cannot be changed here; use the series endpoints' });
+    }
+
+    // A queued post given a time of its own leaves the queue (and no longer moves)
+    const publishAt = toTimestamp(req.body.publish_at, userTimezone(req));
+    const queued = req.queued ? 1 : (publishAt === req.post.publish_at ? req.post.queued : 0);
+    const post = await applyPostChanges(req, { publish_at: publishAt, queued });
+    const revision = await revisions.record(post, req.session.user.sub, 'edited');
+
+    if (req.post.queued && !queued) {
+      await postingQueue.reshuffleQuietly(req.session.user.sub, userTimezone(req));
+    }
+
+    await db.logActivity(
+      req.session.user.sub,
+      'EDITED_POST',
+      { postId: post.id, publishAt: req.body.publish_at, mediaReplaced: req.replaceMedia, queued: !!queued, author: post.author_urn },
+      'success'
+    );
+
+    res.json({ success: true, id: post.id, revision });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Revision history of a draft or scheduled post
+app.get('/api/posts/scheduled/:id/revisions', requireAuth, async (req, res) => {
+  try {
+    const post = await db.getScheduledPost(req.params.id, req.session.user.sub);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    res.json(await revisions.list(post.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Diff of a revision against another one (?against=N, default: the previous revision)
+app.get('/api/posts/scheduled/:id/revisions/:revision/diff', requireAuth, async (req, res) => {
+  try {
+    const post = await db.getScheduledPost(req.params.id, req.session.user.sub);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const revision = parseInt(req.params.revision);
+    const against = parseInt(req.query.against) || revision - 1;
+    res.json(await revisions.diff(post.id, against, revision));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Restore a draft or pending post to an earlier revision
+app.post('/api/posts/scheduled/:id/revisions/:revision/restore', requireAuth, async (req, res) => {
+  try {
+    const post = await db.getScheduledPost(req.params.id, req.session.user.sub);
+    if (!post || !['draft', 'pending'].includes(post.status)) {
+      return res.status(404).json({ error: 'Post not found or already published' });
+    }
+
+    // A pending post is published as restored, so it has to pass the scheduling rules again
+    const check = post.status !== 'pending' ? null : (fields, mediaRows) => schedulePostError({
+      session: req.session,
+      body: {
+        ...fields,
+        // Stored media already holds the image of an image_url
+        image_url: mediaRows.length > 0 ? null : fields.image_url,
+        publish_at: fields.publish_at ? new Date(fields.publish_at * 1000).toISOString() : null
+      },
+      mediaFiles: [],
+      existingMedia: asValidatedFiles(mediaRows)
+    });
+    const revision = await revisions.restore(post, parseInt(req.params.revision), req.session.user.sub, { check });
+
+    await db.logActivity(
+      req.session.user.sub,
+      'RESTORED_REVISION',
+      { postId: post.id, restoredRevision: parseInt(req.params.revision) },
+      'success'
+    );
+
+    res.json({ success: true, id: post.id, revision });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ========== RECURRING POST SERIES ==========
+
+// Load a series of the current user, or respond 404
+async function loadSeries(req, res) {
+  const series = await db.getPostSeries(req.params.id, req.session.user.sub);
+  if (!series) {
+    res.status(404).json({ error: 'Series not found' });
+  }
+  return series;
+}
+
+// API: List recurring series
+app.get('/api/posts/series', requireAuth, async (req, res) => {
+  try {
+    const seriesList = await db.getPostSeriesList(req.session.user.sub);
+    const result = [];
+
+    for (const series of seriesList) {
+      result.push({ ...series, ...(await describeSeries(series, 3, userTimezone(req))) });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Upcoming occurrences of a series
+app.get('/api/posts/series/:id/occurrences', requireAuth, async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const upcoming = await postSeries.getUpcoming(series, limit);
+    res.json(upcoming.map(occurrence => withLocalTimes(occurrence, userTimezone(req), ['occurrence_at', 'publish_at'])));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Skip a single occurrence (identified by its original time, unix seconds)
+app.post('/api/posts/series/:id/occurrences/:occurrenceAt/skip', requireAuth, async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    await postSeries.skipOccurrence(series, parseInt(req.params.occurrenceAt));
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Edit a single occurrence
+app.put('/api/posts/series/:id/occurrences/:occurrenceAt', requireAuth, validateSchedulePost, async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    const { content, image_url, publish_at } = req.body;
+    await postSeries.editOccurrence(series, parseInt(req.params.occurrenceAt), {
+      content,
+      image_url,
+      publish_at: toTimestamp(publish_at, userTimezone(req))
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Stop a series (removes its pending occurrence)
+app.delete('/api/posts/series/:id', requireAuth, async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    await postSeries.cancelSeries(series);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========== CONTENT CALENDAR ==========
+
+// Unix seconds from a query value (unix seconds or any date string)
+function parseTimeParam(value, zone) {
+  if (value === undefined || value === '') return null;
+  if (/^\d+$/.test(value)) return parseInt(value);
+
+  return timezone.parseDateTime(value, zone);
+}
+
+// API: Calendar events (?from=&to=, unix seconds or dates in the user's time zone; default: current month)
+app.get('/api/calendar', requireAuth, async (req, res) => {
+  try {
+    const zone = userTimezone(req);
+    const month = timezone.monthBounds(zone);
+
+    const from = parseTimeParam(req.query.from, zone) ?? month.start;
+    const to = parseTimeParam(req.query.to, zone) ?? month.end;
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ error: 'from and to must be unix seconds or dates' });
+    }
+
+    const events = await calendar.getEvents(req.session.user.sub, from, to);
+    res.json(events.map(event => withLocalTimes(event, zone, ['start'])));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Calendar feed status (the URL itself is only shown when it is created)
+app.get('/api/calendar/feed', requireAuth, async (req, res) => {
+  try {
+    const feed = await db.getCalendarFeed(req.session.user.sub);
+    res.json({
+      enabled: !!feed,
+      created_at: feed?.created_at || null,
+      last_accessed_at: feed?.last_accessed_at || null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Create or rotate the secret ICS feed URL (the previous URL stops working)
+app.post('/api/calendar/feed', requireAuth, async (req, res) => {
+  try {
+    const token = await calendar.createFeedToken(req.session.user.sub);
+
+    await db.logActivity(req.session.user.sub, 'CALENDAR_FEED_CREATED', {}, 'success');
+
+    res.json({ success: true, url: `${req.protocol}://${req.get('host')}/calendar/${token}.ics` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Revoke the ICS feed
+app.delete('/api/calendar/feed', requireAuth, async (req, res) => {
+  try {
+    await db.deleteCalendarFeed(req.session.user.sub);
+    await db.logActivity(req.session.user.sub, 'CALENDAR_FEED_REVOKED', {}, 'success');
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ICS feed for calendar apps, authenticated by the secret token in the URL
+app.get('/calendar/:token.ics', async (req, res) => {
+  try {
+    const userSub = await calendar.resolveFeedToken(req.params.token);
+    if (!userSub) {
+      return res.status(404).send('Calendar not found');
+    }
+
+    const user = await db.getUser(userSub);
+    const ics = await calendar.buildFeed(userSub, user?.name ? `LinkedIn posts (${user.name})` : 'LinkedIn posts');
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(ics);
+  } catch (error) {
+    console.error('Calendar feed error:', error.message);
+    res.status(500).send('Calendar unavailable');
+  }
+});
+
+// ========== POSTING QUEUE ==========
+
+// Queue response with local times of the posts that moved
+function describeMoves(moves, zone) {
+  return moves.map(move => ({
+    id: move.id,
+    from: move.from,
+    to: move.to,
+    to_local: timezone.toIsoString(move.to, zone)
+  }));
+}
+
+// API: Posting slots, blackout dates, queued posts and the next free slots
+app.get('/api/queue', requireAuth, async (req, res) => {
+  try {
+    res.json(await postingQueue.getQueue(req.session.user.sub, userTimezone(req)));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Replace the weekly posting slots ({ slots: [{ weekday, time: "HH:MM" }] }, in the user's time zone)
+app.put('/api/queue/slots', requireAuth, async (req, res) => {
+  try {
+    const slots = postingQueue.parseSlots(req.body?.slots);
+    await db.replacePostingSlots(req.session.user.sub, slots);
+
+    const moved = slots.length > 0
+      ? await postingQueue.reshuffleQuietly(req.session.user.sub, userTimezone(req))
+      : [];
+
+    await db.logActivity(req.session.user.sub, 'UPDATED_POSTING_SLOTS', { slots: slots.length, reshuffled: moved.length }, 'success');
+
+    res.json({ success: true, reshuffled: describeMoves(moved, userTimezone(req)) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Add a blackout date or range ({ start_date, end_date?, label? }, YYYY-MM-DD)
+app.post('/api/queue/blackouts', requireAuth, async (req, res) => {
+  try {
+    const blackout = postingQueue.parseBlackout(req.body);
+    const id = await db.createBlackoutDate(req.session.user.sub, blackout);
+    const moved = await postingQueue.reshuffleQuietly(req.session.user.sub, userTimezone(req));
+
+    await db.logActivity(req.session.user.sub, 'ADDED_BLACKOUT_DATE', { id, ...blackout, reshuffled: moved.length }, 'success');
+
+    res.json({ success: true, id, reshuffled: describeMoves(moved, userTimezone(req)) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Remove a blackout date
+app.delete('/api/queue/blackouts/:id', requireAuth, async (req, res) => {
+  try {
+    const deleted = await db.deleteBlackoutDate(req.params.id, req.session.user.sub);
+    if (deleted === 0) {
+      return res.status(404).json({ error: 'Blackout date not found' });
+    }
+
+    const moved = await postingQueue.reshuffleQuietly(req.session.user.sub, userTimezone(req));
+    res.json({ success: true, reshuffled: describeMoves(moved, userTimezone(req)) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Reorder the queue ({ post_ids: [...] }, first = next slot; unlisted posts follow)
+app.put('/api/queue/order', requireAuth, async (req, res) => {
+  try {
+    const postIds = req.body?.post_ids;
+    if (!Array.isArray(postIds) || postIds.length === 0) {
+      return res.status(400).json({ error: 'post_ids must be a non-empty array' });
+    }
+
+    const moved = await postingQueue.reshuffle(req.session.user.sub, userTimezone(req), postIds);
+
+    await db.logActivity(req.session.user.sub, 'REORDERED_QUEUE', { postIds, reshuffled: moved.length }, 'success');
+
+    res.json({ success: true, reshuffled: describeMoves(moved, userTimezone(req)) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Reassign queued posts to the earliest free slots (e.g. after editing other posts)
+app.post('/api/queue/reshuffle', requireAuth, async (req, res) => {
+  try {
+    const moved = await postingQueue.reshuffle(req.session.user.sub, userTimezone(req));
+    res.json({ success: true, reshuffled: describeMoves(moved, userTimezone(req)) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ========== COMPANY PAGES ==========
+
+// API: Authors posts can be scheduled as (the member, then connected company pages)
+app.get('/api/authors', requireAuth, async (req, res) => {
+  try {
+    res.json(await organizations.getAuthors(req.session.user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Connected company pages, and whether the login covers the company page scopes
+app.get('/api/organizations', requireAuth, async (req, res) => {
+  try {
+    const [user, connected] = await Promise.all([
+      db.getUser(req.session.user.sub),
+      db.getOrganizations(req.session.user.sub)
+    ]);
+
+    res.json({
+      organizations: connected,
+      scopesGranted: organizations.hasOrganizationScopes(user),
+      requiredScopes: LINKEDIN_ORGANIZATION_SCOPES,
+      loginUrl: '/auth/linkedin?organizations=1'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Company pages the member administers on LinkedIn (connected ones are marked)
+app.get('/api/organizations/available', requireAuth, rateLimit(10, 60000), async (req, res) => {
+  try {
+    const [pages, connected] = await Promise.all([
+      organizations.listAdministered(req.session.user.sub),
+      db.getOrganizations(req.session.user.sub)
+    ]);
+
+    res.json(pages.map(page => ({
+      ...page,
+      connected: connected.some(o => o.organization_urn === page.organization_urn)
+    })));
+  } catch (error) {
+    res.status(linkedinErrorStatus(error)).json({ error: error.response?.data || error.message });
+  }
+});
+
+// API: Connect a company page as an author ({ organization_urn })
+app.post('/api/organizations', requireAuth, rateLimit(10, 60000), async (req, res) => {
+  try {
+    const organization = await organizations.connect(req.session.user.sub, req.body?.organization_urn);
+
+    await db.logActivity(
+      req.session.user.sub,
+      'CONNECTED_ORGANIZATION',
+      { organizationUrn: organization.organization_urn, name: organization.name, role: organization.role },
+      'success'
+    );
+
+    res.json({ success: true, organization });
+  } catch (error) {
+    res.status(linkedinErrorStatus(error)).json({ error: error.response?.data || error.message });
+  }
+});
+
+// API: Disconnect a company page (refused while posts are scheduled as it)
+app.delete('/api/organizations/:id', requireAuth, async (req, res) => {
+  try {
+    const organization = await organizations.disconnect(req.session.user.sub, req.params.id);
+
+    await db.logActivity(
+      req.session.user.sub,
+      'DISCONNECTED_ORGANIZATION',
+      { organizationUrn: organization.organization_urn, name: organization.name },
+      'success'
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Status code for a failed LinkedIn call made on behalf of the user
+function linkedinErrorStatus(error) {
+  if (error.response?.status) return error.response.status;
+  if (tokenManager.isReauthError(error)) return 401;
+  return error.status || 500;
+}
+
+// API: Get user's published posts (?author= a connected company page instead of the member)
+app.get('/api/posts/published', requireAuth, rateLimit(20, 60000), async (req, res) => {
+  try {
+    const author = (await authorFilter(req)) || organizations.memberUrn(req.session.user.sub);
+
+    // Fetch the author's posts from LinkedIn
+    const response = await linkedin.get(req.session.user.sub, '/rest/posts', {
+      author,
+      q: 'author',
+      count: 20
+    }, { feature: 'dashboard' });
+
+    res.json({ ...response.data, author });
+  } catch (error) {
+    res.status(linkedinErrorStatus(error)).json({
+      error: error.response?.data || error.message
+    });
+  }
+});
+
+// API: Get post comments (stored in the comment inbox; each one of others gets its `inbox` entry
+// with sentiment and intents)
+app.get('/api/posts/:postId/comments', requireAuth, rateLimit(20, 60000), async (req, res) => {
+  try {
+    const response = await linkedin.get(req.session.user.sub, '/rest/comments', {
+      q: 'post',
+      post: req.params.postId
+    }, { feature: 'dashboard' });
+
+    // Only comments on the user's own posts go into the inbox and through moderation
+    const elements = response.data.elements || [];
+    const byId = new Map();
+    if (await db.isOwnPost(req.params.postId, req.session.user.sub)) {
+      await commentInbox.storeComments(req.session.user.sub, req.params.postId, elements);
+      const stored = await db.getInboxComments(req.session.user.sub, { status: 'all', postId: req.params.postId, limit: 200 });
+      stored.forEach(row => byId.set(row.comment_id, commentInbox.describe(row)));
+    }
+
+    res.json({
+      ...response.data,
+      elements: elements.map(element => ({ ...element, inbox: byId.get(String(element.id)) || null }))
+    });
+  } catch (error) {
+    res.status(linkedinErrorStatus(error)).json({
+      error: error.response?.data || error.message
+    });
+  }
+});
+
+// API: Like a comment
+app.post('/api/comments/:commentId/like', requireAuth, rateLimit(3, 60000), async (req, res) => {
+  try {
+    const response = await linkedin.post(req.session.user.sub, '/rest/reactions', {
+      root: req.params.commentId,
+      reactionType: 'LIKE'
+    }, { feature: 'dashboard' });
+
+    res.json({ success: true, data: response.data });
+  } catch (error) {
+    res.status(linkedinErrorStatus(error)).json({
+      error: error.response?.data || error.message
+    });
+  }
+});
+
+// Moderation states a comment still in the inbox can be in (deleted ones leave it)
+const INBOX_MODERATION_STATUSES = ['flagged', 'pending', 'failed', 'undone'];
+
+// API: Comment inbox across tracked posts (?status=open|done|all, ?unanswered=1, ?post= post URN,
+// ?commenter= URN or connection name, ?sentiment=, ?intent=, ?moderation= flagged|pending|failed|undone,
+// ?author= post author, ?limit=, ?offset=)
+app.get('/api/comments/inbox', requireAuth, async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    if (!['open', 'done', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'status must be open, done or all' });
+    }
+    if (req.query.sentiment && !commentClassifier.SENTIMENTS.includes(req.query.sentiment)) {
+      return res.status(400).json({ error: `sentiment must be one of ${commentClassifier.SENTIMENTS.join(', ')}` });
+    }
+    if (req.query.intent && !commentClassifier.INTENTS.includes(req.query.intent)) {
+      return res.status(400).json({ error: `intent must be one of ${commentClassifier.INTENTS.join(', ')}` });
+    }
+    if (req.query.moderation && !INBOX_MODERATION_STATUSES.includes(req.query.moderation)) {
+      return res.status(400).json({ error: `moderation must be one of ${INBOX_MODERATION_STATUSES.join(', ')}` });
+    }
+
+    const rows = await db.getInboxComments(req.session.user.sub, {
+      status,
+      unanswered: req.query.unanswered === '1' || req.query.unanswered === 'true',
+      postId: req.query.post || null,
+      commenter: req.query.commenter || null,
+      sentiment: req.query.sentiment || null,
+      intent: req.query.intent || null,
+      moderation: req.query.moderation || null,
+      authorUrn: await authorFilter(req),
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+
+    res.json({
+      comments: rows.map(row => withLocalTimes(commentInbox.describe(row), userTimezone(req), ['commented_at', 'answered_at'])),
+      total: rows[0]?.total || 0,
+      counts: await db.getInboxCounts(req.session.user.sub)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Load the comments of every recent post into the inbox now
+app.post('/api/comments/inbox/sync', requireAuth, rateLimit(3, 60000), async (req, res) => {
+  try {
+    const result = await commentInbox.syncUser(req.session.user.sub, { all: true });
+    res.json({ success: true, ...result, counts: await db.getInboxCounts(req.session.user.sub) });
+  } catch (error) {
+    res.status(linkedinErrorStatus(error)).json({
       error: error.response?.data || error.message
     });
   }
 });
 
-// API: Like a comment
-app.post('/api/comments/:commentId/like', requireAuth, rateLimit(3, 60000), async (req, res) => {
+// API: Reply to an inbox comment (nested comment, as the post's author; { text } and/or { template_id })
+app.post('/api/comments/inbox/:id/reply', requireAuth, rateLimit(10, 60000), async (req, res) => {
   try {
-    const user = await db.getUser(req.session.user.sub);
-    if (!user || !user.access_token) {
-      return res.status(401).json({ error: 'No access token found' });
+    const comment = await db.getInboxComment(req.params.id, req.session.user.sub);
+    if (!comment || comment.is_own) {
+      return res.status(404).json({ error: 'Comment not found' });
     }
 
-    // Track API call
-    await db.trackApiCall('/rest/reactions', 'POST', 201);
-
-    const response = await axios.post(
-      'https://api.linkedin.com/rest/reactions',
-      {
-        root: req.params.commentId,
-        reactionType: 'LIKE'
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${user.access_token}`,
-          'LinkedIn-Version': '202405',
-          'X-Restli-Protocol-Version': '2.0.0',
-          'Content-Type': 'application/json'
-        }
+    // A template fills in the text unless it was edited before sending
+    let text = req.body.text;
+    let template = null;
+    if (req.body.template_id) {
+      template = await db.getReplyTemplate(req.body.template_id, req.session.user.sub);
+      if (!template) {
+        return res.status(404).json({ error: 'Reply template not found' });
       }
+      if (typeof text !== 'string' || !text.trim()) {
+        text = replyTemplates.render(template.body, replyTemplates.contextOf(comment)).text;
+      }
+    }
+
+    const reply = await commentInbox.reply(req.session.user.sub, comment, text, { templateId: template?.id });
+    if (template) {
+      await db.recordReplyTemplateUse(template.id, req.session.user.sub);
+    }
+
+    await db.logActivity(
+      req.session.user.sub,
+      'REPLIED_COMMENT',
+      { inboxCommentId: comment.id, postId: comment.post_id, commentId: reply.comment_id, templateId: template?.id },
+      'success'
     );
 
-    res.json({ success: true, data: response.data });
+    res.json({ success: true, reply });
   } catch (error) {
-    await db.trackApiCall('/rest/reactions', 'POST', error.response?.status || 500);
-    res.status(error.response?.status || 500).json({
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    await db.logActivity(req.session.user.sub, 'REPLIED_COMMENT', { inboxCommentId: req.params.id, error: error.message }, 'failed');
+    res.status(linkedinErrorStatus(error)).json({
       error: error.response?.data || error.message
     });
   }
 });
 
+// API: Reply templates with usage stats, most used first
+app.get('/api/comments/templates', requireAuth, async (req, res) => {
+  try {
+    const templates = await db.getReplyTemplates(req.session.user.sub);
+    res.json({
+      variables: replyTemplates.VARIABLES,
+      templates: templates.map(template => withLocalTimes(template, userTimezone(req), ['last_used_at']))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Create a reply template ({ name, body })
+app.post('/api/comments/templates', requireAuth, async (req, res) => {
+  try {
+    const template = replyTemplates.parse(req.body);
+    const id = await db.createReplyTemplate(req.session.user.sub, template);
+    res.status(201).json({ success: true, template: await db.getReplyTemplate(id, req.session.user.sub) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Update a reply template ({ name?, body? })
+app.put('/api/comments/templates/:id', requireAuth, async (req, res) => {
+  try {
+    const fields = replyTemplates.parse(req.body, { partial: true });
+    const changed = await db.updateReplyTemplate(req.params.id, req.session.user.sub, fields);
+    const template = changed ? await db.getReplyTemplate(req.params.id, req.session.user.sub) : null;
+    if (!template) {
+      return res.status(404).json({ error: 'Reply template not found' });
+    }
+    res.json({ success: true, template });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Delete a reply template (replies sent with it are kept)
+app.delete('/api/comments/templates/:id', requireAuth, async (req, res) => {
+  try {
+    const deleted = await db.deleteReplyTemplate(req.params.id, req.session.user.sub);
+    if (deleted === 0) {
+      return res.status(404).json({ error: 'Reply template not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Every reply template filled in for an inbox comment (missing: variables without a value)
+app.get('/api/comments/inbox/:id/templates', requireAuth, async (req, res) => {
+  try {
+    const comment = await db.getInboxComment(req.params.id, req.session.user.sub);
+    if (!comment || comment.is_own) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const context = replyTemplates.contextOf(comment);
+    const templates = await db.getReplyTemplates(req.session.user.sub);
+    res.json({
+      context,
+      previews: templates.map(template => ({
+        id: template.id,
+        name: template.name,
+        ...replyTemplates.render(template.body, context)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Correct the classification of an inbox comment ({ sentiment?, intents? }; null goes back to automatic)
+app.put('/api/comments/inbox/:id/classification', requireAuth, async (req, res) => {
+  try {
+    const override = commentClassifier.parseOverride(req.body);
+    const changed = await db.overrideInboxCommentClassification(req.params.id, req.session.user.sub, override);
+    if (changed === 0) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const comment = await db.getInboxComment(req.params.id, req.session.user.sub);
+    res.json({ success: true, comment: commentInbox.describe(comment) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Handler setting the inbox status of a comment
+function setInboxStatus(status) {
+  return async (req, res) => {
+    try {
+      const changed = await db.setInboxCommentStatus(req.params.id, req.session.user.sub, status);
+      if (changed === 0) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+      res.json({ success: true, status, counts: await db.getInboxCounts(req.session.user.sub) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+// API: Mark an inbox comment as done
+app.post('/api/comments/inbox/:id/done', requireAuth, setInboxStatus('done'));
+
+// API: Move an inbox comment back to open
+app.post('/api/comments/inbox/:id/reopen', requireAuth, setInboxStatus('open'));
+
+// API: Comment moderation rules, in the order they run
+app.get('/api/comments/moderation/rules', requireAuth, async (req, res) => {
+  try {
+    const rules = await db.getModerationRules(req.session.user.sub);
+    res.json({
+      rule_types: moderation.RULE_TYPES,
+      actions: moderation.ACTIONS,
+      undo_minutes: moderation.UNDO_MINUTES,
+      rules: rules.map(rule => withLocalTimes(rule, userTimezone(req), ['last_matched_at']))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Create a moderation rule ({ name, type, pattern?, threshold?, window_hours?, action?, enabled? })
+app.post('/api/comments/moderation/rules', requireAuth, async (req, res) => {
+  try {
+    const rule = moderation.parseRule(req.body);
+    const id = await db.createModerationRule(req.session.user.sub, rule);
+    res.status(201).json({ success: true, rule: await db.getModerationRule(id, req.session.user.sub) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Update a moderation rule (fields that are not sent are kept)
+app.put('/api/comments/moderation/rules/:id', requireAuth, async (req, res) => {
+  try {
+    const existing = await db.getModerationRule(req.params.id, req.session.user.sub);
+    if (!existing) {
+      return res.status(404).json({ error: 'Moderation rule not found' });
+    }
+
+    const rule = moderation.parseRule({ ...existing, enabled: existing.enabled === 1, ...req.body });
+    await db.updateModerationRule(existing.id, req.session.user.sub, rule);
+    res.json({ success: true, rule: await db.getModerationRule(existing.id, req.session.user.sub) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Delete a moderation rule (its moderation entries are kept)
+app.delete('/api/comments/moderation/rules/:id', requireAuth, async (req, res) => {
+  try {
+    const deleted = await db.deleteModerationRule(req.params.id, req.session.user.sub);
+    if (deleted === 0) {
+      return res.status(404).json({ error: 'Moderation rule not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: What rules would do to the comments in the inbox that are not moderated yet, without
+// doing it ({ rule_id } one saved rule, { rule } an unsaved one, nothing: every enabled rule)
+app.post('/api/comments/moderation/dry-run', requireAuth, async (req, res) => {
+  try {
+    let rules;
+    if (req.body.rule_id) {
+      const rule = await db.getModerationRule(req.body.rule_id, req.session.user.sub);
+      if (!rule) {
+        return res.status(404).json({ error: 'Moderation rule not found' });
+      }
+      rules = [rule];
+    } else if (req.body.rule) {
+      rules = [moderation.parseRule(req.body.rule)];
+    } else {
+      rules = (await db.getModerationRules(req.session.user.sub)).filter(rule => rule.enabled);
+    }
+
+    const result = await moderation.dryRun(req.session.user.sub, rules);
+    res.json({
+      dry_run: true,
+      rules: rules.length,
+      checked: result.checked,
+      matches: result.matches.map(match => withLocalTimes(match, userTimezone(req), ['commented_at']))
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Moderation entries, newest first (?status= flagged|pending|deleted|failed|undone, ?limit=, ?offset=)
+app.get('/api/comments/moderation/actions', requireAuth, async (req, res) => {
+  try {
+    const statuses = ['flagged', 'pending', 'deleting', 'deleted', 'failed', 'undone'];
+    if (req.query.status && !statuses.includes(req.query.status)) {
+      return res.status(400).json({ error: `status must be one of ${statuses.join(', ')}` });
+    }
+
+    const rows = await db.getModerationActions(req.session.user.sub, {
+      status: req.query.status || null,
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200),
+      offset: Math.max(parseInt(req.query.offset) || 0, 0)
+    });
+    res.json({
+      actions: rows.map(({ total, ...row }) =>
+        withLocalTimes(row, userTimezone(req), ['created_at', 'execute_after', 'executed_at', 'undone_at'])),
+      total: rows[0]?.total || 0
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Undo a flag, or a deletion during its undo window
+app.post('/api/comments/moderation/actions/:id/undo', requireAuth, async (req, res) => {
+  try {
+    const action = await moderation.undo(req.session.user.sub, req.params.id);
+    res.json({ success: true, action });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Delete a flagged comment on LinkedIn after review (or a pending one without waiting)
+app.post('/api/comments/moderation/actions/:id/delete', requireAuth, rateLimit(10, 60000), async (req, res) => {
+  try {
+    const status = await moderation.deleteNow(req.session.user.sub, req.params.id);
+    res.json({
+      success: status === 'deleted',
+      status,
+      action: await db.getModerationAction(req.params.id, req.session.user.sub)
+    });
+  } catch (error) {
+    res.status(linkedinErrorStatus(error)).json({ error: error.message });
+  }
+});
+
 // API: Get recent activity
 app.get('/api/activity', requireAuth, async (req, res) => {
   try {
@@ -759,16 +2619,18 @@ app.get('/api/activity', requireAuth, async (req, res) => {
   }
 });
 
-// API: Get analytics data
+// API: Get analytics data (?author= the member or a connected company page)
 app.get('/api/analytics', requireAuth, async (req, res) => {
   try {
-    const postsPerWeek = await db.getPostsPerWeek(req.session.user.sub);
-    const scheduledPosts = await db.getScheduledPosts(req.session.user.sub);
+    const author = await authorFilter(req);
+    const postsPerWeek = await db.getPostsPerWeek(req.session.user.sub, 8, userTimezone(req), author);
+    const scheduledPosts = await db.getScheduledPosts(req.session.user.sub, 50, author);
 
     const publishedCount = scheduledPosts.filter(p => p.status === 'published').length;
     const pendingCount = scheduledPosts.filter(p => p.status === 'pending').length;
 
     res.json({
+      author,
       postsPerWeek,
       summary: {
         totalPublished: publishedCount,
@@ -776,6 +2638,93 @@ app.get('/api/analytics', requireAuth, async (req, res) => {
         totalScheduled: scheduledPosts.length
       }
     });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Engagement heatmap by weekday/hour in the user's time zone (?days= history window)
+app.get('/api/analytics/best-times', requireAuth, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 180, 7), 730);
+    res.json(await bestTime.getHeatmap(req.session.user.sub, { timezone: userTimezone(req), days }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Next best publish slots (?count=)
+app.get('/api/analytics/best-times/suggestions', requireAuth, async (req, res) => {
+  try {
+    const count = Math.min(Math.max(parseInt(req.query.count) || 5, 1), 20);
+    res.json(await bestTime.suggestSlots(req.session.user.sub, { timezone: userTimezone(req), count }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Historical score of a chosen publish time (?publish_at=), with a warning for weak slots
+app.get('/api/analytics/best-times/check', requireAuth, async (req, res) => {
+  try {
+    const publishAt = parseTimeParam(req.query.publish_at, userTimezone(req));
+    if (!publishAt || isNaN(publishAt)) {
+      return res.status(400).json({ error: 'publish_at is required (unix seconds or date/time)' });
+    }
+
+    res.json(await bestTime.checkSlot(req.session.user.sub, publishAt, { timezone: userTimezone(req) }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Recent posts ranked by engagement at the same age (?days=, ?hours= age compared, ?author=)
+app.get('/api/analytics/posts/performance', requireAuth, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 180);
+    const hours = Math.min(Math.max(parseInt(req.query.hours) || 24, 1), 24 * 30);
+    const ranking = await postMetrics.comparePosts(req.session.user.sub, { days, hours, authorUrn: await authorFilter(req) });
+    ranking.posts.forEach(post => withLocalTimes(post, userTimezone(req), ['posted_at']));
+    res.json(ranking);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Snapshot series and early velocity of one tracked post (?hours= velocity window)
+app.get('/api/analytics/posts/:id/performance', requireAuth, async (req, res) => {
+  try {
+    const post = await db.getTrackedPost(req.params.id, req.session.user.sub);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const hours = Math.min(Math.max(parseInt(req.query.hours) || 24, 1), 24 * 30);
+    const growth = await postMetrics.getGrowth(post, { hours });
+    withLocalTimes(growth.post, userTimezone(req), ['posted_at']);
+    growth.snapshots.forEach(snapshot => withLocalTimes(snapshot, userTimezone(req), ['captured_at']));
+    res.json(growth);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Sentiment and intents of the comments on each post (?days= comments of the last N days, ?author=)
+app.get('/api/analytics/comments/sentiment', requireAuth, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const since = Math.floor(Date.now() / 1000) - days * 86400;
+    const posts = await db.getCommentSentimentByPost(req.session.user.sub, since, await authorFilter(req));
+
+    const totals = { comments: 0, positive: 0, neutral: 0, negative: 0, questions: 0, leads: 0, spam: 0, job_requests: 0 };
+    for (const post of posts) {
+      for (const key of Object.keys(totals)) totals[key] += post[key] || 0;
+      // -1 (all negative) to 1 (all positive)
+      post.net_sentiment = post.comments ? Math.round((post.positive - post.negative) / post.comments * 100) / 100 : 0;
+      withLocalTimes(post, userTimezone(req), ['posted_at']);
+    }
+    totals.net_sentiment = totals.comments ? Math.round((totals.positive - totals.negative) / totals.comments * 100) / 100 : 0;
+
+    res.json({ days, totals, posts });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -784,16 +2733,17 @@ app.get('/api/analytics', requireAuth, async (req, res) => {
 // API: Export analytics data
 app.get('/api/analytics/export', requireAuth, async (req, res) => {
   try {
-    const postsPerWeek = await db.getPostsPerWeek(req.session.user.sub, 52);
+    const postsPerWeek = await db.getPostsPerWeek(req.session.user.sub, 52, userTimezone(req));
     const scheduledPosts = await db.getScheduledPosts(req.session.user.sub, 1000);
-    const apiCalls = await db.getRecentApiCalls(1000);
+    const apiCalls = await db.getRecentApiCalls(1000, req.session.user.sub);
 
     const exportData = {
       exportDate: new Date().toISOString(),
       user: {
         sub: req.session.user.sub,
         name: req.session.user.name,
-        email: req.session.user.email
+        email: req.session.user.email,
+        timezone: userTimezone(req)
       },
       analytics: {
         postsPerWeek,
@@ -802,7 +2752,7 @@ app.get('/api/analytics/export', requireAuth, async (req, res) => {
         pendingPosts: scheduledPosts.filter(p => p.status === 'pending').length,
         failedPosts: scheduledPosts.filter(p => p.status === 'failed').length
       },
-      scheduledPosts,
+      scheduledPosts: scheduledPosts.map(post => withLocalTimes(post, userTimezone(req))),
       apiUsage: {
         totalCalls: apiCalls.length,
         recentCalls: apiCalls.slice(0, 100)
@@ -826,7 +2776,7 @@ app.get('/api/ai-network', requireAuth, async (req, res) => {
     const risingStars = await db.getRisingStars(req.session.user.sub, 5, true);
     const atRisk = await db.getAtRiskConnections(req.session.user.sub, 5, true);
 
-    const latestSync = await db.getSyncSession(new Date().toISOString().split('T')[0]);
+    const latestSync = await db.getSyncSession(req.session.user.sub, timezone.localDate(Date.now() / 1000, userTimezone(req)));
 
     res.json({
       topEngagers,
@@ -866,18 +2816,20 @@ app.post('/api/sync/trigger', requireAuth, rateLimit(1, 3600000), async (req, re
 // Get sync status
 app.get('/api/sync/status', requireAuth, async (req, res) => {
   try {
-    const today = new Date().toISOString().split('T')[0];
-    const session = await db.getSyncSession(today);
+    const today = timezone.localDate(Date.now() / 1000, userTimezone(req));
+    const session = await db.getSyncSession(req.session.user.sub, today);
 
-    const apiUsage = await db.getTodayApiCallCount();
+    // Engagement sync runs on the socialActions budget
+    const quota = await apiQuota.getFamilyQuota(req.session.user.sub, 'socialActions');
 
     res.json({
       session: session || { status: 'not_started' },
       apiUsage: {
-        used: apiUsage,
-        limit: 500,
-        remaining: 500 - apiUsage,
-        percentage: Math.round((apiUsage / 500) * 100)
+        used: quota.used,
+        limit: quota.limit,
+        remaining: quota.remaining,
+        percentage: quota.limit ? Math.round((quota.used / quota.limit) * 100) : 100,
+        resetAt: quota.resetAt
       }
     });
   } catch (error) {
@@ -950,6 +2902,74 @@ app.get('/api/connections/search', requireAuth, async (req, res) => {
   }
 });
 
+// API: Connections for @mention autocomplete in the composer
+app.get('/api/connections/mentions', requireAuth, async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (!query) {
+      return res.json([]);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+    const result = await connections.searchConnections(req.session.user.sub, query, 'name', limit, 0);
+
+    res.json(result.connections.map(conn => ({
+      id: conn.id,
+      name: `${conn.first_name || ''} ${conn.last_name || ''}`.trim(),
+      company: conn.company,
+      position: conn.position,
+      urn: conn.linkedin_urn,
+      // Without a URN the name is posted as plain text
+      mentionable: littleText.isMentionUrn(conn.linkedin_urn)
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Lint post content and build the feed card preview (warnings never block scheduling)
+app.post('/api/posts/lint', requireAuth, async (req, res) => {
+  try {
+    const { content, post_id } = req.body;
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'Content must be a string' });
+    }
+
+    const result = await postLint.lintForUser(req.session.user.sub, content, { excludePostId: post_id });
+    res.json({
+      ...result,
+      author: { name: req.session.user.name, picture: req.session.user.picture || null }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Link card metadata (Open Graph / Twitter card) of a page, for article posts
+app.get('/api/posts/link-preview', requireAuth, rateLimit(30, 60000), async (req, res) => {
+  try {
+    const preview = await linkPreview.fetchPreview(req.query.url);
+    res.json(preview);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// API: Preview how post content is sent to LinkedIn (mentions, hashtags, escaping)
+app.post('/api/posts/format', requireAuth, async (req, res) => {
+  try {
+    const { content } = req.body;
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'Content must be a string' });
+    }
+
+    const mentionables = await db.getMentionableConnections(req.session.user.sub);
+    res.json(littleText.format(content, { mentionables }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // API: Get all connections
 app.get('/api/connections', requireAuth, async (req, res) => {
   try {
@@ -999,9 +3019,6 @@ app.post('/api/connections/:id/fetch-profile', requireAuth, rateLimit(10, 60000)
     // This endpoint is prepared for when you have the profile URN or URL
     // For now, we'll return a message about manual data entry
 
-    // Track API call attempt
-    await db.trackApiCall('/profile-fetch', 'GET', 200);
-
     res.json({
       success: false,
       message: 'LinkedIn API does not support profile lookup by email. You can manually add data or use LinkedIn Sales Navigator API.',
@@ -1015,10 +3032,7 @@ app.post('/api/connections/:id/fetch-profile', requireAuth, rateLimit(10, 60000)
     });
 
   } catch (error) {
-    await db.trackApiCall('/profile-fetch', 'GET', error.response?.status || 500);
-    res.status(error.response?.status || 500).json({
-      error: error.response?.data || error.message
-    });
+    res.status(500).json({ error: error.message });
   }
 });
 
@@ -1055,6 +3069,42 @@ app.post('/api/connections/:id/update-profile', requireAuth, async (req, res) =>
   }
 });
 
+// API: Set the LinkedIn member URN of a connection (enables @mentions; null clears it)
+app.put('/api/connections/:id/urn', requireAuth, async (req, res) => {
+  try {
+    let { urn } = req.body;
+
+    if (urn !== null && typeof urn !== 'string') {
+      return res.status(400).json({ error: 'URN must be a string or null' });
+    }
+
+    urn = urn ? urn.trim() : null;
+    // A bare member id is accepted as urn:li:person:<id>
+    if (urn && /^[A-Za-z0-9_-]+$/.test(urn)) {
+      urn = `urn:li:person:${urn}`;
+    }
+    if (urn && !(urn.startsWith('urn:li:person:') && littleText.isMentionUrn(urn))) {
+      return res.status(400).json({ error: 'URN must look like urn:li:person:<id>' });
+    }
+
+    const updated = await db.updateConnectionUrn(req.params.id, req.session.user.sub, urn);
+    if (updated === 0) {
+      return res.status(404).json({ error: 'Connection not found' });
+    }
+
+    await db.logActivity(
+      req.session.user.sub,
+      'UPDATED_CONNECTION_URN',
+      { connectionId: req.params.id, urn },
+      'success'
+    );
+
+    res.json({ success: true, urn });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // API: Update connection tags
 app.post('/api/connections/:id/tags', requireAuth, async (req, res) => {
   try {
@@ -1150,13 +3200,23 @@ app.use((req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log('Press Ctrl+C to stop');
+async function startServer() {
+  // Offline mode: serve the mock LinkedIn API in-process
+  if (linkedinConfig.SANDBOX) {
+    await require('./sandbox/mock-linkedin').start(linkedinConfig.SANDBOX_PORT);
+    console.log('🧪 SANDBOX mode: all LinkedIn calls go to the local mock server');
+  }
 
-  // Start post scheduler
-  scheduler.start();
-});
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+    console.log('Press Ctrl+C to stop');
+
+    // Start post scheduler
+    scheduler.start();
+  });
+}
+
+startServer();
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
@@ -8,17 +8,24 @@
  * - Multi-day sync support
  */
 
-const axios = require('axios');
 const db = require('./database');
+const tokenManager = require('./token-manager');
+const linkedin = require('./linkedin-client');
+const apiQuota = require('./api-quota');
+const timezone = require('./timezone');
+const littleText = require('./little-text');
+const organizations = require('./organizations');
 
 class SyncEngine {
   constructor(options = {}) {
-    this.dailyApiLimit = options.dailyApiLimit || 500;
+    // Defaults to the user's socialActions quota (see initialize)
+    this.dailyApiLimit = options.dailyApiLimit || null;
     this.reservePool = options.reservePool || 50; // Reserve for manual actions
-    this.usableLimit = this.dailyApiLimit - this.reservePool;
+    this.usableLimit = null;
     this.batchSize = options.batchSize || 10;
     this.apiCallsUsed = 0;
     this.sessionId = null;
+    this.today = null;
   }
 
   /**
@@ -27,14 +34,20 @@ class SyncEngine {
   async initialize(userSub) {
     this.userSub = userSub;
 
-    // Check for existing session today
-    const today = new Date().toISOString().split('T')[0];
-    let session = await db.getSyncSession(today);
+    // Engagement fetches are charged to the socialActions family
+    const quota = await apiQuota.getFamilyQuota(userSub, 'socialActions');
+    this.usableLimit = Math.max(0, (this.dailyApiLimit || quota.limit) - this.reservePool);
+
+    // Check for existing session today (the user's local date)
+    const { timezone: zone } = await db.getUserLocale(userSub);
+    this.today = timezone.localDate(Date.now() / 1000, zone);
+    let session = await db.getSyncSession(userSub, this.today);
 
     if (!session) {
       // Create new session
       session = await db.createSyncSession({
-        session_date: today,
+        user_sub: userSub,
+        session_date: this.today,
         status: 'running',
         api_calls_limit: this.usableLimit,
         started_at: Date.now() / 1000
@@ -48,8 +61,7 @@ class SyncEngine {
     this.sessionId = session.id;
 
     // Get current API usage
-    const todayUsage = await db.getTodayApiCallCount();
-    this.apiCallsUsed = todayUsage;
+    this.apiCallsUsed = quota.used;
 
     return session;
   }
@@ -61,11 +73,9 @@ class SyncEngine {
     console.log('🚀 Starting intelligent sync engine...');
 
     const session = await this.initialize(userSub);
-    const user = await db.getUser(userSub);
 
-    if (!user || !user.access_token) {
-      throw new Error('No access token found');
-    }
+    // Refreshes the token up front if it is about to expire
+    const user = await tokenManager.getValidUser(userSub);
 
     try {
       // STEP 1: Sync recent posts (lightweight)
@@ -119,13 +129,13 @@ class SyncEngine {
   }
 
   /**
-   * Track API call usage
+   * Charge API calls against the session budget
+   * (the LinkedIn client records the individual requests)
    */
-  async consumeAPI(calls, endpoint = 'sync') {
+  async consumeAPI(calls) {
     this.apiCallsUsed += calls;
-    await db.trackApiCall(endpoint, 'GET', 200);
 
-    console.log(`📊 API Budget: ${this.apiCallsUsed}/${this.usableLimit} (${Math.round(this.apiCallsUsed/this.usableLimit*100)}%)`);
+    console.log(`📊 API Budget: ${this.apiCallsUsed}/${this.usableLimit} (${this.usableLimit ? Math.round(this.apiCallsUsed/this.usableLimit*100) : 100}%)`);
 
     // Update session
     await db.updateSyncSession(this.sessionId, {
@@ -134,57 +144,59 @@ class SyncEngine {
   }
 
   /**
-   * STEP 1: Sync recent posts (1-3 API calls)
+   * STEP 1: Sync recent posts of the member and of every connected company page
+   * (1 API call per author, charged to the posts quota by the client)
    */
   async syncRecentPosts(user) {
-    if (!this.canAfford(1)) {
-      console.log('⚠️  Insufficient budget for post sync, skipping');
-      return;
-    }
-
     console.log('📝 Syncing recent posts...');
 
-    try {
-      const response = await axios.get('https://api.linkedin.com/rest/posts', {
-        headers: {
-          'Authorization': `Bearer ${user.access_token}`,
-          'LinkedIn-Version': '202405',
-          'X-Restli-Protocol-Version': '2.0.0'
-        },
-        params: {
-          author: `urn:li:person:${user.sub}`,
+    const authors = [
+      { urn: organizations.memberUrn(user.sub), name: 'member' },
+      ...(await db.getOrganizations(user.sub)).map(o => ({ urn: o.organization_urn, name: o.name }))
+    ];
+
+    for (const author of authors) {
+      try {
+        const response = await linkedin.get(user.sub, '/rest/posts', {
+          author: author.urn,
           q: 'author',
           count: 10,
           sortBy: 'LAST_MODIFIED'
+        }, { feature: 'sync' });
+
+        const posts = response.data.elements || [];
+
+        for (const post of posts) {
+          await db.saveTrackedPost({
+            post_id: post.id,
+            user_sub: user.sub,
+            author_urn: author.urn.startsWith('urn:li:organization:') ? author.urn : null,
+            post_text: littleText.toPlainText(post.commentary),
+            posted_at: this.postedAt(post),
+            sync_priority: this.calculatePostPriority(post)
+          });
         }
-      });
 
-      await this.consumeAPI(1, '/rest/posts');
+        console.log(`✅ Saved ${posts.length} recent posts (${author.name})`);
 
-      const posts = response.data.elements || [];
-
-      for (const post of posts) {
-        await db.saveTrackedPost({
-          post_id: post.id,
-          user_sub: user.sub,
-          post_text: post.commentary || '',
-          posted_at: post.created?.time || Date.now() / 1000,
-          sync_priority: this.calculatePostPriority(post)
-        });
+      } catch (error) {
+        console.error(`❌ Failed to sync posts (${author.name}):`, error.message);
       }
-
-      console.log(`✅ Saved ${posts.length} recent posts`);
-
-    } catch (error) {
-      console.error('❌ Failed to sync posts:', error.message);
     }
   }
 
+  /**
+   * Creation time of a post in unix seconds (LinkedIn reports milliseconds)
+   */
+  postedAt(post) {
+    return Math.floor((post.createdAt || post.created?.time || Date.now()) / 1000);
+  }
+
   /**
    * Calculate post sync priority (recent = higher)
    */
   calculatePostPriority(post) {
-    const ageInDays = (Date.now() / 1000 - (post.created?.time || 0)) / 86400;
+    const ageInDays = (Date.now() / 1000 - this.postedAt(post)) / 86400;
 
     if (ageInDays < 1) return 100;
     if (ageInDays < 7) return 80;
@@ -342,13 +354,13 @@ class SyncEngine {
     for (const post of posts) {
       if (!this.canAfford(1)) break;
 
-      // Get engagement for this post
-      const engagement = await this.fetchPostEngagement(user.access_token, post.post_id);
+      // Get engagement for this post (may span several pages)
+      const engagement = await this.fetchPostEngagement(user.sub, post.post_id);
 
-      await this.consumeAPI(1, '/rest/socialActions');
+      await this.consumeAPI(engagement.requestCount);
 
       // Save engagement events for this connection
-      await this.processEngagementForConnection(connectionId, post.post_id, engagement);
+      await this.processEngagementForConnection(connectionId, post.post_id, engagement.elements);
     }
 
     // Update engagement summary for this connection
@@ -358,26 +370,16 @@ class SyncEngine {
   /**
    * Fetch engagement for a post
    */
-  async fetchPostEngagement(accessToken, postId) {
+  async fetchPostEngagement(userSub, postId) {
     try {
-      const response = await axios.get('https://api.linkedin.com/rest/socialActions', {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'LinkedIn-Version': '202405',
-          'X-Restli-Protocol-Version': '2.0.0'
-        },
-        params: {
-          q: 'entity',
-          entity: postId,
-          count: 100
-        }
-      });
-
-      return response.data.elements || [];
+      return await linkedin.getAll(userSub, '/rest/socialActions', {
+        q: 'entity',
+        entity: postId
+      }, { pageSize: 100, maxPages: 5, feature: 'sync' });
 
     } catch (error) {
       console.error(`Failed to fetch engagement for post ${postId}:`, error.message);
-      return [];
+      return { elements: [], total: null, requestCount: 1, complete: false };
     }
   }
 
@@ -414,7 +416,7 @@ class SyncEngine {
   async calculateInsights(userSub) {
     console.log('💡 Calculating network insights...');
 
-    const today = new Date().toISOString().split('T')[0];
+    const today = this.today || timezone.localDate(Date.now() / 1000, (await db.getUserLocale(userSub)).timezone);
 
     // Get AI-relevant active connections
     const topEngagers = await db.getTopEngagers(userSub, 10, true); // AI-relevant only
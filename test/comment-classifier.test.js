@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const classifier = require('../comment-classifier');
+
+const sentimentOf = text => classifier.classify(text).sentiment;
+
+test('idioms with a negation word are not negations', () => {
+  assert.strictEqual(sentimentOf('No doubt, great post!'), 'positive');
+  assert.strictEqual(sentimentOf('Nothing but love for this'), 'positive');
+});
+
+test('a negation ends at clause punctuation and contrast words', () => {
+  assert.strictEqual(sentimentOf('Not sure about the title. Great read'), 'positive');
+  assert.strictEqual(sentimentOf('Not cheap but excellent'), 'positive');
+});
+
+test('a negation still flips the words right after it', () => {
+  assert.strictEqual(sentimentOf('This is not helpful'), 'negative');
+  assert.strictEqual(sentimentOf('Never a bad idea'), 'positive');
+});
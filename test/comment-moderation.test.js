@@ -0,0 +1,42 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const moderation = require('../comment-moderation');
+
+const regexRule = pattern => ({ name: 'rule', type: 'regex', pattern });
+
+test('regex rules that can backtrack catastrophically are rejected', () => {
+  for (const pattern of ['(a+)+$', '(a*)*', '(x?x?)+y', '(a{0,3})*', '((ab)+c)+', '(\\w|\\d)+$', '(x)\\1', '(?<n>a)\\k<n>']) {
+    assert.throws(() => moderation.parseRule(regexRule(pattern)), { status: 400 }, pattern);
+  }
+});
+
+test('regex rules without nested repetition are accepted', () => {
+  for (const pattern of ['free (money|cash)', '(https?|www)\\S+', '[(+]+a', 'a{2,}b', '(?:ab)+', '(a)?b+', '\\d+(\\.\\d+)?%', '(ab?){1}c']) {
+    assert.strictEqual(moderation.parseRule(regexRule(pattern)).pattern, pattern);
+  }
+});
+
+test('unsafeRegexReason names the problem', () => {
+  assert.match(moderation.unsafeRegexReason('(a+)+'), /nested quantifiers/);
+  assert.match(moderation.unsafeRegexReason('(a|ab)*'), /repeated alternations/);
+  assert.match(moderation.unsafeRegexReason('(a)\\1'), /backreferences/);
+  assert.strictEqual(moderation.unsafeRegexReason('^great post'), null);
+});
+
+test('a regex rule that runs too long stops without a match', () => {
+  // Polynomial, not nested: the save-time check lets it through, the time budget stops it
+  const pattern = `${'\\d*'.repeat(12)}x`;
+  assert.strictEqual(moderation.unsafeRegexReason(pattern), null);
+  const match = moderation.matcherOf(regexRule(pattern));
+  const started = Date.now();
+  assert.strictEqual(match({ comment_id: 'c1', text: '1'.repeat(40) }), null);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('a regex rule reports what it matched', () => {
+  const match = moderation.matcherOf(regexRule('buy (now|today)'));
+  assert.match(match({ text: 'Please BUY NOW' }), /"BUY NOW"/);
+  assert.strictEqual(match({ text: 'nice post' }), null);
+});
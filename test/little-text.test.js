@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const littleText = require('../little-text');
+
+const commentaryOf = (content, options) => littleText.format(content, options).commentary;
+
+test('every reserved character is escaped with a backslash', () => {
+  for (const char of '|{}@[]()<>#\\*_~') {
+    assert.strictEqual(littleText.escape(char), `\\${char}`, char);
+  }
+  assert.strictEqual(littleText.escape('plain text, 100% & more!'), 'plain text, 100% & more!');
+});
+
+test('text with reserved characters arrives unchanged', () => {
+  const content = 'C++ (beta) <3 ~ *not bold* _x_ a|b {c} [d]';
+  const commentary = commentaryOf(content);
+  assert.strictEqual(commentary, 'C++ \\(beta\\) \\<3 \\~ \\*not bold\\* \\_x\\_ a\\|b \\{c\\} \\[d\\]');
+  assert.strictEqual(littleText.toPlainText(commentary), content);
+});
+
+test('hashtags need a word start and a letter', () => {
+  const result = littleText.format('Ship it #launch_2026, C# and #1 stay text');
+  assert.strictEqual(result.commentary, 'Ship it {hashtag|\\#|launch\\_2026}, C\\# and \\#1 stay text');
+  assert.deepStrictEqual(result.hashtags, ['launch_2026']);
+});
+
+test('composer mention tokens are kept and their names escaped', () => {
+  const result = littleText.format('Thanks @[Ana (PM)](urn:li:person:abc-1)!');
+  assert.strictEqual(result.commentary, 'Thanks @[Ana \\(PM\\)](urn:li:person:abc-1)!');
+  assert.deepStrictEqual(result.mentions, [{ name: 'Ana (PM)', urn: 'urn:li:person:abc-1' }]);
+});
+
+test('a token with an invalid URN is escaped as text', () => {
+  const result = littleText.format('@[Ana](urn:li:group:1)');
+  assert.strictEqual(result.commentary, '\\@\\[Ana\\]\\(urn:li:group:1\\)');
+  assert.deepStrictEqual(result.mentions, []);
+});
+
+test('"@Name" of a known connection becomes a mention, longest name first', () => {
+  const mentionables = [
+    { name: 'Anna Maria', urn: 'urn:li:person:short' },
+    { name: 'Anna Maria Lee', urn: 'urn:li:person:long' }
+  ];
+  assert.strictEqual(
+    commentaryOf('Hi @anna maria lee and @Anna Marias', { mentionables }),
+    'Hi @[Anna Maria Lee](urn:li:person:long) and \\@Anna Marias'
+  );
+});
+
+test('commentary splits into text, mention and hashtag segments', () => {
+  const commentary = commentaryOf('Hi @[Ana](urn:li:person:a1) \\o/ #news');
+  assert.deepStrictEqual(littleText.toSegments(commentary), [
+    { type: 'text', text: 'Hi ' },
+    { type: 'mention', text: 'Ana', urn: 'urn:li:person:a1' },
+    { type: 'text', text: ' \\o/ ' },
+    { type: 'hashtag', text: '#news' }
+  ]);
+});
@@ -0,0 +1,71 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const postLint = require('../post-lint');
+
+const codesOf = (content, options) => postLint.lint(content, options).warnings.map(warning => warning.code);
+
+test('text folds after 210 characters or three lines', () => {
+  const short = postLint.lint('a'.repeat(210));
+  assert.strictEqual(short.truncated, false);
+  assert.ok(!codesOf('a'.repeat(210)).includes('truncated'));
+
+  const long = postLint.lint('a'.repeat(211));
+  assert.strictEqual(long.fold, 210);
+  assert.strictEqual(long.truncated, true);
+
+  const lines = postLint.lint('one\ntwo\nthree\nfour');
+  assert.strictEqual(lines.fold, 'one\ntwo\nthree'.length);
+  assert.strictEqual(lines.warnings[0].visible_text, 'one\ntwo\nthree');
+});
+
+test('more than five hashtags warn', () => {
+  assert.ok(!codesOf('#a1 #b #c #d #e').includes('too_many_hashtags'));
+  assert.ok(codesOf('#a #b #c #d #e #f').includes('too_many_hashtags'));
+});
+
+test('links in the body are reported without trailing punctuation', () => {
+  const result = postLint.lint('Read https://example.com/post. Or www.example.org!');
+  assert.deepStrictEqual(result.links, ['https://example.com/post', 'www.example.org']);
+  assert.ok(codesOf('Read https://example.com/post').includes('links_in_body'));
+});
+
+test('three ALL-CAPS words in a row warn, two do not', () => {
+  assert.ok(!codesOf('The NASA API is great').includes('all_caps'));
+  const warnings = postLint.lint('This is BIG NEWS TODAY for us').warnings.filter(w => w.code === 'all_caps');
+  assert.deepStrictEqual(warnings.map(w => w.text), ['BIG NEWS TODAY']);
+});
+
+test('near-duplicates of recent posts warn from 80% similarity', () => {
+  const content = 'We are hiring engineers to build the future of scheduling tools';
+  const recentPosts = [
+    { id: 1, status: 'published', content },
+    { id: 2, status: 'pending', content: 'Something else entirely about our quarterly results today' }
+  ];
+  const duplicates = postLint.lint(content, { recentPosts }).warnings.filter(w => w.code === 'near_duplicate');
+  assert.deepStrictEqual(duplicates.map(w => [w.post_id, w.similarity]), [[1, 1]]);
+  assert.match(duplicates[0].message, /^Same text as your published post #1$/);
+});
+
+test('long hard prose is flagged, short or easy prose is not', () => {
+  const hard = 'Organizational transformation necessitates comprehensive institutional reconfiguration, ' +
+    'multidimensional stakeholder collaboration, continuous operational optimization and ' +
+    'sophisticated technological infrastructure modernization initiatives across international organizations';
+  assert.ok(codesOf(hard).includes('hard_to_read'));
+  assert.ok(!codesOf('Institutional reconfiguration necessitates collaboration').includes('hard_to_read'));
+
+  const easy = postLint.lint('We shipped it. It works. You can try it now. Tell us what you think of it.');
+  assert.strictEqual(easy.readability.label, 'easy');
+  assert.ok(!easy.warnings.some(w => w.code === 'hard_to_read'));
+});
+
+test('the preview shows mentions by name and splits out links', () => {
+  const { preview } = postLint.lint('Hi @[Ana](urn:li:person:a1), see https://example.com');
+  assert.deepStrictEqual(preview.segments, [
+    { type: 'text', text: 'Hi ' },
+    { type: 'mention', text: 'Ana', urn: 'urn:li:person:a1' },
+    { type: 'text', text: ', see ' },
+    { type: 'link', text: 'https://example.com' }
+  ]);
+});
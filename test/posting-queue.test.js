@@ -0,0 +1,126 @@
+process.env.DATABASE_PATH = ':memory:';
+// A low daily cap, so a few posts reach it
+process.env.DAILY_POST_LIMIT = '2';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const db = require('../database');
+const calendar = require('../calendar');
+const postingQueue = require('../posting-queue');
+const timezone = require('../timezone');
+
+const ZONE = 'America/New_York';
+// Monday 2026-01-05, 07:00 in New York
+const NOW = Date.UTC(2026, 0, 5, 12);
+
+// Slots as stored, from "weekday HH:MM" strings
+function slots(...specs) {
+  return postingQueue.parseSlots(specs.map(spec => {
+    const [weekday, time] = spec.split(' ');
+    return { weekday, time };
+  }));
+}
+
+function at(local) {
+  return timezone.parseDateTime(local, ZONE);
+}
+
+async function freeSlots(t, { postingSlots, blackouts = [], events = [], ...options }) {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  t.mock.method(db, 'getPostingSlots', async () => postingSlots);
+  t.mock.method(db, 'getBlackoutDates', async () => blackouts);
+  t.mock.method(calendar, 'getEvents', async () => events);
+
+  const found = await postingQueue.findFreeSlots('user-1', ZONE, options);
+  return found.map(time => timezone.toIsoString(time, ZONE));
+}
+
+test('slots take day numbers, names and abbreviations', () => {
+  assert.deepStrictEqual(postingQueue.parseSlots([
+    { weekday: 2, time: '8:30' },
+    { weekday: 'thu', time: '17:05' },
+    { weekday: 'Saturday', time: '00:00' }
+  ]), [
+    { weekday: 2, minute_of_day: 510 },
+    { weekday: 4, minute_of_day: 1025 },
+    { weekday: 6, minute_of_day: 0 }
+  ]);
+
+  assert.throws(() => postingQueue.parseSlots([{ weekday: 't', time: '08:00' }]), /Invalid weekday/);
+  assert.throws(() => postingQueue.parseSlots([{ weekday: 7, time: '08:00' }]), /Invalid weekday/);
+  assert.throws(() => postingQueue.parseSlots([{ weekday: 'mo', time: '24:00' }]), /Invalid time/);
+  assert.throws(() => postingQueue.parseSlots({}), { status: 400 });
+});
+
+test('a blackout is one day unless it has an end date', () => {
+  assert.deepStrictEqual(postingQueue.parseBlackout({ start_date: '2026-12-24' }),
+    { start_date: '2026-12-24', end_date: '2026-12-24', label: null });
+  assert.throws(() => postingQueue.parseBlackout({ start_date: '2026-12-24', end_date: '2026-12-23' }), /before start_date/);
+  assert.throws(() => postingQueue.parseBlackout({ start_date: '2026-13-01' }), /YYYY-MM-DD/);
+});
+
+test('slots in the past or within the lead time are skipped', async t => {
+  const found = await freeSlots(t, { postingSlots: slots('mo 06:00', 'mo 07:04', 'mo 07:06', 'tu 09:00'), count: 2 });
+  assert.deepStrictEqual(found, ['2026-01-05T07:06:00-05:00', '2026-01-06T09:00:00-05:00']);
+});
+
+test('blackout dates are skipped in the local calendar', async t => {
+  const found = await freeSlots(t, {
+    postingSlots: slots('mo 09:00', 'tu 09:00', 'we 09:00'),
+    blackouts: [{ start_date: '2026-01-05', end_date: '2026-01-06' }],
+    count: 1
+  });
+  assert.deepStrictEqual(found, ['2026-01-07T09:00:00-05:00']);
+});
+
+test('a post within 30 minutes of a slot takes it', async t => {
+  const found = await freeSlots(t, {
+    postingSlots: slots('mo 09:00', 'mo 12:00'),
+    events: [
+      { post_id: 1, status: 'pending', start: at('2026-01-05T08:31') },
+      { post_id: 2, status: 'failed', start: at('2026-01-05T12:00') }
+    ],
+    count: 1
+  });
+  // Failed posts take no room
+  assert.deepStrictEqual(found, ['2026-01-05T12:00:00-05:00']);
+});
+
+test('a post exactly 30 minutes away leaves the slot free', async t => {
+  const found = await freeSlots(t, {
+    postingSlots: slots('mo 09:00'),
+    events: [{ post_id: 3, status: 'upcoming', start: at('2026-01-05T08:30') }],
+    count: 1
+  });
+  assert.deepStrictEqual(found, ['2026-01-05T09:00:00-05:00']);
+});
+
+test('a day at the daily cap gets no more slots', async t => {
+  const found = await freeSlots(t, {
+    postingSlots: slots('mo 09:00', 'mo 12:00', 'mo 15:00', 'tu 09:00'),
+    events: [{ post_id: 1, status: 'published', start: at('2026-01-05T06:00') }],
+    count: 3
+  });
+  // One post plus one slot reaches the cap of 2 on Monday
+  assert.deepStrictEqual(found, ['2026-01-05T09:00:00-05:00', '2026-01-06T09:00:00-05:00', '2026-01-12T09:00:00-05:00']);
+});
+
+test('ignored posts free their slot and reserved times take one', async t => {
+  const found = await freeSlots(t, {
+    postingSlots: slots('mo 09:00', 'mo 12:00', 'tu 09:00'),
+    events: [{ post_id: 7, status: 'pending', start: at('2026-01-05T09:00') }],
+    ignorePostIds: ['7'],
+    reserved: [at('2026-01-05T12:10')],
+    count: 2
+  });
+  assert.deepStrictEqual(found, ['2026-01-05T09:00:00-05:00', '2026-01-06T09:00:00-05:00']);
+});
+
+test('slots keep their wall-clock time across a DST change', async t => {
+  const found = await freeSlots(t, {
+    postingSlots: slots('su 09:00'),
+    blackouts: [{ start_date: '2026-01-01', end_date: '2026-03-01' }],
+    count: 2
+  });
+  assert.deepStrictEqual(found, ['2026-03-08T09:00:00-04:00', '2026-03-15T09:00:00-04:00']);
+});
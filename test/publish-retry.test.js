@@ -0,0 +1,99 @@
+process.env.DATABASE_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const tokenManager = require('../token-manager');
+const publishRetry = require('../publish-retry');
+
+// An axios-like error with an HTTP response
+function httpError(status, { headers = {}, message } = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.isAxiosError = true;
+  error.response = { status, headers, data: message ? { message } : {} };
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(`connect ${code}`);
+  error.isAxiosError = true;
+  error.code = code;
+  return error;
+}
+
+const pick = ({ transient, ambiguous, reason }) => ({ transient, ambiguous, reason });
+
+test('5xx, 408 and 429 are transient; 5xx and 408 are ambiguous', () => {
+  assert.deepStrictEqual(pick(publishRetry.classify(httpError(503))), { transient: true, ambiguous: true, reason: 'http_503' });
+  assert.deepStrictEqual(pick(publishRetry.classify(httpError(408))), { transient: true, ambiguous: true, reason: 'http_408' });
+  assert.deepStrictEqual(pick(publishRetry.classify(httpError(429))), { transient: true, ambiguous: false, reason: 'rate_limited' });
+});
+
+test('Retry-After is read as seconds or an HTTP date', t => {
+  assert.strictEqual(publishRetry.classify(httpError(429, { headers: { 'retry-after': '120' } })).retryAfterSeconds, 120);
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 0, 5, 12) });
+  const date = new Date(Date.UTC(2026, 0, 5, 12, 5)).toUTCString();
+  assert.strictEqual(publishRetry.classify(httpError(503, { headers: { 'retry-after': date } })).retryAfterSeconds, 300);
+  assert.strictEqual(publishRetry.classify(httpError(503, { headers: { 'retry-after': 'soon' } })).retryAfterSeconds, null);
+});
+
+test('network errors are transient; only unsent ones are unambiguous', () => {
+  for (const code of ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE']) {
+    assert.deepStrictEqual(pick(publishRetry.classify(networkError(code))), { transient: true, ambiguous: true, reason: 'network' }, code);
+  }
+  for (const code of ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']) {
+    assert.deepStrictEqual(pick(publishRetry.classify(networkError(code))), { transient: true, ambiguous: false, reason: 'network' }, code);
+  }
+});
+
+test('spent quota and media still processing are transient and unambiguous', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 0, 5, 12) });
+  const quota = Object.assign(new Error('Daily quota exceeded'), {
+    code: 'QUOTA_EXCEEDED',
+    quota: { resetAt: new Date(Date.UTC(2026, 0, 6)).toISOString() }
+  });
+  assert.deepStrictEqual(publishRetry.classify(quota), {
+    transient: true,
+    ambiguous: false,
+    reason: 'quota_exceeded',
+    httpStatus: null,
+    message: 'Daily quota exceeded',
+    retryAfterSeconds: 12 * 60 * 60
+  });
+
+  const processing = Object.assign(new Error('Image still processing'), { code: 'MEDIA_PROCESSING' });
+  assert.deepStrictEqual(pick(publishRetry.classify(processing)), { transient: true, ambiguous: false, reason: 'media_processing' });
+});
+
+test('other 4xx, re-authentication and plain errors are permanent', () => {
+  const invalid = publishRetry.classify(httpError(422, { message: 'Invalid commentary' }));
+  assert.deepStrictEqual(pick(invalid), { transient: false, ambiguous: false, reason: 'http_422' });
+  assert.strictEqual(invalid.message, 'Invalid commentary');
+  assert.strictEqual(invalid.httpStatus, 422);
+
+  assert.deepStrictEqual(pick(publishRetry.classify(tokenManager.reauthError('token revoked'))),
+    { transient: false, ambiguous: false, reason: 'reauth_required' });
+  assert.deepStrictEqual(pick(publishRetry.classify(new Error('Post content is empty'))),
+    { transient: false, ambiguous: false, reason: 'error' });
+});
+
+test('the cause of a wrapping error is classified', () => {
+  const wrapped = new Error('Image upload failed', { cause: networkError('ECONNRESET') });
+  assert.deepStrictEqual(pick(publishRetry.classify(wrapped)), { transient: true, ambiguous: true, reason: 'network' });
+  assert.strictEqual(publishRetry.classify(wrapped).message, 'Image upload failed');
+
+  const coded = Object.assign(new Error('Image rejected', { cause: httpError(503) }), { code: 'INVALID_MEDIA' });
+  assert.strictEqual(publishRetry.classify(coded).transient, false);
+});
+
+test('retries back off exponentially, honor Retry-After and stop after the last attempt', t => {
+  const now = Date.UTC(2026, 0, 5, 12);
+  t.mock.timers.enable({ apis: ['Date'], now });
+  t.mock.method(Math, 'random', () => 0);
+  const delay = (...args) => publishRetry.nextRetryAt(...args) - now / 1000;
+
+  assert.deepStrictEqual([1, 2, 3, 4].map(attempt => delay(attempt)), [60, 120, 240, 480]);
+  assert.strictEqual(delay(1, 900), 900);
+  assert.strictEqual(delay(3, 30), 240);
+  assert.strictEqual(publishRetry.nextRetryAt(publishRetry.MAX_ATTEMPTS), null);
+});
@@ -0,0 +1,33 @@
+// Runs the server in UTC so series zones other than the server's are exercised
+process.env.TZ = 'UTC';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const recurrence = require('../recurrence');
+const timezone = require('../timezone');
+
+const ZONE = 'America/Los_Angeles';
+const dtstart = timezone.fromWallClock({ year: 2026, month: 11, day: 28, hour: 17 }, ZONE);
+
+function localDates(rrule) {
+  const rule = recurrence.parseRule(rrule, ZONE);
+  return [...recurrence.occurrences(rule, dtstart, ZONE)].map(({ at }) => timezone.toIsoString(at, ZONE));
+}
+
+test('date-only UNTIL includes the whole last day in the series zone', () => {
+  assert.deepStrictEqual(localDates('FREQ=DAILY;UNTIL=20261130'), [
+    '2026-11-28T17:00:00-08:00',
+    '2026-11-29T17:00:00-08:00',
+    '2026-11-30T17:00:00-08:00'
+  ]);
+});
+
+test('UNTIL without Z is a wall-clock time in the series zone', () => {
+  assert.strictEqual(localDates('FREQ=DAILY;UNTIL=20261130T170000').length, 3);
+  assert.strictEqual(localDates('FREQ=DAILY;UNTIL=20261130T165959').length, 2);
+});
+
+test('UNTIL with Z stays UTC', () => {
+  // 2026-12-01T00:59:59Z is Nov 30 16:59:59 in Los Angeles
+  assert.strictEqual(localDates('FREQ=DAILY;UNTIL=20261201T005959Z').length, 2);
+});
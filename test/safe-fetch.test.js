@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const http = require('http');
+
+// Redirects are served by a local server standing in as the sandbox mock server
+const server = http.createServer((req, res) => {
+  const { port } = server.address();
+  const redirects = {
+    '/relative': '/ok',
+    '/loop': '/loop',
+    '/loopback': `http://127.0.0.1:${port}/ok`,
+    '/mapped': `http://[::ffff:127.0.0.1]:${port}/ok`
+  };
+
+  if (req.url === '/ok') {
+    res.end('ok');
+  } else if (redirects[req.url]) {
+    res.writeHead(302, { Location: redirects[req.url] }).end();
+  } else {
+    res.writeHead(302).end();
+  }
+});
+
+let safeFetch;
+let origin;
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, 'localhost', resolve));
+  process.env.SANDBOX = '1';
+  process.env.SANDBOX_PORT = String(server.address().port);
+  origin = `http://localhost:${server.address().port}`;
+  safeFetch = require('../safe-fetch');
+});
+
+test.after(() => server.close());
+
+test('private, loopback and reserved addresses are not public', () => {
+  for (const address of [
+    '0.0.0.0', '10.1.2.3', '100.64.0.1', '127.0.0.1', '127.255.255.254', '169.254.169.254', '172.16.0.1',
+    '192.168.1.1', '198.18.0.1', '224.0.0.1', '255.255.255.255',
+    '::', '::1', 'fe80::1', 'fc00::1', 'fd00::1', 'ff02::1', 'not-an-ip'
+  ]) {
+    assert.strictEqual(safeFetch.isPublicAddress(address), false, address);
+  }
+  for (const address of ['8.8.8.8', '1.1.1.1', '172.32.0.1', '100.128.0.1', '2606:4700::1111', '2a00:1450:4001::1']) {
+    assert.strictEqual(safeFetch.isPublicAddress(address), true, address);
+  }
+});
+
+test('IPv4-mapped IPv6 addresses are checked as IPv4', () => {
+  for (const address of ['::ffff:127.0.0.1', '::FFFF:10.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe']) {
+    assert.strictEqual(safeFetch.isPublicAddress(address), false, address);
+  }
+  assert.strictEqual(safeFetch.isPublicAddress('::ffff:8.8.8.8'), true);
+});
+
+test('URLs with private IP literals or other protocols are refused', async () => {
+  for (const url of [
+    'http://127.0.0.1/', 'http://2130706433/', 'http://0x7f.0.0.1/', 'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/', 'https://169.254.169.254/latest/meta-data', 'http://[fd00::1]:8080/'
+  ]) {
+    await assert.rejects(safeFetch.assertPublicUrl(url), { code: 'ADDRESS_NOT_ALLOWED', status: 400 }, url);
+  }
+  await assert.rejects(safeFetch.assertPublicUrl('ftp://8.8.8.8/file'), /Only HTTP and HTTPS/);
+  await assert.rejects(safeFetch.assertPublicUrl('file:///etc/passwd'), /Only HTTP and HTTPS/);
+  assert.strictEqual(await safeFetch.assertPublicUrl('https://8.8.8.8/'), false);
+});
+
+test('host names must resolve to public addresses only', async t => {
+  t.mock.method(dns.promises, 'lookup', async () => [
+    { address: '93.184.216.34', family: 4 },
+    { address: '10.0.0.5', family: 4 }
+  ]);
+  await assert.rejects(safeFetch.assertPublicUrl('https://example.com/'), { code: 'ADDRESS_NOT_ALLOWED' });
+});
+
+test('the address is checked again when the socket connects', async t => {
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+  await assert.rejects(safeFetch.get('http://rebinding.example/'), { code: 'ADDRESS_NOT_ALLOWED' });
+});
+
+test('relative redirects are followed', async () => {
+  const { url, response } = await safeFetch.get(`${origin}/relative`);
+  assert.strictEqual(url, `${origin}/ok`);
+  assert.strictEqual(response.data, 'ok');
+});
+
+test('redirects to private addresses are refused', async () => {
+  await assert.rejects(safeFetch.get(`${origin}/loopback`), { code: 'ADDRESS_NOT_ALLOWED' });
+  await assert.rejects(safeFetch.get(`${origin}/mapped`), { code: 'ADDRESS_NOT_ALLOWED' });
+});
+
+test('redirect loops and redirects without a location fail', async () => {
+  await assert.rejects(safeFetch.get(`${origin}/loop`), /More than 5 redirects/);
+  await assert.rejects(safeFetch.get(`${origin}/missing`), /HTTP 302 without a redirect location/);
+});
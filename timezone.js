@@ -0,0 +1,216 @@
+/**
+ * Time Zones and Locales
+ *
+ * Each user has an IANA time zone and a locale (BCP 47). Scheduling input without
+ * an explicit offset, "today" limits, analytics weeks and the daily sync use the
+ * user's zone; API responses carry ISO times with explicit UTC offsets.
+ *
+ * Built on Intl. Wall-clock times skipped by a DST change move forward by the
+ * gap, repeated ones resolve to the earlier instant.
+ */
+
+const SERVER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+// Users who have not chosen a zone keep the server's, as before per-user zones
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || SERVER_TIMEZONE;
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en-US';
+
+const DAY = 24 * 60 * 60;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+// Date, or date and time, without a zone designator
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+const formatters = new Map();
+
+function formatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Canonical name of an IANA zone (e.g. "europe/berlin" -> "Europe/Berlin"), or null when unknown
+ */
+function normalizeTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return null;
+  try {
+    return formatter(timezone).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Canonical form of a locale tag (e.g. "en-gb" -> "en-GB"), or null when invalid
+ */
+function normalizeLocale(locale) {
+  if (typeof locale !== 'string' || !locale) return null;
+  try {
+    return Intl.getCanonicalLocales(locale)[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a zone (month 1-12, weekday 0 = Sunday)
+ */
+function wallClock(seconds, timezone) {
+  const parts = {};
+  for (const { type, value } of formatter(timezone).formatToParts(new Date(seconds * 1000))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * Offset from UTC in minutes (east positive) of a zone at an instant
+ */
+function offsetMinutes(seconds, timezone) {
+  const wall = wallClock(Math.floor(seconds), timezone);
+  const wallSeconds = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second) / 1000;
+  return Math.round((wallSeconds - Math.floor(seconds)) / 60);
+}
+
+/**
+ * Unix seconds of a wall-clock time in a zone. Fields may overflow
+ * (day 32, hour 25...) and are normalized like Date.UTC does.
+ */
+function fromWallClock({ year, month, day = 1, hour = 0, minute = 0, second = 0 }, timezone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second) / 1000;
+
+  // The zone's offset just before and after this time; at most one change per day
+  const offsets = [...new Set([offsetMinutes(wall - DAY, timezone), offsetMinutes(wall + DAY, timezone)])];
+  const candidates = offsets.map(offset => wall - offset * 60);
+  const valid = candidates.filter(at => offsetMinutes(at, timezone) * 60 === wall - at);
+
+  // None valid: the time falls in a DST gap, use the offset from before it
+  return valid.length > 0 ? Math.min(...valid) : Math.max(...candidates);
+}
+
+/**
+ * "+02:00" style offset
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Local calendar date (YYYY-MM-DD) of an instant in a zone
+ */
+function localDate(seconds, timezone) {
+  const wall = wallClock(seconds, timezone);
+  return `${wall.year}-${pad(wall.month)}-${pad(wall.day)}`;
+}
+
+/**
+ * ISO 8601 time with the zone's UTC offset, e.g. "2026-03-02T09:00:00-05:00"
+ * @returns {string|null} null for a missing time
+ */
+function toIsoString(seconds, timezone) {
+  if (!seconds) return null;
+
+  const wall = wallClock(seconds, timezone);
+  return `${wall.year}-${pad(wall.month)}-${pad(wall.day)}T${pad(wall.hour)}:${pad(wall.minute)}:${pad(wall.second)}` +
+    formatOffset(offsetMinutes(seconds, timezone));
+}
+
+/**
+ * Start (unix seconds) of the local day containing an instant
+ */
+function startOfDay(timezone, seconds = Date.now() / 1000) {
+  const { year, month, day } = wallClock(seconds, timezone);
+  return fromWallClock({ year, month, day }, timezone);
+}
+
+/**
+ * Start of the local week (Monday) containing an instant
+ */
+function startOfWeek(timezone, seconds = Date.now() / 1000) {
+  const { year, month, day, weekday } = wallClock(seconds, timezone);
+  return fromWallClock({ year, month, day: day - (weekday + 6) % 7 }, timezone);
+}
+
+/**
+ * Start of the local month containing an instant, and of the next one
+ */
+function monthBounds(timezone, seconds = Date.now() / 1000) {
+  const { year, month } = wallClock(seconds, timezone);
+  return {
+    start: fromWallClock({ year, month }, timezone),
+    end: fromWallClock({ year, month: month + 1 }, timezone)
+  };
+}
+
+/**
+ * Parse a time given by a user. Values with "Z" or an offset are absolute;
+ * "YYYY-MM-DDTHH:mm[:ss]" and "YYYY-MM-DD" are wall-clock times in the zone.
+ * @returns {number} Unix seconds, NaN when invalid
+ */
+function parseDateTime(value, timezone) {
+  if (value === null || value === undefined || value === '') return NaN;
+
+  const match = LOCAL_DATE_TIME.exec(String(value).trim());
+  if (match) {
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(part => part === undefined ? undefined : parseInt(part));
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) return NaN;
+    return fromWallClock({ year, month, day, hour, minute, second }, timezone);
+  }
+
+  const time = new Date(value).getTime();
+  return isNaN(time) ? NaN : Math.floor(time / 1000);
+}
+
+/**
+ * Zone, locale and current UTC offset as returned by the API
+ */
+function describe(timezone, locale, seconds = Date.now() / 1000) {
+  return {
+    timezone,
+    locale,
+    utc_offset: formatOffset(offsetMinutes(seconds, timezone)),
+    local_time: toIsoString(Math.floor(seconds), timezone)
+  };
+}
+
+module.exports = {
+  SERVER_TIMEZONE,
+  DEFAULT_TIMEZONE,
+  DEFAULT_LOCALE,
+  normalizeTimezone,
+  normalizeLocale,
+  wallClock,
+  offsetMinutes,
+  fromWallClock,
+  formatOffset,
+  localDate,
+  toIsoString,
+  startOfDay,
+  startOfWeek,
+  monthBounds,
+  parseDateTime,
+  describe
+};
@@ -0,0 +1,172 @@
+/**
+ * LinkedIn Access Token Manager
+ *
+ * Shared by the scheduler, worker and sync engine:
+ * - Refreshes access tokens shortly before they expire
+ * - Persists renewed tokens through db.updateUserToken
+ * - Retries a call once after a 401 with a freshly refreshed token
+ * - Flags the user as "reauth required" only when LinkedIn rejects the refresh
+ *   token (invalid_grant or another 4xx); network errors, 5xx, 408 and 429 are
+ *   rethrown unchanged for the caller's retry policy
+ */
+
+const axios = require('axios');
+const db = require('./database');
+const { LINKEDIN_TOKEN_URL, LINKEDIN_CLIENT_ID, LINKEDIN_CLIENT_SECRET } = require('./linkedin-config');
+
+// Refresh tokens that expire within the next 24 hours
+const REFRESH_MARGIN_SECONDS = 24 * 60 * 60;
+
+class TokenManager {
+  constructor() {
+    // In-flight refreshes per user, so concurrent callers share one request
+    this.refreshing = new Map();
+  }
+
+  /**
+   * Build the error thrown when the user has to sign in again
+   */
+  reauthError(reason) {
+    const error = new Error(`LinkedIn re-authentication required: ${reason}`);
+    error.code = 'REAUTH_REQUIRED';
+    return error;
+  }
+
+  isReauthError(error) {
+    return error?.code === 'REAUTH_REQUIRED';
+  }
+
+  /**
+   * Load a user with a usable access token, refreshing it if it is about to expire
+   */
+  async getValidUser(userSub) {
+    const user = await db.getUser(userSub);
+
+    if (!user || !user.access_token) {
+      throw this.reauthError('no access token stored');
+    }
+
+    if (user.reauth_required) {
+      throw this.reauthError(user.reauth_reason || 'token refresh failed');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (user.token_expires_at && user.token_expires_at - REFRESH_MARGIN_SECONDS < now) {
+      // Without a refresh token we can keep using the token until it actually expires
+      if (!user.refresh_token && user.token_expires_at > now) {
+        return user;
+      }
+      return await this.refresh(user);
+    }
+
+    return user;
+  }
+
+  /**
+   * Exchange the stored refresh token for a new access token
+   */
+  async refresh(user) {
+    if (this.refreshing.has(user.sub)) {
+      return this.refreshing.get(user.sub);
+    }
+
+    const promise = this.performRefresh(user)
+      .finally(() => this.refreshing.delete(user.sub));
+
+    this.refreshing.set(user.sub, promise);
+    return promise;
+  }
+
+  async performRefresh(user) {
+    if (!user.refresh_token) {
+      throw await this.markReauthRequired(user.sub, 'access token expired and no refresh token is stored');
+    }
+
+    console.log(`🔄 Refreshing LinkedIn access token for ${user.sub}`);
+
+    let tokens;
+    try {
+      const response = await axios.post(LINKEDIN_TOKEN_URL, null, {
+        params: {
+          grant_type: 'refresh_token',
+          refresh_token: user.refresh_token,
+          client_id: LINKEDIN_CLIENT_ID,
+          client_secret: LINKEDIN_CLIENT_SECRET
+        },
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+      tokens = response.data;
+    } catch (error) {
+      if (!this.isRejectedRefresh(error)) {
+        throw error;
+      }
+      const reason = error.response.data?.error_description || error.response.data?.error || error.message;
+      throw await this.markReauthRequired(user.sub, `token refresh failed (${reason})`);
+    }
+
+    if (!tokens?.access_token) {
+      throw await this.markReauthRequired(user.sub, 'token refresh returned no access token');
+    }
+
+    await db.updateUserToken(
+      user.sub,
+      tokens.access_token,
+      tokens.expires_in,
+      tokens.refresh_token || null,
+      tokens.refresh_token_expires_in || null
+    );
+
+    await db.logActivity(user.sub, 'TOKEN_REFRESH', { expiresIn: tokens.expires_in }, 'success')
+      .catch(console.error);
+
+    console.log(`✓ Access token refreshed for ${user.sub}`);
+
+    return await db.getUser(user.sub);
+  }
+
+  /**
+   * Whether the token endpoint refused the refresh token itself, as opposed to
+   * a transient failure (network error, 5xx, 408, 429) that may succeed on retry
+   */
+  isRejectedRefresh(error) {
+    const status = error.response?.status;
+    if (error.response?.data?.error === 'invalid_grant') return true;
+    return status >= 400 && status < 500 && status !== 408 && status !== 429;
+  }
+
+  /**
+   * Persist the reauth flag and return the error for the caller to throw
+   */
+  async markReauthRequired(userSub, reason) {
+    console.error(`✗ ${userSub} must re-authenticate with LinkedIn: ${reason}`);
+
+    await db.markUserReauthRequired(userSub, reason);
+    await db.logActivity(userSub, 'TOKEN_REFRESH', { reason }, 'failed')
+      .catch(console.error);
+
+    return this.reauthError(reason);
+  }
+
+  /**
+   * Run an API call with a valid token, refreshing and retrying once on 401
+   */
+  async withFreshToken(userSub, fn) {
+    const user = await this.getValidUser(userSub);
+
+    try {
+      return await fn(user);
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        throw error;
+      }
+
+      console.log(`Access token rejected for ${userSub}, refreshing and retrying once`);
+      const refreshedUser = await this.refresh(user);
+      return await fn(refreshedUser);
+    }
+  }
+}
+
+module.exports = new TokenManager();
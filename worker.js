@@ -1,5 +1,7 @@
-const axios = require('axios');
 const db = require('./database');
+const tokenManager = require('./token-manager');
+const linkedin = require('./linkedin-client');
+const apiQuota = require('./api-quota');
 
 class LinkedInWorker {
   constructor() {
@@ -51,35 +53,35 @@ class LinkedInWorker {
       console.log('Processing LinkedIn feed...');
 
       // Get user with valid token
-      const user = await this.getAuthenticatedUser();
-      if (!user) {
+      const authenticatedUser = await this.getAuthenticatedUser();
+      if (!authenticatedUser) {
         console.log('No authenticated user found');
         await db.setSetting('automation_enabled', 'false');
         this.stop();
         return;
       }
 
-      // Check token expiration
-      const now = Math.floor(Date.now() / 1000);
-      if (user.token_expires_at && user.token_expires_at < now) {
-        console.log('Access token expired');
-        // In production, implement token refresh here
-        await db.setSetting('automation_enabled', 'false');
-        this.stop();
-        return;
+      // Refresh the token if needed; skip this run if the user has to sign in again
+      let user;
+      try {
+        user = await tokenManager.getValidUser(authenticatedUser.sub);
+      } catch (error) {
+        if (tokenManager.isReauthError(error)) {
+          console.log('Re-authentication required, skipping feed processing');
+          return;
+        }
+        throw error;
       }
 
-      // Check daily limit
-      const todayCount = await db.getTodayReactionCount();
-      const dailyLimit = parseInt(await db.getSetting('daily_limit')) || 500;
-
-      if (todayCount >= dailyLimit) {
-        console.log(`Daily limit reached: ${todayCount}/${dailyLimit}`);
+      // Check the user's daily reactions quota
+      const quota = await apiQuota.getFamilyQuota(user.sub, 'reactions');
+      if (this.isQuotaSpent(quota)) {
+        console.log(`Daily reactions quota reached: ${quota.used}/${quota.limit}`);
         return;
       }
 
       // Fetch recent posts from feed
-      const posts = await this.fetchFeed(user.access_token);
+      const posts = await this.fetchFeed(user.sub);
       console.log(`Fetched ${posts.length} posts from feed`);
 
       // Process each post
@@ -101,12 +103,12 @@ class LinkedInWorker {
 
         // Check if should react
         if (await this.shouldReact(post)) {
-          await this.reactToPost(post, user.access_token);
+          await this.reactToPost(post, user.sub);
 
           // Check if we've hit the limit
-          const currentCount = await db.getTodayReactionCount();
-          if (currentCount >= dailyLimit) {
-            console.log('Daily limit reached during processing');
+          const currentQuota = await apiQuota.getFamilyQuota(user.sub, 'reactions');
+          if (this.isQuotaSpent(currentQuota)) {
+            console.log('Daily reactions quota reached during processing');
             break;
           }
         }
@@ -131,22 +133,16 @@ class LinkedInWorker {
     }
   }
 
-  async fetchFeed(accessToken) {
+  async fetchFeed(userSub) {
     try {
       // LinkedIn UGC Posts API endpoint
       // Note: This uses the /v2/shares endpoint which may require additional permissions
-      const response = await axios.get('https://api.linkedin.com/v2/shares', {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'X-Restli-Protocol-Version': '2.0.0'
-        },
-        params: {
-          q: 'owners',
-          owners: 'urn:li:person:CURRENT', // This needs to be replaced with actual person URN
-          count: 20,
-          sortBy: 'LAST_MODIFIED'
-        }
-      });
+      const response = await linkedin.get(userSub, '/v2/shares', {
+        q: 'owners',
+        owners: 'urn:li:person:CURRENT', // This needs to be replaced with actual person URN
+        count: 20,
+        sortBy: 'LAST_MODIFIED'
+      }, { feature: 'worker' });
 
       // Transform response to standard format
       const posts = [];
@@ -170,27 +166,21 @@ class LinkedInWorker {
       if (error.response?.status === 404) {
         console.log('Using alternative feed endpoint...');
         // Fallback: Try to get user's own posts
-        return await this.fetchUserPosts(accessToken);
+        return await this.fetchUserPosts(userSub);
       }
       throw error;
     }
   }
 
-  async fetchUserPosts(accessToken) {
+  async fetchUserPosts(userSub) {
     // Alternative: Fetch user's own posts as a fallback
     // In production, you would use the correct LinkedIn API endpoints
     try {
-      const response = await axios.get('https://api.linkedin.com/v2/ugcPosts', {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'X-Restli-Protocol-Version': '2.0.0'
-        },
-        params: {
-          q: 'authors',
-          authors: 'urn:li:person:CURRENT',
-          count: 10
-        }
-      });
+      const response = await linkedin.get(userSub, '/v2/ugcPosts', {
+        q: 'authors',
+        authors: 'urn:li:person:CURRENT',
+        count: 10
+      }, { feature: 'worker' });
 
       const posts = [];
       if (response.data.elements) {
@@ -253,7 +243,7 @@ class LinkedInWorker {
     return true;
   }
 
-  async reactToPost(post, accessToken) {
+  async reactToPost(post, userSub) {
     try {
       // Get reaction type preference
       const reactionTypesStr = await db.getSetting('reaction_types');
@@ -262,23 +252,11 @@ class LinkedInWorker {
       // Pick a random reaction type from preferences
       const reactionType = reactionTypes[Math.floor(Math.random() * reactionTypes.length)];
 
-      // LinkedIn Social Actions API - React to post
-      // Note: The actual endpoint and payload structure may vary based on LinkedIn API version
-      const response = await axios.post(
-        'https://api.linkedin.com/v2/socialActions',
-        {
-          actor: 'urn:li:person:CURRENT', // Will be replaced with actual URN
-          action: reactionType,
-          object: post.id
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-            'X-Restli-Protocol-Version': '2.0.0'
-          }
-        }
-      );
+      // LinkedIn Reactions API - React to post (charged to the reactions quota)
+      await linkedin.post(userSub, '/rest/reactions', {
+        root: post.id,
+        reactionType
+      }, { feature: 'worker' });
 
       // Log successful reaction
       await db.saveReaction({
@@ -317,16 +295,24 @@ class LinkedInWorker {
     });
   }
 
+  /**
+   * Member or app reactions quota used up for today
+   */
+  isQuotaSpent(quota) {
+    return quota.remaining <= 0 || (quota.appRemaining !== null && quota.appRemaining <= 0);
+  }
+
   async getStatus() {
     const stats = await db.getStats();
-    const todayCount = await db.getTodayReactionCount();
-    const dailyLimit = parseInt(await db.getSetting('daily_limit')) || 500;
+    const user = await this.getAuthenticatedUser();
+    const quota = user ? await apiQuota.getFamilyQuota(user.sub, 'reactions') : null;
 
     return {
       running: this.isRunning,
-      todayReactions: todayCount,
-      dailyLimit: dailyLimit,
-      remaining: Math.max(0, dailyLimit - todayCount),
+      todayReactions: quota ? quota.used : 0,
+      dailyLimit: quota ? quota.limit : null,
+      remaining: quota ? quota.remaining : null,
+      resetAt: apiQuota.getNextUtcReset(),
       ...stats
     };
   }